@@ -2,25 +2,71 @@ import React, { useState, useEffect } from 'react';
 import './App.css';
 import InputPanel from './components/InputPanel';
 import ResultsPanel from './components/ResultsPanel';
+import DividendSchedule from './components/DividendSchedule';
+import StrategyBuilder from './components/StrategyBuilder';
 import { 
-  calculateOptionPrice, 
-  calculateGreeks, 
   generatePriceChartData,
-  generateVolatilityChartData,
-  generateDeltaUnderlyingData
+  generateVolatilityChartData
 } from './utils/BlackScholes';
+import {
+  PRICING_MODELS,
+  AMERICAN_ENGINES,
+  getModelInputs,
+  getSweepEvaluator,
+  calculateModelPrice,
+  calculateModelGreeks,
+  calculateModelImpliedVolatility,
+  getQuotedPremium
+} from './utils/PricingModels';
+import { getSurfaceVolatility } from './utils/VolatilityFitting';
+import {
+  calculateStrategyPrice,
+  calculateStrategyGreeks,
+  generateStrategyPnLData,
+  analyzeStrategy,
+  getOptionLeg,
+  getValidLegs
+} from './utils/Strategy';
+import { addYears, calculateDateMaturity, calculateTimeFromValuation, getExpiryDate } from './utils/DayCount';
+
+// Dated maturities default to one year from today at the close
+const TODAY = new Date().toISOString().slice(0, 10);
 
 function App() {
   // Default parameters
   const [parameters, setParameters] = useState({
+    model: 'black-scholes', // 'black-scholes', 'black-76' or 'garman-kohlhagen'
     optionType: 'call',
+    exerciseStyle: 'european', // 'european' or 'american'
+    americanEngine: 'binomial', // Numerical method for American options
     underlyingPrice: 100,
     strikePrice: 100,
     timeToMaturity: 1,
+    maturityInput: 'years', // 'years' or 'dates'
+    valuationDate: TODAY,
+    valuationTime: '16:00',
+    expiryDate: addYears(TODAY, 1),
+    expiryTime: '16:00',
+    dayCount: 'ACT/365', // Day-count convention of dated maturities
+    holidayCalendar: 'nyse', // Holidays skipped by business-day counts
+    thetaBasis: 'calendar', // Theta per 'calendar' or 'trading' day
     volatility: 0.2, // 20%
-    riskFreeRate: 0.05, // 5%
+    riskFreeRate: 0.05, // 5% (the domestic rate for FX options)
+    foreignRate: 0.03, // 3%, FX options only
+    dividendYield: 0, // 0%
+    dividends: [], // Discrete cash dividends as { exDate, amountInput, amount, time }, amount and time derived from the inputs
+    volatilityInput: 'volatility', // 'volatility', 'premium' or 'surface'
+    marketPremium: 10.45,
+    premiumConvention: 'domesticPips', // Quoting convention of FX premiums
+    volatilitySurface: null, // Smile fitted to an option chain, used when volatilityInput is 'surface'
+    legs: [], // Strategy legs as { instrument, position, quantity, strike, expiry }
   });
 
+  // Parameters actually used for pricing (volatility solved from the premium if needed)
+  const [pricingParameters, setPricingParameters] = useState(parameters);
+  const [volatilityError, setVolatilityError] = useState(null);
+  const [pricingError, setPricingError] = useState(null);
+
   // Calculated values
   const [optionPrice, setOptionPrice] = useState(0);
   const [greeks, setGreeks] = useState({
@@ -32,42 +78,68 @@ function App() {
   });
   const [priceChartData, setPriceChartData] = useState([]);
   const [volatilityChartData, setVolatilityChartData] = useState([]);
-  const [deltaUnderlyingData, setDeltaUnderlyingData] = useState([]);
+  const [optionAnalysis, setOptionAnalysis] = useState(null);
+  const [strategy, setStrategy] = useState(null);
 
   // Update calculations when parameters change
   useEffect(() => {
-    const { optionType, underlyingPrice, strikePrice, timeToMaturity, volatility, riskFreeRate } = parameters;
+    const { optionType, underlyingPrice, strikePrice, timeToMaturity } = parameters;
     
-    // Calculate option price
-    const price = calculateOptionPrice(
-      optionType, 
-      underlyingPrice, 
-      strikePrice, 
-      riskFreeRate, 
-      timeToMaturity, 
-      volatility
-    );
+    // Solve for volatility when the user enters a market premium
+    let volatility = parameters.volatility;
+    if (parameters.volatilityInput === 'premium') {
+      try {
+        volatility = calculateModelImpliedVolatility(parameters, parameters.marketPremium);
+        setVolatilityError(null);
+      } catch (error) {
+        // Fall back to the entered volatility so the charts stay populated
+        setVolatilityError(error.message);
+      }
+    } else if (parameters.volatilityInput === 'surface' && parameters.volatilitySurface) {
+      // Read the volatility off the fitted smile at this strike and maturity
+      volatility = getSurfaceVolatility(parameters.volatilitySurface, strikePrice, timeToMaturity);
+      setVolatilityError(null);
+    } else {
+      setVolatilityError(null);
+    }
+    const resolvedParameters = { ...parameters, volatility };
+    
+    // Calculate option price and Greeks with the selected model. A numerical engine can
+    // fail on extreme inputs, so keep the last results on screen and report the error
+    let price;
+    let modelGreeks;
+    try {
+      price = calculateModelPrice(resolvedParameters);
+      modelGreeks = calculateModelGreeks(resolvedParameters);
+      setPricingError(null);
+    } catch (error) {
+      setPricingError(error.message);
+      return;
+    }
+    setPricingParameters(resolvedParameters);
     setOptionPrice(price);
+    setGreeks(modelGreeks);
     
-    // Calculate Greeks
-    const calculatedGreeks = calculateGreeks(
-      optionType, 
-      underlyingPrice, 
-      strikePrice, 
-      riskFreeRate, 
-      timeToMaturity, 
-      volatility
-    );
-    setGreeks(calculatedGreeks);
+    // Breakevens and probabilities of holding the option to expiry
+    setOptionAnalysis(analyzeStrategy([getOptionLeg(resolvedParameters)], resolvedParameters, price));
+    
+    // The charts sweep the quoted underlying, so they only need the model's rate and yield;
+    // the sweep evaluator sets any cash dividends aside at each point
+    const { r, q } = getModelInputs(resolvedParameters);
+    const evaluate = getSweepEvaluator(resolvedParameters);
     
     // Generate price chart data
     const chartData = generatePriceChartData(
       optionType, 
       underlyingPrice, 
       strikePrice, 
-      riskFreeRate, 
+      r, 
       timeToMaturity, 
-      volatility
+      volatility,
+      q,
+      0.3, // Range: 30% below and above the current price
+      50, // Data points
+      evaluate
     );
     setPriceChartData(chartData);
     
@@ -76,35 +148,70 @@ function App() {
       optionType, 
       underlyingPrice, 
       strikePrice, 
-      riskFreeRate, 
+      r, 
       timeToMaturity,
+      q,
       0.2, // Min volatility (20%)
       0.9, // Max volatility (90%)
       0.1, // Step size (10%)
-      0.8  // Range: 80% below and above strike price
+      0.8, // Range: 80% below and above strike price
+      50, // Data points
+      evaluate
     );
     setVolatilityChartData(volChartData);
     
-    // Generate delta vs underlying price data
-    const deltaData = generateDeltaUnderlyingData(
-      optionType,
-      underlyingPrice,
-      strikePrice,
-      riskFreeRate,
-      timeToMaturity,
-      0.1, // Min volatility (10%)
-      0.9, // Max volatility (90%)
-      0.1, // Step size (10%)
-      0.8  // Range: 80% below and above strike price
-    );
-    setDeltaUnderlyingData(deltaData);
+    
+    // Aggregate the strategy legs with the same market inputs and exercise style,
+    // skipping legs with a field still being edited
+    const legs = getValidLegs(resolvedParameters.legs);
+    setStrategy(legs.length > 0 ? {
+      legs,
+      price: calculateStrategyPrice(legs, resolvedParameters),
+      greeks: calculateStrategyGreeks(legs, resolvedParameters),
+      pnlData: generateStrategyPnLData(legs, resolvedParameters),
+      analysis: analyzeStrategy(legs, resolvedParameters)
+    } : null);
   }, [parameters]);
 
   // Handle parameter changes
   const handleParameterChange = (name, value) => {
+    setParameters(prev => {
+      const next = { ...prev, [name]: value };
+      // Derive the time to maturity from the dates, keeping the last valid one while they are edited
+      if (next.maturityInput === 'dates') {
+        const maturity = calculateDateMaturity(next);
+        if (maturity > 0) next.timeToMaturity = maturity;
+      }
+      // Dividends are entered by ex-date and amount as typed; the models need the time
+      // to each one and the amount as a number (NaN rows are skipped when pricing)
+      next.dividends = next.dividends.map((dividend) => ({
+        ...dividend,
+        amount: parseFloat(dividend.amountInput),
+        time: calculateTimeFromValuation(dividend.exDate, next)
+      }));
+      return next;
+    });
+  };
+
+  // Switch between entering volatility and entering a market premium, seeding
+  // the newly visible input from the current pricing so nothing jumps
+  const handleVolatilityInputChange = (mode) => {
     setParameters(prev => ({
       ...prev,
-      [name]: value
+      volatilityInput: mode,
+      volatility: pricingParameters.volatility,
+      marketPremium: mode === 'premium' 
+        ? Number(getQuotedPremium(prev, optionPrice).toPrecision(6)) 
+        : prev.marketPremium
+    }));
+  };
+
+  // Price with a smile fitted to an imported option chain
+  const handleUseVolatilitySurface = (volatilitySurface) => {
+    setParameters(prev => ({
+      ...prev,
+      volatilitySurface,
+      volatilityInput: 'surface'
     }));
   };
 
@@ -112,7 +219,10 @@ function App() {
     <div className="App">
       <header className="App-header">
         <h1>Option Charts</h1>
-        <p>Black-Scholes Model</p>
+        <p>
+          {PRICING_MODELS[parameters.model].label} Model
+          {parameters.exerciseStyle === 'american' && ` · American (${AMERICAN_ENGINES[parameters.americanEngine].label})`}
+        </p>
       </header>
       <main className="App-main">
         <div className="App-container">
@@ -120,6 +230,28 @@ function App() {
             <InputPanel 
               parameters={parameters} 
               onParameterChange={handleParameterChange} 
+              onVolatilityInputChange={handleVolatilityInputChange}
+              impliedVolatility={pricingParameters.volatility}
+              volatilityError={volatilityError}
+              pricingError={pricingError}
+            />
+            {parameters.model === 'black-scholes' && (
+              <DividendSchedule 
+                dividends={parameters.dividends}
+                valuationDate={parameters.valuationDate}
+                expiryDate={getExpiryDate(parameters)}
+                riskFreeRate={parameters.riskFreeRate}
+                timeToMaturity={parameters.timeToMaturity}
+                onDividendsChange={(dividends) => handleParameterChange('dividends', dividends)}
+              />
+            )}
+            <StrategyBuilder 
+              legs={parameters.legs}
+              strikePrice={parameters.strikePrice}
+              timeToMaturity={parameters.timeToMaturity}
+              optionType={parameters.optionType}
+              exerciseStyle={parameters.exerciseStyle}
+              onLegsChange={(legs) => handleParameterChange('legs', legs)}
             />
           </div>
           <div className="right-panel">
@@ -128,8 +260,10 @@ function App() {
               greeks={greeks}
               priceChartData={priceChartData}
               volatilityChartData={volatilityChartData}
-              deltaUnderlyingData={deltaUnderlyingData}
-              parameters={parameters}
+              optionAnalysis={optionAnalysis}
+              strategy={strategy}
+              parameters={pricingParameters}
+              onUseVolatilitySurface={handleUseVolatilitySurface}
             />
           </div>
         </div>
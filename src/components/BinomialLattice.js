@@ -0,0 +1,230 @@
+import React, { useState, useEffect } from 'react';
+import {
+  LineChart, Line, XAxis, YAxis, CartesianGrid,
+  Tooltip, Legend, ResponsiveContainer, ReferenceLine
+} from 'recharts';
+import { calculateOptionPrice } from '../utils/BlackScholes';
+import { buildBinomialTree, generateBinomialConvergenceData } from '../utils/BinomialTree';
+import { getModelInputs } from '../utils/PricingModels';
+import './BinomialLattice.css';
+
+// Largest tree that still fits readable node labels
+const MAX_LATTICE_STEPS = 10;
+const MAX_CONVERGENCE_STEPS = 100;
+
+// Lattice layout in SVG units
+const NODE_WIDTH = 84;
+const NODE_HEIGHT = 34;
+const COLUMN_SPACING = 110;
+const ROW_SPACING = 22;
+const PADDING = 10;
+
+const BinomialLattice = ({ parameters }) => {
+  const [steps, setSteps] = useState(4);
+  const [hoveredNode, setHoveredNode] = useState(null);
+  const [convergenceData, setConvergenceData] = useState([]);
+
+  const { S, K, r, T, sigma, q } = getModelInputs(parameters);
+  const { optionType } = parameters;
+  const american = parameters.exerciseStyle === 'american';
+  const isFx = parameters.model === 'garman-kohlhagen';
+  const formatValue = (value) => (isFx ? value.toFixed(4) : `$${value.toFixed(2)}`);
+
+  const tree = T > 0 ? buildBinomialTree(optionType, S, K, r, T, sigma, q, american, steps) : null;
+
+  const closedFormPrice = calculateOptionPrice(optionType, S, K, r, T, sigma, q);
+
+  // Convergence needs a tree per step count, so only rebuild it when the inputs change
+  useEffect(() => {
+    setConvergenceData(
+      T > 0 ? generateBinomialConvergenceData(optionType, S, K, r, T, sigma, q, MAX_CONVERGENCE_STEPS) : []
+    );
+  }, [optionType, S, K, r, T, sigma, q]);
+
+  // Drop the hover details when the tree changes shape
+  useEffect(() => {
+    setHoveredNode(null);
+  }, [steps, parameters]);
+
+  const width = steps * COLUMN_SPACING + NODE_WIDTH + 2 * PADDING;
+  const height = 2 * steps * ROW_SPACING + NODE_HEIGHT + 2 * PADDING;
+  const nodeX = (node) => PADDING + node.step * COLUMN_SPACING;
+  const nodeY = (node) => PADDING + (steps - (2 * node.upMoves - node.step)) * ROW_SPACING;
+
+  const nodeClass = (node) => {
+    if (node.exercised) return 'lattice-node exercised';
+    if (node.step === steps && node.exerciseValue > 0) return 'lattice-node in-the-money';
+    return 'lattice-node';
+  };
+
+  const describeDecision = (node) => {
+    if (node.step === steps) {
+      return node.exerciseValue > 0 ? 'Exercise at expiry' : 'Expires worthless';
+    }
+    return node.exercised ? 'Exercise early' : 'Hold';
+  };
+
+  return (
+    <div className="binomial-lattice">
+      <h3>Binomial Tree (Cox-Ross-Rubinstein)</h3>
+      <p className="lattice-description">
+        The tree splits the time to maturity into equal steps. At each step the underlying
+        moves up by a factor u or down by d = 1/u, and the option value is found by
+        discounting the risk-neutral expectation back from the payoff at maturity
+        {american ? ', taking the exercise value instead wherever it is higher.' : '.'}
+      </p>
+
+      <div className="lattice-controls">
+        <label htmlFor="latticeSteps">Steps: {steps}</label>
+        <input
+          id="latticeSteps"
+          type="range"
+          min="1"
+          max={MAX_LATTICE_STEPS}
+          step="1"
+          value={steps}
+          onChange={(e) => setSteps(parseInt(e.target.value))}
+        />
+      </div>
+
+      {tree && (
+        <div className="lattice-summary">
+          <span>Δt = {(T / steps).toFixed(4)}</span>
+          <span>u = {tree.u.toFixed(4)}</span>
+          <span>d = {tree.d.toFixed(4)}</span>
+          <span>p = {tree.p.toFixed(4)}</span>
+          <span>Tree price = {formatValue(tree.levels[0][0].optionValue)}</span>
+        </div>
+      )}
+      {tree && tree.driftAdjusted && (
+        <div className="lattice-note">
+          The carry over one step is larger than the CRR moves, so the tree is centred on the forward:
+          u and d both include the drift e<sup>(r−q)Δt</sup>, keeping p inside (0, 1).
+        </div>
+      )}
+      {T <= 0 && <div className="lattice-error">The tree needs a positive time to maturity</div>}
+
+      {tree && (
+        <div className="lattice-view">
+          <svg viewBox={`0 0 ${width} ${height}`} width="100%" className="lattice-svg">
+            {tree.levels.slice(0, -1).map((level) => level.map((node) => (
+              <g key={`edges-${node.step}-${node.upMoves}`}>
+                {[node.upMoves, node.upMoves + 1].map((upMoves) => {
+                  const child = tree.levels[node.step + 1][upMoves];
+                  return (
+                    <line
+                      key={upMoves}
+                      className="lattice-edge"
+                      x1={nodeX(node) + NODE_WIDTH}
+                      y1={nodeY(node) + NODE_HEIGHT / 2}
+                      x2={nodeX(child)}
+                      y2={nodeY(child) + NODE_HEIGHT / 2}
+                    />
+                  );
+                })}
+              </g>
+            )))}
+            {tree.levels.map((level) => level.map((node) => (
+              <g
+                key={`node-${node.step}-${node.upMoves}`}
+                className={nodeClass(node)}
+                transform={`translate(${nodeX(node)}, ${nodeY(node)})`}
+                onMouseEnter={() => setHoveredNode(node)}
+              >
+                <rect width={NODE_WIDTH} height={NODE_HEIGHT} rx="4" />
+                <text x={NODE_WIDTH / 2} y="14" className="lattice-price">
+                  S = {node.underlyingPrice.toFixed(isFx ? 4 : 2)}
+                </text>
+                <text x={NODE_WIDTH / 2} y="28" className="lattice-value">
+                  V = {node.optionValue.toFixed(isFx ? 4 : 2)}
+                </text>
+              </g>
+            )))}
+          </svg>
+
+          <div className="lattice-legend">
+            {american && <span className="legend-exercised">Early exercise</span>}
+            <span className="legend-in-the-money">In the money at expiry</span>
+          </div>
+
+          <div className="lattice-details">
+            {hoveredNode ? (
+              <>
+                <h4>Step {hoveredNode.step}, {hoveredNode.upMoves} up / {hoveredNode.step - hoveredNode.upMoves} down</h4>
+                <ul>
+                  <li><strong>Time:</strong> {hoveredNode.time.toFixed(4)} years</li>
+                  <li><strong>Underlying price:</strong> {formatValue(hoveredNode.underlyingPrice)}</li>
+                  <li><strong>Exercise value:</strong> {formatValue(hoveredNode.exerciseValue)}</li>
+                  {hoveredNode.continuationValue !== null && (
+                    <li><strong>Continuation value:</strong> {formatValue(hoveredNode.continuationValue)}</li>
+                  )}
+                  <li><strong>Option value:</strong> {formatValue(hoveredNode.optionValue)}</li>
+                  <li><strong>Decision:</strong> {describeDecision(hoveredNode)}</li>
+                </ul>
+              </>
+            ) : (
+              <p>Hover over a node to see how its value is found.</p>
+            )}
+          </div>
+        </div>
+      )}
+
+      <div className="lattice-convergence">
+        <h4>Convergence as the Number of Steps Increases</h4>
+        <ResponsiveContainer width="100%" height={300}>
+          <LineChart
+            data={convergenceData}
+            margin={{ top: 5, right: 30, left: 20, bottom: 5 }}
+          >
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis
+              dataKey="steps"
+              type="number"
+              domain={[1, MAX_CONVERGENCE_STEPS]}
+              label={{ value: 'Steps', position: 'insideBottom', offset: -5 }}
+            />
+            <YAxis
+              domain={['auto', 'auto']}
+              tickFormatter={(value) => value.toFixed(isFx ? 4 : 2)}
+              label={{ value: 'Option Price', angle: -90, position: 'insideLeft' }}
+            />
+            <Tooltip
+              formatter={(value, name) => [formatValue(value), name]}
+              labelFormatter={(value) => `Steps: ${value}`}
+            />
+            <Legend />
+            <Line
+              type="linear"
+              dataKey="europeanPrice"
+              name="European tree"
+              stroke="#4a90e2"
+              dot={false}
+            />
+            {american && (
+              <Line
+                type="linear"
+                dataKey="americanPrice"
+                name="American tree"
+                stroke="#e53935"
+                dot={false}
+              />
+            )}
+            <ReferenceLine
+              y={closedFormPrice}
+              stroke="#333"
+              strokeDasharray="5 5"
+              label={{ value: `Closed form ${formatValue(closedFormPrice)}`, position: 'insideTopRight' }}
+            />
+          </LineChart>
+        </ResponsiveContainer>
+        <p className="lattice-description">
+          The European tree price oscillates around the closed-form value and the error
+          shrinks roughly in proportion to 1 / steps.
+          {american && ' The American tree converges to a higher value, the difference being the early-exercise premium.'}
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default BinomialLattice;
@@ -1,86 +1,50 @@
 import React, { useState, useEffect } from 'react';
 import { 
   LineChart, Line, XAxis, YAxis, CartesianGrid, 
-  Tooltip, Legend, ResponsiveContainer, ReferenceLine
+  Tooltip, Legend, ResponsiveContainer, ReferenceLine,
+  ComposedChart, Bar
 } from 'recharts';
+import {
+  generateHistogramData,
+  summarizeDistribution
+} from '../utils/MonteCarlo';
+import {
+  STOCHASTIC_PROCESSES,
+  generateProcessPath,
+  createTerminalSampler,
+  calculateExpectedValue,
+  calculateTerminalDistribution
+} from '../utils/StochasticProcesses';
+import { createNormalGenerator, createRandom } from '../utils/Random';
 import './BrownianMotion.css';
 
-const BrownianMotion = () => {
-  // Parameters for Brownian motion
-  const [drift, setDrift] = useState(0.05);      // μ (mu): drift coefficient
-  const [diffusion, setDiffusion] = useState(0.2); // σ (sigma): diffusion coefficient
+const TERMINAL_SAMPLE_COUNTS = [1000, 10000, 50000];
+const HISTOGRAM_BINS = 50;
+
+const BrownianMotion = ({ process, onProcessChange, strikePrice = 100 }) => {
+  // Parameters for the simulation; the process and its parameters are kept by the results panel
   const [timeHorizon, setTimeHorizon] = useState(1); // T: time horizon in years
   const [timeSteps, setTimeSteps] = useState(252); // Number of time steps (252 trading days in a year)
   const [initialValue, setInitialValue] = useState(100); // S₀: initial value
   const [paths, setPaths] = useState(5); // Number of paths to simulate
+  const [seed, setSeed] = useState(42); // Seed of the random number generator, so paths can be reproduced
+  const [strike, setStrike] = useState(strikePrice); // K: strike marked on the terminal distribution
+  const [terminalSamples, setTerminalSamples] = useState(10000); // Number of simulated S(T) values
   
   // State for simulation data
   const [simulationData, setSimulationData] = useState([]);
+  const [terminal, setTerminal] = useState(null);
   const [showExpectedPath, setShowExpectedPath] = useState(true);
   
-  // Function to generate a single Brownian motion path
-  const generatePath = (drift, diffusion, timeHorizon, timeSteps, initialValue, seed) => {
-    const dt = timeHorizon / timeSteps;
-    const sqrtDt = Math.sqrt(dt);
-    
-    const path = [];
-    let currentValue = initialValue;
-    
-    // Add initial point
-    path.push({
-      time: 0,
-      value: currentValue
-    });
-    
-    // Use a simple pseudo-random number generator with seed for reproducibility
-    const random = () => {
-      // Simple LCG random number generator
-      seed = (seed * 9301 + 49297) % 233280;
-      const rnd = seed / 233280;
-      
-      // Box-Muller transform to get normal distribution
-      const u1 = rnd;
-      const u2 = (seed / 233280 + 0.1) % 1; // Another random number
-      const z = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
-      
-      return z;
-    };
-    
-    // Generate the path
-    for (let t = 1; t <= timeSteps; t++) {
-      // Geometric Brownian Motion: dS = μSdt + σSdW
-      const time = t * dt;
-      const randomComponent = diffusion * currentValue * sqrtDt * random();
-      const driftComponent = drift * currentValue * dt;
-      
-      currentValue = currentValue + driftComponent + randomComponent;
-      
-      path.push({
-        time: time,
-        value: currentValue
-      });
-    }
-    
-    return path;
-  };
+  const processType = process.process;
+  const processDefinition = STOCHASTIC_PROCESSES[processType];
+  const processParameters = process.parameters[processType];
   
-  // Generate expected path (deterministic part only)
-  const generateExpectedPath = (drift, timeHorizon, timeSteps, initialValue) => {
-    const dt = timeHorizon / timeSteps;
-    const path = [];
-    
-    for (let t = 0; t <= timeSteps; t++) {
-      const time = t * dt;
-      // Expected value of GBM: S₀ * e^(μt)
-      const value = initialValue * Math.exp(drift * time);
-      
-      path.push({
-        time: time,
-        value: value
-      });
-    }
-    
-    return path;
+  const handleParameterChange = (key, value) => {
+    onProcessChange({
+      ...process,
+      parameters: { ...process.parameters, [processType]: { ...processParameters, [key]: value } }
+    });
   };
   
   // Regenerate simulation when parameters change
@@ -88,10 +52,13 @@ const BrownianMotion = () => {
     const simulatePaths = () => {
       const allPaths = [];
       
-      // Generate multiple paths
+      // Generate multiple paths; jump counts draw from the same seeded stream
+      const random = createRandom(seed);
+      const normal = createNormalGenerator(random);
       for (let i = 0; i < paths; i++) {
-        const seed = i * 10000 + Date.now() % 10000; // Different seed for each path
-        const path = generatePath(drift, diffusion, timeHorizon, timeSteps, initialValue, seed);
+        const path = generateProcessPath(
+          processType, initialValue, processParameters, timeHorizon, timeSteps, normal, random
+        );
         
         // Format data for chart
         const formattedPath = path.map(point => ({
@@ -102,20 +69,18 @@ const BrownianMotion = () => {
         allPaths.push(formattedPath);
       }
       
-      // Generate expected path
-      const expectedPath = generateExpectedPath(drift, timeHorizon, timeSteps, initialValue);
-      
       // Merge all paths into a single dataset
       const mergedData = [];
       for (let t = 0; t <= timeSteps; t++) {
-        const dataPoint = { time: t * (timeHorizon / timeSteps) };
+        const time = t * (timeHorizon / timeSteps);
+        const dataPoint = { time };
         
         for (let i = 0; i < paths; i++) {
           dataPoint[`path${i + 1}`] = allPaths[i][t][`path${i + 1}`];
         }
         
         if (showExpectedPath) {
-          dataPoint.expected = expectedPath[t].value;
+          dataPoint.expected = calculateExpectedValue(processType, initialValue, processParameters, time);
         }
         
         mergedData.push(dataPoint);
@@ -125,7 +90,41 @@ const BrownianMotion = () => {
     };
     
     simulatePaths();
-  }, [drift, diffusion, timeHorizon, timeSteps, initialValue, paths, showExpectedPath]);
+  }, [processType, processParameters, timeHorizon, timeSteps, initialValue, paths, seed, showExpectedPath]);
+  
+  // Terminal values come from their own stream of the same seed, in one step where the process allows
+  useEffect(() => {
+    const random = createRandom(seed);
+    const normal = createNormalGenerator(random);
+    const sample = createTerminalSampler(processType, initialValue, processParameters, timeHorizon, timeSteps, random);
+    const values = Array.from({ length: terminalSamples }, () => sample(normal));
+    
+    // The histogram spans the central 99% of the sample, so long tails do not flatten it
+    const sorted = [...values].sort((a, b) => a - b);
+    const lower = sorted[Math.floor(0.005 * (sorted.length - 1))];
+    const upper = sorted[Math.ceil(0.995 * (sorted.length - 1))];
+    
+    setTerminal({
+      values,
+      statistics: summarizeDistribution(values),
+      range: [lower, upper > lower ? upper : lower + 1]
+    });
+  }, [processType, processParameters, timeHorizon, timeSteps, initialValue, terminalSamples, seed]);
+  
+  const distribution = calculateTerminalDistribution(processType, initialValue, processParameters, timeHorizon);
+  const histogramData = terminal
+    ? generateHistogramData(terminal.values, HISTOGRAM_BINS, terminal.range, distribution.density)
+    : [];
+  
+  const aboveStrike = terminal ? terminal.values.filter((value) => value > strike).length : 0;
+  const simulatedProbability = terminal ? aboveStrike / terminal.values.length : 0;
+  const probabilityError = terminal
+    ? Math.sqrt((simulatedProbability * (1 - simulatedProbability)) / terminal.values.length)
+    : 0;
+  const theoreticalProbability = distribution.probabilityAbove ? distribution.probabilityAbove(strike) : null;
+  
+  const formatTheoretical = (value, format) => (value === null ? '—' : format(value));
+  const formatDollars = (value) => `$${value.toFixed(2)}`;
   
   // Generate colors for paths
   const getPathColor = (index, total) => {
@@ -151,32 +150,36 @@ const BrownianMotion = () => {
         </p>
       </div>
       
+      <div className="process-selector">
+        <label htmlFor="stochasticProcess">Process</label>
+        <select 
+          id="stochasticProcess" 
+          value={processType} 
+          onChange={(e) => onProcessChange({ ...process, process: e.target.value })}
+        >
+          {Object.entries(STOCHASTIC_PROCESSES).map(([key, { label }]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+        <div className="formula">{processDefinition.equation}</div>
+      </div>
+      
       <div className="controls">
-        <div className="control-group">
-          <label>Drift (μ): {drift.toFixed(2)}</label>
-          <input 
-            type="range" 
-            min="-0.5" 
-            max="0.5" 
-            step="0.01" 
-            value={drift} 
-            onChange={(e) => setDrift(parseFloat(e.target.value))}
-          />
-          <span className="param-description">Expected return rate</span>
-        </div>
-        
-        <div className="control-group">
-          <label>Diffusion (σ): {diffusion.toFixed(2)}</label>
-          <input 
-            type="range" 
-            min="0.01" 
-            max="0.5" 
-            step="0.01" 
-            value={diffusion} 
-            onChange={(e) => setDiffusion(parseFloat(e.target.value))}
-          />
-          <span className="param-description">Volatility of the process</span>
-        </div>
+        {processDefinition.parameters.map(({ key, label, min, max, step, description }) => (
+          <div className="control-group" key={key}>
+            <label htmlFor={`process-${key}`}>{label}: {processParameters[key].toFixed(2)}</label>
+            <input 
+              type="range" 
+              id={`process-${key}`} 
+              min={min} 
+              max={max} 
+              step={step} 
+              value={processParameters[key]} 
+              onChange={(e) => handleParameterChange(key, parseFloat(e.target.value))}
+            />
+            <span className="param-description">{description}</span>
+          </div>
+        ))}
         
         <div className="control-group">
           <label>Time Horizon (T): {timeHorizon.toFixed(2)} years</label>
@@ -214,6 +217,22 @@ const BrownianMotion = () => {
           />
         </div>
         
+        <div className="control-group">
+          <label htmlFor="brownianSeed">Random Seed</label>
+          <div className="seed-input">
+            <input 
+              type="number" 
+              id="brownianSeed" 
+              min="0" 
+              step="1" 
+              value={seed} 
+              onChange={(e) => setSeed(parseInt(e.target.value) || 0)}
+            />
+            <button onClick={() => setSeed(Math.floor(Math.random() * 1000000))}>New Seed</button>
+          </div>
+          <span className="param-description">The same seed always draws the same paths</span>
+        </div>
+        
         <div className="control-group checkbox">
           <label>
             <input 
@@ -227,7 +246,7 @@ const BrownianMotion = () => {
       </div>
       
       <div className="simulation-chart">
-        <h4>Geometric Brownian Motion Simulation</h4>
+        <h4>{processDefinition.label} Simulation</h4>
         <ResponsiveContainer width="100%" height={400}>
           <LineChart
             data={simulationData}
@@ -278,6 +297,132 @@ const BrownianMotion = () => {
         </ResponsiveContainer>
       </div>
       
+      <div className="terminal-distribution">
+        <h4>Distribution of S(T) at the Time Horizon</h4>
+        <div className="controls">
+          <div className="control-group">
+            <label>Strike (K): ${strike.toFixed(2)}</label>
+            <input 
+              type="range" 
+              min="10" 
+              max="500" 
+              step="1" 
+              value={strike} 
+              onChange={(e) => setStrike(parseFloat(e.target.value))}
+            />
+            <span className="param-description">Marked on the histogram</span>
+          </div>
+          
+          <div className="control-group">
+            <label htmlFor="terminalSamples">Terminal Samples</label>
+            <select 
+              id="terminalSamples" 
+              value={terminalSamples} 
+              onChange={(e) => setTerminalSamples(parseInt(e.target.value))}
+            >
+              {TERMINAL_SAMPLE_COUNTS.map((count) => (
+                <option key={count} value={count}>{count.toLocaleString()}</option>
+              ))}
+            </select>
+            <span className="param-description">Simulated values of S(T) in the histogram</span>
+          </div>
+        </div>
+        
+        <ResponsiveContainer width="100%" height={350}>
+          <ComposedChart
+            data={histogramData}
+            barCategoryGap={1}
+            margin={{ top: 5, right: 30, left: 20, bottom: 5 }}
+          >
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis 
+              dataKey="x" 
+              type="number" 
+              domain={terminal ? terminal.range : ['auto', 'auto']}
+              tickFormatter={(value) => value.toFixed(0)}
+              label={{ value: 'S(T) ($)', position: 'insideBottom', offset: -5 }}
+            />
+            <YAxis 
+              tickFormatter={(value) => value.toFixed(3)}
+              label={{ value: 'Density', angle: -90, position: 'insideLeft' }}
+            />
+            <Tooltip 
+              formatter={(value, name) => [value.toFixed(5), name]}
+              labelFormatter={(value) => `S(T): $${parseFloat(value).toFixed(2)}`}
+            />
+            <Legend />
+            <Bar dataKey="frequency" name="Simulated" fill="#4a90e2" fillOpacity={0.6} />
+            {distribution.density && (
+              <Line 
+                type="monotone" 
+                dataKey="density" 
+                name="Theoretical density" 
+                stroke="#e74c3c" 
+                strokeWidth={2} 
+                dot={false}
+              />
+            )}
+            <ReferenceLine 
+              x={strike} 
+              stroke="#333" 
+              strokeDasharray="3 3" 
+              label={{ value: 'K', position: 'top' }}
+            />
+          </ComposedChart>
+        </ResponsiveContainer>
+        
+        {terminal && (
+          <table className="terminal-statistics">
+            <thead>
+              <tr>
+                <th>Statistic</th>
+                <th>Simulated</th>
+                <th>Theoretical</th>
+              </tr>
+            </thead>
+            <tbody>
+              <tr>
+                <td>P(S(T) &gt; K)</td>
+                <td>{(simulatedProbability * 100).toFixed(2)}% ± {(probabilityError * 100).toFixed(2)}%</td>
+                <td>{formatTheoretical(theoreticalProbability, (value) => `${(value * 100).toFixed(2)}%`)}</td>
+              </tr>
+              <tr>
+                <td>Mean</td>
+                <td>{formatDollars(terminal.statistics.mean)}</td>
+                <td>{formatDollars(distribution.mean)}</td>
+              </tr>
+              <tr>
+                <td>Standard Deviation</td>
+                <td>{formatDollars(terminal.statistics.standardDeviation)}</td>
+                <td>{formatTheoretical(distribution.standardDeviation, formatDollars)}</td>
+              </tr>
+              <tr>
+                <td>Skewness</td>
+                <td>{terminal.statistics.skewness.toFixed(3)}</td>
+                <td>{formatTheoretical(distribution.skewness, (value) => value.toFixed(3))}</td>
+              </tr>
+              {terminal.statistics.percentiles.map(({ percentile, value }, i) => (
+                <tr key={percentile}>
+                  <td>{percentile}th Percentile</td>
+                  <td>{formatDollars(value)}</td>
+                  <td>{distribution.percentiles ? formatDollars(distribution.percentiles[i].value) : '—'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+        
+        <p className="param-description">
+          {processType === 'gbm'
+            ? `S(T) is log-normal and P(S(T) > K) = N(d₂) with d₂ = [ln(S₀/K) + (μ - σ²/2)T] / (σ√T). With the
+              drift set to the risk-free rate less the dividend yield, this is the risk-neutral N(d₂) of the
+              Formula tab.`
+            : `The N(d₂) of the Formula tab assumes geometric Brownian motion; the theoretical column shows
+              the ${processDefinition.label.toLowerCase()} distribution where it has a closed form (— otherwise).`}
+          {' '}The simulated probability shows one standard error, and the histogram the central 99% of the sample.
+        </p>
+      </div>
+      
       <div className="brownian-theory">
         <h4>Mathematical Formulation</h4>
         
@@ -351,6 +496,28 @@ const BrownianMotion = () => {
           </ul>
         </div>
         
+        <div className="theory-section">
+          <h5>Other Processes</h5>
+          <ul>
+            <li>
+              Arithmetic Brownian motion adds normal shocks of a fixed dollar size, so S(T) is normal 
+              and can fall below zero (the Bachelier model)
+            </li>
+            <li>
+              Merton jump-diffusion adds log-normal jumps arriving as a Poisson process to GBM, which 
+              fattens the tails; the drift is compensated so that E[S(t)] = S(0)e^(μt)
+            </li>
+            <li>
+              Heston lets the variance follow its own mean-reverting square-root process, correlated 
+              with the price, and is simulated step by step with a full-truncation Euler scheme
+            </li>
+            <li>
+              Ornstein-Uhlenbeck pulls the value back towards a long-run level θ at speed κ, as used 
+              for interest rates and commodity spreads
+            </li>
+          </ul>
+        </div>
+        
         <div className="theory-section">
           <h5>Monte Carlo Simulation</h5>
           <p>
@@ -361,7 +528,9 @@ const BrownianMotion = () => {
             S(t+Δt) = S(t) × exp((μ - σ²/2)Δt + σ√Δt × Z)
           </div>
           <p>
-            Where Z is a standard normal random variable. This is the approach used in the simulation above.
+            Where Z is a standard normal random variable. This is the approach used in the simulation above,
+            with Z drawn by the Box-Muller transform from a seeded xoshiro128** generator, so the same
+            seed always reproduces the same paths.
           </p>
         </div>
         
@@ -4,9 +4,41 @@ import {
   Tooltip, Legend, ResponsiveContainer, ReferenceLine,
   Scatter, ScatterChart, ZAxis, Cell, Rectangle, Polygon
 } from 'recharts';
-import { calculateOptionPrice } from '../utils/BlackScholes';
+import { getModelInputs } from '../utils/PricingModels';
+import { getThetaDaysPerYear } from '../utils/DayCount';
+import {
+  FINITE_DIFFERENCE_SCHEMES,
+  FINITE_DIFFERENCE_PRICERS,
+  calculateFiniteDifferenceGreeks
+} from '../utils/FiniteDifferenceGreeks';
+import {
+  TAYLOR_APPROXIMATIONS,
+  generateTaylorExpansionData,
+  generateBumpErrorData
+} from '../utils/TaylorExpansion';
 import './DeltaApproximationChart.css';
 
+// Price shifts the user can pick, from well inside round-off territory to visibly coarse
+const PRICE_SHIFTS = [1e-8, 1e-6, 1e-4, 0.01, 0.1, 1, 5];
+
+// Bumps from 1e-12 to 10 in half-decade steps for the error scan
+const ERROR_SCAN_BUMPS = Array.from({ length: 27 }, (_, i) => Math.pow(10, -12 + i / 2));
+
+// Errors are floored so an exact estimate still plots on the log axis
+const MIN_PLOTTED_ERROR = 1e-16;
+
+// Half the width of the rise over run triangle, so it stays visible whatever the shift
+const TRIANGLE_HALF_WIDTH = 0.6;
+
+const formatSmall = (value) => (
+  value === 0 || Math.abs(value) >= 1e-3 ? value.toFixed(4) : value.toExponential(3)
+);
+
+const getPointLabel = (offset) => {
+  if (offset === 0) return 'S';
+  return offset > 0 ? 'S+Δx' : 'S-Δx';
+};
+
 const DeltaApproximationChart = ({ parameters }) => {
   const [chartData, setChartData] = useState([]);
   const [deltaPoints, setDeltaPoints] = useState([]);
@@ -14,55 +46,47 @@ const DeltaApproximationChart = ({ parameters }) => {
   const [zoomedView, setZoomedView] = useState(false);
   const chartRef = useRef(null);
   
-  // The small price shift to use for approximation
-  const PRICE_SHIFT = 0.01;
+  // The small price shift and the finite-difference scheme used for approximation
+  const [priceShift, setPriceShift] = useState(0.01);
+  const [scheme, setScheme] = useState('central');
+  const [lowerOffset, upperOffset] = FINITE_DIFFERENCE_SCHEMES[scheme].offsets;
+  
+  // Move in time and volatility for the Taylor expansion
+  const [days, setDays] = useState(0);
+  const [volatilityShift, setVolatilityShift] = useState(0);
+  const [taylorData, setTaylorData] = useState([]);
+  const [bumpErrorData, setBumpErrorData] = useState([]);
   
   useEffect(() => {
     if (!parameters) return;
     
     const { optionType, underlyingPrice, strikePrice, riskFreeRate, timeToMaturity, volatility } = parameters;
+    const { S, q } = getModelInputs(parameters);
+    // Prices are on the escrowed spot, below the quoted price by any cash dividends set aside
+    const dividendValue = underlyingPrice - S;
     
     // Generate price points around the current price
     const range = strikePrice * 0.4; // Smaller range to focus on area around current price
-    const minPrice = Math.max(1, underlyingPrice - range);
+    const minPrice = Math.max(1 + dividendValue, underlyingPrice - range);
     const maxPrice = underlyingPrice + range;
     const step = (maxPrice - minPrice) / 30;
     
     const data = [];
     const deltaApproxPoints = [];
+    const pricer = FINITE_DIFFERENCE_PRICERS.blackScholes.create(optionType);
+    const inputsAt = (price) => ({
+      S: price - dividendValue, K: strikePrice, r: riskFreeRate, T: timeToMaturity, sigma: volatility, q
+    });
+    const priceAt = (price) => pricer(inputsAt(price));
     
     for (let price = minPrice; price <= maxPrice; price += step) {
       // Calculate option price at the current price
-      const optionPrice = calculateOptionPrice(
-        optionType, 
-        price, 
-        strikePrice, 
-        riskFreeRate, 
-        timeToMaturity, 
-        volatility
-      );
-      
-      // Calculate option prices with small shifts for delta approximation
-      const optionPriceMinus = calculateOptionPrice(
-        optionType, 
-        price - PRICE_SHIFT, 
-        strikePrice, 
-        riskFreeRate, 
-        timeToMaturity, 
-        volatility
-      );
+      const optionPrice = priceAt(price);
       
-      const optionPricePlus = calculateOptionPrice(
-        optionType, 
-        price + PRICE_SHIFT, 
-        strikePrice, 
-        riskFreeRate, 
-        timeToMaturity, 
-        volatility
-      );
-      
-      // Approximate delta using central difference formula
-      const approximateDelta = (optionPricePlus - optionPriceMinus) / (2 * PRICE_SHIFT);
+      // Approximate delta with the finite-difference engine, which bumps the spot relative to its value
+      const approximateDelta = calculateFiniteDifferenceGreeks(pricer, inputsAt(price), {
+        scheme, bumps: { S: priceShift / (price - dividendValue) }, greeks: ['delta']
+      }).delta;
       
       data.push({
         underlyingPrice: price,
@@ -81,8 +105,8 @@ const DeltaApproximationChart = ({ parameters }) => {
           underlyingPrice: price,
           optionPrice: optionPrice,
           approximateDelta: approximateDelta,
-          minus: { x: price - PRICE_SHIFT, y: optionPriceMinus },
-          plus: { x: price + PRICE_SHIFT, y: optionPricePlus }
+          minus: { x: price + lowerOffset * priceShift, y: priceAt(price + lowerOffset * priceShift) },
+          plus: { x: price + upperOffset * priceShift, y: priceAt(price + upperOffset * priceShift) }
         });
       }
     }
@@ -98,7 +122,30 @@ const DeltaApproximationChart = ({ parameters }) => {
     setSelectedPoint(currentPoint);
     setZoomedView(false); // Reset zoom when parameters change
     
-  }, [parameters]);
+  }, [parameters, priceShift, scheme, lowerOffset, upperOffset]);
+  
+  useEffect(() => {
+    if (!parameters) return;
+    
+    const { optionType, underlyingPrice, strikePrice, riskFreeRate, timeToMaturity, volatility } = parameters;
+    const { S, q } = getModelInputs(parameters);
+    
+    // Expand around the escrowed spot, as the Greeks panel does, and plot against the quoted price
+    const dividendValue = underlyingPrice - S;
+    setTaylorData(generateTaylorExpansionData(
+      optionType, S, strikePrice, riskFreeRate, timeToMaturity, volatility, q,
+      { days, volatilityShift, daysPerYear: getThetaDaysPerYear(parameters) }
+    ).map((point) => ({ ...point, underlyingPrice: point.underlyingPrice + dividendValue })));
+    setBumpErrorData(generateBumpErrorData(
+      optionType, S, strikePrice, riskFreeRate, timeToMaturity, volatility, q, ERROR_SCAN_BUMPS
+    ).map((point) => {
+      const floored = { bump: point.bump };
+      Object.keys(FINITE_DIFFERENCE_SCHEMES).forEach((key) => {
+        floored[key] = Math.max(point[key], MIN_PLOTTED_ERROR);
+      });
+      return floored;
+    }));
+  }, [parameters, days, volatilityShift]);
   
   const handlePointClick = (point) => {
     setSelectedPoint(point);
@@ -147,11 +194,11 @@ const DeltaApproximationChart = ({ parameters }) => {
     
     // Calculate the rise and run
     const rise = plusPoint.y - minusPoint.y;
-    const run = plusPoint.x - minusPoint.x;
+    const run = (upperOffset - lowerOffset) * priceShift;
     
-    // For better visualization, we'll create a larger triangle
-    // We'll scale up the size but maintain the same slope
-    const scale = 60; // Even larger scale for better visibility
+    // For better visualization, we'll create a larger triangle of a fixed width
+    // that maintains the same slope
+    const scaledRise = 2 * TRIANGLE_HALF_WIDTH * rise / run;
     
     // Center the triangle on the selected point
     const baseX = selectedPoint.underlyingPrice;
@@ -159,9 +206,9 @@ const DeltaApproximationChart = ({ parameters }) => {
     
     // Calculate points for a large triangle that maintains the same slope
     const triangleData = [
-      { x: baseX - (scale * PRICE_SHIFT), y: baseY }, // bottom left
-      { x: baseX + (scale * PRICE_SHIFT), y: baseY }, // bottom right
-      { x: baseX + (scale * PRICE_SHIFT), y: baseY + (scale * rise) }, // top right
+      { x: baseX - TRIANGLE_HALF_WIDTH, y: baseY }, // bottom left
+      { x: baseX + TRIANGLE_HALF_WIDTH, y: baseY }, // bottom right
+      { x: baseX + TRIANGLE_HALF_WIDTH, y: baseY + scaledRise }, // top right
     ];
     
     return (
@@ -320,8 +367,8 @@ const DeltaApproximationChart = ({ parameters }) => {
       
       <div className="chart-description">
         <p>
-          This chart demonstrates how delta can be approximated numerically using a small price shift (Δx = {PRICE_SHIFT}). 
-          Delta is calculated as: <span className="formula">Δ ≈ [Price(S+Δx) - Price(S-Δx)] / (2·Δx)</span>
+          This chart demonstrates how delta can be approximated numerically using a small price shift (Δx = {priceShift}). 
+          Delta is calculated as: <span className="formula">Δ ≈ {FINITE_DIFFERENCE_SCHEMES[scheme].formula}</span>
         </p>
         <p>
           The <span className="highlight">orange dots</span> on the curve represent points where we've calculated the approximate delta.
@@ -329,6 +376,33 @@ const DeltaApproximationChart = ({ parameters }) => {
         </p>
       </div>
       
+      <div className="approximation-controls">
+        <div className="approximation-control">
+          <label htmlFor="deltaPriceShift">Price Shift (Δx)</label>
+          <select
+            id="deltaPriceShift"
+            value={priceShift}
+            onChange={(e) => setPriceShift(parseFloat(e.target.value))}
+          >
+            {PRICE_SHIFTS.map((shift) => (
+              <option key={shift} value={shift}>{shift}</option>
+            ))}
+          </select>
+        </div>
+        <div className="approximation-control">
+          <label htmlFor="differenceScheme">Difference Scheme</label>
+          <select
+            id="differenceScheme"
+            value={scheme}
+            onChange={(e) => setScheme(e.target.value)}
+          >
+            {Object.entries(FINITE_DIFFERENCE_SCHEMES).map(([key, { label }]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+      
       {zoomedView && (
         <div className="zoom-controls">
           <button className="reset-zoom-button" onClick={handleResetZoom}>
@@ -470,29 +544,29 @@ const DeltaApproximationChart = ({ parameters }) => {
           
           <div className="approximation-calculation">
             <div className="calculation-row">
-              <span className="calculation-label">Price at S-Δx:</span>
+              <span className="calculation-label">Price at {getPointLabel(lowerOffset)}:</span>
               <span className="calculation-value">${selectedPoint.minus.y.toFixed(4)}</span>
               <span className="calculation-note">at S = ${selectedPoint.minus.x.toFixed(2)}</span>
             </div>
             <div className="calculation-row">
-              <span className="calculation-label">Price at S+Δx:</span>
+              <span className="calculation-label">Price at {getPointLabel(upperOffset)}:</span>
               <span className="calculation-value">${selectedPoint.plus.y.toFixed(4)}</span>
               <span className="calculation-note">at S = ${selectedPoint.plus.x.toFixed(2)}</span>
             </div>
             <div className="calculation-row">
               <span className="calculation-label">Rise (ΔPrice):</span>
-              <span className="calculation-value">${(selectedPoint.plus.y - selectedPoint.minus.y).toFixed(4)}</span>
+              <span className="calculation-value">${formatSmall(selectedPoint.plus.y - selectedPoint.minus.y)}</span>
               <span className="calculation-note">Change in option price</span>
             </div>
             <div className="calculation-row">
               <span className="calculation-label">Run (ΔUnderlying):</span>
-              <span className="calculation-value">${(selectedPoint.plus.x - selectedPoint.minus.x).toFixed(2)}</span>
+              <span className="calculation-value">${(upperOffset - lowerOffset) * priceShift}</span>
               <span className="calculation-note">Change in underlying price</span>
             </div>
             <div className="calculation-row formula">
               <span className="calculation-label">Approximate Delta:</span>
               <span className="calculation-value">${selectedPoint.approximateDelta.toFixed(4)}</span>
-              <span className="calculation-note">= Rise / Run = ${(selectedPoint.plus.y - selectedPoint.minus.y).toFixed(4)} / ${(selectedPoint.plus.x - selectedPoint.minus.x).toFixed(2)}</span>
+              <span className="calculation-note">= Rise / Run = ${formatSmall(selectedPoint.plus.y - selectedPoint.minus.y)} / ${(upperOffset - lowerOffset) * priceShift}</span>
             </div>
           </div>
           
@@ -521,7 +595,8 @@ const DeltaApproximationChart = ({ parameters }) => {
           <div className="approximation-explanation">
             <p>
               The delta of an option is the rate of change of the option price with respect to the underlying price. 
-              This numerical approximation uses the central difference method to estimate the derivative at this point.
+              This numerical approximation uses the {FINITE_DIFFERENCE_SCHEMES[scheme].label.toLowerCase()} difference
+              method to estimate the derivative at this point.
             </p>
             <p>
               <strong>Practical Use:</strong> In real trading, when analytics systems are unavailable, traders can 
@@ -530,6 +605,161 @@ const DeltaApproximationChart = ({ parameters }) => {
           </div>
         </div>
       )}
+      
+      <div className="bump-error">
+        <h4>Truncation vs. Round-off Error</h4>
+        <p className="chart-description">
+          The error of each scheme against the analytic delta at the current price as the price shift shrinks.
+          For large shifts the error comes from truncating the Taylor series: it falls in proportion to Δx for
+          the one-sided schemes and to Δx² for the central scheme. For tiny shifts the two prices agree in
+          almost every digit, so floating-point round-off, which grows like 1/Δx, takes over.
+        </p>
+        <ResponsiveContainer width="100%" height={350}>
+          <LineChart data={bumpErrorData} margin={{ top: 15, right: 40, left: 20, bottom: 15 }}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis
+              dataKey="bump"
+              type="number"
+              scale="log"
+              domain={['dataMin', 'dataMax']}
+              tickFormatter={(value) => value.toExponential(0)}
+              label={{ value: 'Price Shift (Δx)', position: 'insideBottom', offset: -5 }}
+            />
+            <YAxis
+              scale="log"
+              domain={['auto', 'auto']}
+              tickFormatter={(value) => value.toExponential(0)}
+              label={{ value: 'Delta Error', angle: -90, position: 'insideLeft' }}
+            />
+            <Tooltip
+              formatter={(value, name) => [value.toExponential(2), name]}
+              labelFormatter={(value) => `Δx = ${value.toExponential(1)}`}
+            />
+            <Legend />
+            {Object.entries(FINITE_DIFFERENCE_SCHEMES).map(([key, { label }], index) => (
+              <Line
+                key={key}
+                type="linear"
+                dataKey={key}
+                name={label}
+                stroke={['#ff7300', '#8884d8', '#33cc33'][index]}
+                strokeWidth={key === scheme ? 3 : 1.5}
+                dot={false}
+                isAnimationActive={false}
+              />
+            ))}
+            <ReferenceLine x={priceShift} stroke="#999" strokeDasharray="3 3" label={{ value: 'Selected Δx', position: 'insideTop' }} />
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+      
+      <div className="taylor-expansion">
+        <h4>Taylor Expansion Around the Current Price</h4>
+        <p className="chart-description">
+          Delta and gamma describe the price curve near the current price, theta and vega how it moves as time
+          passes and volatility changes:{' '}
+          <span className="formula">V ≈ V₀ + Δ·dS + ½Γ·dS² + Θ·days + vega·dσ</span>.
+          The Greeks come from the same finite-difference engine as the Numerical Greeks tab. The true
+          curve is repriced after the days and volatility shift below; each extra term keeps the
+          approximation closer for longer.
+        </p>
+        
+        <div className="approximation-controls">
+          <div className="approximation-control">
+            <label htmlFor="taylorDays">Days Forward: {days}</label>
+            <input
+              type="range"
+              id="taylorDays"
+              min="0"
+              max={Math.max(0, Math.min(90, Math.floor(parameters.timeToMaturity * 365)))}
+              step="1"
+              value={days}
+              onChange={(e) => setDays(parseInt(e.target.value, 10))}
+            />
+          </div>
+          <div className="approximation-control">
+            <label htmlFor="taylorVolatilityShift">
+              Volatility Shift: {volatilityShift >= 0 ? '+' : ''}{(volatilityShift * 100).toFixed(0)} pts
+            </label>
+            <input
+              type="range"
+              id="taylorVolatilityShift"
+              min="-0.1"
+              max="0.1"
+              step="0.01"
+              value={volatilityShift}
+              onChange={(e) => setVolatilityShift(parseFloat(e.target.value))}
+            />
+          </div>
+        </div>
+        
+        <ResponsiveContainer width="100%" height={350}>
+          <LineChart data={taylorData} margin={{ top: 15, right: 40, left: 20, bottom: 15 }}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis
+              dataKey="underlyingPrice"
+              type="number"
+              domain={['dataMin', 'dataMax']}
+              tickFormatter={(value) => `$${value.toFixed(0)}`}
+              label={{ value: 'Underlying Price ($)', position: 'insideBottom', offset: -5 }}
+            />
+            <YAxis
+              tickFormatter={(value) => `$${value.toFixed(2)}`}
+              label={{ value: 'Option Price ($)', angle: -90, position: 'insideLeft' }}
+            />
+            <Tooltip formatter={(value, name) => [`$${value.toFixed(4)}`, name]} labelFormatter={labelFormatter} />
+            <Legend />
+            <Line type="monotone" dataKey="optionPrice" name="Option Price" stroke="#8884d8" strokeWidth={2} dot={false} isAnimationActive={false} />
+            {Object.entries(TAYLOR_APPROXIMATIONS).map(([key, { label, color }]) => (
+              <Line
+                key={key}
+                type="monotone"
+                dataKey={key}
+                name={label}
+                stroke={color}
+                strokeDasharray="5 5"
+                dot={false}
+                isAnimationActive={false}
+              />
+            ))}
+            <ReferenceLine x={parameters.underlyingPrice} stroke="blue" strokeDasharray="3 3" />
+          </LineChart>
+        </ResponsiveContainer>
+        
+        <h4>Approximation Error</h4>
+        <ResponsiveContainer width="100%" height={300}>
+          <LineChart data={taylorData} margin={{ top: 15, right: 40, left: 20, bottom: 15 }}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis
+              dataKey="underlyingPrice"
+              type="number"
+              domain={['dataMin', 'dataMax']}
+              tickFormatter={(value) => `$${value.toFixed(0)}`}
+              label={{ value: 'Underlying Price ($)', position: 'insideBottom', offset: -5 }}
+            />
+            <YAxis
+              tickFormatter={(value) => `$${value.toFixed(2)}`}
+              label={{ value: 'Approximation − Price ($)', angle: -90, position: 'insideLeft' }}
+            />
+            <Tooltip formatter={(value, name) => [`$${value.toFixed(4)}`, name]} labelFormatter={labelFormatter} />
+            <Legend />
+            {Object.entries(TAYLOR_APPROXIMATIONS).map(([key, { label, color }]) => (
+              <Line
+                key={key}
+                type="monotone"
+                dataKey={`${key}Error`}
+                name={label}
+                stroke={color}
+                strokeWidth={2}
+                dot={false}
+                isAnimationActive={false}
+              />
+            ))}
+            <ReferenceLine y={0} stroke="#666" />
+            <ReferenceLine x={parameters.underlyingPrice} stroke="blue" strokeDasharray="3 3" />
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
     </div>
   );
 };
@@ -0,0 +1,299 @@
+import React, { useState, useEffect } from 'react';
+import {
+  LineChart, Line, ComposedChart, Bar, XAxis, YAxis, CartesianGrid,
+  Tooltip, Legend, ResponsiveContainer, ReferenceLine
+} from 'recharts';
+import {
+  simulateDeltaHedge,
+  simulateHedgingPnl,
+  generateRebalancingErrorData,
+  generateVolatilityMismatchData
+} from '../utils/DeltaHedging';
+import { generateHistogramData, summarizeDistribution } from '../utils/MonteCarlo';
+import { getModelInputs } from '../utils/PricingModels';
+import './DeltaHedgingSimulator.css';
+
+const REBALANCING_FREQUENCIES = [
+  [4, 'Quarterly'],
+  [12, 'Monthly'],
+  [52, 'Weekly'],
+  [252, 'Daily']
+];
+const PATH_COUNTS = [100, 500, 1000];
+const HISTOGRAM_BINS = 40;
+
+// The frequency and volatility sweeps use fewer paths each, as they run many simulations
+const SWEEP_PATHS = 200;
+const SWEEP_REBALANCES = [4, 12, 26, 52, 126, 252];
+const VOLATILITY_MULTIPLES = [0.5, 0.75, 1, 1.25, 1.5];
+
+// Dynamic replication of a short option with the Black-Scholes delta
+const DeltaHedgingSimulator = ({ parameters }) => {
+  const { S, K, r, T, sigma, q } = getModelInputs(parameters);
+  const { optionType } = parameters;
+
+  const [rebalancesPerYear, setRebalancesPerYear] = useState(52);
+  const [realizedVolatility, setRealizedVolatility] = useState(sigma);
+  const [drift, setDrift] = useState(r);
+  const [paths, setPaths] = useState(500);
+  const [run, setRun] = useState(0);
+  const [simulation, setSimulation] = useState(null);
+
+  const isFx = parameters.model === 'garman-kohlhagen';
+  const formatValue = (value) => (isFx ? value.toFixed(4) : `$${value.toFixed(2)}`);
+  const rebalances = Math.max(1, Math.round(rebalancesPerYear * T));
+
+  // Fresh draws on every change or rerun, so the simulations are kept in state
+  useEffect(() => {
+    if (T <= 0) {
+      setSimulation(null);
+      return;
+    }
+
+    const options = { rebalances, realizedVolatility, drift };
+    const pnl = simulateHedgingPnl(optionType, S, K, r, T, sigma, q, paths, options);
+    const statistics = summarizeDistribution(pnl);
+    const spread = Math.max(...pnl.map(Math.abs)) || 1;
+
+    setSimulation({
+      path: simulateDeltaHedge(optionType, S, K, r, T, sigma, q, options).path,
+      statistics,
+      histogram: generateHistogramData(pnl, HISTOGRAM_BINS, [-spread, spread]),
+      rebalancingError: generateRebalancingErrorData(
+        optionType, S, K, r, T, sigma, q,
+        SWEEP_REBALANCES.map((count) => Math.max(1, Math.round(count * T))),
+        SWEEP_PATHS,
+        { realizedVolatility, drift }
+      ),
+      volatilityMismatch: generateVolatilityMismatchData(
+        optionType, S, K, r, T, sigma, q,
+        VOLATILITY_MULTIPLES.map((multiple) => multiple * sigma),
+        SWEEP_PATHS,
+        { rebalances, drift }
+      )
+    });
+  }, [optionType, S, K, r, T, sigma, q, rebalances, realizedVolatility, drift, paths, run]);
+
+  // 1/√N reference through the most frequent rebalancing point
+  const rebalancingError = simulation
+    ? simulation.rebalancingError.map((point, index, data) => {
+      const finest = data[data.length - 1];
+      return { ...point, scaling: finest.standardDeviation * Math.sqrt(finest.rebalances / point.rebalances) };
+    })
+    : [];
+
+  return (
+    <div className="delta-hedging">
+      <h3>Delta Hedging Simulation</h3>
+      <p className="delta-hedging-description">
+        Sell the {optionType} at its price for the implied volatility of {(sigma * 100).toFixed(1)}%, buy
+        delta units of the underlying with the premium and keep the rest in cash at the risk-free rate.
+        The underlying follows a geometric Brownian motion with the realized volatility and drift below,
+        and the hedge is rebalanced to the new delta at equally spaced times. The P&L at expiry is the
+        hedge portfolio less the option payoff: it shrinks like 1/√N with N rebalances, and its average
+        is positive when realized volatility is below implied and negative when it is above.
+      </p>
+
+      <div className="delta-hedging-controls">
+        <div className="delta-hedging-control">
+          <label htmlFor="hedgeFrequency">Rebalancing</label>
+          <select
+            id="hedgeFrequency"
+            value={rebalancesPerYear}
+            onChange={(e) => setRebalancesPerYear(parseInt(e.target.value))}
+          >
+            {REBALANCING_FREQUENCIES.map(([count, label]) => (
+              <option key={count} value={count}>{label} ({count} a year)</option>
+            ))}
+          </select>
+        </div>
+        <div className="delta-hedging-control">
+          <label htmlFor="realizedVolatility">Realized Volatility: {(realizedVolatility * 100).toFixed(0)}%</label>
+          <input
+            id="realizedVolatility"
+            type="range"
+            min="0.01"
+            max="1"
+            step="0.01"
+            value={realizedVolatility}
+            onChange={(e) => setRealizedVolatility(parseFloat(e.target.value))}
+          />
+          <button className="delta-hedging-link" onClick={() => setRealizedVolatility(sigma)}>
+            Match implied
+          </button>
+        </div>
+        <div className="delta-hedging-control">
+          <label htmlFor="hedgeDrift">Drift (μ): {(drift * 100).toFixed(0)}%</label>
+          <input
+            id="hedgeDrift"
+            type="range"
+            min="-0.5"
+            max="0.5"
+            step="0.01"
+            value={drift}
+            onChange={(e) => setDrift(parseFloat(e.target.value))}
+          />
+        </div>
+        <div className="delta-hedging-control">
+          <label htmlFor="hedgePaths">Paths</label>
+          <select id="hedgePaths" value={paths} onChange={(e) => setPaths(parseInt(e.target.value))}>
+            {PATH_COUNTS.map((count) => (
+              <option key={count} value={count}>{count.toLocaleString()}</option>
+            ))}
+          </select>
+        </div>
+        <button className="delta-hedging-rerun" onClick={() => setRun(run + 1)}>Rerun</button>
+      </div>
+
+      {T <= 0 && <div className="delta-hedging-error">Hedging needs a positive time to maturity</div>}
+
+      {simulation && (
+        <>
+          <div className="delta-hedging-chart">
+            <h4>Hedge Portfolio and Option Value on One Path ({rebalances} rebalances)</h4>
+            <ResponsiveContainer width="100%" height={300}>
+              <LineChart data={simulation.path} margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis
+                  dataKey="time"
+                  type="number"
+                  domain={[0, T]}
+                  tickFormatter={(value) => value.toFixed(2)}
+                  label={{ value: 'Time (years)', position: 'insideBottom', offset: -5 }}
+                />
+                <YAxis
+                  domain={['auto', 'auto']}
+                  tickFormatter={(value) => value.toFixed(isFx ? 4 : 2)}
+                  label={{ value: 'Value', angle: -90, position: 'insideLeft' }}
+                />
+                <Tooltip
+                  formatter={(value, name) => [formatValue(value), name]}
+                  labelFormatter={(value) => `Time: ${value.toFixed(3)} years`}
+                />
+                <Legend />
+                <Line type="linear" dataKey="portfolioValue" name="Hedge portfolio" stroke="#4a90e2" dot={false} />
+                <Line type="linear" dataKey="optionValue" name="Option value" stroke="#e74c3c" dot={false} />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+
+          <div className="delta-hedging-results">
+            <div className="delta-hedging-result">
+              <div className="result-name">Mean P&L</div>
+              <div className="result-value">{formatValue(simulation.statistics.mean)}</div>
+            </div>
+            <div className="delta-hedging-result">
+              <div className="result-name">P&L Standard Deviation</div>
+              <div className="result-value">{formatValue(simulation.statistics.standardDeviation)}</div>
+            </div>
+            {simulation.statistics.percentiles
+              .filter(({ percentile }) => percentile === 5 || percentile === 95)
+              .map(({ percentile, value }) => (
+                <div className="delta-hedging-result" key={percentile}>
+                  <div className="result-name">{percentile}th Percentile</div>
+                  <div className="result-value">{formatValue(value)}</div>
+                </div>
+              ))}
+          </div>
+
+          <div className="delta-hedging-chart">
+            <h4>Hedging P&L at Expiry across {paths.toLocaleString()} Paths</h4>
+            <ResponsiveContainer width="100%" height={300}>
+              <ComposedChart
+                data={simulation.histogram}
+                barCategoryGap={1}
+                margin={{ top: 5, right: 30, left: 20, bottom: 5 }}
+              >
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis
+                  dataKey="x"
+                  type="number"
+                  domain={['dataMin', 'dataMax']}
+                  tickFormatter={(value) => value.toFixed(isFx ? 4 : 2)}
+                  label={{ value: 'P&L', position: 'insideBottom', offset: -5 }}
+                />
+                <YAxis
+                  tickFormatter={(value) => value.toFixed(2)}
+                  label={{ value: 'Density', angle: -90, position: 'insideLeft' }}
+                />
+                <Tooltip
+                  formatter={(value) => [value.toFixed(4), 'Density']}
+                  labelFormatter={(value) => `P&L: ${formatValue(value)}`}
+                />
+                <Bar dataKey="frequency" name="Paths" fill="#4a90e2" fillOpacity={0.6} />
+                <ReferenceLine x={0} stroke="#333" strokeDasharray="3 3" />
+              </ComposedChart>
+            </ResponsiveContainer>
+          </div>
+
+          <div className="delta-hedging-chart">
+            <h4>Hedging Error against Rebalancing Frequency</h4>
+            <ResponsiveContainer width="100%" height={300}>
+              <LineChart data={rebalancingError} margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis
+                  dataKey="rebalances"
+                  type="number"
+                  scale="log"
+                  domain={['dataMin', 'dataMax']}
+                  label={{ value: 'Rebalances', position: 'insideBottom', offset: -5 }}
+                />
+                <YAxis
+                  scale="log"
+                  domain={['auto', 'auto']}
+                  tickFormatter={(value) => value.toFixed(isFx ? 4 : 2)}
+                  label={{ value: 'P&L Std. Dev.', angle: -90, position: 'insideLeft' }}
+                />
+                <Tooltip
+                  formatter={(value, name) => [formatValue(value), name]}
+                  labelFormatter={(value) => `${value} rebalances`}
+                />
+                <Legend />
+                <Line type="linear" dataKey="standardDeviation" name="Simulated" stroke="#4a90e2" strokeWidth={2} />
+                <Line type="linear" dataKey="scaling" name="1/√N scaling" stroke="#999" strokeDasharray="5 5" dot={false} />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+
+          <div className="delta-hedging-chart">
+            <h4>P&L against Realized Volatility ({rebalances} rebalances)</h4>
+            <ResponsiveContainer width="100%" height={300}>
+              <LineChart data={simulation.volatilityMismatch} margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis
+                  dataKey="realizedVolatility"
+                  type="number"
+                  domain={['dataMin', 'dataMax']}
+                  tickFormatter={(value) => `${(value * 100).toFixed(0)}%`}
+                  label={{ value: 'Realized Volatility', position: 'insideBottom', offset: -5 }}
+                />
+                <YAxis
+                  domain={['auto', 'auto']}
+                  tickFormatter={(value) => value.toFixed(isFx ? 4 : 2)}
+                  label={{ value: 'P&L', angle: -90, position: 'insideLeft' }}
+                />
+                <Tooltip
+                  formatter={(value, name) => [formatValue(value), name]}
+                  labelFormatter={(value) => `Realized volatility: ${(value * 100).toFixed(1)}%`}
+                />
+                <Legend />
+                <ReferenceLine
+                  x={sigma}
+                  stroke="#999"
+                  strokeDasharray="3 3"
+                  label={{ value: 'Implied', position: 'top' }}
+                />
+                <ReferenceLine y={0} stroke="#333" />
+                <Line type="linear" dataKey="mean" name="Mean P&L" stroke="#4a90e2" strokeWidth={2} />
+                <Line type="linear" dataKey="lower" name="−1 std. dev." stroke="#f39c12" strokeDasharray="5 5" dot={false} />
+                <Line type="linear" dataKey="upper" name="+1 std. dev." stroke="#f39c12" strokeDasharray="5 5" dot={false} />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default DeltaHedgingSimulator;
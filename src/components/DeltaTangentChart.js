@@ -3,7 +3,7 @@ import {
   LineChart, Line, XAxis, YAxis, CartesianGrid, 
   Legend, ResponsiveContainer, ReferenceLine
 } from 'recharts';
-import { calculateGreeks, calculateOptionPrice } from '../utils/BlackScholes';
+import { getModelInputs, getSweepEvaluator } from '../utils/PricingModels';
 import './DeltaTangentChart.css';
 
 const DeltaTangentChart = ({ priceChartData, parameters }) => {
@@ -16,38 +16,25 @@ const DeltaTangentChart = ({ priceChartData, parameters }) => {
   useEffect(() => {
     if (!parameters) return;
     
-    const { optionType, strikePrice, riskFreeRate, timeToMaturity, volatility } = parameters;
+    const { optionType, underlyingPrice, strikePrice } = parameters;
+    const { S, r, T, sigma, q } = getModelInputs(parameters);
+    // Price with the selected model, setting any cash dividends aside at each point
+    const evaluate = getSweepEvaluator(parameters);
     
-    // Generate price points
+    // Generate price points, above the dividends set aside so the escrowed spot stays positive
     const range = strikePrice * 0.8;
-    const minPrice = Math.max(1, strikePrice - range);
+    const minPrice = Math.max(1 + underlyingPrice - S, strikePrice - range);
     const maxPrice = strikePrice + range;
     const step = (maxPrice - minPrice) / 50;
     
     const data = [];
     for (let price = minPrice; price <= maxPrice; price += step) {
-      const optionPrice = calculateOptionPrice(
-        optionType, 
-        price, 
-        strikePrice, 
-        riskFreeRate, 
-        timeToMaturity, 
-        volatility
-      );
-      
-      const greeks = calculateGreeks(
-        optionType, 
-        price, 
-        strikePrice, 
-        riskFreeRate, 
-        timeToMaturity, 
-        volatility
-      );
+      const { price: optionPrice, delta } = evaluate(optionType, { S: price, K: strikePrice, r, T, sigma, q });
       
       data.push({
         underlyingPrice: price,
         optionPrice: optionPrice,
-        delta: greeks.delta
+        delta: delta
       });
     }
     
@@ -0,0 +1,105 @@
+import React from 'react';
+import { calculateDividendPresentValue } from '../utils/BlackScholes';
+import { addDays, calculateYearFraction, parseDateTime } from '../utils/DayCount';
+import './DividendSchedule.css';
+
+const DividendSchedule = ({ dividends, valuationDate, expiryDate, riskFreeRate, timeToMaturity, onDividendsChange }) => {
+  // Rows keep the amount as typed so it can be cleared and retyped; App parses it
+  // for pricing, and rows without a valid amount or date are left out
+  const handleRowChange = (index, field, value) => {
+    const updated = dividends.map((dividend, i) => (
+      i === index ? { ...dividend, [field]: value } : dividend
+    ));
+    onDividendsChange(updated);
+  };
+
+  const handleAddRow = () => {
+    // Default the new ex-date halfway in calendar days between the last one and expiry
+    const last = dividends[dividends.length - 1];
+    const start = last && last.time > 0 && last.time < timeToMaturity ? last.exDate : valuationDate;
+    const days = Math.round(calculateYearFraction(parseDateTime(start), parseDateTime(expiryDate)) * 365 / 2);
+    onDividendsChange([...dividends, { exDate: addDays(start, days), amountInput: '1' }]);
+  };
+
+  const handleRemoveRow = (index) => {
+    onDividendsChange(dividends.filter((_, i) => i !== index));
+  };
+
+  const presentValue = calculateDividendPresentValue(dividends, riskFreeRate, timeToMaturity);
+
+  return (
+    <div className="dividend-schedule">
+      <h2>Cash Dividends</h2>
+      
+      {dividends.length === 0 ? (
+        <p className="dividend-empty">No discrete dividends before expiry.</p>
+      ) : (
+        <table className="dividend-table">
+          <thead>
+            <tr>
+              <th>Ex-Date</th>
+              <th>Amount ($)</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {dividends.map((dividend, index) => {
+              const ignored = !(dividend.time > 0 && dividend.time <= timeToMaturity && dividend.amount > 0);
+              return (
+                <tr key={index} className={ignored ? 'ignored' : ''}>
+                  <td>
+                    <input 
+                      type="date" 
+                      aria-label={`Dividend ${index + 1} ex-date`}
+                      value={dividend.exDate} 
+                      onChange={(e) => handleRowChange(index, 'exDate', e.target.value)}
+                      min={valuationDate}
+                    />
+                  </td>
+                  <td>
+                    <input 
+                      type="number" 
+                      aria-label={`Dividend ${index + 1} amount`}
+                      value={dividend.amountInput} 
+                      onChange={(e) => handleRowChange(index, 'amountInput', e.target.value)}
+                      step="0.01"
+                      min="0"
+                    />
+                  </td>
+                  <td>
+                    <button 
+                      className="remove-dividend" 
+                      onClick={() => handleRemoveRow(index)}
+                      title="Remove dividend"
+                    >
+                      ×
+                    </button>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+      
+      <button className="add-dividend" onClick={handleAddRow}>
+        + Add Dividend
+      </button>
+      
+      {dividends.length > 0 && (
+        <div className="dividend-summary">
+          <p>
+            PV of dividends before expiry: <strong>${presentValue.toFixed(4)}</strong>
+          </p>
+          <p className="dividend-note">
+            Priced with the escrowed-dividend model: S* = S - PV(dividends). 
+            Ex-dates are counted from the valuation date, {valuationDate}, with the maturity's
+            day count; rows after expiry or without a valid amount are ignored.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DividendSchedule;
@@ -0,0 +1,218 @@
+import React, { useState, useEffect } from 'react';
+import { calculateOptionPrice } from '../utils/BlackScholes';
+import {
+  EXOTIC_OPTIONS,
+  BARRIER_TYPES,
+  isBarrierBreached,
+  calculateExoticPrice,
+  calculateExoticMonteCarloPrice
+} from '../utils/Exotics';
+import { getModelInputs } from '../utils/PricingModels';
+import './ExoticPricer.css';
+
+const PATH_COUNTS = [1000, 10000, 50000, 100000];
+const FIXING_COUNTS = [4, 12, 52, 252];
+
+// Time steps per year of a barrier path; the Brownian bridge covers crossings between steps
+const BARRIER_STEPS_PER_YEAR = 50;
+
+// Asian, barrier and lookback options on the current inputs plus their own contract terms
+const ExoticPricer = ({ parameters, contract, onContractChange }) => {
+  const [paths, setPaths] = useState(10000);
+  const [controlVariate, setControlVariate] = useState(true);
+  const [run, setRun] = useState(0);
+  const [result, setResult] = useState(null);
+
+  const { S, K, r, T, sigma, q } = getModelInputs(parameters);
+  const { optionType } = parameters;
+  const isFx = parameters.model === 'garman-kohlhagen';
+  const formatValue = (value) => (isFx ? value.toFixed(4) : `$${value.toFixed(4)}`);
+
+  const updateContract = (changes) => onContractChange({ ...contract, ...changes });
+
+  const isArithmeticAsian = contract.exotic === 'asian' && contract.averaging === 'arithmetic';
+  const isFloatingLookback = contract.exotic === 'lookback' && contract.strikeType === 'floating';
+  const barrierBreached = contract.exotic === 'barrier' && isBarrierBreached(contract.barrierType, S, contract.barrier);
+
+  const closedFormPrice = T > 0 ? calculateExoticPrice(optionType, contract, S, K, r, T, sigma, q) : null;
+  const europeanPrice = calculateOptionPrice(optionType, S, K, r, T, sigma, q);
+
+  // Fresh draws on every change or rerun, so the result is kept in state
+  useEffect(() => {
+    setResult(T > 0 && contract.barrier > 0
+      ? calculateExoticMonteCarloPrice(optionType, contract, S, K, r, T, sigma, q, {
+        paths,
+        steps: Math.max(1, Math.ceil(T * BARRIER_STEPS_PER_YEAR)),
+        controlVariate
+      })
+      : null);
+  }, [optionType, contract, S, K, r, T, sigma, q, paths, controlVariate, run]);
+
+  const errorInStandardErrors = closedFormPrice !== null && result && result.standardError > 0
+    ? (result.price - closedFormPrice) / result.standardError
+    : 0;
+
+  return (
+    <div className="exotic-pricer">
+      <h3>Exotic Options</h3>
+      <p className="exotic-description">
+        {EXOTIC_OPTIONS[contract.exotic].description}. The underlying, strike, rates, maturity,
+        volatility and option type come from the inputs, and paths follow the risk-neutral geometric
+        Brownian motion. Geometric Asians and barriers have closed forms; every contract is also
+        priced by Monte Carlo.
+        {parameters.exerciseStyle === 'american' && ' Exotics are priced with European exercise.'}
+      </p>
+
+      <div className="exotic-controls">
+        <div className="exotic-control">
+          <label htmlFor="exoticType">Contract</label>
+          <select id="exoticType" value={contract.exotic} onChange={(e) => updateContract({ exotic: e.target.value })}>
+            {Object.entries(EXOTIC_OPTIONS).map(([key, { label }]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </div>
+
+        {contract.exotic === 'asian' && (
+          <div className="exotic-control">
+            <label htmlFor="asianAveraging">Average</label>
+            <select
+              id="asianAveraging"
+              value={contract.averaging}
+              onChange={(e) => updateContract({ averaging: e.target.value })}
+            >
+              <option value="arithmetic">Arithmetic</option>
+              <option value="geometric">Geometric</option>
+            </select>
+          </div>
+        )}
+
+        {contract.exotic === 'lookback' && (
+          <div className="exotic-control">
+            <label htmlFor="lookbackStrike">Strike</label>
+            <select
+              id="lookbackStrike"
+              value={contract.strikeType}
+              onChange={(e) => updateContract({ strikeType: e.target.value })}
+            >
+              <option value="floating">Floating (best price over the life)</option>
+              <option value="fixed">Fixed (the input strike)</option>
+            </select>
+          </div>
+        )}
+
+        {contract.exotic !== 'barrier' && (
+          <div className="exotic-control">
+            <label htmlFor="exoticFixings">Fixings</label>
+            <select
+              id="exoticFixings"
+              value={contract.fixings}
+              onChange={(e) => updateContract({ fixings: parseInt(e.target.value) })}
+            >
+              {FIXING_COUNTS.map((count) => (
+                <option key={count} value={count}>{count} equally spaced</option>
+              ))}
+            </select>
+          </div>
+        )}
+
+        {contract.exotic === 'barrier' && (
+          <>
+            <div className="exotic-control">
+              <label htmlFor="barrierType">Barrier Type</label>
+              <select
+                id="barrierType"
+                value={contract.barrierType}
+                onChange={(e) => updateContract({ barrierType: e.target.value })}
+              >
+                {Object.entries(BARRIER_TYPES).map(([key, { label }]) => (
+                  <option key={key} value={key}>{label}</option>
+                ))}
+              </select>
+            </div>
+            <div className="exotic-control">
+              <label htmlFor="barrierLevel">Barrier Level</label>
+              <input
+                id="barrierLevel"
+                type="number"
+                min="0"
+                step="1"
+                value={contract.barrier}
+                onChange={(e) => updateContract({ barrier: parseFloat(e.target.value) || 0 })}
+              />
+            </div>
+          </>
+        )}
+
+        <div className="exotic-control">
+          <label htmlFor="exoticPaths">Paths</label>
+          <select id="exoticPaths" value={paths} onChange={(e) => setPaths(parseInt(e.target.value))}>
+            {PATH_COUNTS.map((count) => (
+              <option key={count} value={count}>{count.toLocaleString()}</option>
+            ))}
+          </select>
+        </div>
+        {isArithmeticAsian && (
+          <label className="exotic-option">
+            <input type="checkbox" checked={controlVariate} onChange={(e) => setControlVariate(e.target.checked)} />
+            Geometric Asian control variate
+          </label>
+        )}
+        <button className="exotic-rerun" onClick={() => setRun(run + 1)}>Rerun</button>
+      </div>
+
+      {T <= 0 && <div className="exotic-error">Exotic pricing needs a positive time to maturity</div>}
+      {contract.exotic === 'barrier' && contract.barrier <= 0 && (
+        <div className="exotic-error">The barrier level must be positive</div>
+      )}
+      {barrierBreached && contract.barrier > 0 && (
+        <div className="exotic-note">
+          The underlying is already through the barrier, so the option has
+          {BARRIER_TYPES[contract.barrierType].knockIn ? ' knocked in and is a European option' : ' knocked out'}.
+        </div>
+      )}
+      {isFloatingLookback && (
+        <div className="exotic-note">A floating-strike lookback ignores the input strike.</div>
+      )}
+
+      {result && (
+        <div className="exotic-results">
+          <div className="exotic-result">
+            <div className="result-name">Monte Carlo Estimate</div>
+            <div className="result-value">{formatValue(result.price)}</div>
+          </div>
+          <div className="exotic-result">
+            <div className="result-name">Standard Error</div>
+            <div className="result-value">{result.standardError.toFixed(4)}</div>
+          </div>
+          <div className="exotic-result">
+            <div className="result-name">95% Confidence Interval</div>
+            <div className="result-value">
+              {formatValue(result.confidenceInterval[0])} – {formatValue(result.confidenceInterval[1])}
+            </div>
+          </div>
+          {closedFormPrice !== null && (
+            <>
+              <div className="exotic-result">
+                <div className="result-name">Closed-Form Price</div>
+                <div className="result-value">{formatValue(closedFormPrice)}</div>
+              </div>
+              <div className="exotic-result">
+                <div className="result-name">Difference</div>
+                <div className="result-value">
+                  {formatValue(result.price - closedFormPrice)} ({errorInStandardErrors.toFixed(2)} SE)
+                </div>
+              </div>
+            </>
+          )}
+          <div className="exotic-result">
+            <div className="result-name">European {optionType === 'call' ? 'Call' : 'Put'}</div>
+            <div className="result-value">{formatValue(europeanPrice)}</div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExoticPricer;
@@ -0,0 +1,163 @@
+import React, { useState } from 'react';
+import {
+  LineChart, Line, XAxis, YAxis, CartesianGrid,
+  Tooltip, Legend, ResponsiveContainer, ReferenceLine
+} from 'recharts';
+import { generateRange, generateSweepData } from '../utils/BlackScholes';
+import { CHART_OUTPUTS, getModelInputs, getSweepEvaluator } from '../utils/PricingModels';
+import './GreekExplorer.css';
+
+// Inputs that can be swept, with their chart range and series family
+const EXPLORER_INPUTS = {
+  S: {
+    label: 'Underlying Price',
+    format: (value) => `$${value.toFixed(2)}`,
+    range: ({ K }) => [K * 0.2, K * 1.8],
+    series: ({ K }) => [0.8, 0.9, 1, 1.1, 1.2].map((factor) => K * factor)
+  },
+  K: {
+    label: 'Strike Price',
+    format: (value) => `$${value.toFixed(2)}`,
+    range: ({ S }) => [S * 0.2, S * 1.8],
+    series: ({ S }) => [0.8, 0.9, 1, 1.1, 1.2].map((factor) => S * factor)
+  },
+  T: {
+    label: 'Time to Maturity',
+    format: (value) => `${value.toFixed(2)} years`,
+    range: ({ T }) => [0.01, Math.max(2, 2 * T)],
+    series: () => [0.1, 0.25, 0.5, 1, 2]
+  },
+  sigma: {
+    label: 'Volatility',
+    format: (value) => `${(value * 100).toFixed(0)}%`,
+    range: () => [0.05, 1],
+    series: () => [0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9]
+  },
+  r: {
+    label: 'Interest Rate',
+    format: (value) => `${(value * 100).toFixed(1)}%`,
+    range: () => [0, 0.15],
+    series: () => [0, 0.025, 0.05, 0.075, 0.1]
+  }
+};
+
+const CHART_POINTS = 60;
+
+const GreekExplorer = ({ parameters }) => {
+  const [output, setOutput] = useState('delta');
+  const [xInput, setXInput] = useState('S');
+  const [seriesInput, setSeriesInput] = useState('sigma');
+
+  // Sweep around the quoted underlying; the model evaluator handles dividends
+  const { r, T, sigma, q } = getModelInputs(parameters);
+  const inputs = { S: parameters.underlyingPrice, K: parameters.strikePrice, r, T, sigma, q };
+
+  const handleXInputChange = (e) => {
+    const value = e.target.value;
+    setXInput(value);
+    // The series family must be a different input from the x-axis
+    if (value === seriesInput) {
+      setSeriesInput(Object.keys(EXPLORER_INPUTS).find((key) => key !== value));
+    }
+  };
+
+  const [min, max] = EXPLORER_INPUTS[xInput].range(inputs);
+  const series = generateSweepData(
+    parameters.optionType,
+    inputs,
+    output,
+    xInput,
+    generateRange(min, max, CHART_POINTS),
+    seriesInput,
+    EXPLORER_INPUTS[seriesInput].series(inputs),
+    getSweepEvaluator(parameters)
+  );
+
+  const outputLabel = CHART_OUTPUTS.find(([key]) => key === output)[1];
+  const xConfig = EXPLORER_INPUTS[xInput];
+  const seriesConfig = EXPLORER_INPUTS[seriesInput];
+
+  // Color gradient from blue to red across the series
+  const getLineColor = (index, total) => {
+    const hue = total > 1 ? 240 - (index / (total - 1)) * 240 : 240;
+    return `hsl(${hue}, 80%, 50%)`;
+  };
+
+  return (
+    <div className="greek-explorer">
+      <div className="explorer-controls">
+        <div className="explorer-control">
+          <label htmlFor="explorerOutput">Y-Axis</label>
+          <select id="explorerOutput" value={output} onChange={(e) => setOutput(e.target.value)}>
+            {CHART_OUTPUTS.map(([key, label]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="explorer-control">
+          <label htmlFor="explorerX">X-Axis</label>
+          <select id="explorerX" value={xInput} onChange={handleXInputChange}>
+            {Object.entries(EXPLORER_INPUTS).map(([key, config]) => (
+              <option key={key} value={key}>{config.label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="explorer-control">
+          <label htmlFor="explorerSeries">Series</label>
+          <select id="explorerSeries" value={seriesInput} onChange={(e) => setSeriesInput(e.target.value)}>
+            {Object.entries(EXPLORER_INPUTS)
+              .filter(([key]) => key !== xInput)
+              .map(([key, config]) => (
+                <option key={key} value={key}>{config.label}</option>
+              ))}
+          </select>
+        </div>
+      </div>
+
+      <h3>{outputLabel} vs. {xConfig.label} for Different {seriesConfig.label} Levels</h3>
+      {parameters.exerciseStyle === 'american' && (
+        <p className="chart-description">Curves use the closed-form European formulas of the selected model.</p>
+      )}
+      <div className="chart-container">
+        <ResponsiveContainer width="100%" height={400}>
+          <LineChart margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis
+              dataKey="x"
+              type="number"
+              domain={['dataMin', 'dataMax']}
+              tickFormatter={xConfig.format}
+              label={{ value: xConfig.label, position: 'insideBottom', offset: -5 }}
+            />
+            <YAxis
+              domain={['auto', 'auto']}
+              tickFormatter={(value) => value.toFixed(output === 'price' ? 2 : 4)}
+              label={{ value: outputLabel, angle: -90, position: 'insideLeft' }}
+            />
+            <Tooltip
+              formatter={(value, name) => [value.toFixed(6), name]}
+              labelFormatter={(value) => `${xConfig.label}: ${xConfig.format(value)}`}
+            />
+            <Legend />
+            <ReferenceLine x={inputs[xInput]} stroke="#999" strokeDasharray="3 3" />
+
+            {series.map(({ value, data }, index) => (
+              <Line
+                key={`${seriesInput}-${value}`}
+                data={data}
+                type="monotone"
+                dataKey="y"
+                name={`${seriesConfig.label}: ${seriesConfig.format(value)}`}
+                stroke={getLineColor(index, series.length)}
+                dot={false}
+                activeDot={{ r: 6 }}
+              />
+            ))}
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  );
+};
+
+export default GreekExplorer;
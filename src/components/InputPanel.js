@@ -1,13 +1,31 @@
 import React from 'react';
+import { PRICING_MODELS, FX_PREMIUM_CONVENTIONS, AMERICAN_ENGINES } from '../utils/PricingModels';
+import { SMILE_MODELS } from '../utils/VolatilityFitting';
+import {
+  DAY_COUNT_CONVENTIONS,
+  HOLIDAY_CALENDARS,
+  THETA_BASES,
+  calculateDateMaturity
+} from '../utils/DayCount';
 import './InputPanel.css';
 
-const InputPanel = ({ parameters, onParameterChange }) => {
+// Inputs entered as percentages but stored in decimal form
+const PERCENT_INPUTS = ['volatility', 'riskFreeRate', 'foreignRate', 'dividendYield'];
+
+const InputPanel = ({ 
+  parameters, 
+  onParameterChange, 
+  onVolatilityInputChange, 
+  impliedVolatility, 
+  volatilityError,
+  pricingError
+}) => {
   const handleChange = (e) => {
     const { name, value } = e.target;
     let parsedValue = parseFloat(value);
     
     // Convert percentage inputs to decimal form for calculations
-    if (['volatility', 'riskFreeRate'].includes(name)) {
+    if (PERCENT_INPUTS.includes(name)) {
       parsedValue = parsedValue / 100;
     }
     
@@ -18,9 +36,19 @@ const InputPanel = ({ parameters, onParameterChange }) => {
     onParameterChange('optionType', e.target.value);
   };
 
+  const handleModelChange = (e) => {
+    onParameterChange('model', e.target.value);
+  };
+
+  const selectedModel = PRICING_MODELS[parameters.model];
+  const isFx = parameters.model === 'garman-kohlhagen';
+  const isAmerican = parameters.exerciseStyle === 'american';
+  const isDated = parameters.maturityInput === 'dates';
+  const dateMaturity = isDated ? calculateDateMaturity(parameters) : null;
+
   // Convert decimal values to percentage for display
   const displayValue = (name, value) => {
-    if (['volatility', 'riskFreeRate'].includes(name)) {
+    if (PERCENT_INPUTS.includes(name)) {
       return (value * 100).toFixed(2);
     }
     return value;
@@ -28,7 +56,25 @@ const InputPanel = ({ parameters, onParameterChange }) => {
 
   return (
     <div className="input-panel">
-      <h2>European Option Parameters</h2>
+      <h2>{isAmerican ? 'American' : 'European'} Option Parameters</h2>
+      {pricingError && (
+        <div className="input-error">Pricing failed: {pricingError}. Showing the last valid results.</div>
+      )}
+      
+      <div className="input-group">
+        <label htmlFor="model">Pricing Model</label>
+        <select 
+          id="model" 
+          name="model" 
+          value={parameters.model}
+          onChange={handleModelChange}
+        >
+          {Object.entries(PRICING_MODELS).map(([key, model]) => (
+            <option key={key} value={key}>{model.label}</option>
+          ))}
+        </select>
+        <div className="input-note">{selectedModel.description}</div>
+      </div>
       
       <div className="input-group">
         <label htmlFor="optionType">Option Type</label>
@@ -44,7 +90,37 @@ const InputPanel = ({ parameters, onParameterChange }) => {
       </div>
       
       <div className="input-group">
-        <label htmlFor="underlyingPrice">Underlying Price ($)</label>
+        <label htmlFor="exerciseStyle">Exercise Style</label>
+        <select 
+          id="exerciseStyle" 
+          name="exerciseStyle" 
+          value={parameters.exerciseStyle}
+          onChange={(e) => onParameterChange('exerciseStyle', e.target.value)}
+        >
+          <option value="european">European</option>
+          <option value="american">American</option>
+        </select>
+      </div>
+      
+      {isAmerican && (
+        <div className="input-group">
+          <label htmlFor="americanEngine">Numerical Method</label>
+          <select 
+            id="americanEngine" 
+            name="americanEngine" 
+            value={parameters.americanEngine}
+            onChange={(e) => onParameterChange('americanEngine', e.target.value)}
+          >
+            {Object.entries(AMERICAN_ENGINES).map(([key, engine]) => (
+              <option key={key} value={key}>{engine.label}</option>
+            ))}
+          </select>
+          <div className="input-note">Early exercise has no closed form, so the price is computed numerically</div>
+        </div>
+      )}
+      
+      <div className="input-group">
+        <label htmlFor="underlyingPrice">{selectedModel.underlyingLabel} ($)</label>
         <input 
           type="number" 
           id="underlyingPrice" 
@@ -70,35 +146,209 @@ const InputPanel = ({ parameters, onParameterChange }) => {
       </div>
       
       <div className="input-group">
-        <label htmlFor="timeToMaturity">Time to Maturity (years)</label>
-        <input 
-          type="number" 
-          id="timeToMaturity" 
-          name="timeToMaturity" 
-          value={parameters.timeToMaturity} 
-          onChange={handleChange}
-          step="0.01"
-          min="0.01"
-          max="10"
-        />
+        <label htmlFor="maturityInput">Maturity Input</label>
+        <select 
+          id="maturityInput" 
+          name="maturityInput" 
+          value={parameters.maturityInput}
+          onChange={(e) => onParameterChange('maturityInput', e.target.value)}
+        >
+          <option value="years">Enter time to maturity (years)</option>
+          <option value="dates">Enter valuation and expiry dates</option>
+        </select>
       </div>
       
+      {isDated ? (
+        <>
+          <div className="input-group">
+            <label htmlFor="maturityValuationDate">Valuation Date</label>
+            <div className="input-row">
+              <input 
+                type="date" 
+                id="maturityValuationDate" 
+                name="valuationDate" 
+                value={parameters.valuationDate} 
+                onChange={(e) => onParameterChange('valuationDate', e.target.value)}
+              />
+              <input 
+                type="time" 
+                id="maturityValuationTime" 
+                name="valuationTime" 
+                aria-label="Valuation time"
+                value={parameters.valuationTime} 
+                onChange={(e) => onParameterChange('valuationTime', e.target.value)}
+              />
+            </div>
+          </div>
+          
+          <div className="input-group">
+            <label htmlFor="maturityExpiryDate">Expiry Date</label>
+            <div className="input-row">
+              <input 
+                type="date" 
+                id="maturityExpiryDate" 
+                name="expiryDate" 
+                value={parameters.expiryDate} 
+                onChange={(e) => onParameterChange('expiryDate', e.target.value)}
+              />
+              <input 
+                type="time" 
+                id="maturityExpiryTime" 
+                name="expiryTime" 
+                aria-label="Expiry time"
+                value={parameters.expiryTime} 
+                onChange={(e) => onParameterChange('expiryTime', e.target.value)}
+              />
+            </div>
+          </div>
+          
+          <div className="input-group">
+            <label htmlFor="dayCount">Day Count</label>
+            <select 
+              id="dayCount" 
+              name="dayCount" 
+              value={parameters.dayCount}
+              onChange={(e) => onParameterChange('dayCount', e.target.value)}
+            >
+              {Object.entries(DAY_COUNT_CONVENTIONS).map(([key, convention]) => (
+                <option key={key} value={key}>{convention.label}</option>
+              ))}
+            </select>
+            {dateMaturity > 0 ? (
+              <div className="input-note">
+                {DAY_COUNT_CONVENTIONS[parameters.dayCount].description}: T = {dateMaturity.toFixed(4)} years
+              </div>
+            ) : (
+              <div className="input-error">Expiry must be after the valuation date and time</div>
+            )}
+          </div>
+          
+          {DAY_COUNT_CONVENTIONS[parameters.dayCount].businessDays && (
+            <div className="input-group">
+              <label htmlFor="holidayCalendar">Holiday Calendar</label>
+              <select 
+                id="holidayCalendar" 
+                name="holidayCalendar" 
+                value={parameters.holidayCalendar}
+                onChange={(e) => onParameterChange('holidayCalendar', e.target.value)}
+              >
+                {Object.entries(HOLIDAY_CALENDARS).map(([key, calendar]) => (
+                  <option key={key} value={key}>{calendar.label}</option>
+                ))}
+              </select>
+            </div>
+          )}
+        </>
+      ) : (
+        <div className="input-group">
+          <label htmlFor="timeToMaturity">Time to Maturity (years)</label>
+          <input 
+            type="number" 
+            id="timeToMaturity" 
+            name="timeToMaturity" 
+            value={parameters.timeToMaturity} 
+            onChange={handleChange}
+            step="0.01"
+            min="0.01"
+            max="10"
+          />
+        </div>
+      )}
+      
       <div className="input-group">
-        <label htmlFor="volatility">Volatility (%)</label>
-        <input 
-          type="number" 
-          id="volatility" 
-          name="volatility" 
-          value={displayValue('volatility', parameters.volatility)} 
-          onChange={handleChange}
-          step="0.1"
-          min="1"
-          max="200"
-        />
+        <label htmlFor="thetaBasis">Theta</label>
+        <select 
+          id="thetaBasis" 
+          name="thetaBasis" 
+          value={parameters.thetaBasis}
+          onChange={(e) => onParameterChange('thetaBasis', e.target.value)}
+        >
+          {Object.entries(THETA_BASES).map(([key, basis]) => (
+            <option key={key} value={key}>{basis.label}</option>
+          ))}
+        </select>
+      </div>
+      
+      <div className="input-group">
+        <label htmlFor="volatilityInput">Volatility Input</label>
+        <select 
+          id="volatilityInput" 
+          name="volatilityInput" 
+          value={parameters.volatilityInput}
+          onChange={(e) => onVolatilityInputChange(e.target.value)}
+        >
+          <option value="volatility">Enter volatility</option>
+          <option value="premium">Enter market premium (solve for σ)</option>
+          {parameters.volatilitySurface && (
+            <option value="surface">Fitted volatility surface (σ at K, T)</option>
+          )}
+        </select>
       </div>
       
+      {parameters.volatilityInput === 'premium' ? (
+        <div className="input-group">
+          <label htmlFor="marketPremium">
+            {isFx ? 'Market Premium' : 'Market Premium ($)'}
+          </label>
+          {isFx && (
+            <select 
+              id="premiumConvention" 
+              name="premiumConvention" 
+              aria-label="Premium quoting convention"
+              className="input-inline-select"
+              value={parameters.premiumConvention}
+              onChange={(e) => onParameterChange('premiumConvention', e.target.value)}
+            >
+              {Object.entries(FX_PREMIUM_CONVENTIONS).map(([key, convention]) => (
+                <option key={key} value={key}>
+                  {convention.label}: {convention.description}
+                </option>
+              ))}
+            </select>
+          )}
+          <input 
+            type="number" 
+            id="marketPremium" 
+            name="marketPremium" 
+            value={parameters.marketPremium} 
+            onChange={handleChange}
+            step="0.01"
+            min="0"
+          />
+          {volatilityError ? (
+            <div className="input-error">{volatilityError}</div>
+          ) : (
+            <div className="input-note">
+              Implied Volatility: {(impliedVolatility * 100).toFixed(2)}%
+            </div>
+          )}
+        </div>
+      ) : parameters.volatilityInput === 'surface' ? (
+        <div className="input-group">
+          <div className="input-note">
+            Surface Volatility: {(impliedVolatility * 100).toFixed(2)}%
+            ({SMILE_MODELS[parameters.volatilitySurface.model].label} fit
+            of {parameters.volatilitySurface.slices.length} {parameters.volatilitySurface.slices.length === 1 ? 'expiry' : 'expiries'})
+          </div>
+        </div>
+      ) : (
+        <div className="input-group">
+          <label htmlFor="volatility">Volatility (%)</label>
+          <input 
+            type="number" 
+            id="volatility" 
+            name="volatility" 
+            value={displayValue('volatility', parameters.volatility)} 
+            onChange={handleChange}
+            step="0.1"
+            min="1"
+            max="200"
+          />
+        </div>
+      )}
+      
       <div className="input-group">
-        <label htmlFor="riskFreeRate">Risk-Free Rate (%)</label>
+        <label htmlFor="riskFreeRate">{isFx ? 'Domestic Rate (%)' : 'Risk-Free Rate (%)'}</label>
         <input 
           type="number" 
           id="riskFreeRate" 
@@ -110,6 +360,38 @@ const InputPanel = ({ parameters, onParameterChange }) => {
           max="20"
         />
       </div>
+      
+      {isFx && (
+        <div className="input-group">
+          <label htmlFor="foreignRate">Foreign Rate (%)</label>
+          <input 
+            type="number" 
+            id="foreignRate" 
+            name="foreignRate" 
+            value={displayValue('foreignRate', parameters.foreignRate)} 
+            onChange={handleChange}
+            step="0.01"
+            min="-5"
+            max="20"
+          />
+        </div>
+      )}
+      
+      {parameters.model === 'black-scholes' && (
+        <div className="input-group">
+          <label htmlFor="dividendYield">Dividend Yield (%)</label>
+          <input 
+            type="number" 
+            id="dividendYield" 
+            name="dividendYield" 
+            value={displayValue('dividendYield', parameters.dividendYield)} 
+            onChange={handleChange}
+            step="0.01"
+            min="0"
+            max="20"
+          />
+        </div>
+      )}
     </div>
   );
 };
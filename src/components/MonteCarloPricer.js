@@ -0,0 +1,186 @@
+import React, { useState, useEffect } from 'react';
+import {
+  LineChart, Line, XAxis, YAxis, CartesianGrid,
+  Tooltip, Legend, ResponsiveContainer, ReferenceLine
+} from 'recharts';
+import { calculateMonteCarloPrice } from '../utils/MonteCarlo';
+import { getModelInputs } from '../utils/PricingModels';
+import {
+  STOCHASTIC_PROCESSES,
+  createTerminalSampler,
+  getRiskNeutralParameters,
+  calculateProcessOptionPrice
+} from '../utils/StochasticProcesses';
+import './MonteCarloPricer.css';
+
+const PATH_COUNTS = [1000, 10000, 50000, 100000];
+
+// Time steps per year for processes without an exact one-step solution
+const STEPS_PER_YEAR = 52;
+
+// Risk-neutral parameters of the selected process; GBM and Merton diffuse with the input volatility
+const getPricingParameters = (process, S, r, T, sigma, q) => {
+  const params = process.parameters[process.process];
+  const usesInputVolatility = process.process === 'gbm' || process.process === 'merton';
+  return getRiskNeutralParameters(process.process, usesInputVolatility ? { ...params, sigma } : params, S, r, q, T);
+};
+
+const MonteCarloPricer = ({ parameters, process }) => {
+  const [paths, setPaths] = useState(10000);
+  const [antithetic, setAntithetic] = useState(false);
+  const [controlVariate, setControlVariate] = useState(false);
+  const [run, setRun] = useState(0);
+  const [result, setResult] = useState(null);
+
+  const { S, K, r, T, sigma, q } = getModelInputs(parameters);
+  const { optionType } = parameters;
+  const isFx = parameters.model === 'garman-kohlhagen';
+  const formatValue = (value) => (isFx ? value.toFixed(4) : `$${value.toFixed(4)}`);
+
+  const processLabel = STOCHASTIC_PROCESSES[process.process].label;
+
+  // Closed-form price of the same European option the simulation prices, null for Heston
+  const closedFormPrice = T > 0
+    ? calculateProcessOptionPrice(
+      optionType, process.process, S, K, r, T, q, getPricingParameters(process, S, r, T, sigma, q)
+    )
+    : null;
+
+  // Fresh draws on every change or rerun, so the result is kept in state
+  useEffect(() => {
+    if (T <= 0) {
+      setResult(null);
+      return;
+    }
+
+    const pricingParameters = getPricingParameters(process, S, r, T, sigma, q);
+    const steps = Math.max(1, Math.ceil(T * STEPS_PER_YEAR));
+    setResult(calculateMonteCarloPrice(optionType, S, K, r, T, sigma, q, {
+      paths,
+      antithetic,
+      controlVariate,
+      sampleTerminal: createTerminalSampler(process.process, S, pricingParameters, T, steps)
+    }));
+  }, [optionType, S, K, r, T, sigma, q, process, paths, antithetic, controlVariate, run]);
+
+  const hasClosedForm = closedFormPrice !== null;
+  const errorInStandardErrors = hasClosedForm && result && result.standardError > 0
+    ? (result.price - closedFormPrice) / result.standardError
+    : 0;
+
+  return (
+    <div className="monte-carlo">
+      <h3>Monte Carlo Pricing</h3>
+      <p className="monte-carlo-description">
+        Each path draws the terminal underlying price from the {processLabel.toLowerCase()} selected
+        in the Brownian Motion tab, with its drift made risk-neutral so that E[S(T)] is the forward
+        S e^((r − q)T), and the price is the average discounted payoff.
+        {process.process === 'gbm' && ' Under geometric Brownian motion S(T) = S × exp((r − q − σ²/2)T + σ√T × Z).'}
+        {(process.process === 'gbm' || process.process === 'merton')
+          ? ' The diffusion uses the volatility from the inputs.'
+          : ' The process parameters come from the Brownian Motion tab.'}
+        {process.process === 'heston' && ` Heston paths take ${STEPS_PER_YEAR} steps a year and have no closed-form price here.`}
+        {' '}Antithetic variates pair every draw Z with −Z; the control variate adjusts the
+        average with the discounted terminal price, whose expectation S e^(−qT) is known exactly.
+        {parameters.exerciseStyle === 'american' && ' The simulation prices the European option.'}
+      </p>
+
+      <div className="monte-carlo-controls">
+        <div className="monte-carlo-control">
+          <label htmlFor="monteCarloPaths">Paths</label>
+          <select id="monteCarloPaths" value={paths} onChange={(e) => setPaths(parseInt(e.target.value))}>
+            {PATH_COUNTS.map((count) => (
+              <option key={count} value={count}>{count.toLocaleString()}</option>
+            ))}
+          </select>
+        </div>
+        <label className="monte-carlo-option">
+          <input type="checkbox" checked={antithetic} onChange={(e) => setAntithetic(e.target.checked)} />
+          Antithetic variates
+        </label>
+        <label className="monte-carlo-option">
+          <input type="checkbox" checked={controlVariate} onChange={(e) => setControlVariate(e.target.checked)} />
+          Control variate
+        </label>
+        <button className="monte-carlo-rerun" onClick={() => setRun(run + 1)}>Rerun</button>
+      </div>
+
+      {T <= 0 && <div className="monte-carlo-error">The simulation needs a positive time to maturity</div>}
+
+      {result && (
+        <>
+          <div className="monte-carlo-results">
+            <div className="monte-carlo-result">
+              <div className="result-name">Monte Carlo Estimate</div>
+              <div className="result-value">{formatValue(result.price)}</div>
+            </div>
+            <div className="monte-carlo-result">
+              <div className="result-name">Standard Error</div>
+              <div className="result-value">{result.standardError.toFixed(4)}</div>
+            </div>
+            <div className="monte-carlo-result">
+              <div className="result-name">95% Confidence Interval</div>
+              <div className="result-value">
+                {formatValue(result.confidenceInterval[0])} – {formatValue(result.confidenceInterval[1])}
+              </div>
+            </div>
+            {hasClosedForm && (
+              <>
+                <div className="monte-carlo-result">
+                  <div className="result-name">Closed-Form Price</div>
+                  <div className="result-value">{formatValue(closedFormPrice)}</div>
+                </div>
+                <div className="monte-carlo-result">
+                  <div className="result-name">Difference</div>
+                  <div className="result-value">
+                    {formatValue(result.price - closedFormPrice)} ({errorInStandardErrors.toFixed(2)} SE)
+                  </div>
+                </div>
+              </>
+            )}
+          </div>
+
+          <div className="monte-carlo-convergence">
+            <h4>Convergence as the Number of Paths Increases</h4>
+            <ResponsiveContainer width="100%" height={300}>
+              <LineChart data={result.convergence} margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis
+                  dataKey="paths"
+                  type="number"
+                  scale="log"
+                  domain={['dataMin', 'dataMax']}
+                  tickFormatter={(value) => value.toLocaleString()}
+                  label={{ value: 'Paths', position: 'insideBottom', offset: -5 }}
+                />
+                <YAxis
+                  domain={['auto', 'auto']}
+                  tickFormatter={(value) => value.toFixed(isFx ? 4 : 2)}
+                  label={{ value: 'Option Price', angle: -90, position: 'insideLeft' }}
+                />
+                <Tooltip
+                  formatter={(value, name) => [formatValue(value), name]}
+                  labelFormatter={(value) => `Paths: ${value.toLocaleString()}`}
+                />
+                <Legend />
+                {hasClosedForm && (
+                  <ReferenceLine
+                    y={closedFormPrice}
+                    stroke="#999"
+                    strokeDasharray="3 3"
+                    label={{ value: 'Closed form', position: 'right' }}
+                  />
+                )}
+                <Line type="linear" dataKey="estimate" name="Estimate" stroke="#4a90e2" strokeWidth={2} />
+                <Line type="linear" dataKey="lower" name="95% lower" stroke="#f39c12" strokeDasharray="5 5" dot={false} />
+                <Line type="linear" dataKey="upper" name="95% upper" stroke="#f39c12" strokeDasharray="5 5" dot={false} />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default MonteCarloPricer;
@@ -0,0 +1,169 @@
+import React, { useState, useEffect } from 'react';
+import { calculateGreeks } from '../utils/BlackScholes';
+import { getModelInputs } from '../utils/PricingModels';
+import { getThetaDaysPerYear } from '../utils/DayCount';
+import {
+  FINITE_DIFFERENCE_SCHEMES,
+  FINITE_DIFFERENCE_GREEKS,
+  FINITE_DIFFERENCE_PRICERS,
+  DEFAULT_BUMPS,
+  calculateFiniteDifferenceGreeks,
+  countMatchingDigits
+} from '../utils/FiniteDifferenceGreeks';
+import './NumericalGreeks.css';
+
+// Bump choices for each input; the strike is bumped by the same relative amount as the spot
+const BUMP_CHOICES = {
+  S: {
+    label: 'Spot Bump',
+    choices: [[1e-6, '0.0001%'], [1e-4, '0.01%'], [1e-3, '0.1%'], [1e-2, '1%'], [5e-2, '5%']]
+  },
+  sigma: {
+    label: 'Volatility Bump',
+    choices: [[1e-6, '0.0001 pts'], [1e-4, '0.01 pts'], [1e-3, '0.1 pts'], [1e-2, '1 pt']]
+  },
+  T: {
+    label: 'Time Bump',
+    choices: [[1e-6, '30 seconds'], [1e-4, '1 hour']]
+  },
+  r: {
+    label: 'Rate Bump',
+    choices: [[1e-6, '0.01 bp'], [1e-4, '1 bp'], [1e-3, '10 bp'], [1e-2, '100 bp']]
+  }
+};
+
+// Time bump choices with the day and week as long as a day of theta
+const getBumpChoices = (daysPerYear, timeBasis) => ({
+  ...BUMP_CHOICES,
+  T: {
+    ...BUMP_CHOICES.T,
+    choices: [
+      ...BUMP_CHOICES.T.choices,
+      [1 / daysPerYear, '1 day'],
+      [(timeBasis === 'trading' ? 5 : 7) / daysPerYear, '1 week']
+    ]
+  }
+});
+
+// Shade the digit count from red (none agree) to green (all agree)
+const getDigitsColor = (digits) => `hsl(${Math.min(digits, 12) * 10}, 70%, 92%)`;
+
+// Bump-and-reprice Greeks of any pricer, checked against the analytic Black-Scholes Greeks
+const NumericalGreeks = ({ parameters }) => {
+  const { S, K, r, T, sigma, q } = getModelInputs(parameters);
+  const { optionType, thetaBasis } = parameters;
+  const daysPerYear = getThetaDaysPerYear(parameters);
+  const bumpChoices = getBumpChoices(daysPerYear, thetaBasis);
+
+  const [pricer, setPricer] = useState('blackScholes');
+  const [scheme, setScheme] = useState('central');
+  const [selectedBumps, setBumps] = useState(DEFAULT_BUMPS);
+  const [comparison, setComparison] = useState([]);
+
+  // A day or week bump picked under another day basis falls back to the default
+  const timeBump = bumpChoices.T.choices.some(([value]) => value === selectedBumps.T)
+    ? selectedBumps.T
+    : DEFAULT_BUMPS.T;
+
+  useEffect(() => {
+    const analytic = calculateGreeks(optionType, S, K, r, T, sigma, q, daysPerYear);
+    const numerical = calculateFiniteDifferenceGreeks(
+      FINITE_DIFFERENCE_PRICERS[pricer].create(optionType),
+      { S, K, r, T, sigma, q },
+      { scheme, bumps: { ...selectedBumps, T: timeBump }, daysPerYear }
+    );
+
+    setComparison(Object.entries(FINITE_DIFFERENCE_GREEKS).map(([greek, { label }]) => ({
+      greek,
+      label,
+      analytic: analytic[greek],
+      numerical: numerical[greek],
+      digits: countMatchingDigits(analytic[greek], numerical[greek])
+    })));
+  }, [optionType, S, K, r, T, sigma, q, pricer, scheme, selectedBumps, timeBump, daysPerYear]);
+
+  const handleBumpChange = (input, value) => {
+    setBumps((previous) => (input === 'S' ? { ...previous, S: value, K: value } : { ...previous, [input]: value }));
+  };
+
+  return (
+    <div className="numerical-greeks">
+      <h3>Numerical Greeks</h3>
+      <p className="numerical-greeks-description">
+        Greeks of any pricer can be found by bumping one input, repricing and dividing the change by the
+        bump; second and third-order Greeks nest the same difference in two or three inputs. The table
+        compares the result with the analytic Black-Scholes Greeks to every digit, in the units of the
+        Greeks panel (theta per {thetaBasis === 'trading' ? 'trading' : 'calendar'} day, vega and rho per 1%). Models without a closed form, such as
+        American options and exotics, rely on these estimates, so it pays to see where they can be trusted.
+      </p>
+
+      <div className="numerical-greeks-controls">
+        <div className="numerical-greeks-control">
+          <label htmlFor="fdPricer">Pricer</label>
+          <select id="fdPricer" value={pricer} onChange={(e) => setPricer(e.target.value)}>
+            {Object.entries(FINITE_DIFFERENCE_PRICERS).map(([key, { label }]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="numerical-greeks-control">
+          <label htmlFor="fdScheme">Difference Scheme</label>
+          <select id="fdScheme" value={scheme} onChange={(e) => setScheme(e.target.value)}>
+            {Object.entries(FINITE_DIFFERENCE_SCHEMES).map(([key, { label }]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </div>
+        {Object.entries(bumpChoices).map(([input, { label, choices }]) => (
+          <div className="numerical-greeks-control" key={input}>
+            <label htmlFor={`fdBump-${input}`}>{label}</label>
+            <select
+              id={`fdBump-${input}`}
+              value={input === 'T' ? timeBump : selectedBumps[input]}
+              onChange={(e) => handleBumpChange(input, parseFloat(e.target.value))}
+            >
+              {choices.map(([value, choiceLabel]) => (
+                <option key={value} value={value}>{choiceLabel}</option>
+              ))}
+            </select>
+          </div>
+        ))}
+      </div>
+
+      <p className="numerical-greeks-note">{FINITE_DIFFERENCE_PRICERS[pricer].description}.</p>
+
+      <table className="numerical-greeks-table">
+        <thead>
+          <tr>
+            <th>Greek</th>
+            <th>Analytic</th>
+            <th>Finite Difference</th>
+            <th>Difference</th>
+            <th>Matching Digits</th>
+          </tr>
+        </thead>
+        <tbody>
+          {comparison.map(({ greek, label, analytic, numerical, digits }) => (
+            <tr key={greek}>
+              <td>{label}</td>
+              <td className="numerical-greeks-value">{analytic.toPrecision(15)}</td>
+              <td className="numerical-greeks-value">{numerical.toPrecision(15)}</td>
+              <td className="numerical-greeks-value">{(numerical - analytic).toExponential(2)}</td>
+              <td className="numerical-greeks-digits" style={{ backgroundColor: getDigitsColor(digits) }}>
+                {digits}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <p className="numerical-greeks-note">
+        Greeks are taken with respect to the inputs of the pricing formula for the selected model; rho bumps
+        the rate with the yield held fixed, as the analytic Greeks do. Larger bumps add truncation error,
+        smaller ones round-off error, and each extra order of differentiation divides round-off by another bump.
+      </p>
+    </div>
+  );
+};
+
+export default NumericalGreeks;
@@ -0,0 +1,207 @@
+import React from 'react';
+import {
+  LineChart, Line, XAxis, YAxis, CartesianGrid,
+  Tooltip, Legend, ResponsiveContainer
+} from 'recharts';
+import {
+  OPTION_CHAIN_COLUMNS,
+  OptionChainError,
+  parseOptionChainCsv,
+  solveOptionChain,
+  groupVolatilitySmiles,
+  generateVolatilitySurface
+} from '../utils/OptionChain';
+import SurfacePlot from './SurfacePlot';
+import SmileFit from './SmileFit';
+import './OptionChainImport.css';
+
+const STRIKE_AXIS = {
+  label: 'Strike Price',
+  format: (value) => `$${value.toFixed(2)}`
+};
+
+const MATURITY_AXIS = {
+  label: 'Time to Maturity',
+  format: (value) => `${value.toFixed(2)} years`
+};
+
+const formatVolatility = (value) => `${(value * 100).toFixed(2)}%`;
+
+// Implied volatility smiles, fit and surface of an option chain loaded from CSV
+const OptionChainImport = ({ chain, onChainChange, dividendYield, dayCount, holidayCalendar, onUseSurface }) => {
+  const handleFileChange = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => onChainChange({ ...chain, csv: reader.result, fileName: file.name });
+    reader.readAsText(file);
+  };
+
+  // Whole-file problems (e.g. a missing column) stop the import; bad rows are listed instead
+  let smiles = [];
+  let rejected = [];
+  let solvedCount = 0;
+  let importError = null;
+  if (chain.csv.trim() !== '') {
+    try {
+      const parsed = parseOptionChainCsv(chain.csv, chain.valuationDate, dayCount, holidayCalendar);
+      const solved = solveOptionChain(parsed.rows, dividendYield);
+      smiles = groupVolatilitySmiles(solved.quotes);
+      solvedCount = solved.quotes.length;
+      rejected = [...parsed.rejected, ...solved.rejected].sort((a, b) => a.line - b.line);
+    } catch (error) {
+      if (!(error instanceof OptionChainError)) throw error;
+      importError = error.message;
+    }
+  }
+
+  // The surface needs at least two expiries and two strikes to span a grid
+  const surface = smiles.length > 1 ? generateVolatilitySurface(smiles) : null;
+
+  const getLineColor = (index, total) => {
+    const hue = total > 1 ? 240 - (index / (total - 1)) * 240 : 240;
+    return `hsl(${hue}, 80%, 50%)`;
+  };
+
+  return (
+    <div className="option-chain">
+      <h3>Implied Volatility from an Option Chain</h3>
+      <p className="chart-description">
+        Load a CSV with the columns {OPTION_CHAIN_COLUMNS.join(', ')}. Expiries are year fractions
+        or dates (YYYY-MM-DD) measured from the valuation date with the pricer's day count
+        ({dayCount}), and rates are decimals (0.05 for 5%).
+        Each quote's mid price is solved with Black-Scholes using a dividend yield
+        of {(dividendYield * 100).toFixed(2)}%.
+      </p>
+
+      <div className="option-chain-inputs">
+        <div className="option-chain-field">
+          <label htmlFor="optionChainFile">CSV File</label>
+          <input id="optionChainFile" type="file" accept=".csv,text/csv" onChange={handleFileChange} />
+        </div>
+        <div className="option-chain-field">
+          <label htmlFor="valuationDate">Valuation Date</label>
+          <input
+            id="valuationDate"
+            type="date"
+            value={chain.valuationDate}
+            onChange={(e) => onChainChange({ ...chain, valuationDate: e.target.value })}
+          />
+        </div>
+      </div>
+      <div className="option-chain-field">
+        <label htmlFor="optionChainCsv">
+          {chain.fileName ? `Contents of ${chain.fileName}` : 'Or paste the CSV here'}
+        </label>
+        <textarea
+          id="optionChainCsv"
+          rows="6"
+          value={chain.csv}
+          placeholder={`${OPTION_CHAIN_COLUMNS.join(',')}\n0.25,100,call,4.50,4.70,100,0.05`}
+          onChange={(e) => onChainChange({ ...chain, csv: e.target.value })}
+        />
+      </div>
+
+      {importError && <div className="option-chain-error">{importError}</div>}
+
+      {chain.csv.trim() !== '' && !importError && (
+        <>
+          <div className="option-chain-summary">
+            {solvedCount} {solvedCount === 1 ? 'quote' : 'quotes'} solved
+            across {smiles.length} {smiles.length === 1 ? 'expiry' : 'expiries'}, {rejected.length} rejected
+          </div>
+
+          {smiles.length > 0 && (
+            <div className="option-chain-chart">
+              <h4>Volatility Smile by Expiry</h4>
+              <ResponsiveContainer width="100%" height={350}>
+                <LineChart margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis
+                    dataKey="strike"
+                    type="number"
+                    domain={['dataMin', 'dataMax']}
+                    tickFormatter={(value) => value.toFixed(0)}
+                    label={{ value: 'Strike Price', position: 'insideBottom', offset: -5 }}
+                  />
+                  <YAxis
+                    domain={['auto', 'auto']}
+                    tickFormatter={(value) => `${(value * 100).toFixed(0)}%`}
+                    label={{ value: 'Implied Volatility', angle: -90, position: 'insideLeft' }}
+                  />
+                  <Tooltip
+                    formatter={(value, name) => [formatVolatility(value), name]}
+                    labelFormatter={(value) => `Strike: $${value.toFixed(2)}`}
+                  />
+                  <Legend />
+                  {smiles.map(({ expiry, data }, index) => (
+                    <Line
+                      key={expiry}
+                      data={data}
+                      type="monotone"
+                      dataKey="impliedVolatility"
+                      name={`Expiry ${expiry}`}
+                      stroke={getLineColor(index, smiles.length)}
+                      activeDot={{ r: 6 }}
+                    />
+                  ))}
+                </LineChart>
+              </ResponsiveContainer>
+              <p className="chart-description">
+                Where a call and a put share a strike, the out-of-the-money quote is used.
+              </p>
+            </div>
+          )}
+
+          {smiles.length > 0 && (
+            <SmileFit
+              smiles={smiles}
+              model={chain.smileModel}
+              beta={chain.sabrBeta}
+              onFitChange={({ model, beta }) => onChainChange({ ...chain, smileModel: model, sabrBeta: beta })}
+              onUseSurface={onUseSurface}
+            />
+          )}
+
+          {surface && (
+            <div className="option-chain-chart">
+              <h4>Implied Volatility Surface</h4>
+              <SurfacePlot
+                surface={surface}
+                xAxis={STRIKE_AXIS}
+                yAxis={MATURITY_AXIS}
+                valueLabel="Implied Volatility"
+                idPrefix="volatilitySurface"
+              />
+            </div>
+          )}
+
+          {rejected.length > 0 && (
+            <div className="option-chain-rejected">
+              <h4>Rejected Quotes</h4>
+              <table className="rejected-table">
+                <thead>
+                  <tr>
+                    <th>Line</th>
+                    <th>Reason</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rejected.map(({ line, reason }) => (
+                    <tr key={line}>
+                      <td>{line}</td>
+                      <td>{reason}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default OptionChainImport;
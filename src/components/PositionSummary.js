@@ -0,0 +1,50 @@
+import React from 'react';
+
+// Summary card of a position held to expiry, styled like the Greeks grid
+const PositionSummary = ({ title, analysis, formatValue, probabilityITM }) => {
+  const formatBound = (value) => (Math.abs(value) === Infinity ? 'Unlimited' : formatValue(value));
+
+  const formatProbability = (value) => `${(value * 100).toFixed(2)}%`;
+
+  return (
+    <div className="greeks-container">
+      <h3>{title}</h3>
+      <div className="greeks-grid">
+        <div className="greek-item">
+          <div className="greek-name">{analysis.breakevens.length === 1 ? 'Breakeven' : 'Breakevens'}</div>
+          <div className="greek-value">
+            {analysis.breakevens.length > 0
+              ? analysis.breakevens.map(formatValue).join(' / ')
+              : 'None'}
+          </div>
+        </div>
+        <div className="greek-item">
+          <div className="greek-name">Max Profit</div>
+          <div className="greek-value">{formatBound(analysis.maxProfit)}</div>
+        </div>
+        <div className="greek-item">
+          <div className="greek-name">Max Loss</div>
+          <div className="greek-value">{formatBound(-analysis.maxLoss)}</div>
+        </div>
+        <div className="greek-item">
+          <div className="greek-name">Probability of Profit</div>
+          <div className="greek-value">{formatProbability(analysis.probabilityOfProfit)}</div>
+        </div>
+        {probabilityITM !== undefined && (
+          <div className="greek-item">
+            <div className="greek-name">Probability ITM</div>
+            <div className="greek-value">{formatProbability(probabilityITM)}</div>
+          </div>
+        )}
+      </div>
+      <div className="greeks-explanation">
+        <p>
+          <strong>At expiry:</strong> Profit and loss when held to T = {analysis.horizon.toFixed(2)} years.
+          Probabilities are risk-neutral, from N(d₂) evaluated at each breakeven.
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default PositionSummary;
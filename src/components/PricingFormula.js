@@ -0,0 +1,298 @@
+import React from 'react';
+import { calculateD1, calculateD2 } from '../utils/BlackScholes';
+import { PRICING_MODELS, getModelInputs } from '../utils/PricingModels';
+import './PricingFormula.css';
+
+const PricingFormula = ({ parameters }) => {
+  // Spot, rate and yield as the selected model feeds them into d1 and d2
+  const { S, K, r, T, sigma, q } = getModelInputs(parameters);
+  const d1 = calculateD1(S, K, r, T, sigma, q);
+  const d2 = calculateD2(d1, sigma, T);
+  
+  const hasCashDividends = parameters.model === 'black-scholes' && parameters.dividends.length > 0;
+  
+  // Shared parameter list entries
+  const renderVolatilityItem = () => (
+    <li>
+      <strong>σ = {sigma.toFixed(2)}</strong>: Volatility of the underlying asset (decimal form)
+      {parameters.volatilityInput === 'premium' && `, implied from the market premium of $${parameters.marketPremium.toFixed(2)}`}
+    </li>
+  );
+  
+  const renderD2Section = () => (
+    <>
+      <div className="formula">
+        d₂ = d₁ - σ√T
+      </div>
+      <div className="formula-calculation">
+        d₂ = {d1.toFixed(4)} - {sigma.toFixed(2)} × √{T.toFixed(2)} = {d2.toFixed(4)}
+      </div>
+    </>
+  );
+  
+  // Early exercise replaces the closed form with a numerical solution of the same model
+  const renderAmericanSection = () => (
+    <div className="formula-section">
+      <h4>American Exercise:</h4>
+      <p>
+        The formulas below price the European option. An American option can be exercised
+        at any time, so its value V must satisfy V ≥ max(S - K, 0) for a call or
+        V ≥ max(K - S, 0) for a put at every date, which has no closed-form solution.
+      </p>
+      {parameters.americanEngine === 'crank-nicolson' ? (
+        <>
+          <div className="formula">
+            ∂V/∂t + ½σ²S² ∂²V/∂S² + (r - q)S ∂V/∂S - rV = 0
+          </div>
+          <p>
+            The Crank-Nicolson scheme solves this PDE backwards from the payoff on a grid of
+            log prices, averaging the explicit and implicit steps, and enforces the exercise
+            constraint at each step with projected successive over-relaxation.
+          </p>
+        </>
+      ) : (
+        <>
+          <div className="formula">
+            V = max(payoff, e<sup>-rΔt</sup> × [p × V<sub>up</sub> + (1 - p) × V<sub>down</sub>])
+          </div>
+          <p>
+            The Cox-Ross-Rubinstein tree moves the price up by u = e<sup>σ√Δt</sup> or down by
+            d = 1/u each step, with risk-neutral probability p = (e<sup>(r-q)Δt</sup> - d) / (u - d),
+            and compares exercising with holding at every node while rolling back from maturity.
+          </p>
+        </>
+      )}
+    </div>
+  );
+  
+  const renderBlackScholesFormula = () => (
+    <>
+      <div className="formula-section">
+        <h4>Call Option Price:</h4>
+        <div className="formula">
+          C = S × e<sup>-qT</sup> × N(d₁) - K × e<sup>-rT</sup> × N(d₂)
+        </div>
+        <div className="formula-calculation">
+          C = {S.toFixed(2)} × e<sup>-{q.toFixed(2)}×{T.toFixed(2)}</sup> × N({d1.toFixed(4)}) - {K.toFixed(2)} × e<sup>-{r.toFixed(2)}×{T.toFixed(2)}</sup> × N({d2.toFixed(4)})
+        </div>
+      </div>
+      
+      <div className="formula-section">
+        <h4>Put Option Price:</h4>
+        <div className="formula">
+          P = K × e<sup>-rT</sup> × N(-d₂) - S × e<sup>-qT</sup> × N(-d₁)
+        </div>
+        <div className="formula-calculation">
+          P = {K.toFixed(2)} × e<sup>-{r.toFixed(2)}×{T.toFixed(2)}</sup> × N({(-d2).toFixed(4)}) - {S.toFixed(2)} × e<sup>-{q.toFixed(2)}×{T.toFixed(2)}</sup> × N({(-d1).toFixed(4)})
+        </div>
+      </div>
+      
+      <div className="formula-section">
+        <h4>Where:</h4>
+        <div className="formula">
+          d₁ = [ln(S/K) + (r - q + σ²/2)T] / (σ√T)
+        </div>
+        <div className="formula-calculation">
+          d₁ = [ln({S.toFixed(2)}/{K.toFixed(2)}) + ({r.toFixed(2)} - {q.toFixed(2)} + {sigma.toFixed(2)}²/2) × {T.toFixed(2)}] / ({sigma.toFixed(2)} × √{T.toFixed(2)}) = {d1.toFixed(4)}
+        </div>
+        {renderD2Section()}
+      </div>
+      
+      <div className="formula-section">
+        <h4>Parameters:</h4>
+        <ul className="parameter-list">
+          <li><strong>S = {parameters.underlyingPrice.toFixed(2)}</strong>: Current underlying price</li>
+          {hasCashDividends && (
+            <li><strong>S* = {S.toFixed(2)}</strong>: Escrowed spot S - PV(cash dividends), used in place of S above</li>
+          )}
+          <li><strong>K = {K.toFixed(2)}</strong>: Strike price</li>
+          <li><strong>r = {r.toFixed(2)}</strong>: Risk-free interest rate (decimal form)</li>
+          <li><strong>q = {q.toFixed(2)}</strong>: Continuous dividend yield (decimal form)</li>
+          <li><strong>T = {T.toFixed(2)}</strong>: Time to maturity (in years)</li>
+          {renderVolatilityItem()}
+          <li><strong>N(x)</strong>: Cumulative distribution function of the standard normal distribution</li>
+        </ul>
+      </div>
+      
+      <div className="formula-section">
+        <h4>Terms Explained:</h4>
+        <ul className="terms-explanation">
+          <li><strong>N(d₁)</strong>: Represents the delta of the call option, which is the sensitivity of the option price to changes in the underlying price</li>
+          <li><strong>N(d₂)</strong>: Represents the probability that the option will be exercised at maturity (in a risk-neutral world)</li>
+          <li><strong>S × e<sup>-qT</sup> × N(d₁)</strong>: The expected value of receiving the stock if the option expires in-the-money, net of the dividends paid before expiry</li>
+          <li><strong>K × e<sup>-rT</sup> × N(d₂)</strong>: The expected value of paying the strike price if the option expires in-the-money</li>
+          <li><strong>e<sup>-rT</sup></strong>: The present value factor that discounts the strike price from the future to the present</li>
+          <li><strong>e<sup>-qT</sup></strong>: The factor that removes the dividends the option holder does not receive (equal to 1 when q = 0)</li>
+        </ul>
+      </div>
+      
+      <div className="formula-section">
+        <h4>Greeks in Terms of the Formula:</h4>
+        <ul className="greeks-formula">
+          <li><strong>Delta (Δ)</strong>: e<sup>-qT</sup> × N(d₁) for a call option, e<sup>-qT</sup> × [N(d₁) - 1] for a put option</li>
+          <li><strong>Gamma (Γ)</strong>: e<sup>-qT</sup> × N'(d₁) / (S × σ × √T) (same for both call and put)</li>
+          <li><strong>Theta (Θ)</strong>: -[S × e<sup>-qT</sup> × N'(d₁) × σ / (2 × √T)] - r × K × e<sup>-rT</sup> × N(d₂) + q × S × e<sup>-qT</sup> × N(d₁) for a call</li>
+          <li><strong>Vega (ν)</strong>: S × e<sup>-qT</sup> × √T × N'(d₁) (same for both call and put)</li>
+          <li><strong>Rho (ρ)</strong>: K × T × e<sup>-rT</sup> × N(d₂) for a call, -K × T × e<sup>-rT</sup> × N(-d₂) for a put</li>
+        </ul>
+        <p><em>Note: N'(x) is the probability density function of the standard normal distribution</em></p>
+      </div>
+    </>
+  );
+  
+  const renderBlack76Formula = () => (
+    <>
+      <div className="formula-section">
+        <h4>Call Option Price:</h4>
+        <div className="formula">
+          C = e<sup>-rT</sup> × [F × N(d₁) - K × N(d₂)]
+        </div>
+        <div className="formula-calculation">
+          C = e<sup>-{r.toFixed(2)}×{T.toFixed(2)}</sup> × [{S.toFixed(2)} × N({d1.toFixed(4)}) - {K.toFixed(2)} × N({d2.toFixed(4)})]
+        </div>
+      </div>
+      
+      <div className="formula-section">
+        <h4>Put Option Price:</h4>
+        <div className="formula">
+          P = e<sup>-rT</sup> × [K × N(-d₂) - F × N(-d₁)]
+        </div>
+        <div className="formula-calculation">
+          P = e<sup>-{r.toFixed(2)}×{T.toFixed(2)}</sup> × [{K.toFixed(2)} × N({(-d2).toFixed(4)}) - {S.toFixed(2)} × N({(-d1).toFixed(4)})]
+        </div>
+      </div>
+      
+      <div className="formula-section">
+        <h4>Where:</h4>
+        <div className="formula">
+          d₁ = [ln(F/K) + (σ²/2)T] / (σ√T)
+        </div>
+        <div className="formula-calculation">
+          d₁ = [ln({S.toFixed(2)}/{K.toFixed(2)}) + ({sigma.toFixed(2)}²/2) × {T.toFixed(2)}] / ({sigma.toFixed(2)} × √{T.toFixed(2)}) = {d1.toFixed(4)}
+        </div>
+        {renderD2Section()}
+      </div>
+      
+      <div className="formula-section">
+        <h4>Parameters:</h4>
+        <ul className="parameter-list">
+          <li><strong>F = {S.toFixed(2)}</strong>: Current futures (or forward) price for the option's expiry</li>
+          <li><strong>K = {K.toFixed(2)}</strong>: Strike price</li>
+          <li><strong>r = {r.toFixed(2)}</strong>: Risk-free interest rate used for discounting (decimal form)</li>
+          <li><strong>T = {T.toFixed(2)}</strong>: Time to maturity (in years)</li>
+          {renderVolatilityItem()}
+          <li><strong>N(x)</strong>: Cumulative distribution function of the standard normal distribution</li>
+        </ul>
+      </div>
+      
+      <div className="formula-section">
+        <h4>Terms Explained:</h4>
+        <ul className="terms-explanation">
+          <li><strong>F × N(d₁) - K × N(d₂)</strong>: The expected payoff at expiry, measured in forward terms</li>
+          <li><strong>N(d₂)</strong>: Represents the probability that the option will be exercised at maturity (in a risk-neutral world)</li>
+          <li><strong>e<sup>-rT</sup></strong>: Discounts the whole payoff, since the premium is paid today but the payoff is received at expiry</li>
+          <li><strong>No carry term</strong>: Entering a futures contract costs nothing, so the futures price already includes all carry (rates, dividends, storage)</li>
+        </ul>
+      </div>
+      
+      <div className="formula-section">
+        <h4>Greeks in Terms of the Formula:</h4>
+        <ul className="greeks-formula">
+          <li><strong>Delta (Δ)</strong>: e<sup>-rT</sup> × N(d₁) for a call option, e<sup>-rT</sup> × [N(d₁) - 1] for a put option (with respect to F)</li>
+          <li><strong>Gamma (Γ)</strong>: e<sup>-rT</sup> × N'(d₁) / (F × σ × √T) (same for both call and put)</li>
+          <li><strong>Theta (Θ)</strong>: -[F × e<sup>-rT</sup> × N'(d₁) × σ / (2 × √T)] + r × C for a call</li>
+          <li><strong>Vega (ν)</strong>: F × e<sup>-rT</sup> × √T × N'(d₁) (same for both call and put)</li>
+          <li><strong>Rho (ρ)</strong>: -T × C for a call, -T × P for a put (holding F fixed)</li>
+        </ul>
+        <p><em>Note: N'(x) is the probability density function of the standard normal distribution</em></p>
+      </div>
+    </>
+  );
+  
+  const renderGarmanKohlhagenFormula = () => (
+    <>
+      <div className="formula-section">
+        <h4>Call Option Price (call on the foreign currency):</h4>
+        <div className="formula">
+          C = S × e<sup>-r<sub>f</sub>T</sup> × N(d₁) - K × e<sup>-r<sub>d</sub>T</sup> × N(d₂)
+        </div>
+        <div className="formula-calculation">
+          C = {S.toFixed(4)} × e<sup>-{q.toFixed(4)}×{T.toFixed(2)}</sup> × N({d1.toFixed(4)}) - {K.toFixed(4)} × e<sup>-{r.toFixed(4)}×{T.toFixed(2)}</sup> × N({d2.toFixed(4)})
+        </div>
+      </div>
+      
+      <div className="formula-section">
+        <h4>Put Option Price (put on the foreign currency):</h4>
+        <div className="formula">
+          P = K × e<sup>-r<sub>d</sub>T</sup> × N(-d₂) - S × e<sup>-r<sub>f</sub>T</sup> × N(-d₁)
+        </div>
+        <div className="formula-calculation">
+          P = {K.toFixed(4)} × e<sup>-{r.toFixed(4)}×{T.toFixed(2)}</sup> × N({(-d2).toFixed(4)}) - {S.toFixed(4)} × e<sup>-{q.toFixed(4)}×{T.toFixed(2)}</sup> × N({(-d1).toFixed(4)})
+        </div>
+      </div>
+      
+      <div className="formula-section">
+        <h4>Where:</h4>
+        <div className="formula">
+          d₁ = [ln(S/K) + (r<sub>d</sub> - r<sub>f</sub> + σ²/2)T] / (σ√T)
+        </div>
+        <div className="formula-calculation">
+          d₁ = [ln({S.toFixed(4)}/{K.toFixed(4)}) + ({r.toFixed(4)} - {q.toFixed(4)} + {sigma.toFixed(2)}²/2) × {T.toFixed(2)}] / ({sigma.toFixed(2)} × √{T.toFixed(2)}) = {d1.toFixed(4)}
+        </div>
+        {renderD2Section()}
+      </div>
+      
+      <div className="formula-section">
+        <h4>Parameters:</h4>
+        <ul className="parameter-list">
+          <li><strong>S = {S.toFixed(4)}</strong>: Spot exchange rate (domestic currency per unit of foreign)</li>
+          <li><strong>K = {K.toFixed(4)}</strong>: Strike exchange rate</li>
+          <li><strong>r<sub>d</sub> = {r.toFixed(4)}</strong>: Domestic risk-free interest rate (decimal form)</li>
+          <li><strong>r<sub>f</sub> = {q.toFixed(4)}</strong>: Foreign risk-free interest rate (decimal form)</li>
+          <li><strong>T = {T.toFixed(2)}</strong>: Time to maturity (in years)</li>
+          {renderVolatilityItem()}
+          <li><strong>N(x)</strong>: Cumulative distribution function of the standard normal distribution</li>
+        </ul>
+      </div>
+      
+      <div className="formula-section">
+        <h4>Terms Explained:</h4>
+        <ul className="terms-explanation">
+          <li><strong>S × e<sup>-r<sub>f</sub>T</sup></strong>: The foreign currency earns the foreign rate, which acts like a continuous dividend yield</li>
+          <li><strong>S × e<sup>(r<sub>d</sub> - r<sub>f</sub>)T</sup></strong>: The outright forward rate implied by interest rate parity</li>
+          <li><strong>N(d₂)</strong>: Represents the probability that the option will be exercised at maturity (in a risk-neutral world)</li>
+          <li><strong>Premium</strong>: The formula gives domestic pips (domestic currency per unit of foreign notional); divide by S for foreign %, by K for domestic %, and by S × K for foreign pips</li>
+        </ul>
+      </div>
+      
+      <div className="formula-section">
+        <h4>Greeks in Terms of the Formula:</h4>
+        <ul className="greeks-formula">
+          <li><strong>Spot Delta (Δ)</strong>: e<sup>-r<sub>f</sub>T</sup> × N(d₁) for a call option, -e<sup>-r<sub>f</sub>T</sup> × N(-d₁) for a put option</li>
+          <li><strong>Forward Delta</strong>: N(d₁) for a call option, -N(-d₁) for a put option</li>
+          <li><strong>Premium-Adjusted Spot Delta</strong>: Δ - V / S, which for a call equals K × e<sup>-r<sub>d</sub>T</sup> × N(d₂) / S</li>
+          <li><strong>Gamma (Γ)</strong>: e<sup>-r<sub>f</sub>T</sup> × N'(d₁) / (S × σ × √T) (same for both call and put)</li>
+          <li><strong>Vega (ν)</strong>: S × e<sup>-r<sub>f</sub>T</sup> × √T × N'(d₁) (same for both call and put)</li>
+          <li><strong>Domestic Rho (ρ<sub>d</sub>)</strong>: K × T × e<sup>-r<sub>d</sub>T</sup> × N(d₂) for a call, -K × T × e<sup>-r<sub>d</sub>T</sup> × N(-d₂) for a put</li>
+          <li><strong>Foreign Rho (ρ<sub>f</sub>)</strong>: -S × T × e<sup>-r<sub>f</sub>T</sup> × N(d₁) for a call, S × T × e<sup>-r<sub>f</sub>T</sup> × N(-d₁) for a put</li>
+        </ul>
+        <p><em>Note: N'(x) is the probability density function of the standard normal distribution</em></p>
+      </div>
+    </>
+  );
+  
+  return (
+    <div className="formula-tab">
+      <h3>{PRICING_MODELS[parameters.model].label} Option Pricing Formula</h3>
+      
+      <div className="formula-container">
+        {parameters.exerciseStyle === 'american' && renderAmericanSection()}
+        {parameters.model === 'black-76' && renderBlack76Formula()}
+        {parameters.model === 'garman-kohlhagen' && renderGarmanKohlhagenFormula()}
+        {parameters.model === 'black-scholes' && renderBlackScholesFormula()}
+      </div>
+    </div>
+  );
+};
+
+export default PricingFormula;
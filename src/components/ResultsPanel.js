@@ -1,13 +1,105 @@
-import React, { useState } from 'react';
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import React, { useState, useEffect } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine } from 'recharts';
 import NormalDistribution from './NormalDistribution';
 import BrownianMotion from './BrownianMotion';
+import MonteCarloPricer from './MonteCarloPricer';
+import ExoticPricer from './ExoticPricer';
+import BinomialLattice from './BinomialLattice';
+import GreekExplorer from './GreekExplorer';
+import SurfaceView from './SurfaceView';
+import OptionChainImport from './OptionChainImport';
 import DeltaTangentChart from './DeltaTangentChart';
 import DeltaApproximationChart from './DeltaApproximationChart';
+import DeltaHedgingSimulator from './DeltaHedgingSimulator';
+import NumericalGreeks from './NumericalGreeks';
+import TimeDecayChart from './TimeDecayChart';
+import ScenarioGrid from './ScenarioGrid';
+import PricingFormula from './PricingFormula';
+import PositionSummary from './PositionSummary';
+import { calculateExerciseProbability, calculateFxPremiumConventions } from '../utils/BlackScholes';
+import {
+  PRICING_MODELS,
+  FX_PREMIUM_CONVENTIONS,
+  AMERICAN_ENGINES,
+  getModelInputs,
+  calculateModelPrice,
+  calculateExerciseBoundary,
+  generateExerciseComparisonData
+} from '../utils/PricingModels';
+import { getStrategyHorizon } from '../utils/Strategy';
+import { getMaturityDayCount } from '../utils/DayCount';
+import { getDefaultProcessParameters } from '../utils/StochasticProcesses';
 import './ResultsPanel.css';
 
-const ResultsPanel = ({ optionPrice, greeks, priceChartData, volatilityChartData, deltaUnderlyingData, parameters }) => {
+// Greeks shown for a multi-leg strategy
+const STRATEGY_GREEKS = [
+  ['delta', 'Delta (Δ)'],
+  ['gamma', 'Gamma (Γ)'],
+  ['theta', 'Theta (Θ)'],
+  ['vega', 'Vega (ν)'],
+  ['rho', 'Rho (ρ)']
+];
+
+// Second- and third-order Greeks from calculateGreeks, in its display units
+const HIGHER_ORDER_GREEKS = [
+  { key: 'vanna', label: 'Vanna', description: 'Change in delta per 1% change in volatility (∂Δ/∂σ)' },
+  { key: 'volga', label: 'Volga (Vomma)', description: 'Change in vega per 1% change in volatility (∂ν/∂σ)' },
+  { key: 'charm', label: 'Charm', description: 'Change in delta per day (delta decay)' },
+  { key: 'veta', label: 'Veta', description: 'Change in vega per day' },
+  { key: 'speed', label: 'Speed', description: 'Change in gamma per unit move in the underlying (∂Γ/∂S)' },
+  { key: 'zomma', label: 'Zomma', description: 'Change in gamma per 1% change in volatility (∂Γ/∂σ)' },
+  { key: 'color', label: 'Color', description: 'Change in gamma per day (gamma decay)' },
+  { key: 'dualDelta', label: 'Dual Delta', description: 'Change in option price per unit change in the strike (∂V/∂K)' }
+];
+
+const ResultsPanel = ({ 
+  optionPrice, 
+  greeks, 
+  priceChartData, 
+  volatilityChartData, 
+  optionAnalysis, 
+  strategy, 
+  parameters,
+  onUseVolatilitySurface
+}) => {
   const [activeTab, setActiveTab] = useState('premium');
+  const [showExerciseComparison, setShowExerciseComparison] = useState(false);
+  const [showHigherOrder, setShowHigherOrder] = useState(false);
+  const [exerciseComparison, setExerciseComparison] = useState({ data: [], boundary: null });
+  // Kept here so an imported chain survives switching tabs
+  const [optionChain, setOptionChain] = useState({
+    csv: '',
+    fileName: null,
+    valuationDate: new Date().toISOString().slice(0, 10),
+    smileModel: 'svi',
+    sabrBeta: 1
+  });
+  // Simulated process shared by the Brownian motion and Monte Carlo tabs
+  const [stochasticProcess, setStochasticProcess] = useState({
+    process: 'gbm',
+    parameters: getDefaultProcessParameters()
+  });
+  // Contract terms of the exotic pricer, on top of the shared pricing inputs
+  const [exoticContract, setExoticContract] = useState({
+    exotic: 'asian',
+    averaging: 'arithmetic',
+    fixings: 12,
+    barrierType: 'down-and-out',
+    barrier: 90,
+    strikeType: 'floating'
+  });
+
+  const isAmerican = parameters.exerciseStyle === 'american';
+  const comparingExercise = isAmerican && showExerciseComparison;
+
+  // The American curve needs a numerical price per point, so only build it on request
+  useEffect(() => {
+    if (!comparingExercise) return;
+    setExerciseComparison({
+      data: generateExerciseComparisonData(parameters, 0.5, 40),
+      boundary: calculateExerciseBoundary(parameters)
+    });
+  }, [comparingExercise, parameters]);
 
   // Generate colors for chart lines
   const getLineColor = (index, total) => {
@@ -16,23 +108,32 @@ const ResultsPanel = ({ optionPrice, greeks, priceChartData, volatilityChartData
     return `hsl(${hue}, 80%, 50%)`;
   };
 
-  // Function to calculate d1 and d2 for formula display
-  const calculateD1D2 = () => {
-    const { optionType, underlyingPrice, strikePrice, timeToMaturity, volatility, riskFreeRate } = parameters;
-    const S = underlyingPrice;
-    const K = strikePrice;
-    const r = riskFreeRate;
-    const T = timeToMaturity;
-    const sigma = volatility;
-    
-    const d1 = (Math.log(S / K) + (r + sigma * sigma / 2) * T) / (sigma * Math.sqrt(T));
-    const d2 = d1 - sigma * Math.sqrt(T);
-    
-    return { d1, d2 };
-  };
+  const model = PRICING_MODELS[parameters.model];
+  const isBlack76 = parameters.model === 'black-76';
+  const isFx = parameters.model === 'garman-kohlhagen';
+  // Theta and the other per-day Greeks measure one calendar or one trading day
+  const dayBasis = parameters.thetaBasis === 'trading' ? 'trading' : 'calendar';
+
+  // Spot the Greeks are evaluated at: escrowed for discrete cash dividends, S otherwise
+  const hasCashDividends = parameters.model === 'black-scholes' && parameters.dividends.length > 0;
+  const { S: spot, K, r, T, sigma, q } = getModelInputs(parameters);
+  const probabilityITM = calculateExerciseProbability(parameters.optionType, spot, K, r, T, sigma, q);
 
-  // Calculate d1 and d2 for the formula display
-  const { d1, d2 } = calculateD1D2();
+  // Closed-form price of the same option without early exercise
+  const europeanPrice = isAmerican
+    ? calculateModelPrice({ ...parameters, exerciseStyle: 'european' })
+    : optionPrice;
+
+  // FX premiums are quoted in several conventions, percent ones shown in percent
+  const fxPremiums = isFx
+    ? calculateFxPremiumConventions(optionPrice, parameters.underlyingPrice, parameters.strikePrice)
+    : null;
+  const formatPrice = (value) => (isFx ? `${value.toFixed(4)} domestic pips` : `$${value.toFixed(2)}`);
+  const formatFxPremium = (key) => (
+    FX_PREMIUM_CONVENTIONS[key].isPercent
+      ? `${(fxPremiums[key] * 100).toFixed(4)}%`
+      : fxPremiums[key].toFixed(6)
+  );
 
   return (
     <div className="results-panel">
@@ -50,10 +151,28 @@ const ResultsPanel = ({ optionPrice, greeks, priceChartData, volatilityChartData
           Price vs. Underlying
         </button>
         <button 
-          className={`tab ${activeTab === 'delta' ? 'active' : ''}`}
-          onClick={() => setActiveTab('delta')}
+          className={`tab ${activeTab === 'explorer' ? 'active' : ''}`}
+          onClick={() => setActiveTab('explorer')}
+        >
+          Greek Explorer
+        </button>
+        <button 
+          className={`tab ${activeTab === 'surface' ? 'active' : ''}`}
+          onClick={() => setActiveTab('surface')}
+        >
+          Surfaces
+        </button>
+        <button 
+          className={`tab ${activeTab === 'scenarios' ? 'active' : ''}`}
+          onClick={() => setActiveTab('scenarios')}
+        >
+          Scenarios
+        </button>
+        <button 
+          className={`tab ${activeTab === 'optionChain' ? 'active' : ''}`}
+          onClick={() => setActiveTab('optionChain')}
         >
-          Delta vs. Underlying
+          Volatility Smile
         </button>
         <button 
           className={`tab ${activeTab === 'deltaTangent' ? 'active' : ''}`}
@@ -67,11 +186,23 @@ const ResultsPanel = ({ optionPrice, greeks, priceChartData, volatilityChartData
         >
           Delta Approximation
         </button>
+        <button 
+          className={`tab ${activeTab === 'numericalGreeks' ? 'active' : ''}`}
+          onClick={() => setActiveTab('numericalGreeks')}
+        >
+          Numerical Greeks
+        </button>
+        <button 
+          className={`tab ${activeTab === 'deltaHedging' ? 'active' : ''}`}
+          onClick={() => setActiveTab('deltaHedging')}
+        >
+          Delta Hedging
+        </button>
         <button 
           className={`tab ${activeTab === 'formula' ? 'active' : ''}`}
           onClick={() => setActiveTab('formula')}
         >
-          Black-Scholes Formula
+          {model.label} Formula
         </button>
         <button 
           className={`tab ${activeTab === 'normal' ? 'active' : ''}`}
@@ -85,6 +216,24 @@ const ResultsPanel = ({ optionPrice, greeks, priceChartData, volatilityChartData
         >
           Brownian Motion
         </button>
+        <button 
+          className={`tab ${activeTab === 'monteCarlo' ? 'active' : ''}`}
+          onClick={() => setActiveTab('monteCarlo')}
+        >
+          Monte Carlo
+        </button>
+        <button 
+          className={`tab ${activeTab === 'exotics' ? 'active' : ''}`}
+          onClick={() => setActiveTab('exotics')}
+        >
+          Exotics
+        </button>
+        <button 
+          className={`tab ${activeTab === 'binomial' ? 'active' : ''}`}
+          onClick={() => setActiveTab('binomial')}
+        >
+          Binomial Tree
+        </button>
       </div>
 
       <div className="tab-content">
@@ -92,9 +241,39 @@ const ResultsPanel = ({ optionPrice, greeks, priceChartData, volatilityChartData
           <div className="premium-tab">
             <div className="premium-box">
               <h3>Option Premium</h3>
-              <div className="premium-value">${optionPrice.toFixed(2)}</div>
+              <div className="premium-value">
+                {formatPrice(optionPrice)}
+              </div>
+              <div className="premium-model">
+                {isAmerican
+                  ? `American ${model.label}, priced with the ${AMERICAN_ENGINES[parameters.americanEngine].label.toLowerCase()}`
+                  : `${model.label}: ${model.formulas[parameters.optionType]}`}
+              </div>
             </div>
             
+            {isAmerican && (
+              <div className="greeks-container">
+                <h3>Early Exercise</h3>
+                <div className="greeks-grid">
+                  <div className="greek-item">
+                    <div className="greek-name">American Price</div>
+                    <div className="greek-value">{formatPrice(optionPrice)}</div>
+                  </div>
+                  <div className="greek-item">
+                    <div className="greek-name">European Price</div>
+                    <div className="greek-value">{formatPrice(europeanPrice)}</div>
+                  </div>
+                  <div className="greek-item">
+                    <div className="greek-name">Early-Exercise Premium</div>
+                    <div className="greek-value">{formatPrice(optionPrice - europeanPrice)}</div>
+                  </div>
+                </div>
+                <div className="greeks-explanation">
+                  <p><strong>Early-Exercise Premium:</strong> Extra value of the right to exercise before maturity, the American price less the closed-form European price</p>
+                </div>
+              </div>
+            )}
+            
             <div className="greeks-container">
               <h3>Greeks</h3>
               <div className="greeks-grid">
@@ -118,21 +297,177 @@ const ResultsPanel = ({ optionPrice, greeks, priceChartData, volatilityChartData
                   <div className="greek-name">Rho (ρ)</div>
                   <div className="greek-value">{greeks.rho.toFixed(4)}</div>
                 </div>
+                {isFx && (
+                  <div className="greek-item">
+                    <div className="greek-name">Foreign Rho (ρ<sub>f</sub>)</div>
+                    <div className="greek-value">{greeks.rhoForeign.toFixed(4)}</div>
+                  </div>
+                )}
+                {hasCashDividends && (
+                  <div className="greek-item">
+                    <div className="greek-name">Adjusted Spot (S*)</div>
+                    <div className="greek-value">${spot.toFixed(2)}</div>
+                  </div>
+                )}
               </div>
+              {isFx && (
+                <>
+                  <h4 className="greeks-subheading">FX Delta Conventions</h4>
+                  <div className="greeks-grid">
+                    <div className="greek-item">
+                      <div className="greek-name">Spot Delta</div>
+                      <div className="greek-value">{greeks.delta.toFixed(4)}</div>
+                    </div>
+                    <div className="greek-item">
+                      <div className="greek-name">Forward Delta</div>
+                      <div className="greek-value">{greeks.forwardDelta.toFixed(4)}</div>
+                    </div>
+                    <div className="greek-item">
+                      <div className="greek-name">Premium-Adj. Spot Delta</div>
+                      <div className="greek-value">{greeks.premiumAdjustedDelta.toFixed(4)}</div>
+                    </div>
+                    <div className="greek-item">
+                      <div className="greek-name">Premium-Adj. Forward Delta</div>
+                      <div className="greek-value">{greeks.premiumAdjustedForwardDelta.toFixed(4)}</div>
+                    </div>
+                  </div>
+                  <h4 className="greeks-subheading">Premium Quotes</h4>
+                  <div className="greeks-grid">
+                    {Object.entries(FX_PREMIUM_CONVENTIONS).map(([key, convention]) => (
+                      <div className="greek-item" key={key} title={convention.description}>
+                        <div className="greek-name">{convention.label}</div>
+                        <div className="greek-value">{formatFxPremium(key)}</div>
+                      </div>
+                    ))}
+                  </div>
+                </>
+              )}
               <div className="greeks-explanation">
-                <p><strong>Delta:</strong> Rate of change of option price with respect to underlying price</p>
-                <p><strong>Gamma:</strong> Rate of change of delta with respect to underlying price</p>
-                <p><strong>Theta:</strong> Rate of change of option price with respect to time (per day)</p>
+                <p><strong>Delta:</strong> Rate of change of option price with respect to {model.underlyingLabel.toLowerCase()}</p>
+                <p><strong>Gamma:</strong> Rate of change of delta with respect to {model.underlyingLabel.toLowerCase()}</p>
+                <p><strong>Theta:</strong> Rate of change of option price with respect to time (per {dayBasis} day)</p>
                 <p><strong>Vega:</strong> Rate of change of option price with respect to volatility (per 1% change)</p>
-                <p><strong>Rho:</strong> Rate of change of option price with respect to interest rate (per 1% change)</p>
+                <p>
+                  <strong>Rho:</strong> Rate of change of option price with respect to interest rate (per 1% change)
+                  {isBlack76 && ', holding the futures price fixed so only discounting changes'}
+                  {isFx && ' (domestic rate)'}
+                </p>
+                {isFx && (
+                  <>
+                    <p><strong>Foreign Rho:</strong> Rate of change of option price with respect to the foreign interest rate (per 1% change)</p>
+                    <p><strong>Forward Delta:</strong> Hedge ratio in forward contracts, spot delta × e<sup>r<sub>f</sub>T</sup></p>
+                    <p><strong>Premium-Adjusted Delta:</strong> Delta less the premium in foreign currency (price / S), used when the premium is paid in the foreign currency</p>
+                  </>
+                )}
+                {isAmerican && (
+                  <p><strong>American Greeks:</strong> Estimated by bumping each input and repricing with the numerical method</p>
+                )}
+                {hasCashDividends && (
+                  <p><strong>Adjusted Spot:</strong> Greeks are evaluated at S* = S - PV(cash dividends) under the escrowed-dividend model</p>
+                )}
               </div>
+              
+              <button 
+                className="higher-order-toggle"
+                onClick={() => setShowHigherOrder(!showHigherOrder)}
+                aria-expanded={showHigherOrder}
+              >
+                {showHigherOrder ? '▾' : '▸'} Higher-Order Greeks
+              </button>
+              {showHigherOrder && (
+                isAmerican ? (
+                  <p className="higher-order-note">
+                    Higher-order Greeks use the closed-form European formulas and are not available for American exercise.
+                  </p>
+                ) : (
+                  <>
+                    <div className="greeks-grid">
+                      {HIGHER_ORDER_GREEKS.map(({ key, label }) => (
+                        <div className="greek-item" key={key}>
+                          <div className="greek-name">{label}</div>
+                          <div className="greek-value">{greeks[key].toFixed(6)}</div>
+                        </div>
+                      ))}
+                    </div>
+                    <div className="greeks-explanation">
+                      {HIGHER_ORDER_GREEKS.map(({ key, label, description }) => (
+                        <p key={key}><strong>{label}:</strong> {description}</p>
+                      ))}
+                      <p><strong>Per day:</strong> Change as one {dayBasis} day passes with everything else unchanged</p>
+                    </div>
+                  </>
+                )
+              )}
             </div>
+            
+            {optionAnalysis && (
+              <PositionSummary 
+                title="Option Held to Expiry"
+                analysis={optionAnalysis}
+                formatValue={formatPrice}
+                probabilityITM={probabilityITM}
+              />
+            )}
+            
+            {strategy && (
+              <div className="greeks-container">
+                <h3>Strategy ({strategy.legs.length} {strategy.legs.length === 1 ? 'leg' : 'legs'})</h3>
+                <div className="greeks-grid">
+                  <div className="greek-item">
+                    <div className="greek-name">{strategy.price >= 0 ? 'Net Debit' : 'Net Credit'}</div>
+                    <div className="greek-value">{formatPrice(Math.abs(strategy.price))}</div>
+                  </div>
+                  {STRATEGY_GREEKS.map(([key, label]) => (
+                    <div className="greek-item" key={key}>
+                      <div className="greek-name">{label}</div>
+                      <div className="greek-value">{strategy.greeks[key].toFixed(4)}</div>
+                    </div>
+                  ))}
+                </div>
+                <div className="greeks-explanation">
+                  <p><strong>Strategy Greeks:</strong> Sum over the legs of quantity × leg Greek, negative for short legs</p>
+                </div>
+              </div>
+            )}
+            
+            {strategy && (
+              <PositionSummary 
+                title="Strategy Held to First Expiry"
+                analysis={strategy.analysis}
+                formatValue={formatPrice}
+              />
+            )}
           </div>
         )}
 
         {activeTab === 'price' && (
           <div className="chart-tab">
-            <h3>Option Price vs. Underlying Price for Different Volatilities</h3>
+            <h3>
+              {comparingExercise
+                ? 'American vs. European Price at the Current Volatility'
+                : 'Option Price vs. Underlying Price for Different Volatilities'}
+            </h3>
+            {isAmerican && (
+              <label className="chart-option">
+                <input 
+                  type="checkbox" 
+                  checked={showExerciseComparison} 
+                  onChange={(e) => setShowExerciseComparison(e.target.checked)}
+                />
+                Compare American and European prices
+              </label>
+            )}
+            {isAmerican && !comparingExercise && (
+              <p className="chart-description">The volatility family shows European prices; tick the box to see the effect of early exercise.</p>
+            )}
+            {comparingExercise && (
+              <p className="chart-description">
+                {exerciseComparison.boundary !== null
+                  ? `Exercising immediately is optimal ${parameters.optionType === 'call' ? 'above' : 'below'} the exercise boundary, where the American price meets intrinsic value.`
+                  : 'Early exercise is never optimal for these inputs, so the American and European prices coincide.'}
+                {hasCashDividends && ' The engine prices on the escrowed spot but exercises against the share price, the escrowed spot plus the dividends still to be paid, so the share drops at each ex-date and a call can be exercised just before it.'}
+              </p>
+            )}
             <div className="chart-container">
               <ResponsiveContainer width="100%" height={400}>
                 <LineChart
@@ -151,71 +486,186 @@ const ResultsPanel = ({ optionPrice, greeks, priceChartData, volatilityChartData
                     label={{ value: 'Option Price ($)', angle: -90, position: 'insideLeft' }}
                   />
                   <Tooltip 
-                    formatter={(value) => [`$${value.toFixed(2)}`, 'Option Price']}
+                    formatter={(value, name) => [`$${value.toFixed(2)}`, comparingExercise ? name : 'Option Price']}
                     labelFormatter={(value) => `Underlying Price: $${value.toFixed(2)}`}
                   />
                   <Legend />
                   
-                  {volatilityChartData.map((series, index) => (
-                    <Line
-                      key={`vol-${series.volatility}`}
-                      data={series.data}
-                      type="monotone"
-                      dataKey="optionPrice"
-                      name={`Volatility: ${(series.volatility * 100).toFixed(0)}%`}
-                      stroke={getLineColor(index, volatilityChartData.length)}
-                      dot={false}
-                      activeDot={{ r: 6 }}
+                  {comparingExercise ? (
+                    [
+                      <Line
+                        key="american"
+                        data={exerciseComparison.data}
+                        type="monotone"
+                        dataKey="americanPrice"
+                        name="American"
+                        stroke="#e53935"
+                        dot={false}
+                        activeDot={{ r: 6 }}
+                      />,
+                      <Line
+                        key="european"
+                        data={exerciseComparison.data}
+                        type="monotone"
+                        dataKey="europeanPrice"
+                        name="European"
+                        stroke="#1e88e5"
+                        dot={false}
+                        activeDot={{ r: 6 }}
+                      />,
+                      <Line
+                        key="intrinsic"
+                        data={exerciseComparison.data}
+                        type="linear"
+                        dataKey="intrinsic"
+                        name="Intrinsic Value"
+                        stroke="#757575"
+                        strokeDasharray="5 5"
+                        dot={false}
+                      />
+                    ]
+                  ) : (
+                    volatilityChartData.map((series, index) => (
+                      <Line
+                        key={`vol-${series.volatility}`}
+                        data={series.data}
+                        type="monotone"
+                        dataKey="optionPrice"
+                        name={`Volatility: ${(series.volatility * 100).toFixed(0)}%`}
+                        stroke={getLineColor(index, volatilityChartData.length)}
+                        dot={false}
+                        activeDot={{ r: 6 }}
+                      />
+                    ))
+                  )}
+                  
+                  {optionAnalysis && optionAnalysis.breakevens.map((level) => (
+                    <ReferenceLine 
+                      key={`breakeven-${level}`}
+                      x={level} 
+                      stroke="#ff9800" 
+                      strokeDasharray="4 4"
+                      label={{ value: `Breakeven $${level.toFixed(2)}`, position: 'insideTopLeft' }}
                     />
                   ))}
+                  
+                  {comparingExercise && exerciseComparison.boundary !== null && (
+                    <ReferenceLine 
+                      x={exerciseComparison.boundary} 
+                      stroke="#2e7d32" 
+                      strokeDasharray="3 3"
+                      label={{ value: `Exercise boundary $${exerciseComparison.boundary.toFixed(2)}`, position: 'top' }}
+                    />
+                  )}
                 </LineChart>
               </ResponsiveContainer>
             </div>
+            
+            <TimeDecayChart parameters={parameters} />
+            
+            {strategy && (
+              <>
+                <h3 className="strategy-chart-title">Strategy P&amp;L vs. Underlying Price</h3>
+                <div className="chart-container">
+                  <ResponsiveContainer width="100%" height={400}>
+                    <LineChart
+                      data={strategy.pnlData}
+                      margin={{ top: 5, right: 30, left: 20, bottom: 5 }}
+                    >
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis 
+                        dataKey="underlyingPrice" 
+                        type="number" 
+                        domain={['dataMin', 'dataMax']} 
+                        tickFormatter={(value) => `$${value.toFixed(0)}`}
+                        label={{ value: 'Underlying Price ($)', position: 'insideBottom', offset: -5 }}
+                      />
+                      <YAxis 
+                        tickFormatter={(value) => `$${value.toFixed(2)}`}
+                        label={{ value: 'Profit / Loss ($)', angle: -90, position: 'insideLeft' }}
+                      />
+                      <Tooltip 
+                        formatter={(value, name) => [`$${value.toFixed(2)}`, name]}
+                        labelFormatter={(value) => `Underlying Price: $${value.toFixed(2)}`}
+                      />
+                      <Legend />
+                      <ReferenceLine y={0} stroke="#333" />
+                      <ReferenceLine x={parameters.underlyingPrice} stroke="#999" strokeDasharray="3 3" />
+                      {strategy.analysis.breakevens.map((level) => (
+                        <ReferenceLine 
+                          key={`breakeven-${level}`}
+                          x={level} 
+                          stroke="#ff9800" 
+                          strokeDasharray="4 4"
+                          label={{ value: `BE $${level.toFixed(2)}`, position: 'insideTopLeft' }}
+                        />
+                      ))}
+                      {Number.isFinite(strategy.analysis.maxProfit) && (
+                        <ReferenceLine 
+                          y={strategy.analysis.maxProfit} 
+                          stroke="#2e7d32" 
+                          strokeDasharray="4 4"
+                          label={{ value: `Max profit $${strategy.analysis.maxProfit.toFixed(2)}`, position: 'insideTopRight' }}
+                        />
+                      )}
+                      {Number.isFinite(strategy.analysis.maxLoss) && (
+                        <ReferenceLine 
+                          y={strategy.analysis.maxLoss} 
+                          stroke="#c62828" 
+                          strokeDasharray="4 4"
+                          label={{ value: `Max loss $${(-strategy.analysis.maxLoss).toFixed(2)}`, position: 'insideBottomRight' }}
+                        />
+                      )}
+                      <Line
+                        type="linear"
+                        dataKey="expiryPnL"
+                        name={`At first expiry (T = ${getStrategyHorizon(strategy.legs).toFixed(2)})`}
+                        stroke="#e53935"
+                        dot={false}
+                        activeDot={{ r: 6 }}
+                      />
+                      <Line
+                        type="monotone"
+                        dataKey="todayPnL"
+                        name="Today"
+                        stroke="#1e88e5"
+                        dot={false}
+                        activeDot={{ r: 6 }}
+                      />
+                    </LineChart>
+                  </ResponsiveContainer>
+                </div>
+              </>
+            )}
           </div>
         )}
 
-        {activeTab === 'delta' && (
+        {activeTab === 'explorer' && (
           <div className="chart-tab">
-            <h3>Delta vs. Underlying Price for Different Volatilities</h3>
-            <div className="chart-container">
-              <ResponsiveContainer width="100%" height={400}>
-                <LineChart
-                  margin={{ top: 5, right: 30, left: 20, bottom: 5 }}
-                >
-                  <CartesianGrid strokeDasharray="3 3" />
-                  <XAxis 
-                    dataKey="underlyingPrice" 
-                    type="number" 
-                    domain={['dataMin', 'dataMax']} 
-                    tickFormatter={(value) => `$${value.toFixed(0)}`}
-                    label={{ value: 'Underlying Price ($)', position: 'insideBottom', offset: -5 }}
-                  />
-                  <YAxis 
-                    domain={[0, 1]}
-                    tickFormatter={(value) => value.toFixed(2)}
-                    label={{ value: 'Delta', angle: -90, position: 'insideLeft' }}
-                  />
-                  <Tooltip 
-                    formatter={(value) => [value.toFixed(4), 'Delta']}
-                    labelFormatter={(value) => `Underlying Price: $${value.toFixed(2)}`}
-                  />
-                  <Legend />
-                  
-                  {deltaUnderlyingData.map((series, index) => (
-                    <Line
-                      key={`vol-${series.volatility}`}
-                      data={series.data}
-                      type="monotone"
-                      dataKey="delta"
-                      name={`Volatility: ${(series.volatility * 100).toFixed(0)}%`}
-                      stroke={getLineColor(index, deltaUnderlyingData.length)}
-                      dot={false}
-                      activeDot={{ r: 6 }}
-                    />
-                  ))}
-                </LineChart>
-              </ResponsiveContainer>
-            </div>
+            <GreekExplorer parameters={parameters} />
+          </div>
+        )}
+
+        {activeTab === 'surface' && (
+          <div className="chart-tab">
+            <SurfaceView parameters={parameters} />
+          </div>
+        )}
+
+        {activeTab === 'scenarios' && (
+          <ScenarioGrid parameters={parameters} />
+        )}
+
+        {activeTab === 'optionChain' && (
+          <div className="chart-tab">
+            <OptionChainImport
+              chain={optionChain}
+              onChainChange={setOptionChain}
+              dividendYield={parameters.dividendYield}
+              dayCount={getMaturityDayCount(parameters)}
+              holidayCalendar={parameters.holidayCalendar}
+              onUseSurface={onUseVolatilitySurface}
+            />
           </div>
         )}
 
@@ -233,84 +683,16 @@ const ResultsPanel = ({ optionPrice, greeks, priceChartData, volatilityChartData
           </div>
         )}
 
+        {activeTab === 'numericalGreeks' && (
+          <NumericalGreeks parameters={parameters} />
+        )}
+
+        {activeTab === 'deltaHedging' && (
+          <DeltaHedgingSimulator parameters={parameters} />
+        )}
+
         {activeTab === 'formula' && (
-          <div className="formula-tab">
-            <h3>Black-Scholes Option Pricing Formula</h3>
-            
-            <div className="formula-container">
-              <div className="formula-section">
-                <h4>Call Option Price:</h4>
-                <div className="formula">
-                  C = S × N(d₁) - K × e<sup>-rT</sup> × N(d₂)
-                </div>
-                <div className="formula-calculation">
-                  C = {parameters.underlyingPrice.toFixed(2)} × N({d1.toFixed(4)}) - {parameters.strikePrice.toFixed(2)} × e<sup>-{parameters.riskFreeRate.toFixed(2)}×{parameters.timeToMaturity.toFixed(2)}</sup> × N({d2.toFixed(4)})
-                </div>
-              </div>
-              
-              <div className="formula-section">
-                <h4>Put Option Price:</h4>
-                <div className="formula">
-                  P = K × e<sup>-rT</sup> × N(-d₂) - S × N(-d₁)
-                </div>
-                <div className="formula-calculation">
-                  P = {parameters.strikePrice.toFixed(2)} × e<sup>-{parameters.riskFreeRate.toFixed(2)}×{parameters.timeToMaturity.toFixed(2)}</sup> × N({(-d2).toFixed(4)}) - {parameters.underlyingPrice.toFixed(2)} × N({(-d1).toFixed(4)})
-                </div>
-              </div>
-              
-              <div className="formula-section">
-                <h4>Where:</h4>
-                <div className="formula">
-                  d₁ = [ln(S/K) + (r + σ²/2)T] / (σ√T)
-                </div>
-                <div className="formula-calculation">
-                  d₁ = [ln({parameters.underlyingPrice.toFixed(2)}/{parameters.strikePrice.toFixed(2)}) + ({parameters.riskFreeRate.toFixed(2)} + {parameters.volatility.toFixed(2)}²/2) × {parameters.timeToMaturity.toFixed(2)}] / ({parameters.volatility.toFixed(2)} × √{parameters.timeToMaturity.toFixed(2)}) = {d1.toFixed(4)}
-                </div>
-                
-                <div className="formula">
-                  d₂ = d₁ - σ√T
-                </div>
-                <div className="formula-calculation">
-                  d₂ = {d1.toFixed(4)} - {parameters.volatility.toFixed(2)} × √{parameters.timeToMaturity.toFixed(2)} = {d2.toFixed(4)}
-                </div>
-              </div>
-              
-              <div className="formula-section">
-                <h4>Parameters:</h4>
-                <ul className="parameter-list">
-                  <li><strong>S = {parameters.underlyingPrice.toFixed(2)}</strong>: Current underlying price</li>
-                  <li><strong>K = {parameters.strikePrice.toFixed(2)}</strong>: Strike price</li>
-                  <li><strong>r = {parameters.riskFreeRate.toFixed(2)}</strong>: Risk-free interest rate (decimal form)</li>
-                  <li><strong>T = {parameters.timeToMaturity.toFixed(2)}</strong>: Time to maturity (in years)</li>
-                  <li><strong>σ = {parameters.volatility.toFixed(2)}</strong>: Volatility of the underlying asset (decimal form)</li>
-                  <li><strong>N(x)</strong>: Cumulative distribution function of the standard normal distribution</li>
-                </ul>
-              </div>
-              
-              <div className="formula-section">
-                <h4>Terms Explained:</h4>
-                <ul className="terms-explanation">
-                  <li><strong>N(d₁)</strong>: Represents the delta of the call option, which is the sensitivity of the option price to changes in the underlying price</li>
-                  <li><strong>N(d₂)</strong>: Represents the probability that the option will be exercised at maturity (in a risk-neutral world)</li>
-                  <li><strong>S × N(d₁)</strong>: The expected value of receiving the stock if the option expires in-the-money</li>
-                  <li><strong>K × e<sup>-rT</sup> × N(d₂)</strong>: The expected value of paying the strike price if the option expires in-the-money</li>
-                  <li><strong>e<sup>-rT</sup></strong>: The present value factor that discounts the strike price from the future to the present</li>
-                </ul>
-              </div>
-              
-              <div className="formula-section">
-                <h4>Greeks in Terms of the Formula:</h4>
-                <ul className="greeks-formula">
-                  <li><strong>Delta (Δ)</strong>: N(d₁) for a call option, N(d₁) - 1 for a put option</li>
-                  <li><strong>Gamma (Γ)</strong>: N'(d₁) / (S × σ × √T) (same for both call and put)</li>
-                  <li><strong>Theta (Θ)</strong>: -[S × N'(d₁) × σ / (2 × √T)] - r × K × e<sup>-rT</sup> × N(d₂) for a call</li>
-                  <li><strong>Vega (ν)</strong>: S × √T × N'(d₁) (same for both call and put)</li>
-                  <li><strong>Rho (ρ)</strong>: K × T × e<sup>-rT</sup> × N(d₂) for a call, -K × T × e<sup>-rT</sup> × N(-d₂) for a put</li>
-                </ul>
-                <p><em>Note: N'(x) is the probability density function of the standard normal distribution</em></p>
-              </div>
-            </div>
-          </div>
+          <PricingFormula parameters={parameters} />
         )}
 
         {activeTab === 'normal' && (
@@ -318,7 +700,23 @@ const ResultsPanel = ({ optionPrice, greeks, priceChartData, volatilityChartData
         )}
         
         {activeTab === 'brownian' && (
-          <BrownianMotion />
+          <BrownianMotion
+            process={stochasticProcess}
+            onProcessChange={setStochasticProcess}
+            strikePrice={parameters.strikePrice}
+          />
+        )}
+        
+        {activeTab === 'monteCarlo' && (
+          <MonteCarloPricer parameters={parameters} process={stochasticProcess} />
+        )}
+        
+        {activeTab === 'exotics' && (
+          <ExoticPricer parameters={parameters} contract={exoticContract} onContractChange={setExoticContract} />
+        )}
+        
+        {activeTab === 'binomial' && (
+          <BinomialLattice parameters={parameters} />
         )}
       </div>
     </div>
@@ -0,0 +1,173 @@
+import React, { useState } from 'react';
+import { DEFAULT_SHOCK_LADDERS, parseShockLadder, generateScenarioGrid } from '../utils/Scenario';
+import { getOptionLeg, getValidLegs } from '../utils/Strategy';
+import './ScenarioGrid.css';
+
+const formatShock = (shock, unit) => `${shock > 0 ? '+' : ''}${shock}${unit}`;
+
+// Green for gains and red for losses, stronger the further from zero
+const getHeatColor = (pnl, maxAbsPnl) => {
+  const intensity = maxAbsPnl > 0 ? Math.min(1, Math.abs(pnl) / maxAbsPnl) : 0;
+  const hue = pnl >= 0 ? 120 : 0;
+  return `hsla(${hue}, 70%, 45%, ${(0.08 + 0.6 * intensity).toFixed(2)})`;
+};
+
+// Risk matrices of the position's P&L under spot and volatility shocks, one per day forward
+const ScenarioGrid = ({ parameters }) => {
+  const [spotLadder, setSpotLadder] = useState(DEFAULT_SHOCK_LADDERS.spot.join(', '));
+  const [volatilityLadder, setVolatilityLadder] = useState(DEFAULT_SHOCK_LADDERS.volatility.join(', '));
+  const [daysLadder, setDaysLadder] = useState(DEFAULT_SHOCK_LADDERS.days.join(', '));
+  const [showTaylor, setShowTaylor] = useState(true);
+
+  const strategyLegs = getValidLegs(parameters.legs);
+  const isStrategy = strategyLegs.length > 0;
+  const isAmerican = parameters.exerciseStyle === 'american';
+  const legs = isStrategy ? strategyLegs : [getOptionLeg(parameters)];
+
+  // Spot moves beyond -100% would give a negative underlying
+  const spotShocks = parseShockLadder(spotLadder).filter((shock) => shock > -100);
+  const volatilityShifts = parseShockLadder(volatilityLadder);
+  // Time only runs forward
+  const daysForward = parseShockLadder(daysLadder).filter((days) => days >= 0);
+
+  const isFx = parameters.model === 'garman-kohlhagen';
+  const formatValue = (value) => (isFx ? value.toFixed(4) : value.toFixed(2));
+
+  // One grid per day forward, shaded on a common scale so they can be compared
+  const grids = spotShocks.length > 0 && volatilityShifts.length > 0 && daysForward.length > 0
+    ? daysForward.map((days) => ({ days, ...generateScenarioGrid(legs, parameters, spotShocks, volatilityShifts, days) }))
+    : [];
+  const value = grids.length > 0 ? grids[0].value : 0;
+  const maxAbsPnl = Math.max(0, ...grids.map((grid) => grid.maxAbsPnl));
+  const maxTaylorError = Math.max(0, ...grids.flatMap((grid) => (
+    grid.rows.flatMap((row) => row.cells.map((cell) => Math.abs(cell.taylorPnl - cell.pnl)))
+  )));
+  const dayUnit = parameters.thetaBasis === 'trading' ? 'trading day' : 'day';
+
+  return (
+    <div className="scenario-grid">
+      <h3>Scenario Analysis</h3>
+      <p className="scenario-grid-description">
+        P&amp;L of the {isStrategy ? `${legs.length}-leg strategy` : `long ${parameters.optionType}`} when
+        the underlying moves, the volatility shifts and time passes. Each cell fully reprices every leg
+        with the selected model{isAmerican && ', American legs on the binomial tree'}; the Taylor column
+        estimates the same P&amp;L from today's Greeks, Δ·dS + ½Γ·dS² + vega·dσ + Θ·days, which drifts
+        away from the full revaluation for large moves.
+      </p>
+
+      <div className="scenario-grid-controls">
+        <div className="scenario-grid-control">
+          <label htmlFor="scenarioSpotLadder">Spot Shocks (%)</label>
+          <input
+            type="text"
+            id="scenarioSpotLadder"
+            value={spotLadder}
+            onChange={(e) => setSpotLadder(e.target.value)}
+          />
+        </div>
+        <div className="scenario-grid-control">
+          <label htmlFor="scenarioVolatilityLadder">Volatility Shifts (vol points)</label>
+          <input
+            type="text"
+            id="scenarioVolatilityLadder"
+            value={volatilityLadder}
+            onChange={(e) => setVolatilityLadder(e.target.value)}
+          />
+        </div>
+        <div className="scenario-grid-control">
+          <label htmlFor="scenarioDays">Days Forward</label>
+          <input
+            type="text"
+            id="scenarioDays"
+            value={daysLadder}
+            onChange={(e) => setDaysLadder(e.target.value)}
+          />
+        </div>
+        <label className="scenario-grid-toggle">
+          <input
+            type="checkbox"
+            checked={showTaylor}
+            onChange={(e) => setShowTaylor(e.target.checked)}
+          />
+          Show Taylor approximation
+        </label>
+      </div>
+
+      {grids.length === 0 && (
+        <div className="scenario-grid-error">
+          Enter at least one spot shock, one volatility shift and one day forward (0 or more)
+        </div>
+      )}
+
+      {grids.map((grid) => (
+        <div className="scenario-grid-table-wrapper" key={grid.days}>
+          <h4 className="scenario-grid-days">
+            {grid.days === 0 ? 'Today' : `After ${grid.days} ${dayUnit}${grid.days === 1 ? '' : 's'}`}
+          </h4>
+          <table className="scenario-grid-table">
+            <thead>
+              <tr>
+                <th rowSpan={showTaylor ? 2 : 1}>Spot</th>
+                {volatilityShifts.map((shift) => (
+                  <th key={shift} colSpan={showTaylor ? 2 : 1}>σ {formatShock(shift, ' pts')}</th>
+                ))}
+              </tr>
+              {showTaylor && (
+                <tr>
+                  {volatilityShifts.map((shift) => (
+                    <React.Fragment key={shift}>
+                      <th className="scenario-grid-subheader">Full</th>
+                      <th className="scenario-grid-subheader">Taylor</th>
+                    </React.Fragment>
+                  ))}
+                </tr>
+              )}
+            </thead>
+            <tbody>
+              {grid.rows.map((row) => (
+                <tr key={row.spotShock} className={row.spotShock === 0 ? 'scenario-grid-current' : ''}>
+                  <th>
+                    {formatShock(row.spotShock, '%')}
+                    <span className="scenario-grid-spot">{formatValue(row.spot)}</span>
+                  </th>
+                  {row.cells.map((cell) => (
+                    <React.Fragment key={cell.volatilityShift}>
+                      <td style={{ backgroundColor: getHeatColor(cell.pnl, maxAbsPnl) }}>
+                        {formatValue(cell.pnl)}
+                      </td>
+                      {showTaylor && (
+                        <td
+                          className="scenario-grid-taylor"
+                          style={{ backgroundColor: getHeatColor(cell.taylorPnl, maxAbsPnl) }}
+                          title={`Error ${formatValue(cell.taylorPnl - cell.pnl)}`}
+                        >
+                          {formatValue(cell.taylorPnl)}
+                        </td>
+                      )}
+                    </React.Fragment>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ))}
+
+      {grids.length > 0 && (
+        <>
+          <div className="scenario-grid-summary">
+            <span>Current value: <strong>{formatValue(value)}</strong></span>
+            <span>Largest move: <strong>{formatValue(maxAbsPnl)}</strong></span>
+            {showTaylor && <span>Largest Taylor error: <strong>{formatValue(maxTaylorError)}</strong></span>}
+          </div>
+          <p className="scenario-grid-note">
+            Legs are valued as European options, as in the strategy builder. Days forward
+            are {parameters.thetaBasis === 'trading' ? 'trading' : 'calendar'} days, matching theta per day.
+          </p>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ScenarioGrid;
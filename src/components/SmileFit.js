@@ -0,0 +1,171 @@
+import React from 'react';
+import {
+  ComposedChart, Line, Scatter, XAxis, YAxis, CartesianGrid,
+  Tooltip, Legend, ResponsiveContainer
+} from 'recharts';
+import { generateRange } from '../utils/BlackScholes';
+import { SMILE_MODELS, fitVolatilitySurface, getSliceVolatility } from '../utils/VolatilityFitting';
+import './SmileFit.css';
+
+const SABR_BETAS = [0, 0.5, 1];
+const FIT_CURVE_POINTS = 50;
+
+// Fitted parameters in the notation of each model
+const formatParams = (model, params) => (
+  model === 'sabr'
+    ? `α = ${params.alpha.toFixed(4)}, β = ${params.beta}, ρ = ${params.rho.toFixed(3)}, ν = ${params.nu.toFixed(3)}`
+    : `a = ${params.a.toFixed(4)}, b = ${params.b.toFixed(4)}, ρ = ${params.rho.toFixed(3)}, `
+      + `m = ${params.m.toFixed(3)}, σ = ${params.sigma.toFixed(3)}`
+);
+
+const formatVolatility = (value) => `${(value * 100).toFixed(2)}%`;
+
+const formatStrikes = (strikes) => (
+  strikes.length === 0
+    ? 'None'
+    : `K ${strikes[0].toFixed(2)} to ${strikes[strikes.length - 1].toFixed(2)}`
+);
+
+// Parametric fit of the smiles of an option chain, with residuals and arbitrage checks
+const SmileFit = ({ smiles, model, beta, onFitChange, onUseSurface }) => {
+  const fit = fitVolatilitySurface(smiles, model, beta);
+
+  const getLineColor = (index, total) => {
+    const hue = total > 1 ? 240 - (index / (total - 1)) * 240 : 240;
+    return `hsl(${hue}, 80%, 50%)`;
+  };
+
+  // Fitted curve across each expiry's quoted strikes, with the market points it was fitted to
+  const fitCurves = fit.slices.map((slice, index) => {
+    const strikes = slice.residuals.map(({ strike }) => strike);
+    return {
+      expiry: slice.expiry,
+      color: getLineColor(index, fit.slices.length),
+      curve: generateRange(Math.min(...strikes), Math.max(...strikes), FIT_CURVE_POINTS)
+        .map((strike) => ({ strike, impliedVolatility: getSliceVolatility(slice, strike) })),
+      market: slice.residuals.map(({ strike, marketVolatility }) => ({ strike, impliedVolatility: marketVolatility }))
+    };
+  });
+
+  return (
+    <div className="smile-fit">
+      <h4>Parametric Smile Fit</h4>
+      <div className="smile-fit-controls">
+        <div className="smile-fit-control">
+          <label htmlFor="smileModel">Model</label>
+          <select id="smileModel" value={model} onChange={(e) => onFitChange({ model: e.target.value, beta })}>
+            {Object.entries(SMILE_MODELS).map(([key, config]) => (
+              <option key={key} value={key}>{config.label}</option>
+            ))}
+          </select>
+        </div>
+        {model === 'sabr' && (
+          <div className="smile-fit-control">
+            <label htmlFor="sabrBeta">β</label>
+            <select
+              id="sabrBeta"
+              value={beta}
+              onChange={(e) => onFitChange({ model, beta: parseFloat(e.target.value) })}
+            >
+              {SABR_BETAS.map((value) => (
+                <option key={value} value={value}>{value}</option>
+              ))}
+            </select>
+          </div>
+        )}
+      </div>
+      <p className="chart-description">{SMILE_MODELS[model].description}.</p>
+
+      {fit.slices.length > 0 && (
+        <ResponsiveContainer width="100%" height={350}>
+          <ComposedChart margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis
+              dataKey="strike"
+              type="number"
+              domain={['dataMin', 'dataMax']}
+              tickFormatter={(value) => value.toFixed(0)}
+              label={{ value: 'Strike Price', position: 'insideBottom', offset: -5 }}
+            />
+            <YAxis
+              dataKey="impliedVolatility"
+              domain={['auto', 'auto']}
+              tickFormatter={(value) => `${(value * 100).toFixed(0)}%`}
+              label={{ value: 'Implied Volatility', angle: -90, position: 'insideLeft' }}
+            />
+            <Tooltip formatter={(value, name) => [formatVolatility(value), name]} />
+            <Legend />
+            {fitCurves.map(({ expiry, color, curve }) => (
+              <Line
+                key={`fit-${expiry}`}
+                data={curve}
+                type="monotone"
+                dataKey="impliedVolatility"
+                name={`Fit ${expiry}`}
+                stroke={color}
+                dot={false}
+              />
+            ))}
+            {fitCurves.map(({ expiry, color, market }) => (
+              <Scatter
+                key={`market-${expiry}`}
+                data={market}
+                dataKey="impliedVolatility"
+                name={`Market ${expiry}`}
+                fill={color}
+              />
+            ))}
+          </ComposedChart>
+        </ResponsiveContainer>
+      )}
+
+      {fit.slices.length > 0 && (
+        <table className="smile-fit-table">
+          <thead>
+            <tr>
+              <th>Expiry</th>
+              <th>Parameters</th>
+              <th>RMSE</th>
+              <th>Max |Residual|</th>
+              <th>Butterfly Arbitrage</th>
+            </tr>
+          </thead>
+          <tbody>
+            {fit.slices.map((slice) => (
+              <tr key={slice.expiry} className={slice.butterflyArbitrage.length > 0 ? 'arbitrage' : ''}>
+                <td>{slice.expiry}</td>
+                <td>{formatParams(model, slice.params)}</td>
+                <td>{formatVolatility(slice.rmse)}</td>
+                <td>{formatVolatility(Math.max(...slice.residuals.map(({ residual }) => Math.abs(residual))))}</td>
+                <td>{formatStrikes(slice.butterflyArbitrage)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <div className="smile-fit-checks">
+        {fit.slices.length > 1 && fit.calendarArbitrage.length === 0 && (
+          <p>No calendar arbitrage: total variance increases with maturity across the fitted expiries.</p>
+        )}
+        {fit.calendarArbitrage.map(({ expiry, nextExpiry, moneyness }) => (
+          <p key={expiry} className="smile-fit-warning">
+            Calendar arbitrage: total variance falls from {expiry} to {nextExpiry} for
+            K/F from {moneyness[0].toFixed(3)} to {moneyness[moneyness.length - 1].toFixed(3)}.
+          </p>
+        ))}
+        {fit.skipped.map(({ expiry, reason }) => (
+          <p key={expiry} className="smile-fit-warning">Expiry {expiry} not fitted: {reason}.</p>
+        ))}
+      </div>
+
+      {fit.slices.length > 0 && (
+        <button className="use-surface" onClick={() => onUseSurface(fit)}>
+          Price with Fitted Surface
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default SmileFit;
@@ -0,0 +1,145 @@
+import React from 'react';
+import { LEG_INSTRUMENTS, STRATEGY_TEMPLATES } from '../utils/Strategy';
+import './StrategyBuilder.css';
+
+// A cleared field is stored as NaN, shown empty and left out of the valuation
+const formatInput = (value) => (Number.isFinite(value) ? value : '');
+
+const StrategyBuilder = ({ legs, strikePrice, timeToMaturity, optionType, exerciseStyle, onLegsChange }) => {
+  const handleLegChange = (index, field, value) => {
+    const updated = legs.map((leg, i) => (
+      i === index ? { ...leg, [field]: value } : leg
+    ));
+    onLegsChange(updated);
+  };
+
+  const handleAddLeg = () => {
+    // New legs start from the option priced in the main panel
+    onLegsChange([
+      ...legs,
+      { instrument: optionType, position: 'long', quantity: 1, strike: strikePrice, expiry: timeToMaturity }
+    ]);
+  };
+
+  const handleRemoveLeg = (index) => {
+    onLegsChange(legs.filter((_, i) => i !== index));
+  };
+
+  const handleTemplateChange = (e) => {
+    const template = STRATEGY_TEMPLATES[e.target.value];
+    if (template) {
+      onLegsChange(template.legs(strikePrice, timeToMaturity));
+    }
+  };
+
+  return (
+    <div className="strategy-builder">
+      <h2>Strategy Builder</h2>
+
+      <div className="strategy-template">
+        <label htmlFor="strategyTemplate">Template</label>
+        <select id="strategyTemplate" value="" onChange={handleTemplateChange}>
+          <option value="" disabled>Choose a strategy…</option>
+          {Object.entries(STRATEGY_TEMPLATES).map(([key, template]) => (
+            <option key={key} value={key}>{template.label}</option>
+          ))}
+        </select>
+      </div>
+
+      {legs.length === 0 ? (
+        <p className="strategy-empty">No legs. Pick a template or add legs to price a strategy.</p>
+      ) : (
+        <div className="strategy-legs">
+          {legs.map((leg, index) => {
+            const isUnderlying = leg.instrument === 'underlying';
+            return (
+              <div className={`strategy-leg ${leg.position}`} key={index}>
+                <div className="leg-row">
+                  <select
+                    aria-label={`Leg ${index + 1} position`}
+                    value={leg.position}
+                    onChange={(e) => handleLegChange(index, 'position', e.target.value)}
+                  >
+                    <option value="long">Long</option>
+                    <option value="short">Short</option>
+                  </select>
+                  <input
+                    type="number"
+                    aria-label={`Leg ${index + 1} quantity`}
+                    value={formatInput(leg.quantity)}
+                    onChange={(e) => handleLegChange(index, 'quantity', parseFloat(e.target.value))}
+                    step="1"
+                    min="0"
+                  />
+                  <select
+                    aria-label={`Leg ${index + 1} instrument`}
+                    value={leg.instrument}
+                    onChange={(e) => handleLegChange(index, 'instrument', e.target.value)}
+                  >
+                    {Object.entries(LEG_INSTRUMENTS).map(([key, label]) => (
+                      <option key={key} value={key}>{label}</option>
+                    ))}
+                  </select>
+                  <button
+                    className="remove-leg"
+                    onClick={() => handleRemoveLeg(index)}
+                    title="Remove leg"
+                  >
+                    ×
+                  </button>
+                </div>
+                {!isUnderlying && (
+                  <div className="leg-row">
+                    <label>
+                      K
+                      <input
+                        type="number"
+                        aria-label={`Leg ${index + 1} strike`}
+                        value={formatInput(leg.strike)}
+                        onChange={(e) => handleLegChange(index, 'strike', parseFloat(e.target.value))}
+                        step="1"
+                        min="0.01"
+                      />
+                    </label>
+                    <label>
+                      T
+                      <input
+                        type="number"
+                        aria-label={`Leg ${index + 1} expiry`}
+                        value={formatInput(leg.expiry)}
+                        onChange={(e) => handleLegChange(index, 'expiry', parseFloat(e.target.value))}
+                        step="0.05"
+                        min="0"
+                      />
+                    </label>
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      <div className="strategy-actions">
+        <button className="add-leg" onClick={handleAddLeg}>
+          + Add Leg
+        </button>
+        {legs.length > 0 && (
+          <button className="clear-legs" onClick={() => onLegsChange([])}>
+            Clear
+          </button>
+        )}
+      </div>
+
+      {legs.length > 0 && (
+        <p className="strategy-note">
+          Legs are priced with the selected model, volatility, rates and exercise style
+          {exerciseStyle === 'american' && ', American legs on the binomial tree'}.
+          Expiries are in years; legs with an empty field are left out.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default StrategyBuilder;
@@ -0,0 +1,222 @@
+import React, { useState } from 'react';
+import { calculateContourSegments, projectPoint, getSurfaceColor } from '../utils/Surface';
+import './SurfacePlot.css';
+
+const CONTOUR_LEVELS = 8;
+
+// Drawing area in SVG units
+const WIDTH = 600;
+const HEIGHT = 450;
+const MARGIN = 60;
+const SCALE = 140;
+
+// Rotatable 3D surface or heatmap with contours of a grid from generateSurfaceData
+const SurfacePlot = ({ surface, xAxis, yAxis, valueLabel, idPrefix }) => {
+  const [mode, setMode] = useState('3d');
+  const [azimuth, setAzimuth] = useState(-35);
+  const [elevation, setElevation] = useState(30);
+  const [dragStart, setDragStart] = useState(null);
+  const [hoveredNode, setHoveredNode] = useState(null);
+
+  const columns = surface.xValues.length;
+  const rows = surface.yValues.length;
+  const valueRange = surface.max - surface.min || 1;
+  const normalize = (value) => (value - surface.min) / valueRange;
+  const formatValue = (value) => (Number.isFinite(value) ? value.toFixed(6) : 'n/a');
+
+  // A node hovered on a larger grid may no longer exist
+  const hovered = hoveredNode && hoveredNode.row < rows && hoveredNode.col < columns ? hoveredNode : null;
+
+  // 3D view: grid indices map onto the unit cube and are projected onto the screen
+  const project = (col, row, value) => {
+    const point = projectPoint(
+      (2 * col) / (columns - 1) - 1,
+      1 - (2 * row) / (rows - 1),
+      2 * normalize(value) - 1,
+      azimuth,
+      elevation
+    );
+    return { x: WIDTH / 2 + SCALE * point.x, y: HEIGHT / 2 + SCALE * point.y, depth: point.depth };
+  };
+
+  const renderSurface = () => {
+    const quads = [];
+    for (let row = 0; row < rows - 1; row++) {
+      for (let col = 0; col < columns - 1; col++) {
+        const cornerValues = [[col, row], [col + 1, row], [col + 1, row + 1], [col, row + 1]]
+          .map(([c, rr]) => ({ col: c, row: rr, value: surface.values[rr][c] }));
+        // Grids with gaps (e.g. outside a quoted strike range) leave holes in the surface
+        if (cornerValues.some(({ value }) => !Number.isFinite(value))) continue;
+
+        const corners = cornerValues.map(({ col: c, row: rr, value }) => project(c, rr, value));
+        const average = cornerValues.reduce((sum, { value }) => sum + value, 0) / 4;
+        quads.push({
+          row,
+          col,
+          depth: corners.reduce((sum, corner) => sum + corner.depth, 0) / 4,
+          points: corners.map(({ x, y }) => `${x},${y}`).join(' '),
+          fill: getSurfaceColor(normalize(average))
+        });
+      }
+    }
+
+    // Painter's algorithm: draw the farthest cells first
+    quads.sort((a, b) => a.depth - b.depth);
+
+    const origin = project(0, 0, surface.min);
+    const axisEnds = [
+      { key: 'x', end: project(columns - 1, 0, surface.min), label: xAxis.label },
+      { key: 'y', end: project(0, rows - 1, surface.min), label: yAxis.label },
+      { key: 'z', end: project(0, 0, surface.max), label: valueLabel }
+    ];
+
+    return (
+      <svg
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        width="100%"
+        className={`surface-svg rotatable ${dragStart ? 'dragging' : ''}`}
+        onMouseDown={(e) => setDragStart({ x: e.clientX, y: e.clientY, azimuth, elevation })}
+        onMouseMove={(e) => {
+          if (!dragStart) return;
+          setAzimuth(dragStart.azimuth + (e.clientX - dragStart.x) * 0.5);
+          setElevation(Math.min(90, Math.max(0, dragStart.elevation + (e.clientY - dragStart.y) * 0.5)));
+        }}
+        onMouseUp={() => setDragStart(null)}
+        onMouseLeave={() => setDragStart(null)}
+      >
+        {quads.map((quad) => (
+          <polygon
+            key={`${quad.row}-${quad.col}`}
+            className="surface-cell"
+            points={quad.points}
+            fill={quad.fill}
+            onMouseEnter={() => setHoveredNode({ row: quad.row, col: quad.col })}
+          />
+        ))}
+        {axisEnds.map(({ key, end, label }) => (
+          <g key={key} className="surface-axis">
+            <line x1={origin.x} y1={origin.y} x2={end.x} y2={end.y} />
+            <text x={end.x} y={end.y}>{label}</text>
+          </g>
+        ))}
+      </svg>
+    );
+  };
+
+  // Heatmap view: the row input runs up the chart and contours trace constant levels
+  const cellWidth = (WIDTH - 2 * MARGIN) / columns;
+  const cellHeight = (HEIGHT - 2 * MARGIN) / rows;
+  const nodeX = (col) => MARGIN + (col + 0.5) * cellWidth;
+  const nodeY = (row) => MARGIN + (rows - 1 - row + 0.5) * cellHeight;
+
+  const renderHeatmap = () => {
+    const levels = Array.from(
+      { length: CONTOUR_LEVELS },
+      (_, i) => surface.min + ((i + 1) / (CONTOUR_LEVELS + 1)) * valueRange
+    );
+
+    return (
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} width="100%" className="surface-svg">
+        {surface.values.map((rowValues, row) => rowValues.map((value, col) => (
+          Number.isFinite(value) && (
+            <rect
+              key={`${row}-${col}`}
+              className="heatmap-cell"
+              x={MARGIN + col * cellWidth}
+              y={MARGIN + (rows - 1 - row) * cellHeight}
+              width={cellWidth}
+              height={cellHeight}
+              fill={getSurfaceColor(normalize(value))}
+              onMouseEnter={() => setHoveredNode({ row, col })}
+            />
+          )
+        )))}
+        {levels.map((level) => (
+          <g key={level} className="contour-line">
+            {calculateContourSegments(surface.values, level).map((segment, i) => (
+              <line
+                key={i}
+                x1={nodeX(segment.x1)}
+                y1={nodeY(segment.y1)}
+                x2={nodeX(segment.x2)}
+                y2={nodeY(segment.y2)}
+              />
+            ))}
+          </g>
+        ))}
+        <g className="surface-axis">
+          <text x={MARGIN} y={HEIGHT - MARGIN + 20}>{xAxis.format(surface.xValues[0])}</text>
+          <text x={WIDTH - MARGIN} y={HEIGHT - MARGIN + 20} textAnchor="end">
+            {xAxis.format(surface.xValues[columns - 1])}
+          </text>
+          <text x={WIDTH / 2} y={HEIGHT - MARGIN + 40} textAnchor="middle">{xAxis.label}</text>
+          <text x={MARGIN - 5} y={HEIGHT - MARGIN} textAnchor="end">{yAxis.format(surface.yValues[0])}</text>
+          <text x={MARGIN - 5} y={MARGIN + 10} textAnchor="end">{yAxis.format(surface.yValues[rows - 1])}</text>
+          <text x={MARGIN} y={MARGIN - 10}>{yAxis.label}</text>
+        </g>
+      </svg>
+    );
+  };
+
+  return (
+    <div className="surface-plot">
+      <div className="surface-plot-controls">
+        <label htmlFor={`${idPrefix}Mode`}>View</label>
+        <select id={`${idPrefix}Mode`} value={mode} onChange={(e) => setMode(e.target.value)}>
+          <option value="3d">3D Surface</option>
+          <option value="heatmap">Heatmap with Contours</option>
+        </select>
+        {mode === '3d' && (
+          <>
+            <label htmlFor={`${idPrefix}Azimuth`}>Rotation: {azimuth.toFixed(0)}°</label>
+            <input
+              id={`${idPrefix}Azimuth`}
+              type="range"
+              min="-180"
+              max="180"
+              step="1"
+              value={azimuth}
+              onChange={(e) => setAzimuth(parseFloat(e.target.value))}
+            />
+            <label htmlFor={`${idPrefix}Elevation`}>Elevation: {elevation.toFixed(0)}°</label>
+            <input
+              id={`${idPrefix}Elevation`}
+              type="range"
+              min="0"
+              max="90"
+              step="1"
+              value={elevation}
+              onChange={(e) => setElevation(parseFloat(e.target.value))}
+            />
+          </>
+        )}
+      </div>
+
+      <div className="surface-layout">
+        <div className="surface-chart">
+          {mode === '3d' ? renderSurface() : renderHeatmap()}
+          <div className="surface-scale">
+            <span>{formatValue(surface.min)}</span>
+            <div className="surface-scale-bar" />
+            <span>{formatValue(surface.max)}</span>
+          </div>
+          {mode === '3d' && <p className="surface-hint">Drag the surface to rotate it.</p>}
+        </div>
+
+        <div className="surface-details">
+          {hovered ? (
+            <ul>
+              <li><strong>{xAxis.label}:</strong> {xAxis.format(surface.xValues[hovered.col])}</li>
+              <li><strong>{yAxis.label}:</strong> {yAxis.format(surface.yValues[hovered.row])}</li>
+              <li><strong>{valueLabel}:</strong> {formatValue(surface.values[hovered.row][hovered.col])}</li>
+            </ul>
+          ) : (
+            <p>Hover over the surface to read the value at a grid point.</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SurfacePlot;
@@ -0,0 +1,92 @@
+import React, { useState } from 'react';
+import { generateRange } from '../utils/BlackScholes';
+import { CHART_OUTPUTS, getModelInputs, getSweepEvaluator } from '../utils/PricingModels';
+import { generateSurfaceData } from '../utils/Surface';
+import SurfacePlot from './SurfacePlot';
+import './SurfaceView.css';
+
+// Second input plotted against spot, with its range and format
+const SURFACE_AXES = {
+  time: {
+    label: 'Spot × Time to Maturity',
+    input: 'T',
+    inputLabel: 'Time to Maturity',
+    format: (value) => `${value.toFixed(2)} years`,
+    range: ({ T }) => [0.01, Math.max(2, 2 * T)]
+  },
+  volatility: {
+    label: 'Spot × Volatility',
+    input: 'sigma',
+    inputLabel: 'Volatility',
+    format: (value) => `${(value * 100).toFixed(0)}%`,
+    range: () => [0.05, 1]
+  }
+};
+
+const GRID_POINTS = 30;
+
+const SPOT_AXIS = {
+  label: 'Underlying Price',
+  format: (value) => `$${value.toFixed(2)}`
+};
+
+const SurfaceView = ({ parameters }) => {
+  const [output, setOutput] = useState('price');
+  const [axes, setAxes] = useState('time');
+
+  const { r, T, sigma, q } = getModelInputs(parameters);
+  const inputs = { S: parameters.underlyingPrice, K: parameters.strikePrice, r, T, sigma, q };
+  const axisConfig = SURFACE_AXES[axes];
+  const [yMin, yMax] = axisConfig.range(inputs);
+
+  const surface = generateSurfaceData(
+    parameters.optionType,
+    inputs,
+    output,
+    'S',
+    generateRange(inputs.K * 0.5, inputs.K * 1.5, GRID_POINTS),
+    axisConfig.input,
+    generateRange(yMin, yMax, GRID_POINTS),
+    getSweepEvaluator(parameters)
+  );
+
+  const outputLabel = CHART_OUTPUTS.find(([key]) => key === output)[1];
+
+  return (
+    <div className="surface-view">
+      <div className="surface-controls">
+        <div className="surface-control">
+          <label htmlFor="surfaceOutput">Surface</label>
+          <select id="surfaceOutput" value={output} onChange={(e) => setOutput(e.target.value)}>
+            {CHART_OUTPUTS.map(([key, label]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="surface-control">
+          <label htmlFor="surfaceAxes">Grid</label>
+          <select id="surfaceAxes" value={axes} onChange={(e) => setAxes(e.target.value)}>
+            {Object.entries(SURFACE_AXES).map(([key, config]) => (
+              <option key={key} value={key}>{config.label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <h3>{outputLabel} over {axisConfig.label}</h3>
+      {parameters.exerciseStyle === 'american' && (
+        <p className="chart-description">The surface uses the closed-form European formulas of the selected model.</p>
+      )}
+
+      <SurfacePlot
+        surface={surface}
+        xAxis={SPOT_AXIS}
+        yAxis={{ label: axisConfig.inputLabel, format: axisConfig.format }}
+        valueLabel={outputLabel}
+        idPrefix="surface"
+      />
+    </div>
+  );
+};
+
+export default SurfaceView;
@@ -0,0 +1,202 @@
+import React, { useState, useEffect } from 'react';
+import {
+  LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine
+} from 'recharts';
+import { getModelInputs, getSweepEvaluator } from '../utils/PricingModels';
+import { formatIsoDate, getThetaDaysPerYear, parseDateTime } from '../utils/DayCount';
+import {
+  TIME_BASES,
+  generateDecaySchedule,
+  generateTimeDecayData,
+  calculateThetaPerDay
+} from '../utils/TimeDecay';
+import './TimeDecayChart.css';
+
+// Delay between animation frames (milliseconds)
+const FRAME_DELAY = 120;
+
+// Underlying prices charted, 30% either side of the current price
+const CURVE_RANGE = 0.3;
+const CURVE_POINTS = 61;
+
+// Animate the option curve from today to expiry at the current volatility
+const TimeDecayChart = ({ parameters }) => {
+  const { r, T, sigma, q } = getModelInputs(parameters);
+  const { optionType, underlyingPrice, strikePrice } = parameters;
+  // Time runs on the theta convention chosen in the inputs
+  const timeBasis = parameters.thetaBasis;
+  const daysPerYear = getThetaDaysPerYear(parameters);
+  const calendar = parameters.holidayCalendar;
+  // Days run from the valuation date, as the dated maturity and dividend ex-dates do;
+  // only business days matter on a trading-day basis
+  const startDate = Number.isFinite(parseDateTime(parameters.valuationDate))
+    ? parameters.valuationDate
+    : formatIsoDate(Date.now());
+
+  const [day, setDay] = useState(0);
+  const [playing, setPlaying] = useState(false);
+
+  const schedule = generateDecaySchedule(T, startDate, timeBasis, daysPerYear, calendar);
+  const lastDay = schedule.length - 1;
+  const current = schedule[Math.min(day, lastDay)];
+
+  // Restart from the valuation date when the inputs, dates or time basis change
+  useEffect(() => {
+    setDay(0);
+    setPlaying(false);
+  }, [optionType, underlyingPrice, strikePrice, r, T, sigma, q, timeBasis, daysPerYear, startDate, calendar]);
+
+  // Advance one calendar day per frame until expiry
+  useEffect(() => {
+    if (!playing) return undefined;
+    if (day >= lastDay) {
+      setPlaying(false);
+      return undefined;
+    }
+    const timer = setTimeout(() => setDay(day + 1), FRAME_DELAY);
+    return () => clearTimeout(timer);
+  }, [playing, day, lastDay]);
+
+  const handlePlay = () => {
+    if (!playing && day >= lastDay) setDay(0);
+    setPlaying(!playing);
+  };
+
+  // Price on the quoted spot with any cash dividends escrowed, their dates moving closer as days pass
+  const laterParameters = {
+    ...parameters,
+    timeToMaturity: current.remaining,
+    dividends: parameters.dividends.map((dividend) => ({ ...dividend, time: dividend.time - (T - current.remaining) }))
+  };
+  const evaluateLater = getSweepEvaluator(laterParameters);
+  const data = generateTimeDecayData(
+    optionType, underlyingPrice, strikePrice, r, T, current.remaining, sigma, q, CURVE_RANGE, CURVE_POINTS,
+    getSweepEvaluator(parameters), evaluateLater
+  );
+  // Fix the price axis to today's curve so it does not rescale as the curve falls
+  const maxPrice = Math.max(...data.map((point) => Math.max(point.initialPrice, point.intrinsic)));
+
+  const value = evaluateLater(optionType, {
+    S: underlyingPrice, K: strikePrice, r, T: current.remaining, sigma, q
+  }).price;
+  const intrinsic = Math.max(0, optionType === 'call' ? underlyingPrice - strikePrice : strikePrice - underlyingPrice);
+  const thetaPerDay = current.remaining > 0
+    ? calculateThetaPerDay(
+      optionType, getModelInputs(laterParameters).S, strikePrice, r, current.remaining, sigma, q, timeBasis, daysPerYear
+    )
+    : 0;
+  const isAmerican = parameters.exerciseStyle === 'american';
+
+  const isFx = parameters.model === 'garman-kohlhagen';
+  const formatValue = (amount) => (isFx ? amount.toFixed(4) : `$${amount.toFixed(2)}`);
+  const formatDate = (date) => new Date(parseDateTime(date)).toLocaleDateString(undefined, {
+    weekday: 'short', day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC'
+  });
+
+  return (
+    <div className="time-decay">
+      <h3>Time Decay</h3>
+      <p className="chart-description">
+        Play the clock forward to watch the option curve at {(sigma * 100).toFixed(0)}% volatility lose its time
+        value and collapse onto the payoff at expiry. {TIME_BASES[timeBasis].description}, each day
+        being 1/{daysPerYear} of a year as in the Greeks panel.
+        {isAmerican && ' Values are European: repricing the American engine every frame is too slow to '
+          + 'animate, so early exercise is left out and the value today sits below the American premium.'}
+      </p>
+
+      <div className="time-decay-controls">
+        <button className="time-decay-play" onClick={handlePlay} disabled={lastDay === 0}>
+          {playing ? 'Pause' : 'Play'}
+        </button>
+        <div className="time-decay-control time-decay-slider">
+          <label htmlFor="decayDay">Calendar Days Passed: {current.day} of {lastDay}</label>
+          <input
+            type="range"
+            id="decayDay"
+            min="0"
+            max={lastDay}
+            step="1"
+            value={current.day}
+            onChange={(e) => {
+              setPlaying(false);
+              setDay(parseInt(e.target.value, 10));
+            }}
+          />
+        </div>
+      </div>
+
+      <div className="time-decay-readout">
+        <div className="time-decay-result">
+          <div className="result-name">Date</div>
+          <div className="result-value">{formatDate(current.date)}</div>
+          {current.day > 0 && !current.decays && <div className="result-note">Weekend or holiday: valuation date held</div>}
+        </div>
+        <div className="time-decay-result">
+          <div className="result-name">Time to Maturity</div>
+          <div className="result-value">{current.remaining.toFixed(4)} years</div>
+        </div>
+        <div className="time-decay-result">
+          <div className="result-name">{isAmerican ? 'European Value' : 'Option Value'}</div>
+          <div className="result-value">{formatValue(value)}</div>
+          <div className="result-note">Time value {formatValue(value - intrinsic)}</div>
+        </div>
+        <div className="time-decay-result">
+          <div className="result-name">Theta per {timeBasis === 'trading' ? 'Trading' : 'Calendar'} Day</div>
+          <div className="result-value">{formatValue(thetaPerDay)}</div>
+        </div>
+      </div>
+
+      <ResponsiveContainer width="100%" height={400}>
+        <LineChart data={data} margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis
+            dataKey="underlyingPrice"
+            type="number"
+            domain={['dataMin', 'dataMax']}
+            tickFormatter={(price) => `$${price.toFixed(0)}`}
+            label={{ value: 'Underlying Price ($)', position: 'insideBottom', offset: -5 }}
+          />
+          <YAxis
+            domain={[0, Math.ceil(maxPrice)]}
+            tickFormatter={(price) => `$${price.toFixed(2)}`}
+            label={{ value: 'Option Price ($)', angle: -90, position: 'insideLeft' }}
+          />
+          <Tooltip
+            formatter={(amount, name) => [formatValue(amount), name]}
+            labelFormatter={(price) => `Underlying Price: $${price.toFixed(2)}`}
+          />
+          <Legend />
+          <Line
+            type="monotone"
+            dataKey="initialPrice"
+            name="Today"
+            stroke="#9e9e9e"
+            strokeDasharray="4 4"
+            dot={false}
+            isAnimationActive={false}
+          />
+          <Line
+            type="monotone"
+            dataKey="optionPrice"
+            name={`After ${current.day} days`}
+            stroke="#1e88e5"
+            strokeWidth={2}
+            dot={false}
+            isAnimationActive={false}
+          />
+          <Line
+            type="linear"
+            dataKey="intrinsic"
+            name="Payoff at Expiry"
+            stroke="#424242"
+            dot={false}
+            isAnimationActive={false}
+          />
+          <ReferenceLine x={underlyingPrice} stroke="blue" strokeDasharray="3 3" />
+        </LineChart>
+      </ResponsiveContainer>
+    </div>
+  );
+};
+
+export default TimeDecayChart;
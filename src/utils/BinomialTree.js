@@ -0,0 +1,163 @@
+import { calculatePendingDividendValue } from './BlackScholes';
+
+// Default number of time steps for pricing with the tree
+export const DEFAULT_BINOMIAL_STEPS = 300;
+
+/**
+ * Calculate the Cox-Ross-Rubinstein tree parameters. When the carry over one step outruns
+ * the CRR moves (a low volatility with a high rate or yield), the up-move probability would
+ * leave (0, 1), so the tree is centred on the forward instead, keeping p near one half.
+ * @param {number} r - Risk-free interest rate (decimal form)
+ * @param {number} T - Time to maturity (in years)
+ * @param {number} sigma - Volatility (decimal form)
+ * @param {number} q - Continuous dividend yield (decimal form)
+ * @param {number} steps - Number of time steps
+ * @returns {Object} Object with dt, u (up factor), d (down factor), p (risk-neutral
+ *   up probability), discount (one-step discount factor) and driftAdjusted (whether the
+ *   tree was centred on the forward)
+ */
+export const calculateTreeParameters = (r, T, sigma, q, steps) => {
+  const dt = T / steps;
+  const growth = Math.exp((r - q) * dt);
+  const move = Math.exp(sigma * Math.sqrt(dt));
+  const crrProbability = (growth - 1 / move) / (move - 1 / move);
+  const driftAdjusted = !(crrProbability > 0 && crrProbability < 1);
+
+  const u = driftAdjusted ? growth * move : move;
+  const d = driftAdjusted ? growth / move : 1 / move;
+  const p = (growth - d) / (u - d);
+
+  return { dt, u, d, p, discount: Math.exp(-r * dt), driftAdjusted };
+};
+
+/**
+ * Calculate option price with a Cox-Ross-Rubinstein binomial tree. With cash dividends
+ * the tree models the escrowed spot, and exercise at each node pays off on the share
+ * price: the node price plus the dividends still to come, so the share drops at each
+ * ex-date and a call can be exercised just before it.
+ * @param {string} type - Option type ('call' or 'put')
+ * @param {number} S - Current stock price (the escrowed spot with cash dividends)
+ * @param {number} K - Strike price
+ * @param {number} r - Risk-free interest rate (decimal form)
+ * @param {number} T - Time to maturity (in years)
+ * @param {number} sigma - Volatility (decimal form)
+ * @param {number} q - Continuous dividend yield (decimal form)
+ * @param {boolean} american - Whether the option can be exercised early
+ * @param {number} steps - Number of time steps
+ * @param {Array} dividends - Cash dividends as { time, amount }
+ * @returns {number} Option price
+ * @throws {RangeError} If the spot, strike or volatility is not positive
+ */
+export const calculateBinomialPrice = (
+  type, S, K, r, T, sigma, q = 0,
+  american = true, steps = DEFAULT_BINOMIAL_STEPS, dividends = []
+) => {
+  const payoff = (price) => Math.max(0, type === 'call' ? price - K : K - price);
+  if (T <= 0) return payoff(S);
+  // Without them the tree has no moves, or no prices to move
+  if (!(S > 0 && K > 0 && sigma > 0)) {
+    throw new RangeError('The binomial tree needs a positive spot (net of cash dividends), strike and volatility');
+  }
+
+  const { dt, u, d, p, discount } = calculateTreeParameters(r, T, sigma, q, steps);
+  // Node prices at a step rise by u/d per up move, which avoids a power at every node
+  const ratio = u / d;
+
+  // Option values at maturity, indexed by the number of up moves
+  const values = new Array(steps + 1);
+  let price = S * Math.pow(d, steps);
+  for (let j = 0; j <= steps; j++) {
+    values[j] = payoff(price);
+    price *= ratio;
+  }
+
+  // Roll back through the tree, comparing with exercise at each node
+  for (let i = steps - 1; i >= 0; i--) {
+    const pending = american && dividends.length > 0 ? calculatePendingDividendValue(dividends, r, i * dt, T) : 0;
+    price = S * Math.pow(d, i);
+    for (let j = 0; j <= i; j++) {
+      const continuation = discount * (p * values[j + 1] + (1 - p) * values[j]);
+      values[j] = american ? Math.max(continuation, payoff(price + pending)) : continuation;
+      price *= ratio;
+    }
+  }
+
+  return values[0];
+};
+
+/**
+ * Build every node of a Cox-Ross-Rubinstein tree, for displaying the lattice
+ * @param {string} type - Option type ('call' or 'put')
+ * @param {number} S - Current stock price
+ * @param {number} K - Strike price
+ * @param {number} r - Risk-free interest rate (decimal form)
+ * @param {number} T - Time to maturity (in years)
+ * @param {number} sigma - Volatility (decimal form)
+ * @param {number} q - Continuous dividend yield (decimal form)
+ * @param {boolean} american - Whether the option can be exercised early
+ * @param {number} steps - Number of time steps
+ * @returns {Object} Object with the tree parameters and levels, where levels[i][j] is
+ *   the node after i steps with j up moves
+ */
+export const buildBinomialTree = (type, S, K, r, T, sigma, q = 0, american = true, steps = 5) => {
+  const payoff = (price) => Math.max(0, type === 'call' ? price - K : K - price);
+  const treeParameters = calculateTreeParameters(r, T, sigma, q, steps);
+  const { dt, u, d, p, discount } = treeParameters;
+
+  const levels = [];
+  for (let i = 0; i <= steps; i++) {
+    const level = [];
+    for (let j = 0; j <= i; j++) {
+      const underlyingPrice = S * Math.pow(u, j) * Math.pow(d, i - j);
+      level.push({
+        step: i,
+        upMoves: j,
+        time: i * dt,
+        underlyingPrice,
+        exerciseValue: payoff(underlyingPrice),
+        continuationValue: null,
+        optionValue: payoff(underlyingPrice),
+        exercised: false
+      });
+    }
+    levels.push(level);
+  }
+
+  // Roll back from maturity; exercise only matters before the final step
+  for (let i = steps - 1; i >= 0; i--) {
+    levels[i].forEach((node, j) => {
+      const continuation = discount * (p * levels[i + 1][j + 1].optionValue + (1 - p) * levels[i + 1][j].optionValue);
+      node.continuationValue = continuation;
+      node.exercised = american && node.exerciseValue > continuation;
+      node.optionValue = node.exercised ? node.exerciseValue : continuation;
+    });
+  }
+
+  return { ...treeParameters, levels };
+};
+
+/**
+ * Generate tree prices for an increasing number of steps to show convergence
+ * @param {string} type - Option type ('call' or 'put')
+ * @param {number} S - Current stock price
+ * @param {number} K - Strike price
+ * @param {number} r - Risk-free interest rate (decimal form)
+ * @param {number} T - Time to maturity (in years)
+ * @param {number} sigma - Volatility (decimal form)
+ * @param {number} q - Continuous dividend yield (decimal form)
+ * @param {number} maxSteps - Largest number of steps
+ * @returns {Array} Array of { steps, europeanPrice, americanPrice } data points
+ */
+export const generateBinomialConvergenceData = (type, S, K, r, T, sigma, q = 0, maxSteps = 100) => {
+  const data = [];
+
+  for (let steps = 1; steps <= maxSteps; steps++) {
+    data.push({
+      steps,
+      europeanPrice: calculateBinomialPrice(type, S, K, r, T, sigma, q, false, steps),
+      americanPrice: calculateBinomialPrice(type, S, K, r, T, sigma, q, true, steps)
+    });
+  }
+
+  return data;
+};
@@ -0,0 +1,73 @@
+import { buildBinomialTree, calculateBinomialPrice } from './BinomialTree';
+import { calculateOptionPrice, calculateEscrowedSpot } from './BlackScholes';
+
+describe('calculateBinomialPrice', () => {
+  test('converges to Black-Scholes for European options', () => {
+    const european = calculateOptionPrice('call', 100, 100, 0.05, 1, 0.2, 0.02);
+    const tree = calculateBinomialPrice('call', 100, 100, 0.05, 1, 0.2, 0.02, false, 1000);
+    expect(tree).toBeCloseTo(european, 2);
+  });
+
+  test('prices an American put above its European value', () => {
+    // Reference value 6.0904 for S=K=100, r=5%, σ=20%, T=1
+    const american = calculateBinomialPrice('put', 100, 100, 0.05, 1, 0.2, 0, true, 1000);
+    expect(american).toBeCloseTo(6.09, 2);
+    expect(american).toBeGreaterThan(calculateOptionPrice('put', 100, 100, 0.05, 1, 0.2));
+  });
+
+  test('never exercises an American call without dividends early', () => {
+    const american = calculateBinomialPrice('call', 100, 90, 0.05, 1, 0.3, 0, true, 500);
+    const european = calculateBinomialPrice('call', 100, 90, 0.05, 1, 0.3, 0, false, 500);
+    expect(american).toBeCloseTo(european, 10);
+  });
+
+  test('keeps the tree valid for a low volatility and a high rate', () => {
+    // σ = 1% and r = 20% put the CRR up-move probability above 1 at 300 steps
+    const european = calculateOptionPrice('put', 110, 110, 0.2, 1, 0.01);
+    const american = calculateBinomialPrice('put', 110, 110, 0.2, 1, 0.01, 0, true);
+    expect(Number.isFinite(american)).toBe(true);
+    expect(american).toBeGreaterThanOrEqual(european);
+    expect(calculateBinomialPrice('put', 110, 110, 0.2, 1, 0.01, 0, false, 2000)).toBeCloseTo(european, 3);
+    expect(calculateBinomialPrice('put', 100, 110, 0.2, 1, 0.01, 0, true)).toBeCloseTo(10, 10);
+  });
+
+  test('exercises a call on the share price just before a cash dividend', () => {
+    const dividends = [{ time: 0.5, amount: 8 }];
+    const escrowedSpot = calculateEscrowedSpot(100, dividends, 0.05, 1);
+    const european = calculateOptionPrice('call', escrowedSpot, 80, 0.05, 1, 0.2);
+    const american = calculateBinomialPrice('call', escrowedSpot, 80, 0.05, 1, 0.2, 0, true, 300, dividends);
+    // Exercise just before the ex-date is worth at least the share then, less the strike
+    const beforeExDate = escrowedSpot * Math.exp(0.05 * 0.5) + 8 - 80;
+    expect(american).toBeGreaterThan(european + 0.5);
+    expect(american).toBeGreaterThan(beforeExDate * Math.exp(-0.05 * 0.5) - 0.5);
+    // A dividend after expiry changes nothing
+    expect(calculateBinomialPrice('call', 100, 80, 0.05, 1, 0.2, 0, true, 300, [{ time: 2, amount: 8 }]))
+      .toBeCloseTo(calculateBinomialPrice('call', 100, 80, 0.05, 1, 0.2, 0, true, 300), 12);
+  });
+
+  test('rejects a zero volatility or spot', () => {
+    expect(() => calculateBinomialPrice('put', 100, 100, 0.05, 1, 0, 0, true)).toThrow(RangeError);
+    expect(() => calculateBinomialPrice('put', 0, 100, 0.05, 1, 0.2, 0, true)).toThrow(RangeError);
+  });
+
+  test('returns intrinsic value at expiry', () => {
+    expect(calculateBinomialPrice('put', 90, 100, 0.05, 0, 0.2)).toBe(10);
+  });
+});
+
+describe('buildBinomialTree', () => {
+  test('rolls back to the same price as calculateBinomialPrice', () => {
+    const { levels } = buildBinomialTree('put', 100, 100, 0.05, 1, 0.2, 0, true, 8);
+    expect(levels).toHaveLength(9);
+    expect(levels[8]).toHaveLength(9);
+    expect(levels[0][0].optionValue).toBeCloseTo(calculateBinomialPrice('put', 100, 100, 0.05, 1, 0.2, 0, true, 8), 12);
+  });
+
+  test('marks early exercise only for American options', () => {
+    const exercisedNodes = (american) => buildBinomialTree('put', 100, 100, 0.05, 1, 0.2, 0, american, 8)
+      .levels.flat().filter((node) => node.exercised);
+    expect(exercisedNodes(true).length).toBeGreaterThan(0);
+    expect(exercisedNodes(true).every((node) => node.underlyingPrice < 100)).toBe(true);
+    expect(exercisedNodes(false)).toHaveLength(0);
+  });
+});
@@ -3,6 +3,9 @@ import { erf } from 'mathjs';
 // Cumulative distribution function for standard normal distribution
 const cdf = (x) => 0.5 * (1 + erf(x / Math.sqrt(2)));
 
+// Standard normal probability density function
+const pdf = (x) => Math.exp(-0.5 * x * x) / Math.sqrt(2 * Math.PI);
+
 /**
  * Calculate d1 parameter for Black-Scholes formula
  * @param {number} S - Current stock price
@@ -10,10 +13,11 @@ const cdf = (x) => 0.5 * (1 + erf(x / Math.sqrt(2)));
  * @param {number} r - Risk-free interest rate (decimal form, e.g., 0.05 for 5%)
  * @param {number} T - Time to maturity (in years)
  * @param {number} sigma - Volatility (decimal form, e.g., 0.2 for 20%)
+ * @param {number} q - Continuous dividend yield (decimal form, e.g., 0.02 for 2%)
  * @returns {number} d1 parameter
  */
-export const calculateD1 = (S, K, r, T, sigma) => {
-  return (Math.log(S / K) + (r + sigma * sigma / 2) * T) / (sigma * Math.sqrt(T));
+export const calculateD1 = (S, K, r, T, sigma, q = 0) => {
+  return (Math.log(S / K) + (r - q + sigma * sigma / 2) * T) / (sigma * Math.sqrt(T));
 };
 
 /**
@@ -28,26 +32,110 @@ export const calculateD2 = (d1, sigma, T) => {
 };
 
 /**
- * Calculate option price using Black-Scholes model
+ * Calculate option price using Black-Scholes model (Merton variant with a
+ * continuous dividend yield)
  * @param {string} type - Option type ('call' or 'put')
  * @param {number} S - Current stock price
  * @param {number} K - Strike price
  * @param {number} r - Risk-free interest rate (decimal form)
  * @param {number} T - Time to maturity (in years)
- * @param {number} sigma - Volatility (decimal form)
+ * @param {number|Function} sigma - Volatility (decimal form), or a volatility surface
+ *   (K, T) => σ such as a fitted smile from getSurfaceVolatility
+ * @param {number} q - Continuous dividend yield (decimal form)
  * @returns {number} Option price
  */
-export const calculateOptionPrice = (type, S, K, r, T, sigma) => {
+export const calculateOptionPrice = (type, S, K, r, T, sigma, q = 0) => {
   if (T <= 0) return Math.max(0, type === 'call' ? S - K : K - S);
+  if (typeof sigma === 'function') {
+    return calculateOptionPrice(type, S, K, r, T, sigma(K, T), q);
+  }
   
-  const d1 = calculateD1(S, K, r, T, sigma);
+  const d1 = calculateD1(S, K, r, T, sigma, q);
   const d2 = calculateD2(d1, sigma, T);
   
   if (type === 'call') {
-    return S * cdf(d1) - K * Math.exp(-r * T) * cdf(d2);
+    return S * Math.exp(-q * T) * cdf(d1) - K * Math.exp(-r * T) * cdf(d2);
   } else {
-    return K * Math.exp(-r * T) * cdf(-d2) - S * cdf(-d1);
+    return K * Math.exp(-r * T) * cdf(-d2) - S * Math.exp(-q * T) * cdf(-d1);
+  }
+};
+
+/**
+ * Calculate the risk-neutral probability that the option finishes in the money,
+ * N(d2) for a call and N(-d2) for a put
+ * @param {string} type - Option type ('call' or 'put')
+ * @param {number} S - Current stock price
+ * @param {number} K - Strike price
+ * @param {number} r - Risk-free interest rate (decimal form)
+ * @param {number} T - Time to maturity (in years)
+ * @param {number} sigma - Volatility (decimal form)
+ * @param {number} q - Continuous dividend yield (decimal form)
+ * @returns {number} Probability between 0 and 1
+ */
+export const calculateExerciseProbability = (type, S, K, r, T, sigma, q = 0) => {
+  if (T <= 0) {
+    return (type === 'call' ? S > K : S < K) ? 1 : 0;
   }
+
+  const d2 = calculateD2(calculateD1(S, K, r, T, sigma, q), sigma, T);
+  return type === 'call' ? cdf(d2) : cdf(-d2);
+};
+
+/**
+ * Calculate the present value of the cash dividends paid before maturity
+ * @param {Array} dividends - Cash dividends as { time, amount }, time being years to the ex-date
+ * @param {number} r - Risk-free interest rate (decimal form)
+ * @param {number} T - Time to maturity (in years)
+ * @returns {number} Present value of the dividends with ex-dates in (0, T]
+ */
+export const calculateDividendPresentValue = (dividends, r, T) => {
+  return dividends
+    .filter(({ time, amount }) => time > 0 && time <= T && amount > 0)
+    .reduce((total, { time, amount }) => total + amount * Math.exp(-r * time), 0);
+};
+
+/**
+ * Calculate the value at a later time of the cash dividends still to be paid before
+ * maturity. Engines pricing on the escrowed spot add it back to find the share price
+ * that early exercise delivers.
+ * @param {Array} dividends - Cash dividends as { time, amount }, times measured from today
+ * @param {number} r - Risk-free interest rate (decimal form)
+ * @param {number} t - Time from today (in years)
+ * @param {number} T - Time to maturity from today (in years)
+ * @returns {number} Value at t of the dividends with ex-dates in (t, T]
+ */
+export const calculatePendingDividendValue = (dividends, r, t, T) => (
+  calculateDividendPresentValue(dividends.map(({ time, amount }) => ({ time: time - t, amount })), r, T - t)
+);
+
+/**
+ * Calculate the escrowed-dividend spot price, i.e. the underlying price with the
+ * present value of the dividends paid before maturity set aside
+ * @param {number} S - Current stock price
+ * @param {Array} dividends - Cash dividends as { time, amount }
+ * @param {number} r - Risk-free interest rate (decimal form)
+ * @param {number} T - Time to maturity (in years)
+ * @returns {number} Adjusted spot price S* = S - PV(dividends), floored at zero
+ */
+export const calculateEscrowedSpot = (S, dividends, r, T) => {
+  return Math.max(0, S - calculateDividendPresentValue(dividends, r, T));
+};
+
+/**
+ * Calculate option price for an underlying paying discrete cash dividends using
+ * the escrowed-dividend model: Black-Scholes applied to the adjusted spot S*
+ * @param {string} type - Option type ('call' or 'put')
+ * @param {number} S - Current stock price
+ * @param {number} K - Strike price
+ * @param {number} r - Risk-free interest rate (decimal form)
+ * @param {number} T - Time to maturity (in years)
+ * @param {number} sigma - Volatility of the adjusted spot (decimal form)
+ * @param {Array} dividends - Cash dividends as { time, amount }
+ * @param {number} q - Continuous dividend yield (decimal form)
+ * @returns {number} Option price
+ */
+export const calculateEscrowedDividendPrice = (type, S, K, r, T, sigma, dividends, q = 0) => {
+  return calculateOptionPrice(type, calculateEscrowedSpot(S, dividends, r, T), K, r, T, sigma, q);
 };
 
 /**
@@ -58,9 +146,16 @@ export const calculateOptionPrice = (type, S, K, r, T, sigma) => {
  * @param {number} r - Risk-free interest rate (decimal form)
  * @param {number} T - Time to maturity (in years)
  * @param {number} sigma - Volatility (decimal form)
- * @returns {Object} Object containing all Greeks
+ * @param {number} q - Continuous dividend yield (decimal form)
+ * @param {number} daysPerYear - Days in a year for the per-day Greeks (365 calendar days by
+ *   default, 360 under ACT/360, 252 for trading days)
+ * @returns {Object} Object containing all Greeks. Beside the first-order Greeks it has
+ *   vanna (delta per 1% volatility), volga (vega per 1% volatility), charm (delta per
+ *   day), speed (gamma per unit of underlying), zomma (gamma per 1% volatility), color
+ *   (gamma per day), veta (vega per day) and dualDelta (price per unit of strike).
+ *   Per-day Greeks are the change as one day, 1/daysPerYear of a year, passes.
  */
-export const calculateGreeks = (type, S, K, r, T, sigma) => {
+export const calculateGreeks = (type, S, K, r, T, sigma, q = 0, daysPerYear = 365) => {
   if (T <= 0) {
     const intrinsicValue = Math.max(0, type === 'call' ? S - K : K - S);
     return {
@@ -68,46 +163,379 @@ export const calculateGreeks = (type, S, K, r, T, sigma) => {
       gamma: 0,
       theta: 0,
       vega: 0,
-      rho: 0
+      rho: 0,
+      vanna: 0,
+      volga: 0,
+      charm: 0,
+      speed: 0,
+      zomma: 0,
+      color: 0,
+      veta: 0,
+      dualDelta: intrinsicValue > 0 ? (type === 'call' ? -1 : 1) : 0
     };
   }
 
-  const d1 = calculateD1(S, K, r, T, sigma);
+  const d1 = calculateD1(S, K, r, T, sigma, q);
   const d2 = calculateD2(d1, sigma, T);
-  
-  // Standard normal probability density function
-  const pdf = (x) => Math.exp(-0.5 * x * x) / Math.sqrt(2 * Math.PI);
+  const dividendDiscount = Math.exp(-q * T);
   
   // Delta
   const delta = type === 'call' 
-    ? cdf(d1) 
-    : cdf(d1) - 1;
+    ? dividendDiscount * cdf(d1) 
+    : dividendDiscount * (cdf(d1) - 1);
   
   // Gamma (same for calls and puts)
-  const gamma = pdf(d1) / (S * sigma * Math.sqrt(T));
+  const gamma = dividendDiscount * pdf(d1) / (S * sigma * Math.sqrt(T));
   
   // Theta
+  const decayTerm = -S * dividendDiscount * pdf(d1) * sigma / (2 * Math.sqrt(T));
   const theta = type === 'call'
-    ? -S * pdf(d1) * sigma / (2 * Math.sqrt(T)) - r * K * Math.exp(-r * T) * cdf(d2)
-    : -S * pdf(d1) * sigma / (2 * Math.sqrt(T)) + r * K * Math.exp(-r * T) * cdf(-d2);
+    ? decayTerm - r * K * Math.exp(-r * T) * cdf(d2) + q * S * dividendDiscount * cdf(d1)
+    : decayTerm + r * K * Math.exp(-r * T) * cdf(-d2) - q * S * dividendDiscount * cdf(-d1);
   
   // Vega (same for calls and puts)
-  const vega = S * Math.sqrt(T) * pdf(d1) / 100; // Divided by 100 to get change per 1% volatility
+  const vega = S * dividendDiscount * Math.sqrt(T) * pdf(d1) / 100; // Divided by 100 to get change per 1% volatility
   
   // Rho
   const rho = type === 'call'
     ? K * T * Math.exp(-r * T) * cdf(d2) / 100 // Divided by 100 to get change per 1% interest rate
     : -K * T * Math.exp(-r * T) * cdf(-d2) / 100;
   
+  // Higher-order Greeks, computed per unit before converting to the display units
+  const sqrtT = Math.sqrt(T);
+  const vegaPerUnit = vega * 100;
+  const vanna = -dividendDiscount * pdf(d1) * d2 / sigma;
+  const volga = vegaPerUnit * d1 * d2 / sigma;
+  const speed = -gamma / S * (d1 / (sigma * sqrtT) + 1);
+  const zomma = gamma * (d1 * d2 - 1) / sigma;
+  
+  // Charm and color share the drift term of d1's time derivative
+  const driftTerm = (2 * (r - q) * T - d2 * sigma * sqrtT) / (2 * T * sigma * sqrtT);
+  const charm = type === 'call'
+    ? q * dividendDiscount * cdf(d1) - dividendDiscount * pdf(d1) * driftTerm
+    : -q * dividendDiscount * cdf(-d1) - dividendDiscount * pdf(d1) * driftTerm;
+  const color = gamma * (q + 1 / (2 * T) + d1 * driftTerm);
+  const veta = vegaPerUnit * (q + (r - q) * d1 / (sigma * sqrtT) - (1 + d1 * d2) / (2 * T));
+  
+  const dualDelta = type === 'call'
+    ? -Math.exp(-r * T) * cdf(d2)
+    : Math.exp(-r * T) * cdf(-d2);
+  
   return {
     delta,
     gamma,
-    theta: theta / 365, // Convert to daily theta
+    theta: theta / daysPerYear, // Convert to daily theta
     vega,
-    rho
+    rho,
+    vanna: vanna / 100, // Per 1% volatility
+    volga: volga / 10000, // Vega per 1% volatility, per 1% volatility
+    charm: charm / daysPerYear, // Per day
+    speed,
+    zomma: zomma / 100, // Per 1% volatility
+    color: color / daysPerYear, // Per day
+    veta: veta / (100 * daysPerYear), // Vega per 1% volatility, per day
+    dualDelta
   };
 };
 
+/**
+ * Calculate option price on a futures or forward contract using the Black-76 model.
+ * Holding a futures contract costs nothing, so this is the Merton formula with the
+ * dividend yield equal to the risk-free rate: e^(-rT) × [F × N(d1) - K × N(d2)]
+ * @param {string} type - Option type ('call' or 'put')
+ * @param {number} F - Current futures price
+ * @param {number} K - Strike price
+ * @param {number} r - Risk-free interest rate (decimal form)
+ * @param {number} T - Time to maturity (in years)
+ * @param {number} sigma - Volatility of the futures price (decimal form)
+ * @returns {number} Option price
+ */
+export const calculateBlack76Price = (type, F, K, r, T, sigma) => {
+  return calculateOptionPrice(type, F, K, r, T, sigma, r);
+};
+
+/**
+ * Calculate option Greeks under the Black-76 model. Delta and gamma are with respect
+ * to the futures price, and rho holds the futures price fixed (so only the discount
+ * factor moves): ρ = -T × price
+ * @param {string} type - Option type ('call' or 'put')
+ * @param {number} F - Current futures price
+ * @param {number} K - Strike price
+ * @param {number} r - Risk-free interest rate (decimal form)
+ * @param {number} T - Time to maturity (in years)
+ * @param {number} sigma - Volatility of the futures price (decimal form)
+ * @param {number} daysPerYear - Days in a year for the per-day Greeks
+ * @returns {Object} Object containing all Greeks
+ */
+export const calculateBlack76Greeks = (type, F, K, r, T, sigma, daysPerYear = 365) => {
+  const greeks = calculateGreeks(type, F, K, r, T, sigma, r, daysPerYear);
+  
+  return {
+    ...greeks,
+    rho: T > 0 ? -T * calculateBlack76Price(type, F, K, r, T, sigma) / 100 : 0 // Per 1% interest rate
+  };
+};
+
+/**
+ * Calculate FX option price using the Garman-Kohlhagen model. The foreign currency
+ * earns the foreign rate, so this is the Merton formula with the dividend yield
+ * equal to the foreign rate. Prices are in domestic currency per unit of foreign.
+ * @param {string} type - Option type ('call' or 'put' on the foreign currency)
+ * @param {number} S - Spot exchange rate (domestic per unit of foreign)
+ * @param {number} K - Strike exchange rate (domestic per unit of foreign)
+ * @param {number} rd - Domestic risk-free interest rate (decimal form)
+ * @param {number} rf - Foreign risk-free interest rate (decimal form)
+ * @param {number} T - Time to maturity (in years)
+ * @param {number} sigma - Volatility of the exchange rate (decimal form)
+ * @returns {number} Option price in domestic pips
+ */
+export const calculateGarmanKohlhagenPrice = (type, S, K, rd, rf, T, sigma) => {
+  return calculateOptionPrice(type, S, K, rd, T, sigma, rf);
+};
+
+/**
+ * Calculate option Greeks under the Garman-Kohlhagen model, including the foreign
+ * rho and the delta conventions used in FX markets. Premium-adjusted deltas remove
+ * the part of the hedge that is already provided by a premium paid in foreign currency.
+ * @param {string} type - Option type ('call' or 'put' on the foreign currency)
+ * @param {number} S - Spot exchange rate (domestic per unit of foreign)
+ * @param {number} K - Strike exchange rate (domestic per unit of foreign)
+ * @param {number} rd - Domestic risk-free interest rate (decimal form)
+ * @param {number} rf - Foreign risk-free interest rate (decimal form)
+ * @param {number} T - Time to maturity (in years)
+ * @param {number} sigma - Volatility of the exchange rate (decimal form)
+ * @param {number} daysPerYear - Days in a year for the per-day Greeks
+ * @returns {Object} Object containing all Greeks plus rhoForeign, forwardDelta,
+ *   premiumAdjustedDelta and premiumAdjustedForwardDelta
+ */
+export const calculateGarmanKohlhagenGreeks = (type, S, K, rd, rf, T, sigma, daysPerYear = 365) => {
+  const greeks = calculateGreeks(type, S, K, rd, T, sigma, rf, daysPerYear);
+  const price = calculateGarmanKohlhagenPrice(type, S, K, rd, rf, T, sigma);
+  const foreignDiscount = T > 0 ? Math.exp(-rf * T) : 1;
+  
+  // Foreign rho (per 1% foreign rate)
+  let rhoForeign = 0;
+  if (T > 0) {
+    const d1 = calculateD1(S, K, rd, T, sigma, rf);
+    rhoForeign = type === 'call'
+      ? -T * S * foreignDiscount * cdf(d1) / 100
+      : T * S * foreignDiscount * cdf(-d1) / 100;
+  }
+  
+  // Spot delta is greeks.delta; forward delta hedges with a forward instead of spot
+  const forwardDelta = greeks.delta / foreignDiscount;
+  
+  // Premium-adjusted deltas subtract the premium expressed in foreign currency
+  const premiumAdjustedDelta = greeks.delta - price / S;
+  const premiumAdjustedForwardDelta = premiumAdjustedDelta / foreignDiscount;
+  
+  return {
+    ...greeks,
+    rhoForeign,
+    forwardDelta,
+    premiumAdjustedDelta,
+    premiumAdjustedForwardDelta
+  };
+};
+
+/**
+ * Express an FX option premium in the common market quoting conventions
+ * @param {number} price - Option price in domestic pips (domestic per unit of foreign)
+ * @param {number} S - Spot exchange rate (domestic per unit of foreign)
+ * @param {number} K - Strike exchange rate (domestic per unit of foreign)
+ * @returns {Object} Premium as domesticPips, foreignPips, domesticPercent and foreignPercent
+ */
+export const calculateFxPremiumConventions = (price, S, K) => {
+  return {
+    domesticPips: price, // Domestic currency per unit of foreign notional
+    foreignPips: price / (S * K), // Foreign currency per unit of domestic notional
+    domesticPercent: price / K, // Fraction of the domestic notional (K per unit of foreign)
+    foreignPercent: price / S // Fraction of the foreign notional
+  };
+};
+
+/**
+ * Convert an FX option premium quoted in any convention back to domestic pips
+ * @param {number} premium - Quoted premium
+ * @param {string} convention - 'domesticPips', 'foreignPips', 'domesticPercent' or 'foreignPercent'
+ * @param {number} S - Spot exchange rate (domestic per unit of foreign)
+ * @param {number} K - Strike exchange rate (domestic per unit of foreign)
+ * @returns {number} Premium in domestic pips
+ */
+export const convertFxPremiumToDomesticPips = (premium, convention, S, K) => {
+  switch (convention) {
+    case 'foreignPips':
+      return premium * S * K;
+    case 'domesticPercent':
+      return premium * K;
+    case 'foreignPercent':
+      return premium * S;
+    default:
+      return premium;
+  }
+};
+
+/**
+ * Error thrown when an implied volatility cannot be solved for
+ * @property {string} reason - 'invalid-input', 'arbitrage' or 'no-convergence'
+ */
+export class ImpliedVolatilityError extends Error {
+  constructor(message, reason) {
+    super(message);
+    this.name = 'ImpliedVolatilityError';
+    this.reason = reason;
+  }
+}
+
+// Search bracket for the volatility (0.0001% to 1000%)
+const MIN_VOLATILITY = 1e-6;
+const MAX_VOLATILITY = 10;
+
+/**
+ * Calculate the no-arbitrage bounds of a European option price
+ * @param {string} type - Option type ('call' or 'put')
+ * @param {number} S - Current stock price
+ * @param {number} K - Strike price
+ * @param {number} r - Risk-free interest rate (decimal form)
+ * @param {number} T - Time to maturity (in years)
+ * @param {number} q - Continuous dividend yield (decimal form)
+ * @returns {Object} Object with lower and upper price bounds
+ */
+export const calculatePriceBounds = (type, S, K, r, T, q = 0) => {
+  const discountedSpot = S * Math.exp(-q * T);
+  const discountedStrike = K * Math.exp(-r * T);
+  
+  if (type === 'call') {
+    return { lower: Math.max(0, discountedSpot - discountedStrike), upper: discountedSpot };
+  }
+  return { lower: Math.max(0, discountedStrike - discountedSpot), upper: discountedStrike };
+};
+
+/**
+ * Solve for the volatility at which a pricing function reproduces a market premium.
+ * Uses Newton-Raphson when a vega function is given, falling back to bisection
+ * whenever a Newton step leaves the current bracket, so deep ITM/OTM and near-expiry
+ * quotes (where vega vanishes) still converge. Works with any model whose price
+ * increases with volatility.
+ * @param {Function} priceAt - Option price as a function of volatility
+ * @param {number} marketPrice - Observed option premium
+ * @param {Object} bounds - No-arbitrage { lower, upper } bounds of the premium, with an
+ *   optional minVolatility for engines that cannot price near-zero volatility
+ * @param {Function|null} vegaAt - Derivative of the price with respect to volatility, if known
+ * @param {number} initialGuess - Starting volatility (decimal form)
+ * @param {number} tolerance - Absolute price tolerance
+ * @param {number} maxIterations - Maximum number of iterations
+ * @returns {number} Implied volatility (decimal form)
+ * @throws {ImpliedVolatilityError} If the premium violates the bounds or the solver
+ *   does not converge
+ */
+export const solveImpliedVolatility = (
+  priceAt, marketPrice, bounds, vegaAt = null, initialGuess = 0.2,
+  tolerance = 1e-8, maxIterations = 100
+) => {
+  if (!Number.isFinite(marketPrice)) {
+    throw new ImpliedVolatilityError('Premium must be a number', 'invalid-input');
+  }
+  if (marketPrice <= bounds.lower) {
+    throw new ImpliedVolatilityError(
+      `Premium must be above the no-arbitrage lower bound of ${bounds.lower.toFixed(4)}`,
+      'arbitrage'
+    );
+  }
+  if (marketPrice >= bounds.upper) {
+    throw new ImpliedVolatilityError(
+      `Premium must be below the no-arbitrage upper bound of ${bounds.upper.toFixed(4)}`,
+      'arbitrage'
+    );
+  }
+  
+  const priceError = (sigma) => priceAt(sigma) - marketPrice;
+  
+  let low = bounds.minVolatility || MIN_VOLATILITY;
+  let high = MAX_VOLATILITY;
+  if (priceError(high) < 0) {
+    throw new ImpliedVolatilityError(
+      `Premium implies a volatility above ${MAX_VOLATILITY * 100}%`,
+      'no-convergence'
+    );
+  }
+  if (priceError(low) > 0) {
+    return low;
+  }
+  
+  let sigma = Math.min(Math.max(initialGuess, 0.05), 2);
+  
+  for (let i = 0; i < maxIterations; i++) {
+    const diff = priceError(sigma);
+    if (Math.abs(diff) < tolerance) {
+      return sigma;
+    }
+    
+    // Price is increasing in volatility, so the sign of the error tightens the bracket
+    if (diff > 0) {
+      high = sigma;
+    } else {
+      low = sigma;
+    }
+    
+    const vega = vegaAt ? vegaAt(sigma) : 0;
+    const newtonStep = vega > 0 ? sigma - diff / vega : NaN;
+    
+    sigma = newtonStep > low && newtonStep < high
+      ? newtonStep
+      : (low + high) / 2;
+    
+    if (high - low < 1e-12) {
+      return sigma;
+    }
+  }
+  
+  throw new ImpliedVolatilityError(
+    `Implied volatility did not converge within ${maxIterations} iterations`,
+    'no-convergence'
+  );
+};
+
+/**
+ * Calculate the implied volatility that reproduces an observed European option premium
+ * @param {string} type - Option type ('call' or 'put')
+ * @param {number} marketPrice - Observed option premium
+ * @param {number} S - Current stock price
+ * @param {number} K - Strike price
+ * @param {number} r - Risk-free interest rate (decimal form)
+ * @param {number} T - Time to maturity (in years)
+ * @param {number} q - Continuous dividend yield (decimal form)
+ * @param {number} tolerance - Absolute price tolerance
+ * @param {number} maxIterations - Maximum number of iterations
+ * @returns {number} Implied volatility (decimal form)
+ * @throws {ImpliedVolatilityError} If the inputs are invalid, the premium violates
+ *   the no-arbitrage bounds or the solver does not converge
+ */
+export const calculateImpliedVolatility = (
+  type, marketPrice, S, K, r, T, q = 0,
+  tolerance = 1e-8, maxIterations = 100
+) => {
+  if (!(S > 0) || !(K > 0) || !(T > 0) || !Number.isFinite(marketPrice)) {
+    throw new ImpliedVolatilityError(
+      'Implied volatility requires positive prices and time to maturity',
+      'invalid-input'
+    );
+  }
+  
+  // Start from the Brenner-Subrahmanyam style guess
+  const initialGuess = Math.sqrt(2 * Math.abs(Math.log(S / K) + (r - q) * T) / T) || 0.2;
+  
+  return solveImpliedVolatility(
+    (sigma) => calculateOptionPrice(type, S, K, r, T, sigma, q),
+    marketPrice,
+    calculatePriceBounds(type, S, K, r, T, q),
+    (sigma) => S * Math.exp(-q * T) * Math.sqrt(T) * pdf(calculateD1(S, K, r, T, sigma, q)),
+    initialGuess,
+    tolerance,
+    maxIterations
+  );
+};
+
 /**
  * Generate data for option price vs underlying price chart
  * @param {string} type - Option type ('call' or 'put')
@@ -116,11 +544,17 @@ export const calculateGreeks = (type, S, K, r, T, sigma) => {
  * @param {number} r - Risk-free interest rate (decimal form)
  * @param {number} T - Time to maturity (in years)
  * @param {number} sigma - Volatility (decimal form)
+ * @param {number} q - Continuous dividend yield (decimal form)
  * @param {number} range - Range percentage around current price (e.g., 0.3 for ±30%)
  * @param {number} points - Number of data points to generate
+ * @param {Function} evaluate - Calculates the outputs from (type, inputs), as in
+ *   generateSweepData; defaults to the Black-Scholes-Merton formulas
  * @returns {Array} Array of data points for the chart
  */
-export const generatePriceChartData = (type, S, K, r, T, sigma, range = 0.3, points = 50) => {
+export const generatePriceChartData = (
+  type, S, K, r, T, sigma, q = 0, range = 0.3, points = 50,
+  evaluate = calculateSweepOutputs
+) => {
   const minPrice = S * (1 - range);
   const maxPrice = S * (1 + range);
   const step = (maxPrice - minPrice) / (points - 1);
@@ -129,13 +563,80 @@ export const generatePriceChartData = (type, S, K, r, T, sigma, range = 0.3, poi
   for (let price = minPrice; price <= maxPrice; price += step) {
     data.push({
       underlyingPrice: price,
-      optionPrice: calculateOptionPrice(type, price, K, r, T, sigma)
+      optionPrice: evaluate(type, { S: price, K, r, T, sigma, q }).price
     });
   }
   
   return data;
 };
 
+/**
+ * Generate evenly spaced values between two bounds, both included
+ * @param {number} min - First value
+ * @param {number} max - Last value
+ * @param {number} points - Number of values
+ * @returns {Array} Array of values
+ */
+export const generateRange = (min, max, points) => {
+  if (points <= 1) return [min];
+  const step = (max - min) / (points - 1);
+  return Array.from({ length: points }, (_, i) => min + i * step);
+};
+
+/**
+ * Calculate the price and every Greek of an option for a set of pricing inputs
+ * @param {string} type - Option type ('call' or 'put')
+ * @param {Object} inputs - Pricing inputs { S, K, r, T, sigma, q }
+ * @param {number} daysPerYear - Days in a year for the per-day Greeks
+ * @returns {Object} Object with price and all Greeks from calculateGreeks
+ */
+export const calculateSweepOutputs = (type, { S, K, r, T, sigma, q = 0 }, daysPerYear = 365) => ({
+  price: calculateOptionPrice(type, S, K, r, T, sigma, q),
+  ...calculateGreeks(type, S, K, r, T, sigma, q, daysPerYear)
+});
+
+/**
+ * Sweep one pricing input along the x-axis for a family of values of another input,
+ * holding the remaining inputs fixed
+ * @param {string} type - Option type ('call' or 'put')
+ * @param {Object} inputs - Base pricing inputs { S, K, r, T, sigma, q }
+ * @param {string} output - Output charted on the y-axis ('price' or a Greek)
+ * @param {string} xInput - Input swept along the x-axis ('S', 'K', 'T', 'sigma' or 'r')
+ * @param {Array} xValues - Values of the x-axis input
+ * @param {string} seriesInput - Input that differs between series
+ * @param {Array} seriesValues - Value of the series input for each series
+ * @param {Function} evaluate - Calculates the outputs from (type, inputs); defaults to
+ *   the Black-Scholes-Merton formulas
+ * @returns {Array} Array of { value, data } series, where data holds { x, y } points
+ */
+export const generateSweepData = (
+  type, inputs, output, xInput, xValues, seriesInput, seriesValues,
+  evaluate = calculateSweepOutputs
+) => {
+  return seriesValues.map((seriesValue) => ({
+    value: seriesValue,
+    data: xValues.map((x) => ({
+      x,
+      y: evaluate(type, { ...inputs, [seriesInput]: seriesValue, [xInput]: x })[output]
+    }))
+  }));
+};
+
+/**
+ * Generate the volatility steps used as series families
+ * @param {number} minVol - Minimum volatility (decimal form)
+ * @param {number} maxVol - Maximum volatility (decimal form)
+ * @param {number} volStep - Volatility step size (decimal form)
+ * @returns {Array} Volatilities rounded to 2 decimal places
+ */
+const generateVolatilitySteps = (minVol, maxVol, volStep) => {
+  const volatilities = [];
+  for (let vol = minVol; vol <= maxVol + 0.0001; vol += volStep) {
+    volatilities.push(Math.round(vol * 100) / 100); // Round to 2 decimal places
+  }
+  return volatilities;
+};
+
 /**
  * Generate data for option price vs underlying price chart with varying volatilities
  * @param {string} type - Option type ('call' or 'put')
@@ -143,47 +644,35 @@ export const generatePriceChartData = (type, S, K, r, T, sigma, range = 0.3, poi
  * @param {number} K - Strike price
  * @param {number} r - Risk-free interest rate (decimal form)
  * @param {number} T - Time to maturity (in years)
+ * @param {number} q - Continuous dividend yield (decimal form)
  * @param {number} minVol - Minimum volatility (decimal form)
  * @param {number} maxVol - Maximum volatility (decimal form)
  * @param {number} volStep - Volatility step size (decimal form)
  * @param {number} range - Range percentage around current price
  * @param {number} points - Number of data points to generate
+ * @param {Function} evaluate - Calculates the outputs from (type, inputs), as in
+ *   generateSweepData; defaults to the Black-Scholes-Merton formulas
  * @returns {Array} Array of data series for the chart
  */
 export const generateVolatilityChartData = (
-  type, S, K, r, T, 
+  type, S, K, r, T, q = 0,
   minVol = 0.2, maxVol = 0.9, volStep = 0.1,
-  range = 0.8, points = 50
+  range = 0.8, points = 50,
+  evaluate = calculateSweepOutputs
 ) => {
   // Use strike price as reference for range calculation
-  const minPrice = K * (1 - range);
-  const maxPrice = K * (1 + range);
-  const priceStep = (maxPrice - minPrice) / (points - 1);
-  
-  const allData = [];
-  
-  // Generate price points for x-axis
-  const prices = [];
-  for (let price = minPrice; price <= maxPrice; price += priceStep) {
-    prices.push(price);
-  }
+  const prices = generateRange(K * (1 - range), K * (1 + range), points);
+  const series = generateSweepData(
+    type, { S, K, r, T, q }, 'price',
+    'S', prices,
+    'sigma', generateVolatilitySteps(minVol, maxVol, volStep),
+    evaluate
+  );
   
-  // Generate series for each volatility
-  for (let vol = minVol; vol <= maxVol + 0.0001; vol += volStep) {
-    const roundedVol = Math.round(vol * 100) / 100; // Round to 2 decimal places
-    const seriesData = prices.map(price => ({
-      underlyingPrice: price,
-      optionPrice: calculateOptionPrice(type, price, K, r, T, roundedVol),
-      volatility: roundedVol
-    }));
-    
-    allData.push({
-      volatility: roundedVol,
-      data: seriesData
-    });
-  }
-  
-  return allData;
+  return series.map(({ value, data }) => ({
+    volatility: value,
+    data: data.map(({ x, y }) => ({ underlyingPrice: x, optionPrice: y, volatility: value }))
+  }));
 };
 
 /**
@@ -192,85 +681,19 @@ export const generateVolatilityChartData = (
  * @param {number} K - Strike price
  * @param {number} r - Risk-free interest rate (decimal form)
  * @param {number} T - Time to maturity (in years)
+ * @param {number} q - Continuous dividend yield (decimal form)
  * @param {number} minVol - Minimum volatility (decimal form)
  * @param {number} maxVol - Maximum volatility (decimal form)
  * @param {number} volStep - Volatility step size (decimal form)
- * @returns {Array} Array of data points for the chart
+ * @returns {Array} Array of data points with every Greek from calculateGreeks
  */
 export const generateDeltaVolatilityData = (
-  type, K, r, T,
+  type, K, r, T, q = 0,
   minVol = 0.05, maxVol = 1.0, volStep = 0.01
 ) => {
-  const data = [];
-  
-  for (let vol = minVol; vol <= maxVol + 0.0001; vol += volStep) {
-    const roundedVol = Math.round(vol * 100) / 100; // Round to 2 decimal places
-    
-    // Calculate Greeks at the money (S = K)
-    const greeks = calculateGreeks(type, K, K, r, T, roundedVol);
-    
-    data.push({
-      volatility: roundedVol * 100, // Convert to percentage for x-axis
-      delta: greeks.delta,
-      gamma: greeks.gamma,
-      theta: greeks.theta,
-      vega: greeks.vega,
-      rho: greeks.rho
-    });
-  }
-  
-  return data;
-};
-
-/**
- * Generate data for delta vs underlying price chart with varying volatilities
- * @param {string} type - Option type ('call' or 'put')
- * @param {number} S - Current stock price
- * @param {number} K - Strike price
- * @param {number} r - Risk-free interest rate (decimal form)
- * @param {number} T - Time to maturity (in years)
- * @param {number} minVol - Minimum volatility (decimal form)
- * @param {number} maxVol - Maximum volatility (decimal form)
- * @param {number} volStep - Volatility step size (decimal form)
- * @param {number} range - Range percentage around strike price
- * @param {number} points - Number of data points to generate
- * @returns {Array} Array of data series for the chart
- */
-export const generateDeltaUnderlyingData = (
-  type, S, K, r, T, 
-  minVol = 0.1, maxVol = 0.9, volStep = 0.1,
-  range = 0.8, points = 50
-) => {
-  // Use strike price as reference for range calculation
-  const minPrice = K * (1 - range);
-  const maxPrice = K * (1 + range);
-  const priceStep = (maxPrice - minPrice) / (points - 1);
-  
-  const allData = [];
-  
-  // Generate price points for x-axis
-  const prices = [];
-  for (let price = minPrice; price <= maxPrice; price += priceStep) {
-    prices.push(price);
-  }
-  
-  // Generate series for each volatility
-  for (let vol = minVol; vol <= maxVol + 0.0001; vol += volStep) {
-    const roundedVol = Math.round(vol * 100) / 100; // Round to 2 decimal places
-    const seriesData = prices.map(price => {
-      const greeks = calculateGreeks(type, price, K, r, T, roundedVol);
-      return {
-        underlyingPrice: price,
-        delta: greeks.delta,
-        volatility: roundedVol
-      };
-    });
-    
-    allData.push({
-      volatility: roundedVol,
-      data: seriesData
-    });
-  }
-  
-  return allData;
+  // Calculate Greeks at the money (S = K)
+  return generateVolatilitySteps(minVol, maxVol, volStep).map((vol) => ({
+    volatility: vol * 100, // Convert to percentage for x-axis
+    ...calculateGreeks(type, K, K, r, T, vol, q)
+  }));
 };
@@ -0,0 +1,184 @@
+import { erf } from 'mathjs';
+import {
+  calculateOptionPrice,
+  calculateGreeks,
+  generateRange,
+  generateSweepData,
+  calculateEscrowedDividendPrice,
+  calculateDividendPresentValue,
+  calculateBlack76Price,
+  calculateBlack76Greeks,
+  calculateGarmanKohlhagenPrice,
+  calculateGarmanKohlhagenGreeks,
+  calculateFxPremiumConventions,
+  convertFxPremiumToDomesticPips,
+  calculateD1,
+  calculateD2,
+  calculateImpliedVolatility,
+  ImpliedVolatilityError
+} from './BlackScholes';
+
+describe('calculateOptionPrice', () => {
+  test('satisfies put-call parity with a dividend yield', () => {
+    const [S, K, r, T, sigma, q] = [100, 95, 0.05, 0.5, 0.25, 0.03];
+    const call = calculateOptionPrice('call', S, K, r, T, sigma, q);
+    const put = calculateOptionPrice('put', S, K, r, T, sigma, q);
+    expect(call - put).toBeCloseTo(S * Math.exp(-q * T) - K * Math.exp(-r * T), 10);
+  });
+});
+
+describe('calculateGreeks higher-order Greeks', () => {
+  const [S, K, r, T, sigma, q] = [105, 100, 0.04, 0.75, 0.3, 0.02];
+  const greeksAt = (changes) => {
+    const inputs = { S, K, r, T, sigma, q, ...changes };
+    return calculateGreeks('put', inputs.S, inputs.K, inputs.r, inputs.T, inputs.sigma, inputs.q);
+  };
+  const greeks = greeksAt({});
+  const h = 1e-4;
+  const day = 1 / 365;
+
+  // Each Greek matches a central difference of a lower-order Greek in its display units
+  test.each([
+    ['vanna', (g) => g.delta, { sigma: 0.01 }],
+    ['volga', (g) => g.vega, { sigma: 0.01 }],
+    ['zomma', (g) => g.gamma, { sigma: 0.01 }],
+    ['speed', (g) => g.gamma, { S: 1 }]
+  ])('%s matches a bump of the lower-order Greek', (name, lower, unit) => {
+    const [key, size] = Object.entries(unit)[0];
+    const bumped = (sign) => lower(greeksAt({ [key]: { S, sigma }[key] + sign * h * size }));
+    expect(greeks[name]).toBeCloseTo((bumped(1) - bumped(-1)) / (2 * h), 6);
+  });
+
+  test.each([
+    ['charm', (g) => g.delta],
+    ['color', (g) => g.gamma],
+    ['veta', (g) => g.vega]
+  ])('%s is the change as one day passes', (name, lower) => {
+    const bumped = (sign) => lower(greeksAt({ T: T - sign * h * day }));
+    expect(greeks[name]).toBeCloseTo((bumped(1) - bumped(-1)) / (2 * h), 6);
+  });
+
+  test('dual delta is the derivative with respect to the strike', () => {
+    const price = (strike) => calculateOptionPrice('put', S, strike, r, T, sigma, q);
+    expect(greeks.dualDelta).toBeCloseTo((price(K + h) - price(K - h)) / (2 * h), 6);
+  });
+});
+
+describe('generateSweepData', () => {
+  test('sweeps the x input for every series value', () => {
+    const inputs = { S: 100, K: 100, r: 0.05, T: 1, sigma: 0.2, q: 0.01 };
+    const series = generateSweepData('put', inputs, 'delta', 'T', generateRange(0.5, 2, 4), 'sigma', [0.1, 0.3]);
+    expect(series.map(({ value }) => value)).toEqual([0.1, 0.3]);
+    expect(series[1].data.map(({ x }) => x)).toEqual([0.5, 1, 1.5, 2]);
+    expect(series[1].data[2].y).toBeCloseTo(calculateGreeks('put', 100, 100, 0.05, 1.5, 0.3, 0.01).delta, 12);
+  });
+
+  test('charts prices with the price output', () => {
+    const inputs = { S: 100, K: 100, r: 0.05, T: 1, sigma: 0.2, q: 0 };
+    const [series] = generateSweepData('call', inputs, 'price', 'K', [90, 110], 'r', [0.02]);
+    expect(series.data[0].y).toBeCloseTo(calculateOptionPrice('call', 100, 90, 0.02, 1, 0.2), 12);
+  });
+});
+
+describe('calculateEscrowedDividendPrice', () => {
+  const dividends = [{ time: 0.25, amount: 1 }, { time: 0.75, amount: 1 }, { time: 1.5, amount: 1 }];
+
+  test('discounts only the dividends paid before maturity', () => {
+    const expected = Math.exp(-0.05 * 0.25) + Math.exp(-0.05 * 0.75);
+    expect(calculateDividendPresentValue(dividends, 0.05, 1)).toBeCloseTo(expected, 12);
+  });
+
+  test('prices the option on the escrowed spot', () => {
+    const pv = calculateDividendPresentValue(dividends, 0.05, 1);
+    expect(calculateEscrowedDividendPrice('call', 100, 100, 0.05, 1, 0.2, dividends))
+      .toBeCloseTo(calculateOptionPrice('call', 100 - pv, 100, 0.05, 1, 0.2), 12);
+  });
+
+  test('matches the plain price without dividends', () => {
+    expect(calculateEscrowedDividendPrice('put', 100, 90, 0.05, 1, 0.2, []))
+      .toBe(calculateOptionPrice('put', 100, 90, 0.05, 1, 0.2));
+  });
+});
+
+describe('Black-76', () => {
+  test('discounts the forward payoff', () => {
+    // Hull, Options, Futures, and Other Derivatives: F=20, K=20, r=9%, T=4/12, σ=25%
+    expect(calculateBlack76Price('put', 20, 20, 0.09, 4 / 12, 0.25)).toBeCloseTo(1.1166, 4);
+  });
+
+  test('satisfies put-call parity on the futures price', () => {
+    const call = calculateBlack76Price('call', 105, 100, 0.04, 0.5, 0.3);
+    const put = calculateBlack76Price('put', 105, 100, 0.04, 0.5, 0.3);
+    expect(call - put).toBeCloseTo(Math.exp(-0.04 * 0.5) * (105 - 100), 10);
+  });
+
+  test('rho only reflects discounting', () => {
+    const price = calculateBlack76Price('call', 105, 100, 0.04, 0.5, 0.3);
+    const bumped = calculateBlack76Price('call', 105, 100, 0.04 + 1e-6, 0.5, 0.3);
+    const { rho } = calculateBlack76Greeks('call', 105, 100, 0.04, 0.5, 0.3);
+    expect(rho).toBeCloseTo((bumped - price) / 1e-6 / 100, 6);
+  });
+});
+
+describe('Garman-Kohlhagen', () => {
+  const [S, K, rd, rf, T, sigma] = [1.1, 1.12, 0.04, 0.02, 0.5, 0.1];
+
+  test('satisfies put-call parity with domestic and foreign rates', () => {
+    const call = calculateGarmanKohlhagenPrice('call', S, K, rd, rf, T, sigma);
+    const put = calculateGarmanKohlhagenPrice('put', S, K, rd, rf, T, sigma);
+    expect(call - put).toBeCloseTo(S * Math.exp(-rf * T) - K * Math.exp(-rd * T), 12);
+  });
+
+  test('premium-adjusted call delta equals K e^(-rd T) N(d2) / S', () => {
+    const d2 = calculateD2(calculateD1(S, K, rd, T, sigma, rf), sigma, T);
+    const nd2 = 0.5 * (1 + erf(d2 / Math.sqrt(2)));
+    const { delta, forwardDelta, premiumAdjustedDelta } = calculateGarmanKohlhagenGreeks('call', S, K, rd, rf, T, sigma);
+    expect(forwardDelta).toBeCloseTo(delta * Math.exp(rf * T), 12);
+    expect(premiumAdjustedDelta).toBeCloseTo(K * Math.exp(-rd * T) * nd2 / S, 12);
+  });
+
+  test('converts every premium convention back to domestic pips', () => {
+    const price = calculateGarmanKohlhagenPrice('put', S, K, rd, rf, T, sigma);
+    const quotes = calculateFxPremiumConventions(price, S, K);
+    Object.entries(quotes).forEach(([convention, quote]) => {
+      expect(convertFxPremiumToDomesticPips(quote, convention, S, K)).toBeCloseTo(price, 12);
+    });
+  });
+});
+
+describe('calculateImpliedVolatility', () => {
+  test.each([
+    ['call', 100, 100, 0.05, 1, 0.2],
+    ['put', 100, 100, 0.05, 1, 0.2],
+    ['call', 100, 40, 0.05, 1, 0.3],   // deep ITM
+    ['put', 100, 40, 0.05, 1, 0.3],    // deep OTM
+    ['call', 100, 160, 0.02, 0.5, 0.25],
+    ['put', 100, 160, 0.02, 0.5, 0.25],
+    ['call', 100, 101, 0.05, 1 / 365, 0.4], // near expiry
+    ['call', 100, 100, 0.05, 2, 2.5]   // very high volatility
+  ])('recovers sigma for %s S=%d K=%d', (type, S, K, r, T, sigma) => {
+    const price = calculateOptionPrice(type, S, K, r, T, sigma);
+    const implied = calculateImpliedVolatility(type, price, S, K, r, T);
+    expect(implied).toBeCloseTo(sigma, 5);
+  });
+
+  test('recovers sigma with a dividend yield', () => {
+    const price = calculateOptionPrice('put', 100, 110, 0.03, 0.75, 0.35, 0.04);
+    expect(calculateImpliedVolatility('put', price, 100, 110, 0.03, 0.75, 0.04)).toBeCloseTo(0.35, 5);
+  });
+
+  test('rejects a premium below intrinsic value', () => {
+    expect(() => calculateImpliedVolatility('call', 10, 120, 100, 0.05, 1))
+      .toThrow(ImpliedVolatilityError);
+  });
+
+  test('rejects a call premium above the underlying price', () => {
+    expect(() => calculateImpliedVolatility('call', 101, 100, 100, 0.05, 1))
+      .toThrow(expect.objectContaining({ reason: 'arbitrage' }));
+  });
+
+  test('rejects an expired option', () => {
+    expect(() => calculateImpliedVolatility('call', 5, 100, 100, 0.05, 0))
+      .toThrow(/positive/);
+  });
+});
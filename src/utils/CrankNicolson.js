@@ -0,0 +1,178 @@
+import { calculatePendingDividendValue } from './BlackScholes';
+
+// Default grid size for the finite-difference solver
+export const DEFAULT_SPACE_STEPS = 200;
+export const DEFAULT_TIME_STEPS = 200;
+
+// Fully implicit steps at the start of the rollback to damp the payoff kink (Rannacher)
+const RANNACHER_STEPS = 4;
+
+// Projected SOR settings for the early-exercise constraint
+const PSOR_OMEGA = 1.2;
+const PSOR_TOLERANCE = 1e-10;
+const PSOR_MAX_ITERATIONS = 500;
+
+/**
+ * Solve a tridiagonal system with constant off-diagonals (Thomas algorithm)
+ * @param {number} lower - Sub-diagonal coefficient
+ * @param {number} diag - Diagonal coefficient
+ * @param {number} upper - Super-diagonal coefficient
+ * @param {Array} rhs - Right-hand side
+ * @returns {Array} Solution vector
+ */
+const solveTridiagonal = (lower, diag, upper, rhs) => {
+  const n = rhs.length;
+  const c = new Array(n);
+  const x = new Array(n);
+
+  c[0] = upper / diag;
+  x[0] = rhs[0] / diag;
+  for (let i = 1; i < n; i++) {
+    const m = diag - lower * c[i - 1];
+    c[i] = upper / m;
+    x[i] = (rhs[i] - lower * x[i - 1]) / m;
+  }
+  for (let i = n - 2; i >= 0; i--) {
+    x[i] -= c[i] * x[i + 1];
+  }
+
+  return x;
+};
+
+/**
+ * Solve the Black-Scholes PDE backwards from maturity on a log-price grid with the
+ * Crank-Nicolson scheme. American exercise is enforced with projected SOR. With cash
+ * dividends the grid is in the escrowed spot, and exercise pays off on the grid price
+ * plus the dividends still to come.
+ * @param {string} type - Option type ('call' or 'put')
+ * @param {number} S - Current stock price (the escrowed spot with cash dividends)
+ * @param {number} K - Strike price
+ * @param {number} r - Risk-free interest rate (decimal form)
+ * @param {number} T - Time to maturity (in years)
+ * @param {number} sigma - Volatility (decimal form)
+ * @param {number} q - Continuous dividend yield (decimal form)
+ * @param {boolean} american - Whether the option can be exercised early
+ * @param {number} spaceSteps - Number of log-price intervals
+ * @param {number} timeSteps - Number of time intervals
+ * @param {Array} dividends - Cash dividends as { time, amount }
+ * @returns {Object} Object with prices (grid underlying prices) and values (option
+ *   values today at those prices)
+ * @throws {RangeError} If the spot, strike, volatility or time to maturity is not positive
+ */
+export const solveCrankNicolson = (
+  type, S, K, r, T, sigma, q = 0, american = true,
+  spaceSteps = DEFAULT_SPACE_STEPS, timeSteps = DEFAULT_TIME_STEPS, dividends = []
+) => {
+  const payoff = (price) => Math.max(0, type === 'call' ? price - K : K - price);
+  // The log-price grid has no width without them
+  if (!(S > 0 && K > 0 && sigma > 0 && T > 0)) {
+    throw new RangeError(
+      'The PDE grid needs a positive spot (net of cash dividends), strike, volatility and time to maturity'
+    );
+  }
+
+  // Grid centred on today's price, wide enough to cover the strike and ±6 standard deviations
+  const halfWidth = 6 * sigma * Math.sqrt(T) + Math.abs(Math.log(S / K));
+  const xMin = Math.log(S) - halfWidth;
+  const dx = (2 * halfWidth) / spaceSteps;
+  const dt = T / timeSteps;
+
+  const prices = [];
+  for (let j = 0; j <= spaceSteps; j++) {
+    prices.push(Math.exp(xMin + j * dx));
+  }
+  const exerciseValues = prices.map(payoff);
+  let values = exerciseValues.slice();
+
+  // Coefficients of the spatial operator in log-price: a V'' + b V' - r V
+  const a = 0.5 * sigma * sigma / (dx * dx);
+  const b = (r - q - 0.5 * sigma * sigma) / (2 * dx);
+  const lowerCoef = a - b;
+  const diagCoef = -2 * a - r;
+  const upperCoef = a + b;
+
+  // Boundary values at time to maturity tau (deep in/out of the money), given the
+  // dividends still to come at that time
+  const boundaryValue = (price, tau, pending) => {
+    const europeanValue = type === 'call'
+      ? Math.max(0, price * Math.exp(-q * tau) - K * Math.exp(-r * tau))
+      : Math.max(0, K * Math.exp(-r * tau) - price * Math.exp(-q * tau));
+    return american ? Math.max(europeanValue, payoff(price + pending)) : europeanValue;
+  };
+
+  for (let n = 1; n <= timeSteps; n++) {
+    const tau = n * dt;
+    const theta = n <= RANNACHER_STEPS ? 1 : 0.5;
+    // Exercise delivers the share, worth the grid price plus the dividends still to come
+    const pending = american && dividends.length > 0 ? calculatePendingDividendValue(dividends, r, T - tau, T) : 0;
+    const exercise = pending > 0 ? prices.map((price) => payoff(price + pending)) : exerciseValues;
+
+    // Interior system: (I - theta dt L) V_new = (I + (1 - theta) dt L) V_old
+    const lower = -theta * dt * lowerCoef;
+    const diag = 1 - theta * dt * diagCoef;
+    const upper = -theta * dt * upperCoef;
+
+    const newLow = boundaryValue(prices[0], tau, pending);
+    const newHigh = boundaryValue(prices[spaceSteps], tau, pending);
+
+    const rhs = new Array(spaceSteps - 1);
+    for (let j = 1; j < spaceSteps; j++) {
+      const explicitPart = lowerCoef * values[j - 1] + diagCoef * values[j] + upperCoef * values[j + 1];
+      rhs[j - 1] = values[j] + (1 - theta) * dt * explicitPart;
+    }
+    rhs[0] -= lower * newLow;
+    rhs[spaceSteps - 2] -= upper * newHigh;
+
+    let interior;
+    if (american) {
+      // Projected SOR, warm-started from the previous time level
+      interior = values.slice(1, spaceSteps);
+      for (let iteration = 0; iteration < PSOR_MAX_ITERATIONS; iteration++) {
+        let change = 0;
+        for (let i = 0; i < interior.length; i++) {
+          const left = i > 0 ? interior[i - 1] : 0;
+          const right = i < interior.length - 1 ? interior[i + 1] : 0;
+          const gaussSeidel = (rhs[i] - lower * left - upper * right) / diag;
+          const updated = Math.max(
+            exercise[i + 1],
+            interior[i] + PSOR_OMEGA * (gaussSeidel - interior[i])
+          );
+          change += (updated - interior[i]) * (updated - interior[i]);
+          interior[i] = updated;
+        }
+        if (change < PSOR_TOLERANCE * PSOR_TOLERANCE) break;
+      }
+    } else {
+      interior = solveTridiagonal(lower, diag, upper, rhs);
+    }
+
+    values = [newLow, ...interior, newHigh];
+  }
+
+  return { prices, values };
+};
+
+/**
+ * Calculate option price by solving the Black-Scholes PDE with Crank-Nicolson
+ * @param {string} type - Option type ('call' or 'put')
+ * @param {number} S - Current stock price (the escrowed spot with cash dividends)
+ * @param {number} K - Strike price
+ * @param {number} r - Risk-free interest rate (decimal form)
+ * @param {number} T - Time to maturity (in years)
+ * @param {number} sigma - Volatility (decimal form)
+ * @param {number} q - Continuous dividend yield (decimal form)
+ * @param {boolean} american - Whether the option can be exercised early
+ * @param {Array} dividends - Cash dividends as { time, amount }
+ * @returns {number} Option price
+ * @throws {RangeError} If the spot, strike or volatility is not positive
+ */
+export const calculateCrankNicolsonPrice = (type, S, K, r, T, sigma, q = 0, american = true, dividends = []) => {
+  if (T <= 0) return Math.max(0, type === 'call' ? S - K : K - S);
+
+  const { prices, values } = solveCrankNicolson(
+    type, S, K, r, T, sigma, q, american, DEFAULT_SPACE_STEPS, DEFAULT_TIME_STEPS, dividends
+  );
+
+  // The grid is centred on S, so S sits exactly on the middle node
+  return values[Math.round((prices.length - 1) / 2)];
+};
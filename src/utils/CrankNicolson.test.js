@@ -0,0 +1,37 @@
+import { calculateCrankNicolsonPrice } from './CrankNicolson';
+import { calculateBinomialPrice } from './BinomialTree';
+import { calculateOptionPrice } from './BlackScholes';
+
+describe('calculateCrankNicolsonPrice', () => {
+  test.each([
+    ['call', 100, 100],
+    ['put', 100, 100],
+    ['put', 80, 100],
+    ['call', 120, 100]
+  ])('matches Black-Scholes for a European %s at S=%d', (type, S, K) => {
+    const european = calculateOptionPrice(type, S, K, 0.05, 1, 0.25, 0.01);
+    expect(calculateCrankNicolsonPrice(type, S, K, 0.05, 1, 0.25, 0.01, false)).toBeCloseTo(european, 2);
+  });
+
+  test('agrees with the binomial tree for an American put', () => {
+    const tree = calculateBinomialPrice('put', 95, 100, 0.06, 0.75, 0.3, 0, true, 1000);
+    expect(calculateCrankNicolsonPrice('put', 95, 100, 0.06, 0.75, 0.3, 0, true)).toBeCloseTo(tree, 2);
+  });
+
+  test('agrees with the binomial tree for an American call before a cash dividend', () => {
+    const dividends = [{ time: 0.5, amount: 8 }];
+    const tree = calculateBinomialPrice('call', 92.2, 80, 0.05, 1, 0.2, 0, true, 1000, dividends);
+    expect(calculateCrankNicolsonPrice('call', 92.2, 80, 0.05, 1, 0.2, 0, true, dividends)).toBeCloseTo(tree, 1);
+  });
+
+  test('rejects inputs that leave the grid without width', () => {
+    // A spot of zero is what cash dividends at least as large as the spot leave
+    expect(() => calculateCrankNicolsonPrice('put', 0, 100, 0.05, 1, 0.2, 0, true)).toThrow(RangeError);
+    expect(() => calculateCrankNicolsonPrice('put', 100, 100, 0.05, 1, 0, 0, true)).toThrow(RangeError);
+  });
+
+  test('prices an American call on a high-yield underlying at least at intrinsic', () => {
+    const price = calculateCrankNicolsonPrice('call', 150, 100, 0.02, 1, 0.2, 0.1, true);
+    expect(price).toBeGreaterThan(50 - 1e-9);
+  });
+});
@@ -0,0 +1,262 @@
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Trading days in a year, the denominator of trading-day time
+export const TRADING_DAYS_PER_YEAR = 252;
+
+// Day-count conventions turning a valuation and expiry date into a time to maturity.
+// calendarDaysPerYear is the year fraction of one calendar day, used for calendar theta.
+export const DAY_COUNT_CONVENTIONS = {
+  'ACT/365': {
+    label: 'ACT/365 Fixed',
+    description: 'Actual calendar days over 365',
+    businessDays: false,
+    daysPerYear: 365,
+    calendarDaysPerYear: 365
+  },
+  'ACT/360': {
+    label: 'ACT/360',
+    description: 'Actual calendar days over 360, as in money markets',
+    businessDays: false,
+    daysPerYear: 360,
+    calendarDaysPerYear: 360
+  },
+  'BUS/252': {
+    label: 'Business/252',
+    description: 'Business days, skipping weekends and holidays, over 252',
+    businessDays: true,
+    daysPerYear: TRADING_DAYS_PER_YEAR,
+    calendarDaysPerYear: 365
+  }
+};
+
+// Whether theta measures the decay over a calendar day or over a trading day
+export const THETA_BASES = {
+  calendar: { label: 'Per calendar day' },
+  trading: { label: 'Per trading day' }
+};
+
+/**
+ * Parse a date and time of day, taken as UTC so daylight saving never shifts a day
+ * @param {string} date - Date as YYYY-MM-DD
+ * @param {string} time - Time of day as HH:MM
+ * @returns {number} Milliseconds since the epoch (NaN if the date is not valid)
+ */
+export const parseDateTime = (date, time = '00:00') => {
+  const [year, month, day] = (date || '').split('-').map(Number);
+  const [hours, minutes] = (time || '00:00').split(':').map(Number);
+  if (!year || !month || !day) return NaN;
+  return Date.UTC(year, month - 1, day, hours || 0, minutes || 0);
+};
+
+/**
+ * Format a UTC timestamp as YYYY-MM-DD
+ * @param {number} timestamp - Milliseconds since the epoch
+ * @returns {string} ISO date
+ */
+export const formatIsoDate = (timestamp) => new Date(timestamp).toISOString().slice(0, 10);
+
+/**
+ * Shift a date by whole years, rolling 29 February to 1 March when needed
+ * @param {string} date - Date as YYYY-MM-DD
+ * @param {number} years - Years to add
+ * @returns {string} Shifted date as YYYY-MM-DD
+ */
+export const addYears = (date, years) => {
+  const shifted = new Date(parseDateTime(date));
+  shifted.setUTCFullYear(shifted.getUTCFullYear() + years);
+  return formatIsoDate(shifted.getTime());
+};
+
+/**
+ * Shift a date by whole calendar days
+ * @param {string} date - Date as YYYY-MM-DD
+ * @param {number} days - Days to add
+ * @returns {string} Shifted date as YYYY-MM-DD
+ */
+export const addDays = (date, days) => formatIsoDate(parseDateTime(date) + days * MS_PER_DAY);
+
+// Day of the month of the nth given weekday (0 = Sunday) in a month; n = -1 for the last
+const findWeekday = (year, month, weekday, n) => {
+  if (n < 0) {
+    const lastDay = new Date(Date.UTC(year, month + 1, 0));
+    return lastDay.getUTCDate() - ((lastDay.getUTCDay() - weekday + 7) % 7);
+  }
+  const firstWeekday = new Date(Date.UTC(year, month, 1)).getUTCDay();
+  return 1 + ((weekday - firstWeekday + 7) % 7) + (n - 1) * 7;
+};
+
+// Easter Sunday by the anonymous Gregorian algorithm
+const findEaster = (year) => {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return Date.UTC(year, month - 1, day);
+};
+
+// Fixed-date holidays falling on a weekend are observed on the Friday before or Monday after
+const observe = (timestamp) => {
+  const weekday = new Date(timestamp).getUTCDay();
+  if (weekday === 6) return timestamp - MS_PER_DAY;
+  if (weekday === 0) return timestamp + MS_PER_DAY;
+  return timestamp;
+};
+
+/**
+ * New York Stock Exchange holidays of a year
+ * @param {number} year - Calendar year
+ * @returns {Array} Holidays as YYYY-MM-DD
+ */
+export const getNyseHolidays = (year) => {
+  const holidays = [
+    Date.UTC(year, 0, findWeekday(year, 0, 1, 3)), // Martin Luther King Jr. Day
+    Date.UTC(year, 1, findWeekday(year, 1, 1, 3)), // Washington's Birthday
+    findEaster(year) - 2 * MS_PER_DAY, // Good Friday
+    Date.UTC(year, 4, findWeekday(year, 4, 1, -1)), // Memorial Day
+    observe(Date.UTC(year, 6, 4)), // Independence Day
+    Date.UTC(year, 8, findWeekday(year, 8, 1, 1)), // Labor Day
+    Date.UTC(year, 10, findWeekday(year, 10, 4, 4)), // Thanksgiving
+    observe(Date.UTC(year, 11, 25)) // Christmas
+  ];
+
+  // New Year's Day on a Saturday is not moved back into the previous year
+  const newYear = Date.UTC(year, 0, 1);
+  if (new Date(newYear).getUTCDay() !== 6) holidays.push(observe(newYear));
+  if (year >= 2022) holidays.push(observe(Date.UTC(year, 5, 19))); // Juneteenth
+
+  return holidays.map(formatIsoDate).sort();
+};
+
+// Holiday calendars for business-day counts
+export const HOLIDAY_CALENDARS = {
+  weekends: { label: 'Weekends only', getHolidays: () => [] },
+  nyse: { label: 'NYSE', getHolidays: getNyseHolidays }
+};
+
+/**
+ * Whether a date is a business day: a weekday that is not a holiday of the calendar
+ * @param {string} date - Date as YYYY-MM-DD
+ * @param {string} calendar - Key of HOLIDAY_CALENDARS
+ * @returns {boolean} True on business days
+ */
+export const isBusinessDay = (date, calendar = 'weekends') => {
+  const day = new Date(parseDateTime(date));
+  const weekday = day.getUTCDay();
+  return weekday !== 0 && weekday !== 6
+    && !HOLIDAY_CALENDARS[calendar].getHolidays(day.getUTCFullYear()).includes(date);
+};
+
+/**
+ * Count the business days after one date up to and including another
+ * @param {number} start - Start as milliseconds since the epoch
+ * @param {number} end - End as milliseconds since the epoch
+ * @param {string} calendar - Key of HOLIDAY_CALENDARS
+ * @returns {number} Business days, negative when end is before start
+ */
+export const countBusinessDays = (start, end, calendar = 'weekends') => {
+  if (end < start) return -countBusinessDays(end, start, calendar);
+
+  const startDay = Math.floor(start / MS_PER_DAY);
+  const endDay = Math.floor(end / MS_PER_DAY);
+  const holidays = new Set();
+  for (let year = new Date(start).getUTCFullYear(); year <= new Date(end).getUTCFullYear(); year++) {
+    HOLIDAY_CALENDARS[calendar].getHolidays(year).forEach((holiday) => holidays.add(holiday));
+  }
+
+  let count = 0;
+  for (let day = startDay + 1; day <= endDay; day++) {
+    const timestamp = day * MS_PER_DAY;
+    const weekday = new Date(timestamp).getUTCDay();
+    if (weekday !== 0 && weekday !== 6 && !holidays.has(formatIsoDate(timestamp))) count++;
+  }
+  return count;
+};
+
+/**
+ * Year fraction between two times under a day-count convention. Business-day counts take
+ * whole business days between the dates plus the difference in time of day.
+ * @param {number} start - Valuation time as milliseconds since the epoch
+ * @param {number} end - Expiry time as milliseconds since the epoch
+ * @param {string} dayCount - Key of DAY_COUNT_CONVENTIONS
+ * @param {string} calendar - Key of HOLIDAY_CALENDARS, for business-day counts
+ * @returns {number} Time to maturity (in years)
+ */
+export const calculateYearFraction = (start, end, dayCount = 'ACT/365', calendar = 'weekends') => {
+  const convention = DAY_COUNT_CONVENTIONS[dayCount];
+  if (!convention.businessDays) return (end - start) / MS_PER_DAY / convention.daysPerYear;
+
+  const intraday = ((end % MS_PER_DAY) - (start % MS_PER_DAY)) / MS_PER_DAY;
+  return (countBusinessDays(start, end, calendar) + intraday) / convention.daysPerYear;
+};
+
+/**
+ * Time to maturity from the valuation and expiry dates of the parameters
+ * @param {Object} parameters - Parameters object from App
+ * @returns {number|null} Time to maturity (in years), or null if a date is missing
+ */
+export const calculateDateMaturity = (parameters) => {
+  const { valuationDate, valuationTime, expiryDate, expiryTime, dayCount, holidayCalendar } = parameters;
+  const start = parseDateTime(valuationDate, valuationTime);
+  const end = parseDateTime(expiryDate, expiryTime);
+  if (!Number.isFinite(start) || !Number.isFinite(end)) return null;
+  return calculateYearFraction(start, end, dayCount, holidayCalendar);
+};
+
+/**
+ * Expiry date of the parameters: the entered one for dated maturities, otherwise the
+ * valuation date moved on by the time to maturity in ACT/365 calendar days
+ * @param {Object} parameters - Parameters object from App
+ * @returns {string} Expiry date as YYYY-MM-DD
+ */
+export const getExpiryDate = (parameters) => (
+  parameters.maturityInput === 'dates'
+    ? parameters.expiryDate
+    : addDays(parameters.valuationDate, Math.round(parameters.timeToMaturity * 365))
+);
+
+/**
+ * Day count of the maturity: the selected convention for dated maturities, ACT/365 for
+ * maturities entered in years
+ * @param {Object} parameters - Parameters object from App
+ * @returns {string} Key of DAY_COUNT_CONVENTIONS
+ */
+export const getMaturityDayCount = (parameters) => (
+  parameters.maturityInput === 'dates' ? parameters.dayCount : 'ACT/365'
+);
+
+/**
+ * Year fraction from the valuation date and time to the start of a later date, such as a
+ * dividend ex-date. Dated maturities use their day count, maturities in years ACT/365.
+ * @param {string} date - Date as YYYY-MM-DD
+ * @param {Object} parameters - Parameters object from App
+ * @returns {number} Time from valuation (in years), NaN if a date is not valid
+ */
+export const calculateTimeFromValuation = (date, parameters) => {
+  const start = parseDateTime(parameters.valuationDate, parameters.valuationTime);
+  const end = parseDateTime(date);
+  if (!Number.isFinite(start) || !Number.isFinite(end)) return NaN;
+  return calculateYearFraction(start, end, getMaturityDayCount(parameters), parameters.holidayCalendar);
+};
+
+/**
+ * Year fraction of one day for the per-day Greeks: a trading day is 1/252 of a year,
+ * a calendar day 1/365 unless the dates run on ACT/360
+ * @param {Object} parameters - Parameters object from App
+ * @returns {number} Days per year
+ */
+export const getThetaDaysPerYear = (parameters) => {
+  if (parameters.thetaBasis === 'trading') return TRADING_DAYS_PER_YEAR;
+  return parameters.maturityInput === 'dates'
+    ? DAY_COUNT_CONVENTIONS[parameters.dayCount].calendarDaysPerYear
+    : 365;
+};
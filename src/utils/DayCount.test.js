@@ -0,0 +1,130 @@
+import {
+  parseDateTime,
+  addYears,
+  getNyseHolidays,
+  countBusinessDays,
+  isBusinessDay,
+  calculateYearFraction,
+  calculateDateMaturity,
+  calculateTimeFromValuation,
+  getExpiryDate,
+  getThetaDaysPerYear
+} from './DayCount';
+import { calculateGreeks } from './BlackScholes';
+
+const datedParameters = {
+  maturityInput: 'dates',
+  valuationDate: '2025-01-02',
+  valuationTime: '16:00',
+  expiryDate: '2026-01-02',
+  expiryTime: '16:00',
+  dayCount: 'ACT/365',
+  holidayCalendar: 'nyse',
+  thetaBasis: 'calendar'
+};
+
+describe('isBusinessDay', () => {
+  test('skips weekends and the holidays of the calendar', () => {
+    expect(isBusinessDay('2025-01-03')).toBe(true);
+    expect(isBusinessDay('2025-01-04')).toBe(false);
+    expect(isBusinessDay('2025-07-04')).toBe(true);
+    expect(isBusinessDay('2025-07-04', 'nyse')).toBe(false);
+  });
+});
+
+describe('calculateYearFraction', () => {
+  test('divides actual days by the convention year', () => {
+    const start = parseDateTime('2025-01-02');
+    const end = parseDateTime('2025-04-02');
+    expect(calculateYearFraction(start, end, 'ACT/365')).toBeCloseTo(90 / 365, 12);
+    expect(calculateYearFraction(start, end, 'ACT/360')).toBeCloseTo(90 / 360, 12);
+  });
+
+  test('counts the time of day', () => {
+    const start = parseDateTime('2025-01-02', '09:30');
+    const end = parseDateTime('2025-01-02', '16:00');
+    expect(calculateYearFraction(start, end, 'ACT/365')).toBeCloseTo(6.5 / 24 / 365, 12);
+    expect(calculateYearFraction(start, end, 'BUS/252')).toBeCloseTo(6.5 / 24 / 252, 12);
+  });
+
+  test('counts business days over 252, skipping holidays', () => {
+    // Friday to the next Friday, across Good Friday on 18 April 2025
+    const start = parseDateTime('2025-04-11', '16:00');
+    const end = parseDateTime('2025-04-25', '16:00');
+    expect(calculateYearFraction(start, end, 'BUS/252', 'weekends')).toBeCloseTo(10 / 252, 12);
+    expect(calculateYearFraction(start, end, 'BUS/252', 'nyse')).toBeCloseTo(9 / 252, 12);
+  });
+});
+
+describe('getNyseHolidays', () => {
+  test('lists the 2025 exchange holidays', () => {
+    expect(getNyseHolidays(2025)).toEqual([
+      '2025-01-01', '2025-01-20', '2025-02-17', '2025-04-18', '2025-05-26', '2025-06-19',
+      '2025-07-04', '2025-09-01', '2025-11-27', '2025-12-25'
+    ]);
+  });
+
+  test('observes weekend holidays on the nearest weekday', () => {
+    // Independence Day 2026 is a Saturday and Christmas 2022 a Sunday
+    expect(getNyseHolidays(2026)).toContain('2026-07-03');
+    expect(getNyseHolidays(2022)).toContain('2022-12-26');
+    // New Year's Day 2022 is a Saturday and is not observed
+    expect(getNyseHolidays(2022)).not.toContain('2021-12-31');
+  });
+});
+
+describe('countBusinessDays', () => {
+  // 261 weekdays less the ten scheduled holidays; unscheduled closures are not modelled
+  test('has 251 NYSE trading days in 2025', () => {
+    const start = parseDateTime('2024-12-31');
+    const end = parseDateTime('2025-12-31');
+    expect(countBusinessDays(start, end, 'nyse')).toBe(251);
+    expect(countBusinessDays(end, start, 'nyse')).toBe(-251);
+  });
+});
+
+describe('calculateDateMaturity', () => {
+  test('derives the time to maturity from the dates', () => {
+    expect(calculateDateMaturity(datedParameters)).toBeCloseTo(1, 12);
+    expect(calculateDateMaturity({ ...datedParameters, dayCount: 'ACT/360' })).toBeCloseTo(365 / 360, 12);
+    expect(calculateDateMaturity({ ...datedParameters, expiryDate: '' })).toBeNull();
+  });
+
+  test('rolls 29 February forward a year', () => {
+    expect(addYears('2024-02-29', 1)).toBe('2025-03-01');
+  });
+});
+
+describe('getExpiryDate', () => {
+  test('takes the entered expiry, or counts ACT/365 days from the valuation date', () => {
+    expect(getExpiryDate(datedParameters)).toBe('2026-01-02');
+    expect(getExpiryDate({ ...datedParameters, maturityInput: 'years', timeToMaturity: 0.5 })).toBe('2025-07-04');
+  });
+});
+
+describe('calculateTimeFromValuation', () => {
+  test('counts ex-dates from the valuation date with the maturity day count', () => {
+    // From 16:00 on 2 January to the start of 2 April: 89 days and 8 hours
+    const days = 89 + 8 / 24;
+    expect(calculateTimeFromValuation('2025-04-02', datedParameters)).toBeCloseTo(days / 365, 12);
+    expect(calculateTimeFromValuation('2025-04-02', { ...datedParameters, dayCount: 'ACT/360' }))
+      .toBeCloseTo(days / 360, 12);
+    expect(calculateTimeFromValuation('2025-04-02', { ...datedParameters, dayCount: 'ACT/360', maturityInput: 'years' }))
+      .toBeCloseTo(days / 365, 12);
+    expect(calculateTimeFromValuation('', datedParameters)).toBeNaN();
+  });
+});
+
+describe('getThetaDaysPerYear', () => {
+  test('follows the theta basis and day count', () => {
+    expect(getThetaDaysPerYear({ ...datedParameters, thetaBasis: 'trading' })).toBe(252);
+    expect(getThetaDaysPerYear({ ...datedParameters, dayCount: 'ACT/360' })).toBe(360);
+    expect(getThetaDaysPerYear({ ...datedParameters, dayCount: 'ACT/360', maturityInput: 'years' })).toBe(365);
+  });
+
+  test('scales theta to the length of a day', () => {
+    const perCalendarDay = calculateGreeks('call', 100, 100, 0.05, 1, 0.2, 0, 365).theta;
+    const perTradingDay = calculateGreeks('call', 100, 100, 0.05, 1, 0.2, 0, 252).theta;
+    expect(perTradingDay).toBeCloseTo((perCalendarDay * 365) / 252, 12);
+  });
+});
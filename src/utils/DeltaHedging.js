@@ -0,0 +1,133 @@
+import { calculateGreeks, calculateOptionPrice } from './BlackScholes';
+import { stepGeometricBrownianMotion, summarizeDistribution } from './MonteCarlo';
+import { createNormalGenerator } from './Random';
+
+/**
+ * Simulate delta hedging a short option along one geometric Brownian motion path.
+ * The option is sold at its Black-Scholes price, the premium buys delta units of the
+ * underlying with the rest held in cash at r, and the position is rebalanced to the
+ * Black-Scholes delta at equally spaced times until expiry.
+ * @param {string} type - Option type ('call' or 'put')
+ * @param {number} S - Current stock price
+ * @param {number} K - Strike price
+ * @param {number} r - Risk-free interest rate (decimal form)
+ * @param {number} T - Time to maturity (in years)
+ * @param {number} sigma - Implied volatility used to price and hedge (decimal form)
+ * @param {number} q - Continuous dividend yield (decimal form)
+ * @param {Object} options - { rebalances, realizedVolatility, drift, normal }; the path moves
+ *   with the realized volatility (sigma by default) and the drift (r by default)
+ * @returns {Object} Object with path ({ time, spot, optionValue, portfolioValue, delta } at each
+ *   rebalancing time) and pnl, the hedge portfolio less the option payoff at expiry
+ */
+export const simulateDeltaHedge = (type, S, K, r, T, sigma, q = 0, options = {}) => {
+  const {
+    rebalances = 52,
+    realizedVolatility = sigma,
+    drift = r,
+    normal = createNormalGenerator()
+  } = options;
+
+  const dt = T / rebalances;
+  const premium = calculateOptionPrice(type, S, K, r, T, sigma, q);
+
+  let spot = S;
+  let delta = calculateGreeks(type, S, K, r, T, sigma, q).delta;
+  let cash = premium - delta * S;
+  let portfolioValue = premium;
+  let optionValue = premium;
+  const path = [{ time: 0, spot, optionValue, portfolioValue, delta }];
+
+  for (let step = 1; step <= rebalances; step++) {
+    spot = stepGeometricBrownianMotion(spot, drift, realizedVolatility, dt, normal());
+
+    // Cash earns r and the shares held earn the dividend yield over the period
+    cash = cash * Math.exp(r * dt) + delta * spot * (Math.exp(q * dt) - 1);
+    portfolioValue = delta * spot + cash;
+
+    const remaining = T - step * dt;
+    optionValue = calculateOptionPrice(type, spot, K, r, remaining, sigma, q);
+
+    if (step < rebalances) {
+      const nextDelta = calculateGreeks(type, spot, K, r, remaining, sigma, q).delta;
+      cash -= (nextDelta - delta) * spot;
+      delta = nextDelta;
+    }
+
+    path.push({ time: step * dt, spot, optionValue, portfolioValue, delta });
+  }
+
+  return { path, pnl: portfolioValue - optionValue };
+};
+
+/**
+ * Hedging P&L at expiry of many independent delta-hedged paths
+ * @param {string} type - Option type ('call' or 'put')
+ * @param {number} S - Current stock price
+ * @param {number} K - Strike price
+ * @param {number} r - Risk-free interest rate (decimal form)
+ * @param {number} T - Time to maturity (in years)
+ * @param {number} sigma - Implied volatility used to price and hedge (decimal form)
+ * @param {number} q - Continuous dividend yield (decimal form)
+ * @param {number} paths - Number of paths
+ * @param {Object} options - Options of simulateDeltaHedge
+ * @returns {Array} P&L of each path
+ */
+export const simulateHedgingPnl = (type, S, K, r, T, sigma, q, paths, options = {}) => (
+  Array.from({ length: paths }, () => simulateDeltaHedge(type, S, K, r, T, sigma, q, options).pnl)
+);
+
+/**
+ * Mean and standard deviation of the hedging P&L as the rebalancing frequency changes
+ * @param {string} type - Option type ('call' or 'put')
+ * @param {number} S - Current stock price
+ * @param {number} K - Strike price
+ * @param {number} r - Risk-free interest rate (decimal form)
+ * @param {number} T - Time to maturity (in years)
+ * @param {number} sigma - Implied volatility used to price and hedge (decimal form)
+ * @param {number} q - Continuous dividend yield (decimal form)
+ * @param {Array} rebalanceCounts - Numbers of rebalances over the life of the option
+ * @param {number} paths - Number of paths per frequency
+ * @param {Object} options - Other options of simulateDeltaHedge
+ * @returns {Array} Data points as { rebalances, mean, standardDeviation }
+ */
+export const generateRebalancingErrorData = (type, S, K, r, T, sigma, q, rebalanceCounts, paths, options = {}) => (
+  rebalanceCounts.map((rebalances) => {
+    const { mean, standardDeviation } = summarizeDistribution(
+      simulateHedgingPnl(type, S, K, r, T, sigma, q, paths, { ...options, rebalances })
+    );
+    return { rebalances, mean, standardDeviation };
+  })
+);
+
+/**
+ * Mean and standard deviation of the hedging P&L when the realized volatility differs from
+ * the implied volatility the option is sold and hedged at
+ * @param {string} type - Option type ('call' or 'put')
+ * @param {number} S - Current stock price
+ * @param {number} K - Strike price
+ * @param {number} r - Risk-free interest rate (decimal form)
+ * @param {number} T - Time to maturity (in years)
+ * @param {number} sigma - Implied volatility used to price and hedge (decimal form)
+ * @param {number} q - Continuous dividend yield (decimal form)
+ * @param {Array} realizedVolatilities - Realized volatilities to simulate
+ * @param {number} paths - Number of paths per volatility
+ * @param {Object} options - Other options of simulateDeltaHedge
+ * @returns {Array} Data points as { realizedVolatility, mean, lower, upper, standardDeviation },
+ *   lower and upper being one standard deviation either side of the mean
+ */
+export const generateVolatilityMismatchData = (
+  type, S, K, r, T, sigma, q, realizedVolatilities, paths, options = {}
+) => (
+  realizedVolatilities.map((realizedVolatility) => {
+    const { mean, standardDeviation } = summarizeDistribution(
+      simulateHedgingPnl(type, S, K, r, T, sigma, q, paths, { ...options, realizedVolatility })
+    );
+    return {
+      realizedVolatility,
+      mean,
+      lower: mean - standardDeviation,
+      upper: mean + standardDeviation,
+      standardDeviation
+    };
+  })
+);
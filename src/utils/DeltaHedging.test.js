@@ -0,0 +1,52 @@
+import {
+  simulateDeltaHedge,
+  generateRebalancingErrorData,
+  generateVolatilityMismatchData
+} from './DeltaHedging';
+import { createNormalGenerator, createRandom } from './Random';
+
+const normal = (seed) => createNormalGenerator(createRandom(seed));
+
+describe('simulateDeltaHedge', () => {
+  test('tracks the option value closely with frequent rebalancing', () => {
+    const { path, pnl } = simulateDeltaHedge('call', 100, 100, 0.05, 1, 0.2, 0.02, {
+      rebalances: 1000,
+      normal: normal(3)
+    });
+    expect(path).toHaveLength(1001);
+    expect(path[0].portfolioValue).toBeCloseTo(path[0].optionValue, 10);
+    expect(Math.abs(pnl)).toBeLessThan(0.05 * path[0].optionValue);
+  });
+
+  test('earns the time value when the underlying does not move', () => {
+    const { pnl } = simulateDeltaHedge('call', 100, 100, 0.05, 1, 0.2, 0.02, {
+      realizedVolatility: 0,
+      drift: 0.03,
+      normal: () => 0
+    });
+    expect(pnl).toBeGreaterThan(0);
+  });
+});
+
+describe('generateRebalancingErrorData', () => {
+  test('shrinks the hedging error like one over the square root of the rebalances', () => {
+    const [coarse, fine] = generateRebalancingErrorData(
+      'put', 100, 100, 0.05, 1, 0.2, 0.02, [16, 256], 400, { normal: normal(1) }
+    );
+    const ratio = coarse.standardDeviation / fine.standardDeviation;
+    expect(ratio).toBeGreaterThan(3);
+    expect(ratio).toBeLessThan(5);
+    expect(Math.abs(fine.mean)).toBeLessThan(3 * fine.standardDeviation / Math.sqrt(400));
+  });
+});
+
+describe('generateVolatilityMismatchData', () => {
+  test('makes money hedging a short option when realized volatility is below implied', () => {
+    const [low, high] = generateVolatilityMismatchData(
+      'call', 100, 100, 0.05, 1, 0.2, 0, [0.1, 0.3], 200, { rebalances: 100, normal: normal(2) }
+    );
+    expect(low.mean).toBeGreaterThan(0);
+    expect(high.mean).toBeLessThan(0);
+    expect(high.upper - high.mean).toBeCloseTo(high.standardDeviation, 10);
+  });
+});
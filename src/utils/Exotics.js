@@ -0,0 +1,266 @@
+import { erf } from 'mathjs';
+import { calculateOptionPrice } from './BlackScholes';
+import { stepGeometricBrownianMotion, summarizeMonteCarlo } from './MonteCarlo';
+import { createNormalGenerator } from './Random';
+
+// Cumulative distribution function for standard normal distribution
+const cdf = (x) => 0.5 * (1 + erf(x / Math.sqrt(2)));
+
+// Path-dependent options the exotic pricer supports
+export const EXOTIC_OPTIONS = {
+  asian: {
+    label: 'Asian',
+    description: 'Pays off on the average of the underlying over the fixing dates instead of its final price'
+  },
+  barrier: {
+    label: 'Barrier',
+    description: 'A European option that is activated (knock-in) or cancelled (knock-out) when the '
+      + 'underlying touches the barrier, monitored continuously'
+  },
+  lookback: {
+    label: 'Lookback',
+    description: 'Pays off on the maximum or minimum of the underlying over the fixing dates, '
+      + 'including today'
+  }
+};
+
+// Barrier directions and whether touching the barrier activates or cancels the option
+export const BARRIER_TYPES = {
+  'down-and-out': { label: 'Down-and-out', direction: 'down', knockIn: false },
+  'down-and-in': { label: 'Down-and-in', direction: 'down', knockIn: true },
+  'up-and-out': { label: 'Up-and-out', direction: 'up', knockIn: false },
+  'up-and-in': { label: 'Up-and-in', direction: 'up', knockIn: true }
+};
+
+/**
+ * Whether the underlying is already at or through the barrier
+ * @param {string} barrierType - Key of BARRIER_TYPES
+ * @param {number} S - Current stock price
+ * @param {number} H - Barrier level
+ * @returns {boolean} True when the barrier has been touched
+ */
+export const isBarrierBreached = (barrierType, S, H) => (
+  BARRIER_TYPES[barrierType].direction === 'down' ? S <= H : S >= H
+);
+
+/**
+ * Price a geometric average Asian option with equally spaced fixings at iT/n, i = 1..n,
+ * for which the geometric average is log-normal (Kemna-Vorst)
+ * @param {string} type - Option type ('call' or 'put')
+ * @param {number} S - Current stock price
+ * @param {number} K - Strike price
+ * @param {number} r - Risk-free interest rate (decimal form)
+ * @param {number} T - Time to maturity (in years)
+ * @param {number} sigma - Volatility (decimal form)
+ * @param {number} q - Continuous dividend yield (decimal form)
+ * @param {number} fixings - Number of fixings n
+ * @returns {number} Option price
+ */
+export const calculateGeometricAsianPrice = (type, S, K, r, T, sigma, q, fixings) => {
+  const n = fixings;
+  const logMean = Math.log(S) + (r - q - 0.5 * sigma * sigma) * T * (n + 1) / (2 * n);
+  const logDeviation = sigma * Math.sqrt((T * (n + 1) * (2 * n + 1)) / (6 * n * n));
+
+  const d1 = (logMean - Math.log(K) + logDeviation * logDeviation) / logDeviation;
+  const d2 = d1 - logDeviation;
+  const expectedAverage = Math.exp(logMean + 0.5 * logDeviation * logDeviation);
+  const discount = Math.exp(-r * T);
+
+  return type === 'call'
+    ? discount * (expectedAverage * cdf(d1) - K * cdf(d2))
+    : discount * (K * cdf(-d2) - expectedAverage * cdf(-d1));
+};
+
+/**
+ * Price a continuously monitored barrier option without rebate (Reiner-Rubinstein);
+ * knock-ins follow from in-out parity with the European price
+ * @param {string} type - Option type ('call' or 'put')
+ * @param {string} barrierType - Key of BARRIER_TYPES
+ * @param {number} S - Current stock price
+ * @param {number} K - Strike price
+ * @param {number} H - Barrier level
+ * @param {number} r - Risk-free interest rate (decimal form)
+ * @param {number} T - Time to maturity (in years)
+ * @param {number} sigma - Volatility (decimal form)
+ * @param {number} q - Continuous dividend yield (decimal form)
+ * @returns {number} Option price
+ */
+export const calculateBarrierPrice = (type, barrierType, S, K, H, r, T, sigma, q = 0) => {
+  const { direction, knockIn } = BARRIER_TYPES[barrierType];
+  const vanilla = calculateOptionPrice(type, S, K, r, T, sigma, q);
+
+  // A touched barrier has already knocked the option in or out
+  if (isBarrierBreached(barrierType, S, H)) {
+    return knockIn ? vanilla : 0;
+  }
+
+  const phi = type === 'call' ? 1 : -1;
+  const eta = direction === 'down' ? 1 : -1;
+  const sigmaRootT = sigma * Math.sqrt(T);
+  const mu = (r - q - 0.5 * sigma * sigma) / (sigma * sigma);
+  const shift = (1 + mu) * sigmaRootT;
+  const spotTerm = S * Math.exp(-q * T);
+  const strikeTerm = K * Math.exp(-r * T);
+
+  const x1 = Math.log(S / K) / sigmaRootT + shift;
+  const x2 = Math.log(S / H) / sigmaRootT + shift;
+  const y1 = Math.log((H * H) / (S * K)) / sigmaRootT + shift;
+  const y2 = Math.log(H / S) / sigmaRootT + shift;
+
+  const A = phi * spotTerm * cdf(phi * x1) - phi * strikeTerm * cdf(phi * (x1 - sigmaRootT));
+  const B = phi * spotTerm * cdf(phi * x2) - phi * strikeTerm * cdf(phi * (x2 - sigmaRootT));
+  const C = phi * spotTerm * (H / S) ** (2 * (mu + 1)) * cdf(eta * y1)
+    - phi * strikeTerm * (H / S) ** (2 * mu) * cdf(eta * (y1 - sigmaRootT));
+  const D = phi * spotTerm * (H / S) ** (2 * (mu + 1)) * cdf(eta * y2)
+    - phi * strikeTerm * (H / S) ** (2 * mu) * cdf(eta * (y2 - sigmaRootT));
+
+  let knockOut;
+  if (direction === 'down') {
+    if (type === 'call') {
+      knockOut = K > H ? A - C : B - D;
+    } else {
+      knockOut = K > H ? A - B + C - D : 0;
+    }
+  } else if (type === 'call') {
+    knockOut = K < H ? A - B + C - D : 0;
+  } else {
+    knockOut = K < H ? A - C : B - D;
+  }
+
+  // Rounding can leave a worthless knock-out a hair below zero
+  knockOut = Math.max(0, knockOut);
+  return knockIn ? vanilla - knockOut : knockOut;
+};
+
+/**
+ * Closed-form price of an exotic contract, where one exists
+ * @param {string} type - Option type ('call' or 'put')
+ * @param {Object} contract - Contract terms { exotic, averaging, fixings, barrierType, barrier, strikeType }
+ * @param {number} S - Current stock price
+ * @param {number} K - Strike price
+ * @param {number} r - Risk-free interest rate (decimal form)
+ * @param {number} T - Time to maturity (in years)
+ * @param {number} sigma - Volatility (decimal form)
+ * @param {number} q - Continuous dividend yield (decimal form)
+ * @returns {number|null} Option price, or null when only Monte Carlo applies
+ */
+export const calculateExoticPrice = (type, contract, S, K, r, T, sigma, q = 0) => {
+  if (contract.exotic === 'asian' && contract.averaging === 'geometric') {
+    return calculateGeometricAsianPrice(type, S, K, r, T, sigma, q, contract.fixings);
+  }
+  if (contract.exotic === 'barrier') {
+    return calculateBarrierPrice(type, contract.barrierType, S, K, contract.barrier, r, T, sigma, q);
+  }
+  return null;
+};
+
+/**
+ * Payoff of an Asian or lookback option from the fixings of one path
+ * @param {string} type - Option type ('call' or 'put')
+ * @param {Object} contract - Contract terms
+ * @param {number} K - Strike price
+ * @param {Array} fixings - Underlying prices on the fixing dates
+ * @param {number} S - Current stock price, the first observation of a lookback
+ * @returns {number} Undiscounted payoff
+ */
+const calculateFixingPayoff = (type, contract, K, fixings, S) => {
+  const phi = type === 'call' ? 1 : -1;
+
+  if (contract.exotic === 'asian') {
+    const average = contract.averaging === 'geometric'
+      ? Math.exp(fixings.reduce((sum, value) => sum + Math.log(value), 0) / fixings.length)
+      : fixings.reduce((sum, value) => sum + value, 0) / fixings.length;
+    return Math.max(0, phi * (average - K));
+  }
+
+  const maximum = Math.max(S, ...fixings);
+  const minimum = Math.min(S, ...fixings);
+  const final = fixings[fixings.length - 1];
+  if (contract.strikeType === 'floating') {
+    // The strike is set at the most favourable price over the life
+    return type === 'call' ? final - minimum : maximum - final;
+  }
+  return type === 'call' ? Math.max(0, maximum - K) : Math.max(0, K - minimum);
+};
+
+/**
+ * Price an exotic contract by Monte Carlo simulation of geometric Brownian motion paths.
+ * Barrier crossings between time steps are drawn from the Brownian bridge, so the
+ * simulation prices continuous monitoring; arithmetic Asians can use the geometric
+ * Asian, whose price is known, as a control variate
+ * @param {string} type - Option type ('call' or 'put')
+ * @param {Object} contract - Contract terms { exotic, averaging, fixings, barrierType, barrier, strikeType }
+ * @param {number} S - Current stock price
+ * @param {number} K - Strike price
+ * @param {number} r - Risk-free interest rate (decimal form)
+ * @param {number} T - Time to maturity (in years)
+ * @param {number} sigma - Volatility (decimal form)
+ * @param {number} q - Continuous dividend yield (decimal form)
+ * @param {Object} options - { paths, steps (barriers only), controlVariate, normal, random }
+ * @returns {Object} Object with price, standardError, confidenceInterval, paths and convergence
+ */
+export const calculateExoticMonteCarloPrice = (type, contract, S, K, r, T, sigma, q = 0, options = {}) => {
+  const {
+    paths = 10000,
+    steps = 100,
+    controlVariate = false,
+    normal = createNormalGenerator(),
+    random = Math.random
+  } = options;
+
+  const discount = Math.exp(-r * T);
+  const drift = r - q;
+  const useControl = controlVariate && contract.exotic === 'asian' && contract.averaging === 'arithmetic';
+  const geometricContract = { ...contract, averaging: 'geometric' };
+  const controlMean = useControl ? calculateGeometricAsianPrice(type, S, K, r, T, sigma, q, contract.fixings) : null;
+
+  const samples = [];
+  for (let i = 0; i < paths; i++) {
+    if (contract.exotic === 'barrier') {
+      const { knockIn } = BARRIER_TYPES[contract.barrierType];
+      const logBarrier = Math.log(contract.barrier);
+      const dt = T / steps;
+
+      let value = S;
+      let step = 0;
+      let touched = isBarrierBreached(contract.barrierType, S, contract.barrier);
+      while (step < steps && !touched) {
+        const next = stepGeometricBrownianMotion(value, drift, sigma, dt, normal());
+        if (isBarrierBreached(contract.barrierType, next, contract.barrier)) {
+          touched = true;
+        } else {
+          // Probability that the bridge between the two prices touched the barrier
+          const crossing = Math.exp(
+            (-2 * (logBarrier - Math.log(value)) * (logBarrier - Math.log(next))) / (sigma * sigma * dt)
+          );
+          touched = random() < crossing;
+        }
+        value = next;
+        step++;
+      }
+
+      // Once the barrier is touched only the terminal price matters, drawn in one exact step
+      if (touched && knockIn && step < steps) {
+        value = stepGeometricBrownianMotion(value, drift, sigma, (steps - step) * dt, normal());
+      }
+
+      const alive = knockIn ? touched : !touched;
+      const payoff = alive ? Math.max(0, (type === 'call' ? 1 : -1) * (value - K)) : 0;
+      samples.push({ payoff: discount * payoff, control: 0 });
+    } else {
+      const dt = T / contract.fixings;
+      const fixings = [];
+      let value = S;
+      for (let fixing = 0; fixing < contract.fixings; fixing++) {
+        value = stepGeometricBrownianMotion(value, drift, sigma, dt, normal());
+        fixings.push(value);
+      }
+      samples.push({
+        payoff: discount * calculateFixingPayoff(type, contract, K, fixings, S),
+        control: useControl ? discount * calculateFixingPayoff(type, geometricContract, K, fixings, S) : 0
+      });
+    }
+  }
+
+  return summarizeMonteCarlo(samples, controlMean);
+};
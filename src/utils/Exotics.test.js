@@ -0,0 +1,86 @@
+import {
+  calculateGeometricAsianPrice,
+  calculateBarrierPrice,
+  calculateExoticPrice,
+  calculateExoticMonteCarloPrice
+} from './Exotics';
+import { calculateOptionPrice } from './BlackScholes';
+import { createNormalGenerator, createRandom } from './Random';
+
+const simulate = (type, contract, seed, options = {}) => {
+  const random = createRandom(seed);
+  return calculateExoticMonteCarloPrice(type, contract, 100, 100, 0.05, 1, 0.25, 0.02, {
+    paths: 20000,
+    steps: 50,
+    normal: createNormalGenerator(random),
+    random,
+    ...options
+  });
+};
+
+describe('calculateGeometricAsianPrice', () => {
+  test('equals Black-Scholes with a single fixing at expiry', () => {
+    expect(calculateGeometricAsianPrice('put', 100, 105, 0.05, 1, 0.25, 0.02, 1))
+      .toBeCloseTo(calculateOptionPrice('put', 100, 105, 0.05, 1, 0.25, 0.02), 10);
+  });
+
+  test('agrees with a simulation of the geometric average', () => {
+    const contract = { exotic: 'asian', averaging: 'geometric', fixings: 12 };
+    const result = simulate('call', contract, 1);
+    const exact = calculateExoticPrice('call', contract, 100, 100, 0.05, 1, 0.25, 0.02);
+    expect(Math.abs(result.price - exact)).toBeLessThan(3 * result.standardError);
+  });
+
+  test('controls the arithmetic average with the geometric one', () => {
+    const contract = { exotic: 'asian', averaging: 'arithmetic', fixings: 12 };
+    const plain = simulate('call', contract, 2);
+    const controlled = simulate('call', contract, 3, { controlVariate: true });
+    expect(controlled.standardError).toBeLessThan(plain.standardError / 10);
+    expect(controlled.price).toBeGreaterThan(calculateGeometricAsianPrice('call', 100, 100, 0.05, 1, 0.25, 0.02, 12));
+  });
+});
+
+describe('calculateBarrierPrice', () => {
+  test('splits the European price between knock-in and knock-out', () => {
+    [['call', 90], ['put', 90], ['call', 120], ['put', 120]].forEach(([type, H]) => {
+      const direction = H < 100 ? 'down' : 'up';
+      const knockOut = calculateBarrierPrice(type, `${direction}-and-out`, 100, 100, H, 0.05, 1, 0.25, 0.02);
+      const knockIn = calculateBarrierPrice(type, `${direction}-and-in`, 100, 100, H, 0.05, 1, 0.25, 0.02);
+      expect(knockOut).toBeGreaterThan(0);
+      expect(knockIn).toBeGreaterThan(0);
+      expect(knockOut + knockIn).toBeCloseTo(calculateOptionPrice(type, 100, 100, 0.05, 1, 0.25, 0.02), 10);
+    });
+  });
+
+  test('is worthless or European once the barrier is out of reach or breached', () => {
+    expect(calculateBarrierPrice('call', 'up-and-out', 100, 130, 120, 0.05, 1, 0.25, 0.02)).toBe(0);
+    expect(calculateBarrierPrice('call', 'down-and-out', 100, 100, 1, 0.05, 1, 0.25, 0.02))
+      .toBeCloseTo(calculateOptionPrice('call', 100, 100, 0.05, 1, 0.25, 0.02), 8);
+    expect(calculateBarrierPrice('put', 'down-and-in', 80, 100, 90, 0.05, 1, 0.25, 0.02))
+      .toBe(calculateOptionPrice('put', 80, 100, 0.05, 1, 0.25, 0.02));
+  });
+
+  test.each([
+    ['call', 'down-and-out', 90],
+    ['put', 'up-and-in', 110],
+    ['put', 'down-and-out', 90],
+    ['put', 'up-and-out', 110],
+    ['call', 'up-and-out', 130]
+  ])('agrees with a bridge-corrected simulation of a %s %s', (type, barrierType, barrier) => {
+    const contract = { exotic: 'barrier', barrierType, barrier };
+    const result = simulate(type, contract, 4);
+    const exact = calculateExoticPrice(type, contract, 100, 100, 0.05, 1, 0.25, 0.02);
+    expect(Math.abs(result.price - exact)).toBeLessThan(3 * result.standardError);
+  });
+});
+
+describe('calculateExoticMonteCarloPrice', () => {
+  test('prices lookbacks above the matching European option', () => {
+    const european = calculateOptionPrice('call', 100, 100, 0.05, 1, 0.25, 0.02);
+    const floating = simulate('call', { exotic: 'lookback', strikeType: 'floating', fixings: 52 }, 5);
+    const fixed = simulate('call', { exotic: 'lookback', strikeType: 'fixed', fixings: 52 }, 6);
+    expect(floating.price).toBeGreaterThan(european);
+    expect(fixed.price).toBeGreaterThan(european);
+    expect(calculateExoticPrice('call', { exotic: 'lookback' }, 100, 100, 0.05, 1, 0.25, 0.02)).toBeNull();
+  });
+});
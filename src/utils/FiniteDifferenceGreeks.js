@@ -0,0 +1,161 @@
+import { calculateOptionPrice } from './BlackScholes';
+import { calculateBinomialPrice, DEFAULT_BINOMIAL_STEPS } from './BinomialTree';
+import { calculateCrankNicolsonPrice } from './CrankNicolson';
+import { calculateMonteCarloPrice } from './MonteCarlo';
+import { createNormalGenerator, createRandom } from './Random';
+
+// Finite-difference schemes for a first derivative f'(x), by the offsets (in bumps) of the
+// two points they sample. One-sided differences have a truncation error of order h, the
+// central difference of order h²; all of them lose digits to round-off as h shrinks.
+export const FINITE_DIFFERENCE_SCHEMES = {
+  forward: { label: 'Forward', formula: '[Price(S+Δx) - Price(S)] / Δx', order: 1, offsets: [0, 1] },
+  backward: { label: 'Backward', formula: '[Price(S) - Price(S-Δx)] / Δx', order: 1, offsets: [-1, 0] },
+  central: { label: 'Central', formula: '[Price(S+Δx) - Price(S-Δx)] / (2·Δx)', order: 2, offsets: [-1, 1] }
+};
+
+/**
+ * Estimate a first derivative by a finite difference
+ * @param {Function} f - Function of one variable
+ * @param {number} x - Point to differentiate at
+ * @param {number} h - Bump size
+ * @param {string} scheme - Key of FINITE_DIFFERENCE_SCHEMES
+ * @returns {number} Estimated derivative
+ */
+export const estimateDerivative = (f, x, h, scheme = 'central') => {
+  const [lower, upper] = FINITE_DIFFERENCE_SCHEMES[scheme].offsets;
+  return (f(x + upper * h) - f(x + lower * h)) / ((upper - lower) * h);
+};
+
+// Default bump of each pricing input. Spot and strike bumps are relative to their value,
+// the others are absolute (years for T, decimal form for sigma and r).
+export const DEFAULT_BUMPS = {
+  S: 1e-4,
+  K: 1e-4,
+  T: 1e-4,
+  sigma: 1e-4,
+  r: 1e-4
+};
+
+// Bumps relative to the value of the input
+const RELATIVE_BUMPS = ['S', 'K'];
+
+// Inputs that must stay positive, where a step below zero falls back to a forward difference
+const POSITIVE_INPUTS = ['S', 'K', 'T', 'sigma'];
+
+// Each Greek as the derivative of the price in one or more inputs, scaled to the units of
+// calculateGreeks. Time to maturity shrinks as days pass, hence the negative scales; perDay
+// Greeks are further divided by the days in a year.
+export const FINITE_DIFFERENCE_GREEKS = {
+  delta: { label: 'Delta', inputs: ['S'], scale: 1 },
+  gamma: { label: 'Gamma', inputs: ['S', 'S'], scale: 1 },
+  theta: { label: 'Theta', inputs: ['T'], scale: -1, perDay: true },
+  vega: { label: 'Vega', inputs: ['sigma'], scale: 1 / 100 },
+  rho: { label: 'Rho', inputs: ['r'], scale: 1 / 100 },
+  vanna: { label: 'Vanna', inputs: ['S', 'sigma'], scale: 1 / 100 },
+  volga: { label: 'Volga', inputs: ['sigma', 'sigma'], scale: 1 / 10000 },
+  charm: { label: 'Charm', inputs: ['S', 'T'], scale: -1, perDay: true },
+  speed: { label: 'Speed', inputs: ['S', 'S', 'S'], scale: 1 },
+  zomma: { label: 'Zomma', inputs: ['S', 'S', 'sigma'], scale: 1 / 100 },
+  color: { label: 'Color', inputs: ['S', 'S', 'T'], scale: -1, perDay: true },
+  veta: { label: 'Veta', inputs: ['sigma', 'T'], scale: -1 / 100, perDay: true },
+  dualDelta: { label: 'Dual Delta', inputs: ['K'], scale: 1 }
+};
+
+// Fixed seed so every bumped Monte Carlo price reuses the same draws
+const MONTE_CARLO_SEED = 1;
+const MONTE_CARLO_PATHS = 20000;
+
+// European pricers that can be bumped, each taking { S, K, r, T, sigma, q }
+export const FINITE_DIFFERENCE_PRICERS = {
+  blackScholes: {
+    label: 'Black-Scholes',
+    description: 'The closed form, so any difference from the analytic Greeks is truncation and round-off',
+    create: (type) => ({ S, K, r, T, sigma, q }) => calculateOptionPrice(type, S, K, r, T, sigma, q)
+  },
+  binomial: {
+    label: `Binomial Tree (${DEFAULT_BINOMIAL_STEPS} steps)`,
+    description: 'Tree prices are piecewise linear in the spot between node crossings of the strike, so '
+      + 'small bumps see no gamma; bumps spanning several nodes recover it',
+    create: (type) => ({ S, K, r, T, sigma, q }) => calculateBinomialPrice(type, S, K, r, T, sigma, q, false)
+  },
+  crankNicolson: {
+    label: 'Crank-Nicolson PDE',
+    description: 'Grid prices are smooth in the inputs, but carry the discretisation error of the grid',
+    create: (type) => ({ S, K, r, T, sigma, q }) => calculateCrankNicolsonPrice(type, S, K, r, T, sigma, q, false)
+  },
+  monteCarlo: {
+    label: `Monte Carlo (${MONTE_CARLO_PATHS.toLocaleString()} paths)`,
+    description: 'Every price reuses the same seeded draws (common random numbers), so the bumped prices '
+      + 'share their sampling noise; the payoff kink still makes second-order Greeks unreliable',
+    create: (type) => ({ S, K, r, T, sigma, q }) => calculateMonteCarloPrice(type, S, K, r, T, sigma, q, {
+      paths: MONTE_CARLO_PATHS,
+      antithetic: true,
+      normal: createNormalGenerator(createRandom(MONTE_CARLO_SEED))
+    }).price
+  }
+};
+
+/**
+ * Estimate a derivative of a pricing function in one or more inputs by nesting finite
+ * differences, e.g. ['S', 'sigma'] for the cross derivative ∂²V/∂S∂σ
+ * @param {Function} price - Pricing function of { S, K, r, T, sigma, q }
+ * @param {Object} inputs - Pricing inputs
+ * @param {Array} keys - Inputs to differentiate in, in order
+ * @param {Object} bumps - Bump of each input (see DEFAULT_BUMPS)
+ * @param {string} scheme - Key of FINITE_DIFFERENCE_SCHEMES
+ * @returns {number} Estimated derivative
+ */
+export const estimatePartialDerivative = (price, inputs, keys, bumps = DEFAULT_BUMPS, scheme = 'central') => {
+  if (keys.length === 0) return price(inputs);
+
+  const [key, ...rest] = keys;
+  const value = inputs[key];
+  const h = RELATIVE_BUMPS.includes(key) ? bumps[key] * value : bumps[key];
+  const stepsBelow = -FINITE_DIFFERENCE_SCHEMES[scheme].offsets[0];
+  const safeScheme = POSITIVE_INPUTS.includes(key) && value - stepsBelow * h <= 0 ? 'forward' : scheme;
+
+  return estimateDerivative(
+    (x) => estimatePartialDerivative(price, { ...inputs, [key]: x }, rest, bumps, scheme),
+    value,
+    h,
+    safeScheme
+  );
+};
+
+/**
+ * Calculate Greeks of any pricing function by bumping its inputs and repricing
+ * @param {Function} price - Pricing function of { S, K, r, T, sigma, q }
+ * @param {Object} inputs - Pricing inputs
+ * @param {Object} options - { scheme, bumps, greeks, daysPerYear }; bumps override DEFAULT_BUMPS,
+ *   greeks lists the keys of FINITE_DIFFERENCE_GREEKS to calculate (all by default) and
+ *   daysPerYear sets the length of a day for theta, charm, color and veta (365 by default)
+ * @returns {Object} Greeks in the units of calculateGreeks
+ */
+export const calculateFiniteDifferenceGreeks = (price, inputs, options = {}) => {
+  const {
+    scheme = 'central',
+    bumps = {},
+    greeks = Object.keys(FINITE_DIFFERENCE_GREEKS),
+    daysPerYear = 365
+  } = options;
+  const allBumps = { ...DEFAULT_BUMPS, ...bumps };
+
+  return greeks.reduce((result, greek) => {
+    const { inputs: keys, scale, perDay } = FINITE_DIFFERENCE_GREEKS[greek];
+    const units = perDay ? scale / daysPerYear : scale;
+    result[greek] = units * estimatePartialDerivative(price, inputs, keys, allBumps, scheme);
+    return result;
+  }, {});
+};
+
+/**
+ * Number of leading significant digits two values agree to
+ * @param {number} reference - Reference value
+ * @param {number} estimate - Estimated value
+ * @returns {number} Matching digits, from 0 up to 16 when the values are identical
+ */
+export const countMatchingDigits = (reference, estimate) => {
+  if (reference === estimate) return 16;
+  const scale = Math.max(Math.abs(reference), Math.abs(estimate));
+  return Math.min(16, Math.max(0, Math.floor(-Math.log10(Math.abs(estimate - reference) / scale))));
+};
@@ -0,0 +1,65 @@
+import {
+  FINITE_DIFFERENCE_GREEKS,
+  FINITE_DIFFERENCE_PRICERS,
+  estimateDerivative,
+  calculateFiniteDifferenceGreeks,
+  countMatchingDigits
+} from './FiniteDifferenceGreeks';
+import { calculateGreeks } from './BlackScholes';
+
+const inputs = { S: 100, K: 95, r: 0.05, T: 0.5, sigma: 0.25, q: 0.02 };
+
+describe('estimateDerivative', () => {
+  test('central differences are exact for a quadratic, one-sided ones are off by h/2 × f\'\'', () => {
+    const f = (x) => x * x;
+    expect(estimateDerivative(f, 3, 0.5, 'central')).toBeCloseTo(6, 12);
+    expect(estimateDerivative(f, 3, 0.5, 'forward')).toBeCloseTo(6.5, 12);
+    expect(estimateDerivative(f, 3, 0.5, 'backward')).toBeCloseTo(5.5, 12);
+  });
+});
+
+describe('calculateFiniteDifferenceGreeks', () => {
+  test('bumping Black-Scholes reproduces every analytic Greek', () => {
+    const price = FINITE_DIFFERENCE_PRICERS.blackScholes.create('put');
+    const numerical = calculateFiniteDifferenceGreeks(price, inputs);
+    const analytic = calculateGreeks('put', 100, 95, 0.05, 0.5, 0.25, 0.02);
+
+    Object.keys(FINITE_DIFFERENCE_GREEKS).forEach((greek) => {
+      expect(countMatchingDigits(analytic[greek], numerical[greek])).toBeGreaterThanOrEqual(4);
+    });
+    expect(countMatchingDigits(analytic.delta, numerical.delta)).toBeGreaterThanOrEqual(7);
+  });
+
+  test('takes the time Greeks per day of the day basis', () => {
+    const price = FINITE_DIFFERENCE_PRICERS.blackScholes.create('call');
+    const numerical = calculateFiniteDifferenceGreeks(price, inputs, { daysPerYear: 252 });
+    const analytic = calculateGreeks('call', 100, 95, 0.05, 0.5, 0.25, 0.02, 252);
+
+    ['theta', 'charm', 'color', 'veta'].forEach((greek) => {
+      expect(countMatchingDigits(analytic[greek], numerical[greek])).toBeGreaterThanOrEqual(4);
+    });
+  });
+
+  test('steps forward in time and volatility when a step back would cross zero', () => {
+    const price = FINITE_DIFFERENCE_PRICERS.blackScholes.create('call');
+    const { theta, vega } = calculateFiniteDifferenceGreeks(
+      price, { ...inputs, T: 5e-5 }, { greeks: ['theta', 'vega'] }
+    );
+    expect(Number.isFinite(theta)).toBe(true);
+    expect(Number.isFinite(vega)).toBe(true);
+  });
+
+  test('Monte Carlo delta with common random numbers is close to the analytic delta', () => {
+    const price = FINITE_DIFFERENCE_PRICERS.monteCarlo.create('call');
+    const { delta } = calculateFiniteDifferenceGreeks(price, inputs, { greeks: ['delta'], bumps: { S: 0.01 } });
+    expect(delta).toBeCloseTo(calculateGreeks('call', 100, 95, 0.05, 0.5, 0.25, 0.02).delta, 2);
+  });
+});
+
+describe('countMatchingDigits', () => {
+  test('counts agreeing significant digits', () => {
+    expect(countMatchingDigits(0.123456, 0.123457)).toBe(5);
+    expect(countMatchingDigits(2, 2)).toBe(16);
+    expect(countMatchingDigits(1, -1)).toBe(0);
+  });
+});
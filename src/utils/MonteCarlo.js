@@ -0,0 +1,287 @@
+import { createNormalGenerator } from './Random';
+
+// z-score of a two-sided 95% confidence interval
+const CONFIDENCE_Z = 1.959964;
+
+/**
+ * Advance a geometric Brownian motion by one time step with the exact
+ * log-normal solution S(t+Δt) = S(t) × exp((μ - σ²/2)Δt + σ√Δt × Z)
+ * @param {number} value - Current value
+ * @param {number} drift - Drift μ (decimal form)
+ * @param {number} sigma - Volatility σ (decimal form)
+ * @param {number} dt - Time step (in years)
+ * @param {number} z - Standard normal draw
+ * @returns {number} Value after the step
+ */
+export const stepGeometricBrownianMotion = (value, drift, sigma, dt, z) => (
+  value * Math.exp((drift - 0.5 * sigma * sigma) * dt + sigma * Math.sqrt(dt) * z)
+);
+
+/**
+ * Simulate one path of a geometric Brownian motion
+ * @param {number} initialValue - Starting value S(0)
+ * @param {number} drift - Drift μ (decimal form)
+ * @param {number} sigma - Volatility σ (decimal form)
+ * @param {number} T - Time horizon (in years)
+ * @param {number} steps - Number of time steps
+ * @param {Function} normal - Standard normal generator
+ * @returns {Array} Path as { time, value } points, including the start
+ */
+export const generateGbmPath = (initialValue, drift, sigma, T, steps, normal) => {
+  const dt = T / steps;
+  const path = [{ time: 0, value: initialValue }];
+
+  let value = initialValue;
+  for (let step = 1; step <= steps; step++) {
+    value = stepGeometricBrownianMotion(value, drift, sigma, dt, normal());
+    path.push({ time: step * dt, value });
+  }
+
+  return path;
+};
+
+/**
+ * Mean and standard error of a Monte Carlo sample, optionally adjusted with a control variate
+ * @param {Array} samples - Samples as { payoff, control }
+ * @param {number|null} controlMean - Known mean of the control, or null for the plain estimate
+ * @returns {Object} Object with estimate and standardError
+ */
+const summarizeSamples = (samples, controlMean) => {
+  const n = samples.length;
+  const payoffMean = samples.reduce((sum, { payoff }) => sum + payoff, 0) / n;
+
+  let values = samples.map(({ payoff }) => payoff);
+  let estimate = payoffMean;
+
+  if (controlMean !== null) {
+    // Optimal coefficient b = Cov(Y, X) / Var(X), estimated from the same sample
+    const controlSampleMean = samples.reduce((sum, { control }) => sum + control, 0) / n;
+    let covariance = 0;
+    let variance = 0;
+    samples.forEach(({ payoff, control }) => {
+      covariance += (payoff - payoffMean) * (control - controlSampleMean);
+      variance += (control - controlSampleMean) ** 2;
+    });
+    const b = variance > 0 ? covariance / variance : 0;
+
+    values = samples.map(({ payoff, control }) => payoff - b * (control - controlMean));
+    estimate = payoffMean - b * (controlSampleMean - controlMean);
+  }
+
+  const sampleVariance = n > 1
+    ? values.reduce((sum, value) => sum + (value - estimate) ** 2, 0) / (n - 1)
+    : 0;
+
+  return { estimate, standardError: Math.sqrt(sampleVariance / n) };
+};
+
+/**
+ * Monte Carlo estimate of a price from discounted payoff samples, with its confidence interval and
+ * the running estimate on the first 2^k * 100 paths of the same draws
+ * @param {Array} samples - Samples as { payoff, control }
+ * @param {number|null} controlMean - Known mean of the control, or null for the plain estimate
+ * @param {number} pathsPerSample - Paths averaged into each sample (2 for antithetic pairs)
+ * @returns {Object} Object with price, standardError, confidenceInterval, paths and
+ *   convergence ({ paths, estimate, lower, upper } at doubling path counts)
+ */
+export const summarizeMonteCarlo = (samples, controlMean = null, pathsPerSample = 1) => {
+  const interval = ({ estimate, standardError }) => [
+    estimate - CONFIDENCE_Z * standardError,
+    estimate + CONFIDENCE_Z * standardError
+  ];
+
+  const paths = samples.length * pathsPerSample;
+  const convergence = [];
+  for (let count = 100; count < paths; count *= 2) {
+    const summary = summarizeSamples(samples.slice(0, count / pathsPerSample), controlMean);
+    const [lower, upper] = interval(summary);
+    convergence.push({ paths: count, estimate: summary.estimate, lower, upper });
+  }
+
+  const summary = summarizeSamples(samples, controlMean);
+  const [lower, upper] = interval(summary);
+  convergence.push({ paths, estimate: summary.estimate, lower, upper });
+
+  return {
+    price: summary.estimate,
+    standardError: summary.standardError,
+    confidenceInterval: [lower, upper],
+    paths,
+    convergence
+  };
+};
+
+/**
+ * Price a European option by Monte Carlo simulation of the terminal underlying price
+ * @param {string} type - Option type ('call' or 'put')
+ * @param {number} S - Current stock price
+ * @param {number} K - Strike price
+ * @param {number} r - Risk-free interest rate (decimal form)
+ * @param {number} T - Time to maturity (in years)
+ * @param {number} sigma - Volatility (decimal form)
+ * @param {number} q - Continuous dividend yield (decimal form)
+ * @param {Object} options - { paths, antithetic, controlVariate, normal, sampleTerminal }, where
+ *   sampleTerminal(normal) draws one risk-neutral S(T) (geometric Brownian motion by default)
+ * @returns {Object} Object with price, standardError, confidenceInterval, paths and
+ *   convergence ({ paths, estimate, lower, upper } at doubling path counts)
+ */
+export const calculateMonteCarloPrice = (type, S, K, r, T, sigma, q = 0, options = {}) => {
+  const {
+    paths = 10000,
+    antithetic = false,
+    controlVariate = false,
+    normal = createNormalGenerator(),
+    sampleTerminal = (draw) => stepGeometricBrownianMotion(S, r - q, sigma, T, draw())
+  } = options;
+
+  const discount = Math.exp(-r * T);
+  const payoff = (ST) => discount * Math.max(0, type === 'call' ? ST - K : K - ST);
+
+  // The discounted terminal price is the control: its risk-neutral mean is S e^(-qT)
+  const controlMean = controlVariate ? S * Math.exp(-q * T) : null;
+
+  // Antithetic pairs (Z, -Z) count as one sample, since the two halves are not independent
+  const sampleCount = antithetic ? Math.max(1, Math.floor(paths / 2)) : paths;
+  const samples = [];
+  for (let i = 0; i < sampleCount; i++) {
+    // The mirrored path replays the same normal draws with their signs flipped
+    const draws = [];
+    const ST = sampleTerminal(() => {
+      const z = normal();
+      draws.push(z);
+      return z;
+    });
+    if (antithetic) {
+      let replayed = 0;
+      const mirrored = sampleTerminal(() => (replayed < draws.length ? -draws[replayed++] : normal()));
+      samples.push({
+        payoff: (payoff(ST) + payoff(mirrored)) / 2,
+        control: (discount * (ST + mirrored)) / 2
+      });
+    } else {
+      samples.push({ payoff: payoff(ST), control: discount * ST });
+    }
+  }
+
+  return summarizeMonteCarlo(samples, controlMean, antithetic ? 2 : 1);
+};
+
+// Percentiles reported for a terminal distribution, with their standard normal quantiles
+export const DISTRIBUTION_PERCENTILES = [
+  { percentile: 5, z: -1.644854 },
+  { percentile: 25, z: -0.674490 },
+  { percentile: 50, z: 0 },
+  { percentile: 75, z: 0.674490 },
+  { percentile: 95, z: 1.644854 }
+];
+
+/**
+ * Density of the log-normal distribution of S(T) under geometric Brownian motion
+ * @param {number} x - Terminal value
+ * @param {number} initialValue - Starting value S(0)
+ * @param {number} drift - Drift μ (decimal form)
+ * @param {number} sigma - Volatility σ (decimal form)
+ * @param {number} T - Time horizon (in years)
+ * @returns {number} Probability density at x
+ */
+export const calculateLognormalDensity = (x, initialValue, drift, sigma, T) => {
+  if (x <= 0) return 0;
+
+  const variance = sigma * sigma * T;
+  const deviation = Math.log(x / initialValue) - (drift - 0.5 * sigma * sigma) * T;
+  return Math.exp(-(deviation * deviation) / (2 * variance)) / (x * Math.sqrt(2 * Math.PI * variance));
+};
+
+/**
+ * Bin a sample into a histogram scaled as a density, so it can be compared with a
+ * theoretical density curve
+ * @param {Array} values - Sample values
+ * @param {number} bins - Number of bins
+ * @param {Array} range - [lower, upper] bounds of the histogram; values outside are left out
+ *   of the bins but still count towards the total
+ * @param {Function} density - Theoretical density, evaluated at each bin midpoint (optional)
+ * @returns {Array} Bins as { x, lower, upper, frequency, density }, density being null without one
+ */
+export const generateHistogramData = (values, bins, range, density = null) => {
+  const [lower, upper] = range;
+  const width = (upper - lower) / bins;
+  const counts = new Array(bins).fill(0);
+
+  values.forEach((value) => {
+    if (value < lower || value > upper) return;
+    counts[Math.min(bins - 1, Math.floor((value - lower) / width))] += 1;
+  });
+
+  return counts.map((count, i) => {
+    const x = lower + (i + 0.5) * width;
+    return {
+      x,
+      lower: lower + i * width,
+      upper: lower + (i + 1) * width,
+      frequency: count / (values.length * width),
+      density: density ? density(x) : null
+    };
+  });
+};
+
+/**
+ * Summary statistics of a sample
+ * @param {Array} values - Sample values
+ * @returns {Object} Object with mean, standardDeviation, skewness and percentiles
+ *   ({ percentile, value } for each of DISTRIBUTION_PERCENTILES)
+ */
+export const summarizeDistribution = (values) => {
+  const n = values.length;
+  const mean = values.reduce((sum, value) => sum + value, 0) / n;
+
+  let secondMoment = 0;
+  let thirdMoment = 0;
+  values.forEach((value) => {
+    secondMoment += (value - mean) ** 2;
+    thirdMoment += (value - mean) ** 3;
+  });
+  secondMoment /= n;
+  thirdMoment /= n;
+
+  // Percentiles interpolate linearly between the order statistics
+  const sorted = [...values].sort((a, b) => a - b);
+  const percentiles = DISTRIBUTION_PERCENTILES.map(({ percentile }) => {
+    const position = (percentile / 100) * (n - 1);
+    const below = Math.floor(position);
+    const above = Math.min(n - 1, below + 1);
+    const value = sorted[below] + (position - below) * (sorted[above] - sorted[below]);
+    return { percentile, value };
+  });
+
+  return {
+    mean,
+    standardDeviation: n > 1 ? Math.sqrt((secondMoment * n) / (n - 1)) : 0,
+    skewness: secondMoment > 0 ? thirdMoment / secondMoment ** 1.5 : 0,
+    percentiles
+  };
+};
+
+/**
+ * Theoretical statistics of the log-normal distribution of S(T), in the shape of summarizeDistribution
+ * @param {number} initialValue - Starting value S(0)
+ * @param {number} drift - Drift μ (decimal form)
+ * @param {number} sigma - Volatility σ (decimal form)
+ * @param {number} T - Time horizon (in years)
+ * @returns {Object} Object with mean, standardDeviation, skewness and percentiles
+ */
+export const calculateLognormalStatistics = (initialValue, drift, sigma, T) => {
+  const variance = sigma * sigma * T;
+  const growth = Math.exp(variance) - 1;
+  const mean = initialValue * Math.exp(drift * T);
+  const median = initialValue * Math.exp((drift - 0.5 * sigma * sigma) * T);
+
+  return {
+    mean,
+    standardDeviation: mean * Math.sqrt(growth),
+    skewness: (growth + 3) * Math.sqrt(growth),
+    percentiles: DISTRIBUTION_PERCENTILES.map(({ percentile, z }) => ({
+      percentile,
+      value: median * Math.exp(Math.sqrt(variance) * z)
+    }))
+  };
+};
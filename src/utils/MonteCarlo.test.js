@@ -0,0 +1,78 @@
+import {
+  calculateMonteCarloPrice,
+  generateGbmPath,
+  stepGeometricBrownianMotion,
+  calculateLognormalDensity,
+  generateHistogramData,
+  summarizeDistribution,
+  calculateLognormalStatistics
+} from './MonteCarlo';
+import { createNormalGenerator, createRandom } from './Random';
+import { calculateOptionPrice } from './BlackScholes';
+
+describe('generateGbmPath', () => {
+  test('follows the median path when every draw is zero', () => {
+    const path = generateGbmPath(100, 0.05, 0.2, 1, 4, () => 0);
+    expect(path).toHaveLength(5);
+    expect(path[4].time).toBe(1);
+    expect(path[4].value).toBeCloseTo(100 * Math.exp(0.05 - 0.02), 10);
+  });
+});
+
+describe('calculateMonteCarloPrice', () => {
+  const exact = calculateOptionPrice('call', 100, 95, 0.05, 1, 0.25, 0.02);
+  const simulate = (seed, options = {}) => calculateMonteCarloPrice(
+    'call', 100, 95, 0.05, 1, 0.25, 0.02,
+    { paths: 20000, normal: createNormalGenerator(createRandom(seed)), ...options }
+  );
+
+  test('brackets the Black-Scholes price', () => {
+    const result = simulate(1);
+    expect(Math.abs(result.price - exact)).toBeLessThan(3 * result.standardError);
+    expect(result.confidenceInterval[0]).toBeLessThan(result.price);
+    expect(result.convergence[result.convergence.length - 1].paths).toBe(20000);
+  });
+
+  test('reproduces the estimate from the same seed', () => {
+    expect(simulate(7).price).toBe(simulate(7).price);
+  });
+
+  test('reduces the standard error with antithetic and control variates', () => {
+    const plain = simulate(1);
+    const antithetic = simulate(2, { antithetic: true });
+    const control = simulate(3, { controlVariate: true });
+
+    expect(antithetic.paths).toBe(20000);
+    expect(antithetic.standardError).toBeLessThan(plain.standardError);
+    expect(control.standardError).toBeLessThan(plain.standardError / 2);
+    expect(Math.abs(control.price - exact)).toBeLessThan(3 * control.standardError);
+  });
+});
+
+describe('terminal distribution', () => {
+  const density = (x) => calculateLognormalDensity(x, 100, 0.05, 0.3, 1);
+  const normal = createNormalGenerator(createRandom(11));
+  const values = Array.from({ length: 50000 }, () => stepGeometricBrownianMotion(100, 0.05, 0.3, 1, normal()));
+
+  test('matches the log-normal mean, skew and percentiles', () => {
+    const sample = summarizeDistribution(values);
+    const theory = calculateLognormalStatistics(100, 0.05, 0.3, 1);
+
+    expect(sample.mean).toBeCloseTo(theory.mean, 0);
+    expect(sample.standardDeviation / theory.standardDeviation).toBeCloseTo(1, 1);
+    expect(sample.skewness).toBeCloseTo(theory.skewness, 1);
+    sample.percentiles.forEach(({ value }, i) => {
+      expect(value / theory.percentiles[i].value).toBeCloseTo(1, 1);
+    });
+  });
+
+  test('scales the histogram so it integrates like the density', () => {
+    const bins = generateHistogramData(values, 60, [20, 300], density);
+    const width = bins[0].upper - bins[0].lower;
+    const area = bins.reduce((sum, { frequency }) => sum + frequency * width, 0);
+    const densityArea = bins.reduce((sum, bin) => sum + bin.density * width, 0);
+
+    expect(area).toBeCloseTo(densityArea, 2);
+    expect(summarizeDistribution([1, 2, 3, 4, 5]).percentiles[2].value).toBe(3);
+  });
+});
@@ -0,0 +1,207 @@
+import {
+  calculateImpliedVolatility,
+  calculatePriceBounds,
+  generateRange,
+  ImpliedVolatilityError
+} from './BlackScholes';
+import { calculateYearFraction, parseDateTime } from './DayCount';
+
+// Columns an option chain CSV must contain (in any order)
+export const OPTION_CHAIN_COLUMNS = ['expiry', 'strike', 'type', 'bid', 'ask', 'underlying', 'rate'];
+
+export class OptionChainError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'OptionChainError';
+  }
+}
+
+/**
+ * Convert an expiry column to a time to maturity in years. Dated expiries are counted
+ * with the same day count as the pricer's maturity.
+ * @param {string} expiry - Expiry as a year fraction (e.g. "0.25") or a date (e.g. "2025-06-20")
+ * @param {string} valuationDate - Date the quotes were taken, as YYYY-MM-DD
+ * @param {string} dayCount - Key of DAY_COUNT_CONVENTIONS
+ * @param {string} calendar - Key of HOLIDAY_CALENDARS, for business-day counts
+ * @returns {number} Time to maturity in years, or NaN if the expiry is not recognised
+ */
+export const parseExpiry = (expiry, valuationDate, dayCount = 'ACT/365', calendar = 'weekends') => {
+  if (/^\d*\.?\d+$/.test(expiry)) {
+    return parseFloat(expiry);
+  }
+  if (/^\d{4}-\d{2}-\d{2}$/.test(expiry)) {
+    return calculateYearFraction(parseDateTime(valuationDate), parseDateTime(expiry), dayCount, calendar);
+  }
+  return NaN;
+};
+
+/**
+ * Parse an option chain CSV with a header row
+ * @param {string} text - CSV contents
+ * @param {string} valuationDate - Date the quotes were taken as YYYY-MM-DD, used for dated expiries
+ * @param {string} dayCount - Key of DAY_COUNT_CONVENTIONS, for dated expiries
+ * @param {string} calendar - Key of HOLIDAY_CALENDARS, for business-day counts
+ * @returns {Object} Object with rows (parsed quotes) and rejected ({ line, reason }) rows
+ * @throws {OptionChainError} If the header is missing a required column
+ */
+export const parseOptionChainCsv = (text, valuationDate, dayCount = 'ACT/365', calendar = 'weekends') => {
+  const lines = text.split(/\r?\n/)
+    .map((line, index) => ({ line: index + 1, cells: line.split(',').map((cell) => cell.trim()) }))
+    .filter(({ cells }) => cells.some((cell) => cell !== ''));
+
+  if (lines.length === 0) {
+    throw new OptionChainError('The file is empty');
+  }
+
+  const header = lines[0].cells.map((cell) => cell.toLowerCase());
+  const missing = OPTION_CHAIN_COLUMNS.filter((column) => !header.includes(column));
+  if (missing.length > 0) {
+    throw new OptionChainError(`Missing column${missing.length > 1 ? 's' : ''}: ${missing.join(', ')}`);
+  }
+
+  const rows = [];
+  const rejected = [];
+
+  lines.slice(1).forEach(({ line, cells }) => {
+    const cell = (column) => cells[header.indexOf(column)] || '';
+    const type = { call: 'call', c: 'call', put: 'put', p: 'put' }[cell('type').toLowerCase()];
+    const T = parseExpiry(cell('expiry'), valuationDate, dayCount, calendar);
+    const [strike, bid, ask, underlying, rate] = ['strike', 'bid', 'ask', 'underlying', 'rate']
+      .map((column) => (cell(column) === '' ? NaN : Number(cell(column))));
+
+    const invalid = [
+      [!Number.isFinite(T), 'Unrecognised expiry'],
+      [!type, 'Type must be call or put'],
+      [!(strike > 0), 'Strike must be a positive number'],
+      [!Number.isFinite(bid) || !Number.isFinite(ask), 'Bid and ask must be numbers'],
+      [!(underlying > 0), 'Underlying must be a positive number'],
+      [!Number.isFinite(rate), 'Rate must be a number']
+    ].find(([failed]) => failed);
+
+    if (invalid) {
+      rejected.push({ line, reason: invalid[1] });
+    } else {
+      rows.push({ line, expiry: cell('expiry'), T, type, strike, bid, ask, underlying, rate });
+    }
+  });
+
+  return { rows, rejected };
+};
+
+/**
+ * Solve the implied volatility of each quote's mid price, filtering out bad quotes
+ * @param {Array} rows - Parsed quotes from parseOptionChainCsv
+ * @param {number} q - Dividend yield (decimal form)
+ * @returns {Object} Object with quotes (rows with mid, forward and impliedVolatility) and rejected ({ line, reason }) rows
+ */
+export const solveOptionChain = (rows, q = 0) => {
+  const quotes = [];
+  const rejected = [];
+
+  rows.forEach((row) => {
+    const { line, T, type, strike, bid, ask, underlying, rate } = row;
+    const mid = (bid + ask) / 2;
+
+    if (T <= 0) {
+      rejected.push({ line, reason: 'Expired' });
+      return;
+    }
+    if (bid < 0 || ask <= 0) {
+      rejected.push({ line, reason: 'No valid quote (negative bid or non-positive ask)' });
+      return;
+    }
+    if (bid > ask) {
+      rejected.push({ line, reason: `Crossed market (bid ${bid} above ask ${ask})` });
+      return;
+    }
+    const { lower } = calculatePriceBounds(type, underlying, strike, rate, T, q);
+    if (mid <= lower) {
+      rejected.push({ line, reason: `Mid ${mid.toFixed(4)} at or below intrinsic value ${lower.toFixed(4)}` });
+      return;
+    }
+
+    try {
+      const impliedVolatility = calculateImpliedVolatility(type, mid, underlying, strike, rate, T, q);
+      const forward = underlying * Math.exp((rate - q) * T);
+      quotes.push({ ...row, mid, forward, impliedVolatility });
+    } catch (error) {
+      if (!(error instanceof ImpliedVolatilityError)) throw error;
+      rejected.push({ line, reason: error.message });
+    }
+  });
+
+  return { quotes, rejected };
+};
+
+/**
+ * Group solved quotes into one smile per expiry, sorted by strike.
+ * Where a call and a put share a strike, the out-of-the-money quote is kept.
+ * @param {Array} quotes - Solved quotes from solveOptionChain
+ * @returns {Array} Smiles as { expiry, T, forward, data: [{ strike, moneyness, impliedVolatility, type }] }, nearest first
+ */
+export const groupVolatilitySmiles = (quotes) => {
+  const smiles = new Map();
+
+  quotes.forEach((quote) => {
+    if (!smiles.has(quote.expiry)) {
+      smiles.set(quote.expiry, { expiry: quote.expiry, T: quote.T, forward: quote.forward, points: new Map() });
+    }
+    const { points } = smiles.get(quote.expiry);
+    const outOfTheMoney = quote.type === (quote.strike >= quote.underlying ? 'call' : 'put');
+    if (!points.has(quote.strike) || outOfTheMoney) {
+      points.set(quote.strike, quote);
+    }
+  });
+
+  return [...smiles.values()]
+    .sort((a, b) => a.T - b.T)
+    .map(({ expiry, T, forward, points }) => ({
+      expiry,
+      T,
+      forward,
+      data: [...points.values()]
+        .sort((a, b) => a.strike - b.strike)
+        .map(({ strike, underlying, impliedVolatility, type }) => ({
+          strike,
+          moneyness: strike / underlying,
+          impliedVolatility,
+          type
+        }))
+    }));
+};
+
+/**
+ * Interpolate the smiles onto a strike × expiry grid for the surface plot.
+ * Each smile is interpolated linearly in strike and left empty (NaN) outside its quoted strikes.
+ * @param {Array} smiles - Smiles from groupVolatilitySmiles
+ * @param {number} points - Number of strikes in the grid
+ * @returns {Object} Surface with xValues (strikes), yValues (maturities), values, min and max
+ */
+export const generateVolatilitySurface = (smiles, points = 30) => {
+  const strikes = smiles.flatMap(({ data }) => data.map(({ strike }) => strike));
+  const maxStrike = Math.max(...strikes);
+  // Clamp the rounding of the last step so the widest smile reaches the edge of the grid
+  const xValues = generateRange(Math.min(...strikes), maxStrike, points)
+    .map((strike) => Math.min(strike, maxStrike));
+
+  const values = smiles.map(({ data }) => xValues.map((strike) => {
+    const upper = data.findIndex((point) => point.strike >= strike);
+    if (upper === -1) return NaN;
+    if (data[upper].strike === strike) return data[upper].impliedVolatility;
+    if (upper === 0) return NaN;
+
+    const left = data[upper - 1];
+    const right = data[upper];
+    const weight = (strike - left.strike) / (right.strike - left.strike);
+    return left.impliedVolatility + weight * (right.impliedVolatility - left.impliedVolatility);
+  }));
+  const finiteValues = values.flat().filter(Number.isFinite);
+
+  return {
+    xValues,
+    yValues: smiles.map(({ T }) => T),
+    values,
+    min: Math.min(...finiteValues),
+    max: Math.max(...finiteValues)
+  };
+};
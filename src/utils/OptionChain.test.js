@@ -0,0 +1,103 @@
+import {
+  generateVolatilitySurface,
+  groupVolatilitySmiles,
+  OptionChainError,
+  parseExpiry,
+  parseOptionChainCsv,
+  solveOptionChain
+} from './OptionChain';
+import { calculateOptionPrice } from './BlackScholes';
+
+const VALUATION_DATE = '2025-01-01';
+
+// Quote with a one-cent spread around the Black-Scholes price at the given volatility
+const quoteAt = (expiry, T, type, strike, sigma) => {
+  const price = calculateOptionPrice(type, 100, strike, 0.05, T, sigma);
+  return `${expiry},${strike},${type},${(price - 0.005).toFixed(4)},${(price + 0.005).toFixed(4)},100,0.05`;
+};
+
+describe('parseExpiry', () => {
+  test('reads year fractions and dates', () => {
+    expect(parseExpiry('0.5', VALUATION_DATE)).toBe(0.5);
+    expect(parseExpiry('2026-01-01', VALUATION_DATE)).toBeCloseTo(1, 10);
+    expect(parseExpiry('next year', VALUATION_DATE)).toBeNaN();
+  });
+
+  test('counts dated expiries with the day count', () => {
+    expect(parseExpiry('2026-01-01', VALUATION_DATE, 'ACT/360')).toBeCloseTo(365 / 360, 10);
+    expect(parseExpiry('2026-01-01', VALUATION_DATE, 'BUS/252', 'nyse')).toBeCloseTo(251 / 252, 10);
+  });
+});
+
+describe('parseOptionChainCsv', () => {
+  test('requires every column in the header', () => {
+    expect(() => parseOptionChainCsv('expiry,strike,type,bid,ask\n', VALUATION_DATE))
+      .toThrow(OptionChainError);
+  });
+
+  test('rejects rows that cannot be parsed with their line number', () => {
+    const csv = [
+      'Expiry,Strike,Type,Bid,Ask,Underlying,Rate',
+      '0.5,100,C,5,5.2,100,0.05',
+      '0.5,100,straddle,5,5.2,100,0.05',
+      '',
+      '0.5,,put,5,5.2,100,0.05'
+    ].join('\n');
+    const { rows, rejected } = parseOptionChainCsv(csv, VALUATION_DATE);
+
+    expect(rows).toHaveLength(1);
+    expect(rows[0]).toMatchObject({ line: 2, type: 'call', T: 0.5, strike: 100 });
+    expect(rejected).toEqual([
+      { line: 3, reason: 'Type must be call or put' },
+      { line: 5, reason: 'Strike must be a positive number' }
+    ]);
+  });
+});
+
+describe('solveOptionChain', () => {
+  test('recovers the volatility of each quote and filters bad quotes', () => {
+    const csv = [
+      'expiry,strike,type,bid,ask,underlying,rate',
+      quoteAt('0.5', 0.5, 'call', 100, 0.25),
+      '0.5,110,call,3.00,2.50,100,0.05',
+      '0.5,80,call,20.00,21.00,100,0.05'
+    ].join('\n');
+    const { rows } = parseOptionChainCsv(csv, VALUATION_DATE);
+    const { quotes, rejected } = solveOptionChain(rows);
+
+    expect(quotes).toHaveLength(1);
+    expect(quotes[0].impliedVolatility).toBeCloseTo(0.25, 3);
+    expect(rejected.map(({ line }) => line)).toEqual([3, 4]);
+    expect(rejected[0].reason).toMatch(/Crossed market/);
+    expect(rejected[1].reason).toMatch(/below intrinsic/);
+  });
+});
+
+describe('groupVolatilitySmiles and generateVolatilitySurface', () => {
+  const csv = [
+    'expiry,strike,type,bid,ask,underlying,rate',
+    quoteAt('0.25', 0.25, 'put', 90, 0.3),
+    quoteAt('0.25', 0.25, 'call', 110, 0.2),
+    quoteAt('0.25', 0.25, 'put', 110, 0.5),
+    quoteAt('1', 1, 'put', 90, 0.28),
+    quoteAt('1', 1, 'call', 100, 0.24)
+  ].join('\n');
+  const { quotes } = solveOptionChain(parseOptionChainCsv(csv, VALUATION_DATE).rows);
+  const smiles = groupVolatilitySmiles(quotes);
+
+  test('keeps the out-of-the-money quote at each strike', () => {
+    expect(smiles.map(({ T }) => T)).toEqual([0.25, 1]);
+    expect(smiles[0].data.map(({ strike, type }) => [strike, type])).toEqual([[90, 'put'], [110, 'call']]);
+    expect(smiles[0].data[1].impliedVolatility).toBeCloseTo(0.2, 3);
+  });
+
+  test('interpolates each smile in strike and leaves gaps outside its strikes', () => {
+    const surface = generateVolatilitySurface(smiles, 3);
+
+    expect(surface.xValues).toEqual([90, 100, 110]);
+    expect(surface.values[0][1]).toBeCloseTo(0.25, 3);
+    expect(surface.values[1][1]).toBeCloseTo(0.24, 3);
+    expect(surface.values[1][2]).toBeNaN();
+    expect(surface.max).toBeCloseTo(0.3, 3);
+  });
+});
@@ -0,0 +1,422 @@
+import {
+  calculateBlack76Greeks,
+  calculateBlack76Price,
+  calculateDividendPresentValue,
+  calculateEscrowedDividendPrice,
+  calculateEscrowedSpot,
+  calculateFxPremiumConventions,
+  calculateGarmanKohlhagenGreeks,
+  calculateGarmanKohlhagenPrice,
+  calculateGreeks,
+  calculateImpliedVolatility,
+  calculateOptionPrice,
+  calculatePriceBounds,
+  calculateSweepOutputs,
+  convertFxPremiumToDomesticPips,
+  solveImpliedVolatility
+} from './BlackScholes';
+import { calculateBinomialPrice, DEFAULT_BINOMIAL_STEPS } from './BinomialTree';
+import { calculateCrankNicolsonPrice } from './CrankNicolson';
+import { getThetaDaysPerYear } from './DayCount';
+
+// Pricing models selectable in the input panel
+export const PRICING_MODELS = {
+  'black-scholes': {
+    label: 'Black-Scholes',
+    underlyingLabel: 'Underlying Price',
+    description: 'Options on stocks and indices',
+    formulas: {
+      call: 'C = S × e^(-qT) × N(d₁) - K × e^(-rT) × N(d₂)',
+      put: 'P = K × e^(-rT) × N(-d₂) - S × e^(-qT) × N(-d₁)'
+    }
+  },
+  'black-76': {
+    label: 'Black-76',
+    underlyingLabel: 'Futures Price',
+    description: 'Options on futures and forwards',
+    formulas: {
+      call: 'C = e^(-rT) × [F × N(d₁) - K × N(d₂)]',
+      put: 'P = e^(-rT) × [K × N(-d₂) - F × N(-d₁)]'
+    }
+  },
+  'garman-kohlhagen': {
+    label: 'Garman-Kohlhagen',
+    underlyingLabel: 'Spot FX Rate',
+    description: 'FX options (domestic per unit of foreign)',
+    formulas: {
+      call: 'C = S × e^(-r_f T) × N(d₁) - K × e^(-r_d T) × N(d₂)',
+      put: 'P = K × e^(-r_d T) × N(-d₂) - S × e^(-r_f T) × N(-d₁)'
+    }
+  }
+};
+
+// Quoting conventions for FX option premiums (percent quotes are entered in percent)
+export const FX_PREMIUM_CONVENTIONS = {
+  domesticPips: { label: 'Domestic pips', description: 'domestic per unit of foreign notional', isPercent: false },
+  foreignPips: { label: 'Foreign pips', description: 'foreign per unit of domestic notional', isPercent: false },
+  domesticPercent: { label: 'Domestic %', description: 'percent of the domestic notional', isPercent: true },
+  foreignPercent: { label: 'Foreign %', description: 'percent of the foreign notional', isPercent: true }
+};
+
+// Numerical engines for options that can be exercised early, each pricing
+// (type, S, K, r, T, sigma, q, american, dividends) on the escrowed spot
+export const AMERICAN_ENGINES = {
+  binomial: {
+    label: 'Binomial tree (CRR)',
+    price: (type, S, K, r, T, sigma, q, american, dividends) => (
+      calculateBinomialPrice(type, S, K, r, T, sigma, q, american, DEFAULT_BINOMIAL_STEPS, dividends)
+    )
+  },
+  'crank-nicolson': { label: 'Crank-Nicolson PDE', price: calculateCrankNicolsonPrice }
+};
+
+// Outputs of calculateSweepOutputs that the charts can plot
+export const CHART_OUTPUTS = [
+  ['price', 'Option Price'],
+  ['delta', 'Delta (Δ)'],
+  ['gamma', 'Gamma (Γ)'],
+  ['theta', 'Theta (Θ)'],
+  ['vega', 'Vega (ν)'],
+  ['rho', 'Rho (ρ)'],
+  ['vanna', 'Vanna'],
+  ['volga', 'Volga (Vomma)'],
+  ['charm', 'Charm'],
+  ['veta', 'Veta'],
+  ['speed', 'Speed'],
+  ['zomma', 'Zomma'],
+  ['color', 'Color'],
+  ['dualDelta', 'Dual Delta']
+];
+
+/**
+ * Map the app parameters onto the inputs of the Black-Scholes-Merton formula for the
+ * selected model. Every model in this app is a special case of that formula, which
+ * lets the chart generators price any of them.
+ * @param {Object} parameters - Parameters object from App
+ * @returns {Object} Object with S, K, r, T, sigma and q
+ */
+export const getModelInputs = (parameters) => {
+  const {
+    model, underlyingPrice, strikePrice, riskFreeRate,
+    timeToMaturity, volatility, dividendYield, dividends
+  } = parameters;
+
+  if (model === 'black-76') {
+    // Holding a futures contract costs nothing, equivalent to a yield equal to r
+    return {
+      S: underlyingPrice,
+      K: strikePrice,
+      r: riskFreeRate,
+      T: timeToMaturity,
+      sigma: volatility,
+      q: riskFreeRate
+    };
+  }
+
+  if (model === 'garman-kohlhagen') {
+    // The foreign currency earns the foreign rate, which acts as the yield
+    return {
+      S: underlyingPrice,
+      K: strikePrice,
+      r: riskFreeRate,
+      T: timeToMaturity,
+      sigma: volatility,
+      q: parameters.foreignRate
+    };
+  }
+
+  return {
+    S: calculateEscrowedSpot(underlyingPrice, dividends, riskFreeRate, timeToMaturity),
+    K: strikePrice,
+    r: riskFreeRate,
+    T: timeToMaturity,
+    sigma: volatility,
+    q: dividendYield
+  };
+};
+
+// Cash dividends are only modelled for options on stocks
+const getCashDividends = (parameters) => (parameters.model === 'black-scholes' ? parameters.dividends : []);
+
+/**
+ * Build the evaluator used by generateSweepData for the selected model. Sweep inputs
+ * are the quoted underlying price and the model's rate and yield from getModelInputs.
+ * @param {Object} parameters - Parameters object from App
+ * @returns {Function} Function of (type, inputs) returning the price and all Greeks
+ */
+export const getSweepEvaluator = (parameters) => {
+  // Per-day Greeks follow the theta convention, as in the Greeks panel
+  const daysPerYear = getThetaDaysPerYear(parameters);
+
+  if (parameters.model === 'black-76') {
+    // The yield tracks the rate, and rho holds the futures price fixed
+    return (type, { S, K, r, T, sigma }) => ({
+      price: calculateBlack76Price(type, S, K, r, T, sigma),
+      ...calculateBlack76Greeks(type, S, K, r, T, sigma, daysPerYear)
+    });
+  }
+
+  if (parameters.model === 'black-scholes' && parameters.dividends.length > 0) {
+    // Set the dividends aside at every point, since their value depends on r and T
+    return (type, inputs) => calculateSweepOutputs(type, {
+      ...inputs,
+      S: calculateEscrowedSpot(inputs.S, parameters.dividends, inputs.r, inputs.T)
+    }, daysPerYear);
+  }
+
+  return (type, inputs) => calculateSweepOutputs(type, inputs, daysPerYear);
+};
+
+/**
+ * Calculate the American option price with the selected numerical engine. The engine
+ * prices on the escrowed spot and exercises against it plus the dividends still to come.
+ * @param {Object} parameters - Parameters object from App
+ * @returns {number} Option price
+ */
+export const calculateAmericanPrice = (parameters) => {
+  const { S, K, r, T, sigma, q } = getModelInputs(parameters);
+  const engine = AMERICAN_ENGINES[parameters.americanEngine] || AMERICAN_ENGINES.binomial;
+  return engine.price(parameters.optionType, S, K, r, T, sigma, q, true, getCashDividends(parameters));
+};
+
+/**
+ * Calculate American option Greeks by bumping the inputs and repricing with the
+ * selected engine. Bumps match the units of calculateGreeks (theta per day, vega
+ * and rho per 1% change).
+ * @param {Object} parameters - Parameters object from App
+ * @returns {Object} Object containing all Greeks
+ */
+export const calculateAmericanGreeks = (parameters) => {
+  const { underlyingPrice, timeToMaturity, volatility, riskFreeRate } = parameters;
+  const priceWith = (changes) => calculateAmericanPrice({ ...parameters, ...changes });
+
+  const price = priceWith({});
+  // Bump by a couple of grid spacings so tree and grid noise does not swamp gamma
+  const h = underlyingPrice * Math.max(0.1 * volatility * Math.sqrt(timeToMaturity), 0.001);
+  const up = priceWith({ underlyingPrice: underlyingPrice + h });
+  const down = priceWith({ underlyingPrice: underlyingPrice - h });
+  const dayFraction = Math.min(1 / getThetaDaysPerYear(parameters), timeToMaturity);
+
+  const greeks = {
+    delta: (up - down) / (2 * h),
+    gamma: (up - 2 * price + down) / (h * h),
+    theta: priceWith({ timeToMaturity: timeToMaturity - dayFraction }) - price,
+    vega: priceWith({ volatility: volatility + 0.01 }) - price,
+    rho: priceWith({ riskFreeRate: riskFreeRate + 0.01 }) - price
+  };
+
+  if (parameters.model !== 'garman-kohlhagen') return greeks;
+
+  // FX delta conventions follow from spot delta exactly as in the European case
+  const foreignDiscount = Math.exp(-parameters.foreignRate * timeToMaturity);
+  const premiumAdjustedDelta = greeks.delta - price / underlyingPrice;
+  return {
+    ...greeks,
+    rhoForeign: priceWith({ foreignRate: parameters.foreignRate + 0.01 }) - price,
+    forwardDelta: greeks.delta / foreignDiscount,
+    premiumAdjustedDelta,
+    premiumAdjustedForwardDelta: premiumAdjustedDelta / foreignDiscount
+  };
+};
+
+/**
+ * Find the critical underlying price below (put) or above (call) which immediate
+ * exercise of the American option is optimal. Exercise is tested against the quoted
+ * price, which is what exercising today delivers even with cash dividends to come.
+ * @param {Object} parameters - Parameters object from App
+ * @returns {number|null} Exercise boundary, or null if early exercise is never optimal
+ */
+export const calculateExerciseBoundary = (parameters) => {
+  const { optionType, strikePrice } = parameters;
+  const { r, T, q } = getModelInputs(parameters);
+  if (T <= 0) return null;
+  // Without a yield advantage (calls) or interest (puts) early exercise never pays;
+  // cash dividends can make it pay, just before an ex-date
+  const dividends = getCashDividends(parameters);
+  if (dividends.length === 0 && (optionType === 'call' ? q <= 0 : r <= 0)) return null;
+
+  const intrinsic = (S) => Math.max(0, optionType === 'call' ? S - strikePrice : strikePrice - S);
+  // Both engines return exactly the exercise value where exercising today is optimal
+  const isExercised = (S) =>
+    calculateAmericanPrice({ ...parameters, underlyingPrice: S }) - intrinsic(S) <= 1e-9 * strikePrice;
+
+  // Bracket between a deep in-the-money price (exercised) and the strike (not exercised),
+  // keeping a put above the dividends set aside so the escrowed spot stays positive
+  let exercised = optionType === 'call'
+    ? strikePrice * 20
+    : strikePrice * 0.01 + calculateDividendPresentValue(dividends, r, T);
+  let held = strikePrice;
+  if (!isExercised(exercised)) return null;
+
+  for (let i = 0; i < 25; i++) {
+    const mid = (exercised + held) / 2;
+    if (isExercised(mid)) {
+      exercised = mid;
+    } else {
+      held = mid;
+    }
+  }
+
+  return exercised;
+};
+
+/**
+ * Generate American and European prices across a range of underlying prices
+ * @param {Object} parameters - Parameters object from App
+ * @param {number} range - Range around the current price (decimal form)
+ * @param {number} points - Number of data points
+ * @returns {Array} Array of data points for the chart
+ */
+export const generateExerciseComparisonData = (parameters, range = 0.3, points = 30) => {
+  const { underlyingPrice, strikePrice, optionType } = parameters;
+  // Start above the dividends set aside, where the escrowed spot is still positive
+  const dividendValue = underlyingPrice - getModelInputs(parameters).S;
+  const minPrice = Math.max(underlyingPrice * (1 - range), dividendValue + 0.01 * strikePrice);
+  const maxPrice = underlyingPrice * (1 + range);
+  const step = (maxPrice - minPrice) / (points - 1);
+
+  const data = [];
+  for (let i = 0; i < points; i++) {
+    const S = minPrice + i * step;
+    const pointParameters = { ...parameters, underlyingPrice: S };
+    const { S: modelSpot, K, r, T, sigma, q } = getModelInputs(pointParameters);
+    data.push({
+      underlyingPrice: S,
+      americanPrice: calculateAmericanPrice(pointParameters),
+      europeanPrice: calculateOptionPrice(optionType, modelSpot, K, r, T, sigma, q),
+      // Exercising today delivers the share at its quoted price, dividends still attached
+      intrinsic: Math.max(0, optionType === 'call' ? S - strikePrice : strikePrice - S)
+    });
+  }
+
+  return data;
+};
+
+/**
+ * Calculate option price with the selected model
+ * @param {Object} parameters - Parameters object from App
+ * @returns {number} Option price
+ */
+export const calculateModelPrice = (parameters) => {
+  if (parameters.exerciseStyle === 'american') {
+    return calculateAmericanPrice(parameters);
+  }
+
+  const { model, optionType, underlyingPrice, strikePrice, riskFreeRate, timeToMaturity, volatility } = parameters;
+
+  if (model === 'black-76') {
+    return calculateBlack76Price(optionType, underlyingPrice, strikePrice, riskFreeRate, timeToMaturity, volatility);
+  }
+
+  if (model === 'garman-kohlhagen') {
+    return calculateGarmanKohlhagenPrice(
+      optionType, underlyingPrice, strikePrice, riskFreeRate, parameters.foreignRate, timeToMaturity, volatility
+    );
+  }
+
+  return calculateEscrowedDividendPrice(
+    optionType,
+    underlyingPrice,
+    strikePrice,
+    riskFreeRate,
+    timeToMaturity,
+    volatility,
+    parameters.dividends,
+    parameters.dividendYield
+  );
+};
+
+/**
+ * Calculate option Greeks with the selected model
+ * @param {Object} parameters - Parameters object from App
+ * @returns {Object} Object containing all Greeks
+ */
+export const calculateModelGreeks = (parameters) => {
+  if (parameters.exerciseStyle === 'american') {
+    return calculateAmericanGreeks(parameters);
+  }
+
+  const { model, optionType, underlyingPrice, strikePrice, riskFreeRate, timeToMaturity, volatility } = parameters;
+  const daysPerYear = getThetaDaysPerYear(parameters);
+
+  if (model === 'black-76') {
+    return calculateBlack76Greeks(
+      optionType, underlyingPrice, strikePrice, riskFreeRate, timeToMaturity, volatility, daysPerYear
+    );
+  }
+
+  if (model === 'garman-kohlhagen') {
+    return calculateGarmanKohlhagenGreeks(
+      optionType, underlyingPrice, strikePrice, riskFreeRate, parameters.foreignRate, timeToMaturity, volatility,
+      daysPerYear
+    );
+  }
+
+  // Greeks are evaluated at the escrowed spot when there are cash dividends
+  const { S, q } = getModelInputs(parameters);
+  return calculateGreeks(optionType, S, strikePrice, riskFreeRate, timeToMaturity, volatility, q, daysPerYear);
+};
+
+/**
+ * Express a model price in the premium quoting convention of the parameters.
+ * Only FX options have alternative conventions; other models quote the price itself.
+ * @param {Object} parameters - Parameters object from App
+ * @param {number} price - Option price from calculateModelPrice
+ * @returns {number} Quoted premium
+ */
+export const getQuotedPremium = (parameters, price) => {
+  if (parameters.model !== 'garman-kohlhagen') return price;
+  
+  const { premiumConvention } = parameters;
+  const conventions = calculateFxPremiumConventions(price, parameters.underlyingPrice, parameters.strikePrice);
+  return conventions[premiumConvention] * (FX_PREMIUM_CONVENTIONS[premiumConvention].isPercent ? 100 : 1);
+};
+
+/**
+ * Calculate the implied volatility of a market premium with the selected model
+ * @param {Object} parameters - Parameters object from App
+ * @param {number} marketPrice - Observed option premium, in the FX quoting convention for FX options
+ * @returns {number} Implied volatility (decimal form)
+ * @throws {ImpliedVolatilityError} If no volatility reproduces the premium
+ */
+export const calculateModelImpliedVolatility = (parameters, marketPrice) => {
+  const { S, K, r, T, q } = getModelInputs(parameters);
+  let price = marketPrice;
+  if (parameters.model === 'garman-kohlhagen') {
+    const { premiumConvention } = parameters;
+    const quote = FX_PREMIUM_CONVENTIONS[premiumConvention].isPercent ? marketPrice / 100 : marketPrice;
+    price = convertFxPremiumToDomesticPips(quote, premiumConvention, S, K);
+  }
+
+  if (parameters.exerciseStyle === 'american') {
+    // Early exercise lifts the European lower bound to intrinsic value and caps the
+    // put at the strike, which can be received immediately. The tree needs a
+    // volatility large enough to keep its probabilities inside (0, 1).
+    // Exercise delivers the share at its quoted price, even with cash dividends to come
+    const { optionType, underlyingPrice } = parameters;
+    const europeanBounds = calculatePriceBounds(optionType, S, K, r, T, q);
+    const bounds = {
+      lower: Math.max(europeanBounds.lower, optionType === 'call' ? underlyingPrice - K : K - underlyingPrice),
+      upper: optionType === 'call' ? underlyingPrice : K,
+      minVolatility: 0.01
+    };
+    // Every step reprices with the engine, so start from the European implied volatility
+    // and take Newton steps with the European vega, which is close to the American one
+    let europeanVolatility = parameters.volatility;
+    try {
+      europeanVolatility = calculateImpliedVolatility(optionType, price, S, K, r, T, q);
+    } catch (error) {
+      // Early exercise premium above the European upper bound; start from the entered volatility
+    }
+    return solveImpliedVolatility(
+      (sigma) => calculateAmericanPrice({ ...parameters, volatility: sigma }),
+      price,
+      bounds,
+      (sigma) => calculateGreeks(optionType, S, K, r, T, sigma, q).vega * 100,
+      europeanVolatility,
+      1e-6
+    );
+  }
+
+  return calculateImpliedVolatility(parameters.optionType, price, S, K, r, T, q);
+};
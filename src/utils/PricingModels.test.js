@@ -0,0 +1,54 @@
+import {
+  calculateModelPrice,
+  calculateModelImpliedVolatility,
+  calculateExerciseBoundary,
+  generateExerciseComparisonData
+} from './PricingModels';
+
+const parameters = {
+  model: 'black-scholes',
+  optionType: 'call',
+  exerciseStyle: 'american',
+  americanEngine: 'binomial',
+  underlyingPrice: 100,
+  strikePrice: 80,
+  timeToMaturity: 1,
+  volatility: 0.2,
+  riskFreeRate: 0.05,
+  dividendYield: 0,
+  dividends: [{ time: 0.5, amount: 8 }]
+};
+
+describe('calculateExerciseBoundary', () => {
+  test('finds a boundary for a call on a stock paying cash dividends', () => {
+    // No dividends due today, so exercising now never beats waiting for the ex-date
+    expect(calculateExerciseBoundary(parameters)).toBeNull();
+    // With the ex-date a moment away, deep in-the-money calls are exercised today
+    const boundary = calculateExerciseBoundary({ ...parameters, dividends: [{ time: 0.001, amount: 8 }] });
+    expect(boundary).toBeGreaterThan(parameters.strikePrice);
+    expect(calculateModelPrice({ ...parameters, dividends: [{ time: 0.001, amount: 8 }], underlyingPrice: boundary * 1.05 }))
+      .toBeCloseTo(boundary * 1.05 - parameters.strikePrice, 6);
+  });
+
+  test('never exercises a call without dividends or a yield', () => {
+    expect(calculateExerciseBoundary({ ...parameters, dividends: [] })).toBeNull();
+  });
+});
+
+describe('calculateModelImpliedVolatility', () => {
+  test('recovers the volatility of an American premium from the PDE engine', () => {
+    const american = { ...parameters, optionType: 'put', strikePrice: 105, americanEngine: 'crank-nicolson', dividends: [] };
+    const premium = calculateModelPrice({ ...american, volatility: 0.33 });
+    expect(calculateModelImpliedVolatility(american, premium)).toBeCloseTo(0.33, 5);
+  });
+});
+
+describe('generateExerciseComparisonData', () => {
+  test('takes intrinsic value on the quoted price', () => {
+    const data = generateExerciseComparisonData(parameters, 0.3, 5);
+    data.forEach((point) => {
+      expect(point.intrinsic).toBeCloseTo(Math.max(0, point.underlyingPrice - 80), 12);
+      expect(point.americanPrice).toBeGreaterThanOrEqual(point.intrinsic - 1e-9);
+    });
+  });
+});
@@ -0,0 +1,78 @@
+// 2^32, to scale 32-bit integers onto [0, 1)
+const UINT32_RANGE = 4294967296;
+
+const rotateLeft = (x, k) => (x << k) | (x >>> (32 - k));
+
+/**
+ * Create a splitmix32 generator, used to expand a single seed into a full state
+ * @param {number} seed - 32-bit integer seed
+ * @returns {Function} Function returning the next unsigned 32-bit integer
+ */
+const createSplitMix32 = (seed) => {
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x9e3779b9) | 0;
+    let z = state;
+    z = Math.imul(z ^ (z >>> 16), 0x21f0aaad);
+    z = Math.imul(z ^ (z >>> 15), 0x735a2d97);
+    return (z ^ (z >>> 15)) >>> 0;
+  };
+};
+
+/**
+ * Create a xoshiro128** generator (Blackman and Vigna) from a 128-bit state
+ * @param {Array} state - Four 32-bit integers, not all zero
+ * @returns {Function} Function returning the next unsigned 32-bit integer
+ */
+export const createXoshiro128 = (state) => {
+  const s = Uint32Array.from(state);
+
+  return () => {
+    const result = Math.imul(rotateLeft(Math.imul(s[1], 5), 7), 9) >>> 0;
+    const t = s[1] << 9;
+
+    s[2] ^= s[0];
+    s[3] ^= s[1];
+    s[1] ^= s[2];
+    s[0] ^= s[3];
+    s[2] ^= t;
+    s[3] = rotateLeft(s[3], 11);
+
+    return result;
+  };
+};
+
+/**
+ * Create a seeded uniform random number generator, so simulations can be reproduced
+ * @param {number} seed - Integer seed
+ * @returns {Function} Function returning uniform draws on [0, 1)
+ */
+export const createRandom = (seed) => {
+  const splitMix = createSplitMix32(seed);
+  const next = createXoshiro128([splitMix(), splitMix(), splitMix(), splitMix()]);
+  return () => next() / UINT32_RANGE;
+};
+
+/**
+ * Create a generator of standard normal draws (Box-Muller transform)
+ * @param {Function} random - Uniform generator on [0, 1)
+ * @returns {Function} Function returning one standard normal draw per call
+ */
+export const createNormalGenerator = (random = Math.random) => {
+  let spare = null;
+
+  return () => {
+    if (spare !== null) {
+      const value = spare;
+      spare = null;
+      return value;
+    }
+
+    // Each pair of independent uniforms gives two independent normals; 1 - u keeps the log finite
+    const radius = Math.sqrt(-2 * Math.log(1 - random()));
+    const angle = 2 * Math.PI * random();
+    spare = radius * Math.sin(angle);
+    return radius * Math.cos(angle);
+  };
+};
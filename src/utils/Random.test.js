@@ -0,0 +1,73 @@
+import { createNormalGenerator, createRandom, createXoshiro128 } from './Random';
+
+const SAMPLES = 100000;
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+const variance = (values) => {
+  const average = mean(values);
+  return values.reduce((sum, value) => sum + (value - average) ** 2, 0) / (values.length - 1);
+};
+
+const correlation = (xs, ys) => {
+  const xMean = mean(xs);
+  const yMean = mean(ys);
+  const covariance = xs.reduce((sum, x, i) => sum + (x - xMean) * (ys[i] - yMean), 0) / (xs.length - 1);
+  return covariance / Math.sqrt(variance(xs) * variance(ys));
+};
+
+describe('createXoshiro128', () => {
+  test('matches the reference implementation', () => {
+    // First outputs of the reference C code from the state { 1, 2, 3, 4 }
+    const next = createXoshiro128([1, 2, 3, 4]);
+    expect([next(), next(), next()]).toEqual([11520, 0, 5927040]);
+  });
+});
+
+describe('createRandom', () => {
+  test('reproduces the same sequence from the same seed', () => {
+    const first = createRandom(42);
+    const second = createRandom(42);
+    const other = createRandom(43);
+    const draws = Array.from({ length: 5 }, first);
+
+    expect(Array.from({ length: 5 }, second)).toEqual(draws);
+    expect(Array.from({ length: 5 }, other)).not.toEqual(draws);
+  });
+
+  test('draws uniforms on [0, 1)', () => {
+    const draws = Array.from({ length: SAMPLES }, createRandom(1));
+
+    expect(Math.min(...draws)).toBeGreaterThanOrEqual(0);
+    expect(Math.max(...draws)).toBeLessThan(1);
+    expect(mean(draws)).toBeCloseTo(0.5, 2);
+    expect(variance(draws)).toBeCloseTo(1 / 12, 3);
+  });
+});
+
+describe('createNormalGenerator', () => {
+  const draws = Array.from({ length: SAMPLES }, createNormalGenerator(createRandom(2024)));
+  // Four standard errors of each sample statistic
+  const tolerance = 4 / Math.sqrt(SAMPLES);
+
+  test('has zero mean and unit variance', () => {
+    expect(Math.abs(mean(draws))).toBeLessThan(tolerance);
+    expect(Math.abs(variance(draws) - 1)).toBeLessThan(tolerance * Math.sqrt(2));
+  });
+
+  test('has normal tails', () => {
+    const beyondTwo = draws.filter((z) => Math.abs(z) > 1.959964).length / SAMPLES;
+    expect(beyondTwo).toBeCloseTo(0.05, 2);
+  });
+
+  test('draws independent shocks', () => {
+    // Consecutive draws, including the two halves of each Box-Muller pair, are uncorrelated
+    expect(Math.abs(correlation(draws.slice(0, -1), draws.slice(1)))).toBeLessThan(tolerance);
+    const firsts = draws.filter((_, i) => i % 2 === 0);
+    const seconds = draws.filter((_, i) => i % 2 === 1);
+    expect(Math.abs(correlation(firsts, seconds))).toBeLessThan(tolerance * Math.SQRT2);
+    // Squared draws catch dependence that leaves the linear correlation at zero
+    const squares = draws.map((z) => z * z);
+    expect(Math.abs(correlation(squares.slice(0, -1), squares.slice(1)))).toBeLessThan(tolerance);
+  });
+});
@@ -0,0 +1,88 @@
+import { calculateLegValue, calculateStrategyGreeks, getLegQuantity } from './Strategy';
+import { getThetaDaysPerYear } from './DayCount';
+
+// Default shock ladders: spot moves in percent, volatility shifts in volatility points, days forward
+// (one grid per day)
+export const DEFAULT_SHOCK_LADDERS = {
+  spot: [-30, -20, -10, -5, 0, 5, 10, 20, 30],
+  volatility: [-10, -5, 0, 5, 10],
+  days: [0, 7, 30]
+};
+
+/**
+ * Parse a comma-separated shock ladder, dropping entries that are not numbers
+ * @param {string} text - Ladder such as "-10, -5, 0, 5, 10"
+ * @returns {Array} Distinct shocks in ascending order
+ */
+export const parseShockLadder = (text) => (
+  [...new Set(text.split(',').map((entry) => entry.trim()).filter((entry) => entry !== '').map(Number))]
+    .filter((value) => Number.isFinite(value))
+    .sort((a, b) => a - b)
+);
+
+/**
+ * Value of a position after a scenario
+ * @param {Array} legs - Strategy legs
+ * @param {Object} parameters - Parameters object from App
+ * @param {number} spotShock - Relative move of the underlying (decimal form, 0.1 for +10%)
+ * @param {number} volatilityShift - Shift added to the volatility (decimal form, 0.05 for +5 points)
+ * @param {number} days - Days passed, as counted by the per-day Greeks
+ * @returns {number} Position value
+ */
+export const calculateScenarioValue = (legs, parameters, spotShock, volatilityShift, days) => {
+  const S = parameters.underlyingPrice * (1 + spotShock);
+  const daysPerYear = getThetaDaysPerYear(parameters);
+  return legs.reduce(
+    (total, leg) => total + getLegQuantity(leg) * calculateLegValue(leg, parameters, S, days / daysPerYear, volatilityShift),
+    0
+  );
+};
+
+/**
+ * Second-order Taylor approximation of the P&L from the position's Greeks:
+ * Δ × dS + ½Γ × dS² + vega × dσ + Θ × days, in the units of calculateGreeks
+ * @param {Object} greeks - Position Greeks (delta, gamma, theta per day, vega per 1% volatility)
+ * @param {number} spotMove - Change in the underlying price
+ * @param {number} volatilityShift - Shift in the volatility (decimal form)
+ * @param {number} days - Days passed
+ * @returns {number} Approximate P&L
+ */
+export const calculateTaylorPnl = (greeks, spotMove, volatilityShift, days) => (
+  greeks.delta * spotMove
+  + 0.5 * greeks.gamma * spotMove * spotMove
+  + greeks.vega * volatilityShift * 100
+  + greeks.theta * days
+);
+
+/**
+ * P&L of a position across spot shocks and volatility shifts after a number of days, by
+ * full revaluation and by the Taylor approximation
+ * @param {Array} legs - Strategy legs
+ * @param {Object} parameters - Parameters object from App
+ * @param {Array} spotShocks - Spot moves in percent
+ * @param {Array} volatilityShifts - Volatility shifts in volatility points
+ * @param {number} days - Days passed, as counted by the per-day Greeks
+ * @returns {Object} Object with rows ({ spotShock, spot, cells: [{ volatilityShift, pnl, taylorPnl }] }),
+ *   the current value and the largest absolute P&L
+ */
+export const generateScenarioGrid = (legs, parameters, spotShocks, volatilityShifts, days) => {
+  const value = calculateScenarioValue(legs, parameters, 0, 0, 0);
+  const greeks = calculateStrategyGreeks(legs, parameters);
+
+  let maxAbsPnl = 0;
+  const rows = spotShocks.map((spotShock) => {
+    const spotMove = parameters.underlyingPrice * spotShock / 100;
+    const cells = volatilityShifts.map((volatilityShift) => {
+      const pnl = calculateScenarioValue(legs, parameters, spotShock / 100, volatilityShift / 100, days) - value;
+      maxAbsPnl = Math.max(maxAbsPnl, Math.abs(pnl));
+      return {
+        volatilityShift,
+        pnl,
+        taylorPnl: calculateTaylorPnl(greeks, spotMove, volatilityShift / 100, days)
+      };
+    });
+    return { spotShock, spot: parameters.underlyingPrice + spotMove, cells };
+  });
+
+  return { rows, value, maxAbsPnl };
+};
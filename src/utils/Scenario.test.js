@@ -0,0 +1,53 @@
+import { parseShockLadder, calculateScenarioValue, generateScenarioGrid } from './Scenario';
+import { calculateOptionPrice } from './BlackScholes';
+import { calculateBinomialPrice } from './BinomialTree';
+import { getOptionLeg } from './Strategy';
+
+const parameters = {
+  model: 'black-scholes',
+  optionType: 'call',
+  exerciseStyle: 'european',
+  underlyingPrice: 100,
+  strikePrice: 100,
+  timeToMaturity: 1,
+  volatility: 0.2,
+  riskFreeRate: 0.05,
+  dividendYield: 0.02,
+  dividends: [],
+  volatilityInput: 'volatility',
+  legs: []
+};
+const legs = [getOptionLeg(parameters)];
+
+describe('parseShockLadder', () => {
+  test('sorts distinct numbers and drops anything else', () => {
+    expect(parseShockLadder('10, -5, abc, 0, 10,, 2.5')).toEqual([-5, 0, 2.5, 10]);
+  });
+});
+
+describe('calculateScenarioValue', () => {
+  test('reprices the option with the shocked spot, volatility and maturity', () => {
+    expect(calculateScenarioValue(legs, parameters, -0.1, 0.05, 73))
+      .toBeCloseTo(calculateOptionPrice('call', 90, 100, 0.05, 0.8, 0.25, 0.02), 10);
+  });
+
+  test('reprices American legs on the binomial tree', () => {
+    const american = { ...parameters, optionType: 'put', exerciseStyle: 'american', americanEngine: 'crank-nicolson' };
+    expect(calculateScenarioValue([getOptionLeg(american)], american, -0.1, 0.05, 73))
+      .toBeCloseTo(calculateBinomialPrice('put', 90, 100, 0.05, 0.8, 0.25, 0.02), 10);
+  });
+});
+
+describe('generateScenarioGrid', () => {
+  test('matches the Taylor approximation near the centre but not in the wings', () => {
+    const grid = generateScenarioGrid(legs, parameters, [-30, 0, 1], [0, 10], 0);
+    const [wing, centre, near] = grid.rows;
+
+    expect(centre.cells[0].pnl).toBeCloseTo(0, 10);
+    expect(centre.cells[0].taylorPnl).toBe(0);
+    expect(near.cells[0].taylorPnl).toBeCloseTo(near.cells[0].pnl, 3);
+    expect(Math.abs(wing.cells[1].taylorPnl - wing.cells[1].pnl))
+      .toBeGreaterThan(100 * Math.abs(near.cells[1].taylorPnl - near.cells[1].pnl));
+    expect(grid.maxAbsPnl).toBeCloseTo(Math.abs(wing.cells[0].pnl), 10);
+  });
+});
@@ -0,0 +1,415 @@
+import { erf } from 'mathjs';
+import { calculateExerciseProbability, calculateOptionPrice } from './BlackScholes';
+import {
+  DISTRIBUTION_PERCENTILES,
+  calculateLognormalDensity,
+  calculateLognormalStatistics,
+  stepGeometricBrownianMotion
+} from './MonteCarlo';
+
+// Cumulative distribution function for standard normal distribution
+const cdf = (x) => 0.5 * (1 + erf(x / Math.sqrt(2)));
+
+// Standard normal probability density function
+const pdf = (x) => Math.exp(-0.5 * x * x) / Math.sqrt(2 * Math.PI);
+
+// Parameter controls shared by the processes with a percentage drift and volatility
+const DRIFT_PARAMETER = {
+  key: 'drift', label: 'Drift (μ)', min: -0.5, max: 0.5, step: 0.01, defaultValue: 0.05,
+  description: 'Expected return rate'
+};
+const VOLATILITY_PARAMETER = {
+  key: 'sigma', label: 'Diffusion (σ)', min: 0.01, max: 0.5, step: 0.01, defaultValue: 0.2,
+  description: 'Volatility of the process'
+};
+
+// Processes the simulator can draw paths from; exact processes are sampled at T in a single step
+export const STOCHASTIC_PROCESSES = {
+  gbm: {
+    label: 'Geometric Brownian Motion',
+    equation: 'dS = μS dt + σS dW',
+    exact: true,
+    parameters: [DRIFT_PARAMETER, VOLATILITY_PARAMETER]
+  },
+  abm: {
+    label: 'Arithmetic Brownian Motion',
+    equation: 'dS = μ dt + σ dW',
+    exact: true,
+    parameters: [
+      {
+        key: 'drift', label: 'Drift (μ, $ per year)', min: -50, max: 50, step: 1, defaultValue: 5,
+        description: 'Expected change in value per year'
+      },
+      {
+        key: 'sigma', label: 'Diffusion (σ, $)', min: 1, max: 100, step: 1, defaultValue: 20,
+        description: 'Standard deviation of the change over one year'
+      }
+    ]
+  },
+  merton: {
+    label: 'Merton Jump-Diffusion',
+    equation: 'dS/S = (μ − λk) dt + σ dW + (J − 1) dN,  ln J ~ N(μ_J, δ²),  k = E[J] − 1',
+    exact: true,
+    parameters: [
+      DRIFT_PARAMETER,
+      VOLATILITY_PARAMETER,
+      {
+        key: 'jumpIntensity', label: 'Jump Intensity (λ)', min: 0, max: 5, step: 0.1, defaultValue: 1,
+        description: 'Expected number of jumps per year'
+      },
+      {
+        key: 'jumpMean', label: 'Mean Log Jump (μ_J)', min: -0.5, max: 0.5, step: 0.01, defaultValue: -0.1,
+        description: 'Average of the log jump size'
+      },
+      {
+        key: 'jumpVolatility', label: 'Jump Volatility (δ)', min: 0, max: 0.5, step: 0.01, defaultValue: 0.15,
+        description: 'Standard deviation of the log jump size'
+      }
+    ]
+  },
+  heston: {
+    label: 'Heston Stochastic Volatility',
+    equation: 'dS = μS dt + √v S dW₁,  dv = κ(θ − v) dt + ξ√v dW₂,  dW₁dW₂ = ρ dt',
+    exact: false,
+    parameters: [
+      DRIFT_PARAMETER,
+      {
+        key: 'initialVariance', label: 'Initial Variance (v₀)', min: 0.01, max: 0.25, step: 0.01, defaultValue: 0.04,
+        description: 'Variance at time zero (0.04 is 20% volatility)'
+      },
+      {
+        key: 'meanReversion', label: 'Mean Reversion (κ)', min: 0.1, max: 10, step: 0.1, defaultValue: 2,
+        description: 'Speed at which the variance reverts to θ'
+      },
+      {
+        key: 'longRunVariance', label: 'Long-Run Variance (θ)', min: 0.01, max: 0.25, step: 0.01, defaultValue: 0.04,
+        description: 'Level the variance reverts to'
+      },
+      {
+        key: 'volOfVol', label: 'Volatility of Variance (ξ)', min: 0.01, max: 1, step: 0.01, defaultValue: 0.3,
+        description: 'Volatility of the variance process'
+      },
+      {
+        key: 'correlation', label: 'Correlation (ρ)', min: -0.99, max: 0.99, step: 0.01, defaultValue: -0.7,
+        description: 'Correlation of the price and variance shocks'
+      }
+    ]
+  },
+  ou: {
+    label: 'Ornstein-Uhlenbeck Mean Reversion',
+    equation: 'dS = κ(θ − S) dt + σ dW',
+    exact: true,
+    parameters: [
+      {
+        key: 'meanReversion', label: 'Mean Reversion (κ)', min: 0.1, max: 10, step: 0.1, defaultValue: 2,
+        description: 'Speed at which the value reverts to θ'
+      },
+      {
+        key: 'longRunLevel', label: 'Long-Run Level (θ, $)', min: 10, max: 500, step: 5, defaultValue: 100,
+        description: 'Level the value reverts to'
+      },
+      {
+        key: 'sigma', label: 'Diffusion (σ, $)', min: 1, max: 100, step: 1, defaultValue: 20,
+        description: 'Standard deviation of the shocks over one year'
+      }
+    ]
+  }
+};
+
+/**
+ * Default parameters of every process, keyed by process, so each keeps its own settings
+ * @returns {Object} Parameters as { [process]: { [key]: value } }
+ */
+export const getDefaultProcessParameters = () => Object.fromEntries(
+  Object.entries(STOCHASTIC_PROCESSES).map(([process, { parameters }]) => [
+    process,
+    Object.fromEntries(parameters.map(({ key, defaultValue }) => [key, defaultValue]))
+  ])
+);
+
+/**
+ * Draw from a Poisson distribution by multiplying uniforms (Knuth), fine for small means
+ * @param {number} mean - Expected count
+ * @param {Function} random - Uniform generator on [0, 1)
+ * @returns {number} Count
+ */
+const drawPoisson = (mean, random) => {
+  const limit = Math.exp(-mean);
+  let count = 0;
+  let product = random();
+  while (product > limit) {
+    count++;
+    product *= random();
+  }
+  return count;
+};
+
+// Expected relative jump size k = E[J] - 1 of the Merton model
+const getJumpCompensator = ({ jumpMean, jumpVolatility }) => (
+  Math.exp(jumpMean + 0.5 * jumpVolatility * jumpVolatility) - 1
+);
+
+// One step of each process from the state { value, variance }; exact processes may step over all of T
+const PROCESS_STEPS = {
+  gbm: ({ value }, { drift, sigma }, dt, normal) => ({
+    value: stepGeometricBrownianMotion(value, drift, sigma, dt, normal())
+  }),
+  abm: ({ value }, { drift, sigma }, dt, normal) => ({
+    value: value + drift * dt + sigma * Math.sqrt(dt) * normal()
+  }),
+  merton: ({ value }, params, dt, normal, random) => {
+    const { drift, sigma, jumpIntensity, jumpMean, jumpVolatility } = params;
+    // The drift is compensated by λk so that E[S(t)] = S(0)e^(μt) as for GBM
+    const compensatedDrift = drift - jumpIntensity * getJumpCompensator(params);
+    const jumps = drawPoisson(jumpIntensity * dt, random);
+    const diffused = stepGeometricBrownianMotion(value, compensatedDrift, sigma, dt, normal());
+    const logJump = jumps > 0 ? jumps * jumpMean + Math.sqrt(jumps) * jumpVolatility * normal() : 0;
+    return { value: diffused * Math.exp(logJump) };
+  },
+  heston: ({ value, variance }, params, dt, normal) => {
+    const { drift, meanReversion, longRunVariance, volOfVol, correlation } = params;
+    // Full truncation: a negative variance is used as zero but keeps evolving
+    const v = Math.max(variance, 0);
+    const z1 = normal();
+    const z2 = correlation * z1 + Math.sqrt(1 - correlation * correlation) * normal();
+    return {
+      value: value * Math.exp((drift - 0.5 * v) * dt + Math.sqrt(v * dt) * z1),
+      variance: variance + meanReversion * (longRunVariance - v) * dt + volOfVol * Math.sqrt(v * dt) * z2
+    };
+  },
+  ou: ({ value }, { meanReversion, longRunLevel, sigma }, dt, normal) => {
+    const decay = Math.exp(-meanReversion * dt);
+    const deviation = sigma * Math.sqrt((1 - decay * decay) / (2 * meanReversion));
+    return { value: longRunLevel + (value - longRunLevel) * decay + deviation * normal() };
+  }
+};
+
+/**
+ * Simulate one path of a stochastic process
+ * @param {string} process - Process key of STOCHASTIC_PROCESSES
+ * @param {number} initialValue - Starting value S(0)
+ * @param {Object} params - Process parameters
+ * @param {number} T - Time horizon (in years)
+ * @param {number} steps - Number of time steps
+ * @param {Function} normal - Standard normal generator
+ * @param {Function} random - Uniform generator on [0, 1), used for jump counts
+ * @returns {Array} Path as { time, value } points, including the start
+ */
+export const generateProcessPath = (process, initialValue, params, T, steps, normal, random = Math.random) => {
+  const step = PROCESS_STEPS[process];
+  const dt = T / steps;
+  const path = [{ time: 0, value: initialValue }];
+
+  let state = { value: initialValue, variance: params.initialVariance };
+  for (let i = 1; i <= steps; i++) {
+    state = step(state, params, dt, normal, random);
+    path.push({ time: i * dt, value: state.value });
+  }
+
+  return path;
+};
+
+/**
+ * Create a sampler of the terminal value S(T) of a process
+ * @param {string} process - Process key of STOCHASTIC_PROCESSES
+ * @param {number} initialValue - Starting value S(0)
+ * @param {Object} params - Process parameters
+ * @param {number} T - Time horizon (in years)
+ * @param {number} steps - Number of time steps for processes without an exact one-step solution
+ * @param {Function} random - Uniform generator on [0, 1), used for jump counts
+ * @returns {Function} Function taking a standard normal generator and returning one S(T)
+ */
+export const createTerminalSampler = (process, initialValue, params, T, steps, random = Math.random) => {
+  const step = PROCESS_STEPS[process];
+  const stepCount = STOCHASTIC_PROCESSES[process].exact ? 1 : steps;
+  const dt = T / stepCount;
+
+  return (normal) => {
+    let state = { value: initialValue, variance: params.initialVariance };
+    for (let i = 0; i < stepCount; i++) {
+      state = step(state, params, dt, normal, random);
+    }
+    return state.value;
+  };
+};
+
+/**
+ * Expected value E[S(t)] of a process
+ * @param {string} process - Process key of STOCHASTIC_PROCESSES
+ * @param {number} initialValue - Starting value S(0)
+ * @param {Object} params - Process parameters
+ * @param {number} t - Time (in years)
+ * @returns {number} Expected value
+ */
+export const calculateExpectedValue = (process, initialValue, params, t) => {
+  switch (process) {
+    case 'abm':
+      return initialValue + params.drift * t;
+    case 'ou':
+      return params.longRunLevel + (initialValue - params.longRunLevel) * Math.exp(-params.meanReversion * t);
+    default:
+      return initialValue * Math.exp(params.drift * t);
+  }
+};
+
+// Statistics of a normal distribution, in the shape of summarizeDistribution
+const getNormalDistribution = (mean, standardDeviation) => ({
+  mean,
+  standardDeviation,
+  skewness: 0,
+  percentiles: DISTRIBUTION_PERCENTILES.map(({ percentile, z }) => ({
+    percentile,
+    value: mean + standardDeviation * z
+  })),
+  density: (x) => pdf((x - mean) / standardDeviation) / standardDeviation,
+  probabilityAbove: (K) => cdf((mean - K) / standardDeviation)
+});
+
+// Poisson weights of 0, 1, 2, ... jumps, until the remaining probability is negligible
+const getJumpCountWeights = (mean) => {
+  const weights = [];
+  let weight = Math.exp(-mean);
+  let total = 0;
+  for (let n = 0; n <= 200 && total < 1 - 1e-12; n++) {
+    weights.push(weight);
+    total += weight;
+    weight *= mean / (n + 1);
+  }
+  return weights;
+};
+
+/**
+ * Theoretical distribution of S(T), where the process has one in closed form
+ * @param {string} process - Process key of STOCHASTIC_PROCESSES
+ * @param {number} initialValue - Starting value S(0)
+ * @param {Object} params - Process parameters
+ * @param {number} T - Time horizon (in years)
+ * @returns {Object} Object with mean, standardDeviation, skewness, percentiles, density(x) and
+ *   probabilityAbove(K); entries without a closed form are null
+ */
+export const calculateTerminalDistribution = (process, initialValue, params, T) => {
+  const mean = calculateExpectedValue(process, initialValue, params, T);
+
+  switch (process) {
+    case 'gbm': {
+      const { drift, sigma } = params;
+      return {
+        ...calculateLognormalStatistics(initialValue, drift, sigma, T),
+        density: (x) => calculateLognormalDensity(x, initialValue, drift, sigma, T),
+        probabilityAbove: (K) => calculateExerciseProbability('call', initialValue, K, drift, T, sigma)
+      };
+    }
+    case 'abm':
+      return getNormalDistribution(mean, params.sigma * Math.sqrt(T));
+    case 'ou': {
+      const { meanReversion, sigma } = params;
+      return getNormalDistribution(
+        mean,
+        sigma * Math.sqrt((1 - Math.exp(-2 * meanReversion * T)) / (2 * meanReversion))
+      );
+    }
+    case 'merton': {
+      // Given n jumps, ln S(T) is normal, so S(T) is a Poisson mixture of log-normals
+      const { drift, sigma, jumpIntensity, jumpMean, jumpVolatility } = params;
+      const compensatedDrift = drift - jumpIntensity * getJumpCompensator(params);
+      const components = getJumpCountWeights(jumpIntensity * T).map((weight, n) => ({
+        weight,
+        logMean: Math.log(initialValue) + (compensatedDrift - 0.5 * sigma * sigma) * T + n * jumpMean,
+        logDeviation: Math.sqrt(sigma * sigma * T + n * jumpVolatility * jumpVolatility)
+      }));
+      const secondMoment = initialValue * initialValue * Math.exp(
+        2 * compensatedDrift * T + sigma * sigma * T
+        + jumpIntensity * T * (Math.exp(2 * jumpMean + 2 * jumpVolatility * jumpVolatility) - 1)
+      );
+
+      return {
+        mean,
+        standardDeviation: Math.sqrt(Math.max(0, secondMoment - mean * mean)),
+        skewness: null,
+        percentiles: null,
+        density: (x) => (x <= 0 ? 0 : components.reduce((sum, { weight, logMean, logDeviation }) => (
+          sum + weight * pdf((Math.log(x) - logMean) / logDeviation) / (x * logDeviation)
+        ), 0)),
+        probabilityAbove: (K) => components.reduce((sum, { weight, logMean, logDeviation }) => (
+          sum + weight * cdf((logMean - Math.log(K)) / logDeviation)
+        ), 0)
+      };
+    }
+    default:
+      return {
+        mean,
+        standardDeviation: null,
+        skewness: null,
+        percentiles: null,
+        density: null,
+        probabilityAbove: null
+      };
+  }
+};
+
+/**
+ * Replace the drift of a process with its risk-neutral value, so that E[S(T)] is the forward
+ * S × e^((r - q)T); the mean-reverting process does this through its long-run level
+ * @param {string} process - Process key of STOCHASTIC_PROCESSES
+ * @param {Object} params - Process parameters
+ * @param {number} S - Current underlying price
+ * @param {number} r - Risk-free interest rate (decimal form)
+ * @param {number} q - Continuous dividend yield (decimal form)
+ * @param {number} T - Time to maturity (in years)
+ * @returns {Object} Risk-neutral process parameters
+ */
+export const getRiskNeutralParameters = (process, params, S, r, q, T) => {
+  const forward = S * Math.exp((r - q) * T);
+
+  switch (process) {
+    case 'abm':
+      return { ...params, drift: (forward - S) / T };
+    case 'ou': {
+      const decay = Math.exp(-params.meanReversion * T);
+      return { ...params, longRunLevel: (forward - S * decay) / (1 - decay) };
+    }
+    default:
+      return { ...params, drift: r - q };
+  }
+};
+
+/**
+ * Closed-form price of a European option under a process with risk-neutral parameters,
+ * where one exists: Black-Scholes for GBM, Merton's series for jump-diffusion and the
+ * Bachelier formula for the normally distributed processes
+ * @param {string} type - Option type ('call' or 'put')
+ * @param {string} process - Process key of STOCHASTIC_PROCESSES
+ * @param {number} S - Current underlying price
+ * @param {number} K - Strike price
+ * @param {number} r - Risk-free interest rate (decimal form)
+ * @param {number} T - Time to maturity (in years)
+ * @param {number} q - Continuous dividend yield (decimal form)
+ * @param {Object} params - Risk-neutral process parameters (see getRiskNeutralParameters)
+ * @returns {number|null} Option price, or null without a closed form (Heston)
+ */
+export const calculateProcessOptionPrice = (type, process, S, K, r, T, q, params) => {
+  switch (process) {
+    case 'gbm':
+      return calculateOptionPrice(type, S, K, r, T, params.sigma, q);
+    case 'merton': {
+      // Sum of Black-Scholes prices given n jumps, weighted by Poisson(λ(1 + k)T)
+      const { sigma, jumpIntensity, jumpMean, jumpVolatility } = params;
+      const k = getJumpCompensator(params);
+      const logJump = jumpMean + 0.5 * jumpVolatility * jumpVolatility;
+      return getJumpCountWeights(jumpIntensity * (1 + k) * T).reduce((sum, weight, n) => {
+        const rateN = r - jumpIntensity * k + (n * logJump) / T;
+        const sigmaN = Math.sqrt(sigma * sigma + (n * jumpVolatility * jumpVolatility) / T);
+        return sum + weight * calculateOptionPrice(type, S, K, rateN, T, sigmaN, q);
+      }, 0);
+    }
+    case 'abm':
+    case 'ou': {
+      const { mean, standardDeviation } = calculateTerminalDistribution(process, S, params, T);
+      const d = (mean - K) / standardDeviation;
+      const call = Math.exp(-r * T) * ((mean - K) * cdf(d) + standardDeviation * pdf(d));
+      return type === 'call' ? call : call - Math.exp(-r * T) * (mean - K);
+    }
+    default:
+      return null;
+  }
+};
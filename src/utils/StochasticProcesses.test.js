@@ -0,0 +1,80 @@
+import {
+  getDefaultProcessParameters,
+  generateProcessPath,
+  createTerminalSampler,
+  calculateExpectedValue,
+  calculateTerminalDistribution,
+  getRiskNeutralParameters,
+  calculateProcessOptionPrice
+} from './StochasticProcesses';
+import { calculateMonteCarloPrice } from './MonteCarlo';
+import { calculateOptionPrice } from './BlackScholes';
+import { createNormalGenerator, createRandom } from './Random';
+
+const defaults = getDefaultProcessParameters();
+
+// Monte Carlo price of a call on S = 100, K = 95 under a process with risk-neutral parameters
+const simulateCall = (process, params, seed) => {
+  const random = createRandom(seed);
+  const riskNeutral = getRiskNeutralParameters(process, params, 100, 0.05, 0.02, 1);
+  const result = calculateMonteCarloPrice('call', 100, 95, 0.05, 1, 0.2, 0.02, {
+    paths: 40000,
+    normal: createNormalGenerator(random),
+    sampleTerminal: createTerminalSampler(process, 100, riskNeutral, 1, 50, random)
+  });
+  return { result, exact: calculateProcessOptionPrice('call', process, 100, 95, 0.05, 1, 0.02, riskNeutral) };
+};
+
+describe('generateProcessPath', () => {
+  test('starts at the initial value and reverts towards the long-run level', () => {
+    const path = generateProcessPath('ou', 150, defaults.ou, 5, 100, () => 0);
+    expect(path).toHaveLength(101);
+    expect(path[0].value).toBe(150);
+    expect(path[100].value).toBeCloseTo(calculateExpectedValue('ou', 150, defaults.ou, 5), 8);
+  });
+});
+
+describe('getRiskNeutralParameters', () => {
+  test('sets the expected terminal value to the forward', () => {
+    const forward = 100 * Math.exp(0.03);
+    ['gbm', 'abm', 'merton', 'heston', 'ou'].forEach((process) => {
+      const params = getRiskNeutralParameters(process, defaults[process], 100, 0.05, 0.02, 1);
+      expect(calculateExpectedValue(process, 100, params, 1)).toBeCloseTo(forward, 8);
+    });
+  });
+});
+
+describe('calculateProcessOptionPrice', () => {
+  test('reduces Merton to Black-Scholes without jumps', () => {
+    const params = { ...defaults.merton, jumpIntensity: 0 };
+    expect(calculateProcessOptionPrice('put', 'merton', 100, 95, 0.05, 1, 0.02, params))
+      .toBeCloseTo(calculateOptionPrice('put', 100, 95, 0.05, 1, 0.2, 0.02), 10);
+  });
+
+  test.each(['merton', 'abm', 'ou'])('agrees with a simulation of the %s process', (process) => {
+    const { result, exact } = simulateCall(process, defaults[process], 5);
+    expect(Math.abs(result.price - exact)).toBeLessThan(3 * result.standardError);
+  });
+
+  test('prices Heston near Black-Scholes when the variance barely moves', () => {
+    const params = { ...defaults.heston, volOfVol: 0.01 };
+    const { result, exact } = simulateCall('heston', params, 9);
+    expect(exact).toBeNull();
+    expect(Math.abs(result.price - calculateOptionPrice('call', 100, 95, 0.05, 1, 0.2, 0.02)))
+      .toBeLessThan(3 * result.standardError + 0.02);
+  });
+});
+
+describe('calculateTerminalDistribution', () => {
+  test('gives a Merton density that integrates to one and matches its tail probability', () => {
+    const { density, probabilityAbove } = calculateTerminalDistribution('merton', 100, defaults.merton, 1);
+    let total = 0;
+    let above = 0;
+    for (let x = 0.25; x < 600; x += 0.5) {
+      total += density(x) * 0.5;
+      if (x > 110) above += density(x) * 0.5;
+    }
+    expect(total).toBeCloseTo(1, 3);
+    expect(above).toBeCloseTo(probabilityAbove(110), 3);
+  });
+});
@@ -0,0 +1,329 @@
+import { calculateExerciseProbability } from './BlackScholes';
+import { calculateModelPrice, calculateModelGreeks, getModelInputs } from './PricingModels';
+import { getSurfaceVolatility } from './VolatilityFitting';
+
+// Instruments a strategy leg can hold
+export const LEG_INSTRUMENTS = {
+  call: 'Call',
+  put: 'Put',
+  underlying: 'Underlying'
+};
+
+const roundStrike = (strike) => Math.round(strike * 100) / 100;
+
+// Shifted volatilities are floored just above zero, where the pricing formulas still hold
+const shiftVolatility = (volatility, shift) => (shift === 0 ? volatility : Math.max(1e-4, volatility + shift));
+
+// Strategy templates, built around the current strike and maturity. Wings are placed
+// 10% of the strike away from the centre.
+export const STRATEGY_TEMPLATES = {
+  bullCallSpread: {
+    label: 'Bull Call Spread',
+    legs: (K, T) => [
+      { instrument: 'call', position: 'long', quantity: 1, strike: roundStrike(K), expiry: T },
+      { instrument: 'call', position: 'short', quantity: 1, strike: roundStrike(K * 1.1), expiry: T }
+    ]
+  },
+  bearPutSpread: {
+    label: 'Bear Put Spread',
+    legs: (K, T) => [
+      { instrument: 'put', position: 'long', quantity: 1, strike: roundStrike(K), expiry: T },
+      { instrument: 'put', position: 'short', quantity: 1, strike: roundStrike(K * 0.9), expiry: T }
+    ]
+  },
+  straddle: {
+    label: 'Long Straddle',
+    legs: (K, T) => [
+      { instrument: 'call', position: 'long', quantity: 1, strike: roundStrike(K), expiry: T },
+      { instrument: 'put', position: 'long', quantity: 1, strike: roundStrike(K), expiry: T }
+    ]
+  },
+  strangle: {
+    label: 'Long Strangle',
+    legs: (K, T) => [
+      { instrument: 'call', position: 'long', quantity: 1, strike: roundStrike(K * 1.1), expiry: T },
+      { instrument: 'put', position: 'long', quantity: 1, strike: roundStrike(K * 0.9), expiry: T }
+    ]
+  },
+  butterfly: {
+    label: 'Call Butterfly',
+    legs: (K, T) => [
+      { instrument: 'call', position: 'long', quantity: 1, strike: roundStrike(K * 0.9), expiry: T },
+      { instrument: 'call', position: 'short', quantity: 2, strike: roundStrike(K), expiry: T },
+      { instrument: 'call', position: 'long', quantity: 1, strike: roundStrike(K * 1.1), expiry: T }
+    ]
+  },
+  ironCondor: {
+    label: 'Iron Condor',
+    legs: (K, T) => [
+      { instrument: 'put', position: 'long', quantity: 1, strike: roundStrike(K * 0.8), expiry: T },
+      { instrument: 'put', position: 'short', quantity: 1, strike: roundStrike(K * 0.9), expiry: T },
+      { instrument: 'call', position: 'short', quantity: 1, strike: roundStrike(K * 1.1), expiry: T },
+      { instrument: 'call', position: 'long', quantity: 1, strike: roundStrike(K * 1.2), expiry: T }
+    ]
+  },
+  calendar: {
+    label: 'Call Calendar',
+    legs: (K, T) => [
+      { instrument: 'call', position: 'short', quantity: 1, strike: roundStrike(K), expiry: T / 2 },
+      { instrument: 'call', position: 'long', quantity: 1, strike: roundStrike(K), expiry: T }
+    ]
+  },
+  coveredCall: {
+    label: 'Covered Call',
+    legs: (K, T) => [
+      { instrument: 'underlying', position: 'long', quantity: 1, strike: 0, expiry: 0 },
+      { instrument: 'call', position: 'short', quantity: 1, strike: roundStrike(K * 1.1), expiry: T }
+    ]
+  }
+};
+
+/**
+ * Signed quantity of a leg: positive when long, negative when short
+ * @param {Object} leg - Strategy leg
+ * @returns {number} Signed quantity
+ */
+export const getLegQuantity = (leg) => (leg.position === 'short' ? -leg.quantity : leg.quantity);
+
+/**
+ * Legs that can be valued: a finite quantity and, for options, a positive strike and a
+ * finite expiry. Legs with a field cleared in the builder are left out until it is filled.
+ * @param {Array} legs - Strategy legs
+ * @returns {Array} Valid legs
+ */
+export const getValidLegs = (legs) => legs.filter((leg) => (
+  Number.isFinite(leg.quantity)
+    && (leg.instrument === 'underlying' || (leg.strike > 0 && Number.isFinite(leg.expiry)))
+));
+
+/**
+ * Time until the first option leg expires, where the expiry payoff is measured
+ * @param {Array} legs - Strategy legs
+ * @returns {number} Horizon in years (0 if the strategy holds no options)
+ */
+export const getStrategyHorizon = (legs) => {
+  const expiries = legs.filter((leg) => leg.instrument !== 'underlying').map((leg) => leg.expiry);
+  return expiries.length > 0 ? Math.max(0, Math.min(...expiries)) : 0;
+};
+
+/**
+ * Parameters for pricing one option leg with the selected model, after time has passed
+ * @param {Object} leg - Strategy leg
+ * @param {Object} parameters - Parameters object from App
+ * @param {number} S - Underlying price
+ * @param {number} elapsed - Time already passed (in years)
+ * @param {number} volatilityShift - Shift added to the volatility (decimal form)
+ * @returns {Object} Parameters object for the leg
+ */
+const getLegParameters = (leg, parameters, S, elapsed, volatilityShift = 0) => ({
+  ...parameters,
+  // American legs are repriced at every point of the P&L and scenario grids, so they
+  // always use the binomial tree, which is far quicker than the PDE grid
+  americanEngine: 'binomial',
+  optionType: leg.instrument,
+  underlyingPrice: S,
+  strikePrice: leg.strike,
+  timeToMaturity: Math.max(0, leg.expiry - elapsed),
+  // A fitted smile gives each leg the volatility at its own strike and remaining maturity
+  volatility: shiftVolatility(
+    parameters.volatilityInput === 'surface' && parameters.volatilitySurface
+      ? getSurfaceVolatility(parameters.volatilitySurface, leg.strike, Math.max(leg.expiry - elapsed, 1e-6))
+      : parameters.volatility,
+    volatilityShift
+  ),
+  // Dividend dates are measured from the valuation date
+  dividends: (parameters.dividends || []).map((dividend) => ({ ...dividend, time: dividend.time - elapsed }))
+});
+
+/**
+ * Value of one unit of a leg
+ * @param {Object} leg - Strategy leg
+ * @param {Object} parameters - Parameters object from App
+ * @param {number} S - Underlying price
+ * @param {number} elapsed - Time already passed (in years)
+ * @param {number} volatilityShift - Shift added to the volatility (decimal form)
+ * @returns {number} Leg value per unit
+ */
+export const calculateLegValue = (leg, parameters, S = parameters.underlyingPrice, elapsed = 0, volatilityShift = 0) => {
+  if (leg.instrument === 'underlying') return S;
+  const legParameters = getLegParameters(leg, parameters, S, elapsed, volatilityShift);
+  // The tree needs a positive spot net of dividends. Without one an American leg is
+  // worth the better of exercising now and holding it to expiry.
+  if (legParameters.exerciseStyle === 'american' && legParameters.timeToMaturity > 0 && getModelInputs(legParameters).S <= 0) {
+    const intrinsic = leg.instrument === 'call' ? S - leg.strike : leg.strike - S;
+    return Math.max(intrinsic, calculateModelPrice({ ...legParameters, exerciseStyle: 'european' }));
+  }
+  return calculateModelPrice(legParameters);
+};
+
+/**
+ * Net premium of a strategy: positive when paid, negative when received
+ * @param {Array} legs - Strategy legs
+ * @param {Object} parameters - Parameters object from App
+ * @returns {number} Net premium
+ */
+export const calculateStrategyPrice = (legs, parameters) => (
+  legs.reduce((total, leg) => total + getLegQuantity(leg) * calculateLegValue(leg, parameters), 0)
+);
+
+/**
+ * Aggregate Greeks of a strategy, in the units of calculateGreeks
+ * @param {Array} legs - Strategy legs
+ * @param {Object} parameters - Parameters object from App
+ * @returns {Object} Object containing delta, gamma, theta, vega and rho
+ */
+export const calculateStrategyGreeks = (legs, parameters) => {
+  const totals = { delta: 0, gamma: 0, theta: 0, vega: 0, rho: 0 };
+
+  legs.forEach((leg) => {
+    const quantity = getLegQuantity(leg);
+    if (leg.instrument === 'underlying') {
+      totals.delta += quantity;
+      return;
+    }
+    const greeks = calculateModelGreeks(getLegParameters(leg, parameters, parameters.underlyingPrice, 0));
+    Object.keys(totals).forEach((greek) => {
+      totals[greek] += quantity * greeks[greek];
+    });
+  });
+
+  return totals;
+};
+
+/**
+ * Generate today's P&L and the P&L at the first expiry across underlying prices.
+ * Legs expiring later are valued with their remaining time at that date.
+ * @param {Array} legs - Strategy legs
+ * @param {Object} parameters - Parameters object from App
+ * @param {number} range - Range around the current price (decimal form)
+ * @param {number} points - Number of data points
+ * @returns {Array} Array of { underlyingPrice, todayPnL, expiryPnL } data points
+ */
+export const generateStrategyPnLData = (legs, parameters, range = 0.5, points = 100) => {
+  const { underlyingPrice } = parameters;
+  const cost = calculateStrategyPrice(legs, parameters);
+  const horizon = getStrategyHorizon(legs);
+
+  const valueAt = (S, elapsed) => legs.reduce(
+    (total, leg) => total + getLegQuantity(leg) * calculateLegValue(leg, parameters, S, elapsed),
+    0
+  );
+
+  const minPrice = underlyingPrice * (1 - range);
+  const maxPrice = underlyingPrice * (1 + range);
+  const step = (maxPrice - minPrice) / (points - 1);
+
+  const data = [];
+  for (let i = 0; i < points; i++) {
+    const S = minPrice + i * step;
+    data.push({
+      underlyingPrice: S,
+      todayPnL: valueAt(S, 0) - cost,
+      expiryPnL: valueAt(S, horizon) - cost
+    });
+  }
+
+  return data;
+};
+
+/**
+ * Express the option priced in the main panel as a single long leg
+ * @param {Object} parameters - Parameters object from App
+ * @returns {Object} Strategy leg
+ */
+export const getOptionLeg = (parameters) => ({
+  instrument: parameters.optionType,
+  position: 'long',
+  quantity: 1,
+  strike: parameters.strikePrice,
+  expiry: parameters.timeToMaturity
+});
+
+/**
+ * Find the breakevens, maximum profit and loss and the risk-neutral probability of
+ * profit of a position held to its first expiry. When every option leg expires
+ * together the P&L is piecewise linear between strikes, so the results are exact;
+ * otherwise later legs are valued on a grid of prices.
+ * @param {Array} legs - Strategy legs
+ * @param {Object} parameters - Parameters object from App
+ * @param {number} cost - Price paid for the position (defaults to the model price)
+ * @returns {Object} Object with horizon, breakevens, maxProfit, maxLoss (±Infinity when
+ *   unbounded) and probabilityOfProfit
+ */
+export const analyzeStrategy = (legs, parameters, cost = calculateStrategyPrice(legs, parameters)) => {
+  const horizon = getStrategyHorizon(legs);
+  const pnlAt = (S) => legs.reduce(
+    (total, leg) => total + getLegQuantity(leg) * calculateLegValue(leg, parameters, S, horizon),
+    0
+  ) - cost;
+
+  // Far above every strike only calls and the underlying keep moving with the price
+  const finalSlope = legs
+    .filter((leg) => leg.instrument !== 'put')
+    .reduce((total, leg) => total + getLegQuantity(leg), 0);
+
+  const optionLegs = legs.filter((leg) => leg.instrument !== 'underlying');
+  const strikes = optionLegs.map((leg) => leg.strike).filter((strike) => strike > 0);
+  let points = [0, ...strikes];
+
+  if (optionLegs.some((leg) => leg.expiry > horizon)) {
+    // Later legs still carry time value, so sample their curve on a log grid
+    const { S, T, sigma } = getModelInputs({ ...parameters, timeToMaturity: Math.max(...optionLegs.map((leg) => leg.expiry)) });
+    const spread = 5 * sigma * Math.sqrt(T);
+    for (let i = 0; i <= 200; i++) {
+      points.push(S * Math.exp(-spread + (2 * spread * i) / 200));
+    }
+  }
+  points = [...new Set(points)].sort((a, b) => a - b);
+  const values = points.map(pnlAt);
+
+  // Breakevens inside the sampled range, refined by bisection
+  const breakevens = [];
+  for (let i = 1; i < points.length; i++) {
+    if (values[i] === 0) {
+      breakevens.push(points[i]);
+    } else if (values[i - 1] !== 0 && Math.sign(values[i - 1]) !== Math.sign(values[i])) {
+      let low = points[i - 1];
+      let high = points[i];
+      for (let iteration = 0; iteration < 60; iteration++) {
+        const mid = (low + high) / 2;
+        if (Math.sign(pnlAt(mid)) === Math.sign(values[i - 1])) {
+          low = mid;
+        } else {
+          high = mid;
+        }
+      }
+      breakevens.push((low + high) / 2);
+    }
+  }
+
+  // Beyond the last point the P&L moves linearly with the final slope
+  const lastPoint = points[points.length - 1];
+  const lastValue = values[values.length - 1];
+  if (finalSlope !== 0 && Math.sign(lastValue) === -Math.sign(finalSlope)) {
+    breakevens.push(lastPoint - lastValue / finalSlope);
+  }
+
+  const maxProfit = finalSlope > 0 ? Infinity : Math.max(...values);
+  const maxLoss = finalSlope < 0 ? -Infinity : Math.min(...values);
+
+  // Add up the probability of every price interval that ends in profit
+  const { S, r, q, sigma } = getModelInputs({ ...parameters, timeToMaturity: horizon });
+  const probabilityAbove = (level) => {
+    if (level <= 0) return 1;
+    if (level === Infinity) return 0;
+    return calculateExerciseProbability('call', S, level, r, horizon, sigma, q);
+  };
+  const edges = [0, ...breakevens, Infinity];
+  let probabilityOfProfit = 0;
+  for (let i = 1; i < edges.length; i++) {
+    const probe = edges[i] === Infinity
+      ? Math.max(edges[i - 1], lastPoint) * 2 + 1
+      : (edges[i - 1] + edges[i]) / 2;
+    if (pnlAt(probe) > 0) {
+      probabilityOfProfit += probabilityAbove(edges[i - 1]) - probabilityAbove(edges[i]);
+    }
+  }
+
+  return { horizon, breakevens, maxProfit, maxLoss, probabilityOfProfit };
+};
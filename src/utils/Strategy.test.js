@@ -0,0 +1,118 @@
+import {
+  STRATEGY_TEMPLATES,
+  analyzeStrategy,
+  calculateStrategyGreeks,
+  calculateStrategyPrice,
+  generateStrategyPnLData,
+  getOptionLeg,
+  getStrategyHorizon,
+  getValidLegs
+} from './Strategy';
+import { calculateExerciseProbability, calculateGreeks, calculateOptionPrice } from './BlackScholes';
+import { calculateBinomialPrice } from './BinomialTree';
+
+const parameters = {
+  model: 'black-scholes',
+  optionType: 'call',
+  underlyingPrice: 100,
+  strikePrice: 100,
+  timeToMaturity: 1,
+  volatility: 0.2,
+  riskFreeRate: 0.05,
+  dividendYield: 0,
+  dividends: []
+};
+
+describe('strategy pricing', () => {
+  test('prices a straddle as the sum of its legs', () => {
+    const legs = STRATEGY_TEMPLATES.straddle.legs(100, 1);
+    const expected = calculateOptionPrice('call', 100, 100, 0.05, 1, 0.2) + calculateOptionPrice('put', 100, 100, 0.05, 1, 0.2);
+    expect(calculateStrategyPrice(legs, parameters)).toBeCloseTo(expected, 10);
+  });
+
+  test('nets the Greeks of long and short legs', () => {
+    const legs = STRATEGY_TEMPLATES.coveredCall.legs(100, 1);
+    const callGreeks = calculateGreeks('call', 100, 110, 0.05, 1, 0.2);
+    const greeks = calculateStrategyGreeks(legs, parameters);
+    expect(greeks.delta).toBeCloseTo(1 - callGreeks.delta, 10);
+    expect(greeks.vega).toBeCloseTo(-callGreeks.vega, 10);
+  });
+
+  test('bounds the expiry P&L of a bull call spread', () => {
+    const legs = STRATEGY_TEMPLATES.bullCallSpread.legs(100, 1);
+    const cost = calculateStrategyPrice(legs, parameters);
+    const data = generateStrategyPnLData(legs, parameters, 0.5, 51);
+    expect(data[0].expiryPnL).toBeCloseTo(-cost, 10);
+    expect(data[data.length - 1].expiryPnL).toBeCloseTo(10 - cost, 10);
+  });
+
+  test('values American legs on the binomial tree', () => {
+    const american = { ...parameters, exerciseStyle: 'american', americanEngine: 'crank-nicolson' };
+    const legs = STRATEGY_TEMPLATES.bearPutSpread.legs(100, 1);
+    const expected = legs.reduce((total, leg) => (
+      total + (leg.position === 'long' ? 1 : -1) * calculateBinomialPrice('put', 100, leg.strike, 0.05, 1, 0.2)
+    ), 0);
+    expect(calculateStrategyPrice(legs, american)).toBeCloseTo(expected, 10);
+    const analysis = analyzeStrategy(STRATEGY_TEMPLATES.calendar.legs(100, 1), american);
+    expect(analysis.breakevens).toHaveLength(2);
+  });
+
+  test('leaves out legs with a cleared field', () => {
+    const legs = STRATEGY_TEMPLATES.coveredCall.legs(100, 1);
+    expect(getValidLegs(legs)).toEqual(legs);
+    expect(getValidLegs([{ ...legs[0], quantity: NaN }, legs[1]])).toEqual([legs[1]]);
+    expect(getValidLegs([legs[0], { ...legs[1], strike: NaN }, { ...legs[1], expiry: NaN }])).toEqual([legs[0]]);
+  });
+
+  test('measures calendar spreads at the first expiry', () => {
+    expect(getStrategyHorizon(STRATEGY_TEMPLATES.calendar.legs(100, 1))).toBe(0.5);
+    expect(getStrategyHorizon([{ instrument: 'underlying', position: 'long', quantity: 1, strike: 0, expiry: 0 }])).toBe(0);
+  });
+});
+
+describe('analyzeStrategy', () => {
+  test('finds the breakeven and unbounded profit of a long call', () => {
+    const premium = calculateOptionPrice('call', 100, 100, 0.05, 1, 0.2);
+    const analysis = analyzeStrategy([getOptionLeg(parameters)], parameters, premium);
+    expect(analysis.breakevens).toHaveLength(1);
+    expect(analysis.breakevens[0]).toBeCloseTo(100 + premium, 8);
+    expect(analysis.maxProfit).toBe(Infinity);
+    expect(analysis.maxLoss).toBeCloseTo(-premium, 10);
+    expect(analysis.probabilityOfProfit).toBeCloseTo(
+      calculateExerciseProbability('call', 100, 100 + premium, 0.05, 1, 0.2), 8
+    );
+  });
+
+  test('bounds a short put by the strike', () => {
+    const leg = { instrument: 'put', position: 'short', quantity: 1, strike: 100, expiry: 1 };
+    const premium = calculateOptionPrice('put', 100, 100, 0.05, 1, 0.2);
+    const analysis = analyzeStrategy([leg], parameters);
+    expect(analysis.maxProfit).toBeCloseTo(premium, 10);
+    expect(analysis.maxLoss).toBeCloseTo(premium - 100, 10);
+    expect(analysis.breakevens[0]).toBeCloseTo(100 - premium, 8);
+  });
+
+  test('finds both breakevens of a straddle', () => {
+    const legs = STRATEGY_TEMPLATES.straddle.legs(100, 1);
+    const cost = calculateStrategyPrice(legs, parameters);
+    const analysis = analyzeStrategy(legs, parameters);
+    expect(analysis.breakevens.map((level) => level.toFixed(6))).toEqual(
+      [(100 - cost).toFixed(6), (100 + cost).toFixed(6)]
+    );
+    expect(analysis.maxLoss).toBeCloseTo(-cost, 10);
+    expect(analysis.probabilityOfProfit).toBeCloseTo(
+      1 - calculateExerciseProbability('call', 100, 100 - cost, 0.05, 1, 0.2)
+        + calculateExerciseProbability('call', 100, 100 + cost, 0.05, 1, 0.2),
+      8
+    );
+  });
+
+  test('handles calendar spreads with a later leg', () => {
+    const analysis = analyzeStrategy(STRATEGY_TEMPLATES.calendar.legs(100, 1), parameters);
+    expect(analysis.horizon).toBe(0.5);
+    expect(analysis.breakevens).toHaveLength(2);
+    expect(analysis.breakevens[0]).toBeLessThan(100);
+    expect(analysis.breakevens[1]).toBeGreaterThan(100);
+    expect(Number.isFinite(analysis.maxProfit)).toBe(true);
+  });
+});
@@ -0,0 +1,105 @@
+import { generateSweepData } from './BlackScholes';
+
+/**
+ * Evaluate a pricing output over a 2D grid of two inputs
+ * @param {string} type - Option type ('call' or 'put')
+ * @param {Object} inputs - Base pricing inputs { S, K, r, T, sigma, q }
+ * @param {string} output - Output to evaluate ('price' or a Greek)
+ * @param {string} xInput - Input along the grid columns
+ * @param {Array} xValues - Values of the column input
+ * @param {string} yInput - Input along the grid rows
+ * @param {Array} yValues - Values of the row input
+ * @param {Function} evaluate - Calculates the outputs from (type, inputs)
+ * @returns {Object} Object with xValues, yValues, values (values[row][column]), min and max
+ */
+export const generateSurfaceData = (type, inputs, output, xInput, xValues, yInput, yValues, evaluate) => {
+  const values = generateSweepData(type, inputs, output, xInput, xValues, yInput, yValues, evaluate)
+    .map(({ data }) => data.map(({ y }) => y));
+  const finiteValues = values.flat().filter(Number.isFinite);
+
+  return {
+    xValues,
+    yValues,
+    values,
+    min: Math.min(...finiteValues),
+    max: Math.max(...finiteValues)
+  };
+};
+
+/**
+ * Trace a contour line through a grid with marching squares
+ * @param {Array} values - Grid values, values[row][column]
+ * @param {number} level - Contour level
+ * @returns {Array} Line segments as { x1, y1, x2, y2 } in fractional column/row indices
+ */
+export const calculateContourSegments = (values, level) => {
+  const segments = [];
+
+  // Point on the edge between two grid nodes where the value crosses the level
+  const crossing = (x1, y1, v1, x2, y2, v2) => {
+    const t = (level - v1) / (v2 - v1);
+    return { x: x1 + t * (x2 - x1), y: y1 + t * (y2 - y1) };
+  };
+
+  for (let row = 0; row < values.length - 1; row++) {
+    for (let col = 0; col < values[row].length - 1; col++) {
+      const corners = [
+        { x: col, y: row, v: values[row][col] },
+        { x: col + 1, y: row, v: values[row][col + 1] },
+        { x: col + 1, y: row + 1, v: values[row + 1][col + 1] },
+        { x: col, y: row + 1, v: values[row + 1][col] }
+      ];
+      if (corners.some(({ v }) => !Number.isFinite(v))) continue;
+
+      // Crossings on the four cell edges, in order around the cell
+      const points = [];
+      corners.forEach((corner, i) => {
+        const next = corners[(i + 1) % 4];
+        if ((corner.v < level) !== (next.v < level)) {
+          points.push(crossing(corner.x, corner.y, corner.v, next.x, next.y, next.v));
+        }
+      });
+
+      // Two crossings make one segment; four (a saddle) make two
+      for (let i = 0; i + 1 < points.length; i += 2) {
+        segments.push({ x1: points[i].x, y1: points[i].y, x2: points[i + 1].x, y2: points[i + 1].y });
+      }
+    }
+  }
+
+  return segments;
+};
+
+/**
+ * Project a point of the unit cube onto the screen for the 3D view (orthographic)
+ * @param {number} x - Horizontal coordinate in [-1, 1]
+ * @param {number} y - Depth coordinate in [-1, 1]
+ * @param {number} z - Height coordinate in [-1, 1]
+ * @param {number} azimuth - Rotation around the vertical axis (degrees)
+ * @param {number} elevation - Viewing angle above the horizontal plane (degrees)
+ * @returns {Object} Object with screen x, screen y (up is negative) and depth (larger is nearer)
+ */
+export const projectPoint = (x, y, z, azimuth, elevation) => {
+  const a = (azimuth * Math.PI) / 180;
+  const e = (elevation * Math.PI) / 180;
+
+  const rotatedX = x * Math.cos(a) - y * Math.sin(a);
+  const rotatedY = x * Math.sin(a) + y * Math.cos(a);
+
+  // The rotated depth axis points toward the viewer, so it tilts down the screen
+  return {
+    x: rotatedX,
+    y: rotatedY * Math.sin(e) - z * Math.cos(e),
+    depth: rotatedY * Math.cos(e) + z * Math.sin(e)
+  };
+};
+
+/**
+ * Map a value in [0, 1] onto the blue-to-red color scale used by the charts
+ * @param {number} t - Position on the scale
+ * @returns {string} HSL color
+ */
+export const getSurfaceColor = (t) => {
+  const clamped = Math.min(1, Math.max(0, Number.isFinite(t) ? t : 0));
+  return `hsl(${240 - clamped * 240}, 80%, 50%)`;
+};
@@ -0,0 +1,45 @@
+import { calculateContourSegments, generateSurfaceData, projectPoint } from './Surface';
+import { calculateOptionPrice } from './BlackScholes';
+
+describe('generateSurfaceData', () => {
+  test('evaluates the output at every grid node', () => {
+    const inputs = { S: 100, K: 100, r: 0.05, T: 1, sigma: 0.2, q: 0 };
+    const surface = generateSurfaceData('call', inputs, 'price', 'S', [90, 100, 110], 'T', [0.5, 1]);
+
+    expect(surface.values).toHaveLength(2);
+    expect(surface.values[1]).toHaveLength(3);
+    expect(surface.values[0][2]).toBeCloseTo(calculateOptionPrice('call', 110, 100, 0.05, 0.5, 0.2), 10);
+    expect(surface.min).toBe(surface.values[0][0]);
+    expect(surface.max).toBe(surface.values[1][2]);
+  });
+});
+
+describe('calculateContourSegments', () => {
+  test('interpolates where a plane crosses the level', () => {
+    // values = column index, so the level 0.5 is the vertical line x = 0.5
+    const segments = calculateContourSegments([[0, 1, 2], [0, 1, 2], [0, 1, 2]], 0.5);
+
+    expect(segments).toHaveLength(2);
+    segments.forEach((segment) => {
+      expect(segment.x1).toBeCloseTo(0.5, 10);
+      expect(segment.x2).toBeCloseTo(0.5, 10);
+    });
+  });
+
+  test('returns no segments for a level outside the grid', () => {
+    expect(calculateContourSegments([[0, 1], [1, 2]], 5)).toEqual([]);
+  });
+});
+
+describe('projectPoint', () => {
+  test('looks straight down at 90 degrees of elevation', () => {
+    const point = projectPoint(0.5, -0.25, 1, 0, 90);
+    expect(point.x).toBeCloseTo(0.5, 10);
+    expect(point.y).toBeCloseTo(-0.25, 10);
+    expect(point.depth).toBeCloseTo(1, 10);
+  });
+
+  test('puts higher points further up the screen from the side', () => {
+    expect(projectPoint(0, 0, 1, 30, 0).y).toBeLessThan(projectPoint(0, 0, -1, 30, 0).y);
+  });
+});
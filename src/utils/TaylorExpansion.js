@@ -0,0 +1,108 @@
+import { calculateOptionPrice, calculateGreeks } from './BlackScholes';
+import {
+  FINITE_DIFFERENCE_SCHEMES,
+  FINITE_DIFFERENCE_PRICERS,
+  calculateFiniteDifferenceGreeks
+} from './FiniteDifferenceGreeks';
+
+// Taylor approximations of the option value around the current spot, by the Greeks they use
+export const TAYLOR_APPROXIMATIONS = {
+  firstOrder: { label: 'Delta', color: '#ff7300' },
+  secondOrder: { label: 'Delta + Gamma', color: '#82ca9d' },
+  full: { label: 'Delta + Gamma + Theta + Vega', color: '#e91e63' }
+};
+
+// Greeks the expansion is built from, bumped by the finite-difference engine
+const TAYLOR_GREEKS = ['delta', 'gamma', 'theta', 'vega'];
+
+/**
+ * Taylor approximations of the option value after a move in the underlying, time and
+ * volatility, from the Greeks at the starting point (theta per day, vega per 1% volatility)
+ * @param {number} value - Option value at the starting point
+ * @param {Object} greeks - Greeks at the starting point
+ * @param {number} spotMove - Change in the underlying price
+ * @param {number} days - Days passed, in the units of theta
+ * @param {number} volatilityShift - Shift in the volatility (decimal form)
+ * @returns {Object} Object with firstOrder, secondOrder and full approximations
+ */
+export const calculateTaylorApproximations = (value, greeks, spotMove, days = 0, volatilityShift = 0) => {
+  const firstOrder = value + greeks.delta * spotMove;
+  const secondOrder = firstOrder + 0.5 * greeks.gamma * spotMove * spotMove;
+  return {
+    firstOrder,
+    secondOrder,
+    full: secondOrder + greeks.theta * days + greeks.vega * volatilityShift * 100
+  };
+};
+
+/**
+ * Option value across underlying prices after a number of days and a volatility shift,
+ * against its Taylor approximations around the current spot
+ * @param {string} type - Option type ('call' or 'put')
+ * @param {number} S - Current stock price
+ * @param {number} K - Strike price
+ * @param {number} r - Risk-free interest rate (decimal form)
+ * @param {number} T - Time to maturity (in years)
+ * @param {number} sigma - Volatility (decimal form)
+ * @param {number} q - Continuous dividend yield (decimal form)
+ * @param {Object} options - { range, points, days, volatilityShift, daysPerYear }; range is
+ *   relative to S and daysPerYear sets the length of a day (365 by default)
+ * @returns {Array} Data points as { underlyingPrice, optionPrice, firstOrder, secondOrder, full }
+ *   with the error of each approximation as firstOrderError, secondOrderError and fullError
+ */
+export const generateTaylorExpansionData = (type, S, K, r, T, sigma, q = 0, options = {}) => {
+  const { range = 0.3, points = 61, days = 0, volatilityShift = 0, daysPerYear = 365 } = options;
+  const price = FINITE_DIFFERENCE_PRICERS.blackScholes.create(type);
+  const value = price({ S, K, r, T, sigma, q });
+  const greeks = calculateFiniteDifferenceGreeks(price, { S, K, r, T, sigma, q }, {
+    greeks: TAYLOR_GREEKS,
+    daysPerYear
+  });
+  const remaining = Math.max(0, T - days / daysPerYear);
+  const shiftedVolatility = Math.max(1e-4, sigma + volatilityShift);
+
+  const minPrice = Math.max(0.01, S * (1 - range));
+  const step = (S * (1 + range) - minPrice) / (points - 1);
+
+  return Array.from({ length: points }, (_, i) => {
+    const underlyingPrice = minPrice + i * step;
+    const optionPrice = calculateOptionPrice(type, underlyingPrice, K, r, remaining, shiftedVolatility, q);
+    const approximations = calculateTaylorApproximations(value, greeks, underlyingPrice - S, days, volatilityShift);
+
+    const point = { underlyingPrice, optionPrice, ...approximations };
+    Object.keys(approximations).forEach((key) => {
+      point[`${key}Error`] = approximations[key] - optionPrice;
+    });
+    return point;
+  });
+};
+
+/**
+ * Absolute error of the finite-difference delta of each scheme, bumped by the engine, against the analytic delta
+ * as the bump shrinks, showing truncation error for large bumps and round-off for small ones
+ * @param {string} type - Option type ('call' or 'put')
+ * @param {number} S - Current stock price
+ * @param {number} K - Strike price
+ * @param {number} r - Risk-free interest rate (decimal form)
+ * @param {number} T - Time to maturity (in years)
+ * @param {number} sigma - Volatility (decimal form)
+ * @param {number} q - Continuous dividend yield (decimal form)
+ * @param {Array} bumps - Bump sizes in units of the underlying
+ * @returns {Array} Data points as { bump, forward, backward, central }
+ */
+export const generateBumpErrorData = (type, S, K, r, T, sigma, q, bumps) => {
+  const price = FINITE_DIFFERENCE_PRICERS.blackScholes.create(type);
+  const { delta } = calculateGreeks(type, S, K, r, T, sigma, q);
+
+  return bumps.map((bump) => {
+    const point = { bump };
+    Object.keys(FINITE_DIFFERENCE_SCHEMES).forEach((scheme) => {
+      // The engine bumps the spot relative to its value
+      const estimate = calculateFiniteDifferenceGreeks(price, { S, K, r, T, sigma, q }, {
+        scheme, bumps: { S: bump / S }, greeks: ['delta']
+      }).delta;
+      point[scheme] = Math.abs(estimate - delta);
+    });
+    return point;
+  });
+};
@@ -0,0 +1,59 @@
+import {
+  calculateTaylorApproximations,
+  generateTaylorExpansionData,
+  generateBumpErrorData
+} from './TaylorExpansion';
+import { calculateOptionPrice, calculateGreeks } from './BlackScholes';
+
+describe('generateTaylorExpansionData', () => {
+  test('approximations meet the price at the current spot and the second order is closer nearby', () => {
+    const data = generateTaylorExpansionData('call', 100, 100, 0.05, 1, 0.2, 0.02, { range: 0.1, points: 21 });
+    const centre = data[10];
+    expect(centre.underlyingPrice).toBeCloseTo(100, 10);
+    expect(centre.firstOrderError).toBeCloseTo(0, 10);
+    expect(centre.secondOrderError).toBeCloseTo(0, 10);
+
+    const up = data[12];
+    expect(Math.abs(up.secondOrderError)).toBeLessThan(Math.abs(up.firstOrderError) / 10);
+    expect(up.full).toBe(up.secondOrder);
+  });
+
+  test('theta and vega terms track the value after time passes and volatility shifts', () => {
+    const data = generateTaylorExpansionData('put', 100, 100, 0.05, 1, 0.2, 0, {
+      range: 0.1, points: 21, days: 5, volatilityShift: 0.01
+    });
+    const centre = data[10];
+    expect(centre.optionPrice).toBeCloseTo(calculateOptionPrice('put', 100, 100, 0.05, 1 - 5 / 365, 0.21, 0), 10);
+    expect(Math.abs(centre.fullError)).toBeLessThan(Math.abs(centre.secondOrderError) / 10);
+  });
+
+  test('days passed follow the day basis', () => {
+    const data = generateTaylorExpansionData('call', 100, 100, 0.05, 1, 0.2, 0, {
+      range: 0.1, points: 21, days: 5, daysPerYear: 252
+    });
+    const centre = data[10];
+    expect(centre.optionPrice).toBeCloseTo(calculateOptionPrice('call', 100, 100, 0.05, 1 - 5 / 252, 0.2, 0), 10);
+    expect(Math.abs(centre.fullError)).toBeLessThan(Math.abs(centre.secondOrderError) / 10);
+  });
+
+  test('bumped Greeks reproduce the expansion from the analytic Greeks', () => {
+    const data = generateTaylorExpansionData('call', 100, 110, 0.05, 0.5, 0.25, 0.01, {
+      range: 0.1, points: 21, days: 10, volatilityShift: 0.02
+    });
+    const analytic = calculateTaylorApproximations(
+      calculateOptionPrice('call', 100, 110, 0.05, 0.5, 0.25, 0.01),
+      calculateGreeks('call', 100, 110, 0.05, 0.5, 0.25, 0.01),
+      data[15].underlyingPrice - 100, 10, 0.02
+    );
+    expect(data[15].full).toBeCloseTo(analytic.full, 6);
+  });
+});
+
+describe('generateBumpErrorData', () => {
+  test('central differences converge faster until round-off takes over', () => {
+    const [large, medium, tiny] = generateBumpErrorData('call', 100, 100, 0.05, 1, 0.2, 0.02, [1, 0.1, 1e-10]);
+    expect(large.forward / medium.forward).toBeGreaterThan(5);
+    expect(large.central / medium.central).toBeGreaterThan(50);
+    expect(tiny.central).toBeGreaterThan(medium.central);
+  });
+});
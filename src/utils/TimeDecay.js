@@ -0,0 +1,104 @@
+import { calculateGreeks, calculateSweepOutputs } from './BlackScholes';
+import { TRADING_DAYS_PER_YEAR, addDays, isBusinessDay } from './DayCount';
+
+// How the time to maturity runs down as calendar days pass. daysPerYear is the default
+// length of a day; dated maturities take it from the day count instead (getThetaDaysPerYear).
+export const TIME_BASES = {
+  calendar: {
+    description: 'Every calendar day, weekends included, takes a day off the time to maturity',
+    daysPerYear: 365
+  },
+  trading: {
+    description: 'Only business days take a day off the time to maturity; over weekends and holidays '
+      + 'the valuation date is held fixed while the calendar moves on',
+    daysPerYear: TRADING_DAYS_PER_YEAR
+  }
+};
+
+// Remaining times below this count as expired, absorbing rounding in the day count
+const EXPIRY_TOLERANCE = 1e-10;
+
+/**
+ * Remaining time to maturity on each calendar day from the valuation date until expiry
+ * @param {number} T - Time to maturity (in years)
+ * @param {string} startDate - Valuation date as YYYY-MM-DD
+ * @param {string} timeBasis - Key of TIME_BASES
+ * @param {number} daysPerYear - Days in a year, in the units of T
+ * @param {string} calendar - Key of HOLIDAY_CALENDARS, for the trading-day basis
+ * @returns {Array} Days as { day, date (YYYY-MM-DD), remaining, decays }, where decays
+ *   tells whether the day took time off the option
+ */
+export const generateDecaySchedule = (
+  T, startDate, timeBasis = 'calendar', daysPerYear = TIME_BASES[timeBasis].daysPerYear, calendar = 'weekends'
+) => {
+  const schedule = [{ day: 0, date: startDate, remaining: Math.max(0, T), decays: false }];
+
+  let decayedDays = 0;
+  let remaining = T;
+  for (let day = 1; remaining > EXPIRY_TOLERANCE; day++) {
+    const date = addDays(startDate, day);
+    const decays = timeBasis === 'calendar' || isBusinessDay(date, calendar);
+    if (decays) {
+      decayedDays += 1;
+      remaining = T - decayedDays / daysPerYear;
+    }
+    schedule.push({ day, date, remaining: remaining > EXPIRY_TOLERANCE ? remaining : 0, decays });
+  }
+
+  return schedule;
+};
+
+/**
+ * Option value across underlying prices today and with less time remaining, beside the
+ * payoff at expiry
+ * @param {string} type - Option type ('call' or 'put')
+ * @param {number} S - Current stock price
+ * @param {number} K - Strike price
+ * @param {number} r - Risk-free interest rate (decimal form)
+ * @param {number} T - Time to maturity today (in years)
+ * @param {number} remaining - Time to maturity left (in years)
+ * @param {number} sigma - Volatility (decimal form)
+ * @param {number} q - Continuous dividend yield (decimal form)
+ * @param {number} range - Range around the current price (decimal form)
+ * @param {number} points - Number of data points
+ * @param {Function} evaluateToday - Calculates the outputs from (type, inputs) today, as in
+ *   generateSweepData; defaults to the Black-Scholes-Merton formulas
+ * @param {Function} evaluateLater - The same with the time left, for instance with the
+ *   dividend dates moved closer
+ * @returns {Array} Data points as { underlyingPrice, initialPrice, optionPrice, intrinsic }
+ */
+export const generateTimeDecayData = (
+  type, S, K, r, T, remaining, sigma, q = 0, range = 0.3, points = 61,
+  evaluateToday = calculateSweepOutputs, evaluateLater = evaluateToday
+) => {
+  const minPrice = S * (1 - range);
+  const step = (2 * S * range) / (points - 1);
+
+  return Array.from({ length: points }, (_, i) => {
+    const underlyingPrice = minPrice + i * step;
+    return {
+      underlyingPrice,
+      initialPrice: evaluateToday(type, { S: underlyingPrice, K, r, T, sigma, q }).price,
+      optionPrice: evaluateLater(type, { S: underlyingPrice, K, r, T: remaining, sigma, q }).price,
+      intrinsic: Math.max(0, type === 'call' ? underlyingPrice - K : K - underlyingPrice)
+    };
+  });
+};
+
+/**
+ * Theta per day of the time basis: per calendar day, or per trading day when only
+ * trading days run the option down
+ * @param {string} type - Option type ('call' or 'put')
+ * @param {number} S - Current stock price
+ * @param {number} K - Strike price
+ * @param {number} r - Risk-free interest rate (decimal form)
+ * @param {number} T - Time to maturity (in years)
+ * @param {number} sigma - Volatility (decimal form)
+ * @param {number} q - Continuous dividend yield (decimal form)
+ * @param {string} timeBasis - Key of TIME_BASES
+ * @param {number} daysPerYear - Days in a year, in the units of T
+ * @returns {number} Theta per day
+ */
+export const calculateThetaPerDay = (
+  type, S, K, r, T, sigma, q, timeBasis = 'calendar', daysPerYear = TIME_BASES[timeBasis].daysPerYear
+) => calculateGreeks(type, S, K, r, T, sigma, q, daysPerYear).theta;
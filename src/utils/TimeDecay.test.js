@@ -0,0 +1,79 @@
+import { generateDecaySchedule, generateTimeDecayData, calculateThetaPerDay } from './TimeDecay';
+import { calculateGreeks } from './BlackScholes';
+import { calculateModelPrice, getSweepEvaluator } from './PricingModels';
+
+// A Friday, so the first weekend comes on days 1 and 2
+const friday = '2025-01-03';
+
+describe('generateDecaySchedule', () => {
+  test('takes a calendar day off every day', () => {
+    const schedule = generateDecaySchedule(10 / 365, friday, 'calendar');
+    expect(schedule).toHaveLength(11);
+    expect(schedule[3].remaining).toBeCloseTo(7 / 365, 12);
+    expect(schedule[10].remaining).toBe(0);
+  });
+
+  test('holds the time to maturity over weekends on a trading-day basis', () => {
+    const schedule = generateDecaySchedule(5 / 252, friday, 'trading');
+    expect(schedule[1].decays).toBe(false);
+    expect(schedule[2].remaining).toBeCloseTo(5 / 252, 12);
+    expect(schedule[3].remaining).toBeCloseTo(4 / 252, 12);
+    // Five trading days from a Friday end on the next Friday
+    expect(schedule).toHaveLength(8);
+    expect(schedule[7].remaining).toBe(0);
+    expect(schedule[3].date).toBe('2025-01-06');
+  });
+
+  test('holds the time to maturity over holidays of the calendar', () => {
+    // Friday 17 January 2025 is followed by Martin Luther King Jr. Day
+    const weekends = generateDecaySchedule(2 / 252, '2025-01-17', 'trading', 252, 'weekends');
+    const nyse = generateDecaySchedule(2 / 252, '2025-01-17', 'trading', 252, 'nyse');
+    expect(weekends[3].decays).toBe(true);
+    expect(nyse[3].decays).toBe(false);
+    expect(nyse).toHaveLength(weekends.length + 1);
+  });
+
+  test('takes days of the maturity day count', () => {
+    const schedule = generateDecaySchedule(10 / 360, friday, 'calendar', 360);
+    expect(schedule).toHaveLength(11);
+    expect(schedule[3].remaining).toBeCloseTo(7 / 360, 12);
+  });
+});
+
+describe('generateTimeDecayData', () => {
+  test('collapses to the payoff at expiry', () => {
+    const data = generateTimeDecayData('put', 100, 100, 0.05, 0.5, 0, 0.2, 0.01);
+    data.forEach((point) => {
+      expect(point.optionPrice).toBeCloseTo(point.intrinsic, 10);
+      expect(point.initialPrice).toBeGreaterThan(0);
+    });
+  });
+
+  test('prices with the model evaluator, escrowing cash dividends', () => {
+    const parameters = {
+      model: 'black-scholes', optionType: 'call', exerciseStyle: 'european', underlyingPrice: 100,
+      strikePrice: 100, timeToMaturity: 1, volatility: 0.2, riskFreeRate: 0.05, dividendYield: 0,
+      dividends: [{ time: 0.5, amount: 2 }]
+    };
+    const data = generateTimeDecayData(
+      'call', 100, 100, 0.05, 1, 1, 0.2, 0, 0.3, 3, getSweepEvaluator(parameters)
+    );
+    expect(data[1].initialPrice).toBeCloseTo(calculateModelPrice(parameters), 10);
+    expect(data[1].optionPrice).toBeCloseTo(data[1].initialPrice, 10);
+  });
+
+  test('evaluates theta per day of the theta basis', () => {
+    const parameters = {
+      model: 'black-scholes', maturityInput: 'years', thetaBasis: 'trading', dividends: []
+    };
+    const { theta } = getSweepEvaluator(parameters)('call', { S: 100, K: 100, r: 0.05, T: 1, sigma: 0.2, q: 0 });
+    expect(theta).toBeCloseTo(calculateGreeks('call', 100, 100, 0.05, 1, 0.2, 0, 252).theta, 12);
+  });
+});
+
+describe('calculateThetaPerDay', () => {
+  test('spreads the annual decay over the days of the time basis', () => {
+    const { theta } = calculateGreeks('call', 100, 100, 0.05, 0.5, 0.2, 0);
+    expect(calculateThetaPerDay('call', 100, 100, 0.05, 0.5, 0.2, 0, 'trading')).toBeCloseTo(theta * 365 / 252, 12);
+  });
+});
@@ -0,0 +1,309 @@
+import { generateRange } from './BlackScholes';
+
+// Parametric smiles that can be fitted to each expiry of an option chain
+export const SMILE_MODELS = {
+  svi: {
+    label: 'Raw SVI',
+    description: 'Total variance w(k) = a + b(ρ(k − m) + √((k − m)² + σ²)) in log-moneyness k = ln(K/F)'
+  },
+  sabr: {
+    label: 'SABR',
+    description: "Hagan's lognormal volatility approximation with a fixed β"
+  }
+};
+
+// Fewest quotes that pin down each model's parameters
+const MIN_SLICE_POINTS = { svi: 5, sabr: 3 };
+
+// Tolerance for the arbitrage checks, so rounding noise is not flagged
+const ARBITRAGE_TOLERANCE = 1e-8;
+const ARBITRAGE_CHECK_POINTS = 50;
+
+/**
+ * Minimize a function with the Nelder-Mead simplex method
+ * @param {Function} f - Objective taking a parameter array
+ * @param {Array} start - Starting parameters
+ * @param {number} maxIterations - Iteration limit
+ * @param {number} tolerance - Stop when the simplex values agree to this relative tolerance
+ * @returns {Object} Object with x (best parameters) and value (objective at x)
+ */
+const minimizeNelderMead = (f, start, maxIterations = 2000, tolerance = 1e-10) => {
+  let simplex = [start, ...start.map((_, i) => start.map((x, j) => (i === j ? x + (x !== 0 ? 0.1 * x : 0.1) : x)))]
+    .map((x) => ({ x, value: f(x) }));
+
+  const combine = (a, b, weight) => a.map((value, i) => value + weight * (b[i] - value));
+
+  for (let iteration = 0; iteration < maxIterations; iteration++) {
+    simplex.sort((a, b) => a.value - b.value);
+    const best = simplex[0];
+    const worst = simplex[simplex.length - 1];
+    if (worst.value - best.value <= tolerance * (Math.abs(best.value) + 1e-20)) break;
+
+    const others = simplex.slice(0, -1);
+    const centroid = start.map((_, i) => others.reduce((sum, vertex) => sum + vertex.x[i], 0) / others.length);
+    const reflected = combine(centroid, worst.x, -1);
+    const reflectedValue = f(reflected);
+
+    if (reflectedValue < best.value) {
+      const expanded = combine(centroid, worst.x, -2);
+      const expandedValue = f(expanded);
+      simplex[simplex.length - 1] = expandedValue < reflectedValue
+        ? { x: expanded, value: expandedValue }
+        : { x: reflected, value: reflectedValue };
+    } else if (reflectedValue < simplex[simplex.length - 2].value) {
+      simplex[simplex.length - 1] = { x: reflected, value: reflectedValue };
+    } else {
+      const contracted = combine(centroid, worst.x, 0.5);
+      const contractedValue = f(contracted);
+      if (contractedValue < worst.value) {
+        simplex[simplex.length - 1] = { x: contracted, value: contractedValue };
+      } else {
+        // Shrink every vertex towards the best one
+        simplex = simplex.map((vertex, i) => {
+          if (i === 0) return vertex;
+          const x = combine(best.x, vertex.x, 0.5);
+          return { x, value: f(x) };
+        });
+      }
+    }
+  }
+
+  simplex.sort((a, b) => a.value - b.value);
+  return simplex[0];
+};
+
+/**
+ * Calculate the total implied variance of a raw SVI slice
+ * @param {Object} params - SVI parameters { a, b, rho, m, sigma }
+ * @param {number} k - Log-moneyness ln(K/F)
+ * @returns {number} Total variance σ²T
+ */
+export const calculateSviTotalVariance = ({ a, b, rho, m, sigma }, k) => (
+  a + b * (rho * (k - m) + Math.sqrt((k - m) ** 2 + sigma ** 2))
+);
+
+/**
+ * Calculate the SABR implied volatility with Hagan's lognormal approximation
+ * @param {Object} params - SABR parameters { alpha, beta, rho, nu }
+ * @param {number} F - Forward price
+ * @param {number} K - Strike price
+ * @param {number} T - Time to maturity (in years)
+ * @returns {number} Black-Scholes implied volatility
+ */
+export const calculateSabrVolatility = ({ alpha, beta, rho, nu }, F, K, T) => {
+  const logMoneyness = Math.log(F / K);
+  const scale = (F * K) ** ((1 - beta) / 2);
+  const z = (nu / alpha) * scale * logMoneyness;
+
+  // z / x(z) tends to 1 at the money
+  const x = Math.log((Math.sqrt(1 - 2 * rho * z + z * z) + z - rho) / (1 - rho));
+  const zOverX = Math.abs(z) < 1e-8 ? 1 : z / x;
+
+  const denominator = scale * (
+    1
+    + ((1 - beta) ** 2 / 24) * logMoneyness ** 2
+    + ((1 - beta) ** 4 / 1920) * logMoneyness ** 4
+  );
+  const timeCorrection = 1 + (
+    ((1 - beta) ** 2 / 24) * (alpha ** 2 / scale ** 2)
+    + (rho * beta * nu * alpha) / (4 * scale)
+    + ((2 - 3 * rho ** 2) / 24) * nu ** 2
+  ) * T;
+
+  return (alpha / denominator) * zOverX * timeCorrection;
+};
+
+/**
+ * Implied volatility of a fitted slice at a strike
+ * @param {Object} slice - Fitted slice from fitVolatilitySurface
+ * @param {number} K - Strike price
+ * @returns {number} Implied volatility
+ */
+export const getSliceVolatility = ({ model, params, forward, T }, K) => {
+  if (model === 'sabr') {
+    return calculateSabrVolatility(params, forward, K, T);
+  }
+  return Math.sqrt(Math.max(0, calculateSviTotalVariance(params, Math.log(K / forward))) / T);
+};
+
+/**
+ * Fit raw SVI to a smile by least squares in total variance
+ * @param {Object} smile - Smile from groupVolatilitySmiles
+ * @returns {Object} SVI parameters { a, b, rho, m, sigma }
+ */
+export const fitSviSlice = ({ T, forward, data }) => {
+  const points = data.map(({ strike, impliedVolatility }) => ({
+    k: Math.log(strike / forward),
+    w: impliedVolatility ** 2 * T
+  }));
+
+  // b, σ > 0 and |ρ| < 1 are kept by fitting their logs and the inverse tanh
+  const toParams = ([a, logB, atanhRho, m, logSigma]) => ({
+    a,
+    b: Math.exp(logB),
+    rho: Math.tanh(atanhRho),
+    m,
+    sigma: Math.exp(logSigma)
+  });
+
+  const objective = (x) => {
+    const params = toParams(x);
+    const error = points.reduce((sum, { k, w }) => sum + (calculateSviTotalVariance(params, k) - w) ** 2, 0);
+    // Penalize slices whose minimum variance a + bσ√(1 − ρ²) is negative
+    const minimumVariance = params.a + params.b * params.sigma * Math.sqrt(1 - params.rho ** 2);
+    return error + (minimumVariance < 0 ? minimumVariance ** 2 * 1e4 : 0);
+  };
+
+  // Restart from a few values of m, since the fit has local minima
+  const minVariance = Math.min(...points.map(({ w }) => w));
+  return toParams([-0.2, 0, 0.2].map((m) => (
+    minimizeNelderMead(objective, [minVariance / 2, Math.log(0.1), -0.3, m, Math.log(0.1)])
+  )).sort((a, b) => a.value - b.value)[0].x);
+};
+
+/**
+ * Fit SABR to a smile by least squares in implied volatility, with β held fixed
+ * @param {Object} smile - Smile from groupVolatilitySmiles
+ * @param {number} beta - CEV exponent β (1 is lognormal, 0 is normal)
+ * @returns {Object} SABR parameters { alpha, beta, rho, nu }
+ */
+export const fitSabrSlice = ({ T, forward, data }, beta = 1) => {
+  // α, ν > 0 and |ρ| < 1 are kept by fitting their logs and the inverse tanh
+  const toParams = ([logAlpha, atanhRho, logNu]) => ({
+    alpha: Math.exp(logAlpha),
+    beta,
+    rho: Math.tanh(atanhRho),
+    nu: Math.exp(logNu)
+  });
+
+  const objective = (x) => data.reduce((sum, { strike, impliedVolatility }) => {
+    const fitted = calculateSabrVolatility(toParams(x), forward, strike, T);
+    return sum + (Number.isFinite(fitted) ? (fitted - impliedVolatility) ** 2 : 1);
+  }, 0);
+
+  // Start α from the volatility nearest the money, scaled to the backbone F^(1−β)
+  const atm = data.reduce((nearest, point) => (
+    Math.abs(point.strike - forward) < Math.abs(nearest.strike - forward) ? point : nearest
+  ));
+  const alpha = atm.impliedVolatility * forward ** (1 - beta);
+
+  return toParams(minimizeNelderMead(objective, [Math.log(alpha), -0.3, Math.log(0.5)]).x);
+};
+
+/**
+ * Strikes where a slice's risk-neutral density is negative (butterfly arbitrage),
+ * from Gatheral's condition g(k) ≥ 0 on the total variance w(k)
+ * @param {Object} slice - Fitted slice from fitVolatilitySurface
+ * @param {Array} strikes - Strikes to check
+ * @returns {Array} Strikes that violate the condition
+ */
+export const findButterflyArbitrage = (slice, strikes) => {
+  const totalVariance = (k) => getSliceVolatility(slice, slice.forward * Math.exp(k)) ** 2 * slice.T;
+  const h = 1e-4;
+
+  return strikes.filter((strike) => {
+    const k = Math.log(strike / slice.forward);
+    const w = totalVariance(k);
+    const up = totalVariance(k + h);
+    const down = totalVariance(k - h);
+    const slope = (up - down) / (2 * h);
+    const curvature = (up - 2 * w + down) / (h * h);
+
+    const g = (1 - (k * slope) / (2 * w)) ** 2 - (slope ** 2 / 4) * (1 / w + 0.25) + curvature / 2;
+    return w <= 0 || g < -ARBITRAGE_TOLERANCE;
+  });
+};
+
+/**
+ * Strikes where total variance falls from one slice to the next at the same
+ * forward moneyness (calendar arbitrage)
+ * @param {Object} slice - Fitted slice
+ * @param {Object} nextSlice - Fitted slice with the next later expiry
+ * @param {Array} moneyness - Forward moneyness values K/F to check
+ * @returns {Array} Moneyness values that violate the condition
+ */
+export const findCalendarArbitrage = (slice, nextSlice, moneyness) => moneyness.filter((m) => {
+  const w = getSliceVolatility(slice, slice.forward * m) ** 2 * slice.T;
+  const nextW = getSliceVolatility(nextSlice, nextSlice.forward * m) ** 2 * nextSlice.T;
+  return nextW < w - ARBITRAGE_TOLERANCE;
+});
+
+/**
+ * Fit a smile model to every expiry of an option chain and check the fitted surface for arbitrage
+ * @param {Array} smiles - Smiles from groupVolatilitySmiles
+ * @param {string} model - Smile model ('svi' or 'sabr')
+ * @param {number} beta - SABR β
+ * @returns {Object} Object with model, slices (fitted parameters, residuals, rmse and
+ *   butterflyArbitrage strikes), calendarArbitrage and skipped ({ expiry, reason }) expiries
+ */
+export const fitVolatilitySurface = (smiles, model = 'svi', beta = 1) => {
+  const slices = [];
+  const skipped = [];
+
+  smiles.forEach((smile) => {
+    if (smile.data.length < MIN_SLICE_POINTS[model]) {
+      skipped.push({
+        expiry: smile.expiry,
+        reason: `${SMILE_MODELS[model].label} needs at least ${MIN_SLICE_POINTS[model]} strikes`
+      });
+      return;
+    }
+
+    const params = model === 'sabr' ? fitSabrSlice(smile, beta) : fitSviSlice(smile);
+    const slice = { model, expiry: smile.expiry, T: smile.T, forward: smile.forward, params };
+
+    const residuals = smile.data.map(({ strike, impliedVolatility }) => {
+      const fittedVolatility = getSliceVolatility(slice, strike);
+      return { strike, marketVolatility: impliedVolatility, fittedVolatility, residual: fittedVolatility - impliedVolatility };
+    });
+    const rmse = Math.sqrt(residuals.reduce((sum, { residual }) => sum + residual ** 2, 0) / residuals.length);
+
+    const strikes = smile.data.map(({ strike }) => strike);
+    const checkStrikes = generateRange(Math.min(...strikes), Math.max(...strikes), ARBITRAGE_CHECK_POINTS);
+
+    slices.push({ ...slice, residuals, rmse, butterflyArbitrage: findButterflyArbitrage(slice, checkStrikes) });
+  });
+
+  // Compare neighbouring expiries over the moneyness range both of them were quoted at
+  const calendarArbitrage = slices.slice(1).map((nextSlice, i) => {
+    const slice = slices[i];
+    const range = [slice, nextSlice].map(({ forward, residuals }) => residuals.map(({ strike }) => strike / forward));
+    const low = Math.max(Math.min(...range[0]), Math.min(...range[1]));
+    const high = Math.min(Math.max(...range[0]), Math.max(...range[1]));
+    return {
+      expiry: slice.expiry,
+      nextExpiry: nextSlice.expiry,
+      moneyness: low < high ? findCalendarArbitrage(slice, nextSlice, generateRange(low, high, ARBITRAGE_CHECK_POINTS)) : []
+    };
+  }).filter(({ moneyness }) => moneyness.length > 0);
+
+  return { model, slices, calendarArbitrage, skipped };
+};
+
+/**
+ * Implied volatility from a fitted surface at a strike and maturity.
+ * Total variance is interpolated linearly in time at fixed forward moneyness,
+ * and the nearest slice's volatility is used outside the fitted maturities.
+ * @param {Object} surface - Fitted surface from fitVolatilitySurface
+ * @param {number} K - Strike price
+ * @param {number} T - Time to maturity (in years)
+ * @returns {number} Implied volatility
+ */
+export const getSurfaceVolatility = (surface, K, T) => {
+  const { slices } = surface;
+  const next = slices.findIndex((slice) => slice.T >= T);
+
+  if (next === 0) return getSliceVolatility(slices[0], K);
+  if (next === -1) return getSliceVolatility(slices[slices.length - 1], K);
+
+  const before = slices[next - 1];
+  const after = slices[next];
+  const weight = (T - before.T) / (after.T - before.T);
+  // The forward grows exponentially between the slices, so interpolate it in logs
+  const moneyness = K / (before.forward * (after.forward / before.forward) ** weight);
+  const w1 = getSliceVolatility(before, before.forward * moneyness) ** 2 * before.T;
+  const w2 = getSliceVolatility(after, after.forward * moneyness) ** 2 * after.T;
+  const w = w1 + weight * (w2 - w1);
+
+  return Math.sqrt(Math.max(0, w) / T);
+};
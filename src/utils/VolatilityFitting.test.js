@@ -0,0 +1,95 @@
+import {
+  calculateSabrVolatility,
+  calculateSviTotalVariance,
+  findButterflyArbitrage,
+  findCalendarArbitrage,
+  fitVolatilitySurface,
+  getSliceVolatility,
+  getSurfaceVolatility
+} from './VolatilityFitting';
+import { calculateOptionPrice, generateRange } from './BlackScholes';
+
+const STRIKES = generateRange(70, 130, 13);
+
+// Smile quoted straight from a model's volatilities
+const smileFrom = (volatilityAt, T, forward = 100, expiry = String(T)) => ({
+  expiry,
+  T,
+  forward,
+  data: STRIKES.map((strike) => ({ strike, impliedVolatility: volatilityAt(strike) }))
+});
+
+describe('calculateSabrVolatility', () => {
+  test('matches the at-the-money expansion', () => {
+    const params = { alpha: 0.2, beta: 1, rho: -0.4, nu: 0.6 };
+    const expected = 0.2 * (1 + ((-0.4 * 0.6 * 0.2) / 4 + ((2 - 3 * 0.16) / 24) * 0.36) * 1);
+    expect(calculateSabrVolatility(params, 100, 100, 1)).toBeCloseTo(expected, 10);
+  });
+});
+
+describe('fitVolatilitySurface', () => {
+  test('recovers the parameters of a SABR smile', () => {
+    const params = { alpha: 0.2, beta: 1, rho: -0.4, nu: 0.6 };
+    const smile = smileFrom((strike) => calculateSabrVolatility(params, 100, strike, 0.5), 0.5);
+    const { slices } = fitVolatilitySurface([smile], 'sabr', 1);
+
+    expect(slices[0].rmse).toBeLessThan(1e-4);
+    expect(slices[0].params.rho).toBeCloseTo(-0.4, 2);
+    expect(slices[0].params.nu).toBeCloseTo(0.6, 2);
+  });
+
+  test('fits an SVI smile and reports the residual of every quote', () => {
+    const params = { a: 0.01, b: 0.1, rho: -0.5, m: 0.05, sigma: 0.2 };
+    const smile = smileFrom((strike) => Math.sqrt(calculateSviTotalVariance(params, Math.log(strike / 100))), 1);
+    const { slices, skipped } = fitVolatilitySurface([smile], 'svi');
+
+    expect(skipped).toEqual([]);
+    expect(slices[0].residuals).toHaveLength(STRIKES.length);
+    expect(slices[0].rmse).toBeLessThan(1e-4);
+    expect(slices[0].butterflyArbitrage).toEqual([]);
+  });
+
+  test('skips expiries with too few strikes for the model', () => {
+    const smile = { expiry: '0.5', T: 0.5, forward: 100, data: [{ strike: 100, impliedVolatility: 0.2 }] };
+    expect(fitVolatilitySurface([smile], 'svi').skipped[0].reason).toMatch(/at least 5 strikes/);
+  });
+});
+
+describe('arbitrage checks', () => {
+  test('flags the negative density of a known SVI counterexample', () => {
+    // Slice with butterfly arbitrage from Gatheral and Jacquier, "Arbitrage-free SVI volatility surfaces"
+    const slice = {
+      model: 'svi',
+      T: 1,
+      forward: 1,
+      params: { a: -0.041, b: 0.1331, rho: 0.306, m: 0.3586, sigma: 0.4153 }
+    };
+    expect(findButterflyArbitrage(slice, generateRange(0.3, 3, 100)).length).toBeGreaterThan(0);
+  });
+
+  test('flags total variance falling with maturity', () => {
+    const slice = { model: 'sabr', T: 0.5, forward: 100, params: { alpha: 0.3, beta: 1, rho: 0, nu: 0.1 } };
+    const later = { ...slice, T: 1, params: { ...slice.params, alpha: 0.15 } };
+    expect(findCalendarArbitrage(slice, later, [0.9, 1, 1.1])).toEqual([0.9, 1, 1.1]);
+    expect(findCalendarArbitrage(later, { ...later, T: 2 }, [0.9, 1, 1.1])).toEqual([]);
+  });
+});
+
+describe('getSurfaceVolatility', () => {
+  const flat = (sigma, T) => ({
+    model: 'sabr', T, forward: 100, params: { alpha: sigma, beta: 1, rho: 0, nu: 1e-8 }
+  });
+  const surface = { slices: [flat(0.3, 0.5), flat(0.2, 1)] };
+
+  test('interpolates total variance between expiries', () => {
+    const w = 0.3 ** 2 * 0.5 + 0.5 * (0.2 ** 2 - 0.3 ** 2 * 0.5);
+    expect(getSurfaceVolatility(surface, 100, 0.75)).toBeCloseTo(Math.sqrt(w / 0.75), 6);
+    expect(getSurfaceVolatility(surface, 100, 2)).toBeCloseTo(getSliceVolatility(surface.slices[1], 100), 10);
+  });
+
+  test('prices with the surface volatility at the strike and maturity', () => {
+    const volatilityAt = (K, T) => getSurfaceVolatility(surface, K, T);
+    expect(calculateOptionPrice('call', 100, 105, 0.05, 0.75, volatilityAt))
+      .toBeCloseTo(calculateOptionPrice('call', 100, 105, 0.05, 0.75, volatilityAt(105, 0.75)), 10);
+  });
+});